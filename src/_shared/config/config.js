@@ -7,11 +7,17 @@
  * Groups:
  *  - SERVER: runtime and startup parameters
  *  - JWT / REFRESH_JWT: access and refresh token settings
+ *  - AUTH: request-time authorization lookups (role permission / token version caches)
+ *    + password reset / email verification token lifetimes
  *  - COOKIE: cookie options (e.g. potential refresh cookie)
  *  - MONGODB: database connection URIs
  *  - JOB: cron / scheduled job settings
- *  - SEARCH: Elasticsearch connection + retry policy
- *  - RABBIT: RabbitMQ connection + retry policy
+ *  - SEARCH: Elasticsearch connection + retry policy + reindex batch size
+ *  - RABBIT: RabbitMQ connection + retry policy + search sync consumer settings
+ *  - OUTBOX: transactional outbox relay polling + backoff
+ *  - IMPORT: bulk product import limits (file size, rows, sync threshold)
+ *  - REVIEW: review queue claim lifetime + review SLA
+ *  - MAIL: outgoing mail transport (console / file / smtp) + links placed in emails
  *
  * Security:
  *  - Do NOT log secrets or the entire config object in production.
@@ -42,6 +48,15 @@ const REFRESH_JWT = {
   maxTokensPerUser: parseInt(process.env.REFRESH_MAX_TOKENS || "5", 10),
 };
 
+const AUTH = {
+  // Role -> permissions lookups made while building the GraphQL context are cached this long.
+  permissionCacheTtlMs: Number(process.env.PERMISSION_CACHE_TTL_MS || 60000),
+  // User token versions checked on every authenticated request are cached this long.
+  tokenVersionCacheTtlMs: Number(process.env.TOKEN_VERSION_CACHE_TTL_MS || 30000),
+  passwordResetTtlMs: Number(process.env.PASSWORD_RESET_TTL_MS || 60 * 60 * 1000),
+  emailVerificationTtlMs: Number(process.env.EMAIL_VERIFICATION_TTL_MS || 24 * 60 * 60 * 1000),
+};
+
 const COOKIE = {
   secure: process.env.COOKIE_SECURE === "true" || false,
   httpOnly: true,
@@ -63,6 +78,10 @@ const SEARCH = {
   productIndex: process.env.ELASTICSEARCH_PRODUCT_INDEX || "products",
   startupRetries: Number(process.env.STARTUP_RETRIES_SEARCH || 10),
   startupDelayMs: Number(process.env.STARTUP_RETRY_DELAY_MS || 2000),
+  // Disable when the search sync consumer owns indexing (avoids double writes).
+  inlineIndexing: process.env.SEARCH_INLINE_INDEXING !== "false",
+  // Documents per bulk request during a full reindex.
+  reindexBatchSize: Number(process.env.SEARCH_REINDEX_BATCH_SIZE || 500),
 };
 
 const RABBIT = {
@@ -70,6 +89,53 @@ const RABBIT = {
   exchange: process.env.RABBITMQ_EXCHANGE || "products.events",
   startupRetries: Number(process.env.STARTUP_RETRIES_RABBIT || 10),
   startupDelayMs: Number(process.env.STARTUP_RETRY_DELAY_MS || 2000),
+  searchSyncQueue: process.env.RABBITMQ_SEARCH_SYNC_QUEUE || "products.search-sync",
+  consumerPrefetch: Number(process.env.RABBITMQ_CONSUMER_PREFETCH || 10),
+  // One delay queue per entry; attempts beyond the list go to the dead-letter queue.
+  retryDelaysMs: (process.env.RABBITMQ_RETRY_DELAYS_MS || "1000,5000,30000,120000")
+    .split(",")
+    .map((v) => Number(v.trim()))
+    .filter((v) => Number.isFinite(v) && v > 0),
+};
+
+const OUTBOX = {
+  pollIntervalMs: Number(process.env.OUTBOX_POLL_INTERVAL_MS || 1000),
+  batchSize: Number(process.env.OUTBOX_BATCH_SIZE || 100),
+  // Claim lease: a claimed event is invisible to other relays for this long.
+  leaseMs: Number(process.env.OUTBOX_LEASE_MS || 30000),
+  backoffBaseMs: Number(process.env.OUTBOX_BACKOFF_BASE_MS || 1000),
+  backoffMaxMs: Number(process.env.OUTBOX_BACKOFF_MAX_MS || 300000),
+};
+
+const IMPORT = {
+  maxFileBytes: Number(process.env.IMPORT_MAX_FILE_BYTES || 10 * 1024 * 1024),
+  maxRows: Number(process.env.IMPORT_MAX_ROWS || 20000),
+  // Files with more rows run as a background job (202 + polling).
+  syncMaxRows: Number(process.env.IMPORT_SYNC_MAX_ROWS || 200),
+  progressEvery: Number(process.env.IMPORT_PROGRESS_EVERY || 100),
+};
+
+const REVIEW = {
+  // Claim lock lifetime; an expired claim can be taken by another editor.
+  claimTtlMs: Number(process.env.REVIEW_CLAIM_TTL_MS || 30 * 60 * 1000),
+  // Time from submission until a pending product counts as overdue.
+  slaMs: Number(process.env.REVIEW_SLA_MS || 48 * 60 * 60 * 1000),
+};
+
+const MAIL = {
+  // console | file | smtp
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "Catalog <no-reply@localhost>",
+  fileDir: process.env.MAIL_FILE_DIR || "tmp/mail",
+  // Front-end base URL; reset / verification links point to <appUrl>/reset-password etc.
+  appUrl: process.env.APP_URL || "http://localhost:3000",
+  smtp: {
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+  },
 };
 
 module.exports = {
@@ -79,9 +145,14 @@ module.exports = {
   SERVER,
   JWT,
   REFRESH_JWT,
+  AUTH,
   COOKIE,
   MONGODB,
   JOB,
   SEARCH,
   RABBIT,
+  OUTBOX,
+  IMPORT,
+  REVIEW,
+  MAIL,
 };
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview RabbitMQ consumer keeping the Elasticsearch product index in sync
+ * with MongoDB from product domain events.
+ *
+ * Topology (all durable, asserted on start):
+ *  - <queue>                bound to the topic exchange with "product.#"
+ *  - <queue>.retry.<ms>     one per config.RABBIT.retryDelaysMs entry; x-message-ttl=<ms>,
+ *                           dead-letters back into <queue> through the default exchange
+ *  - <queue>.dlq            parking queue for poison messages / exhausted retries
+ *
+ * Processing:
+ *  - Events are treated as notifications: the product is re-read from MongoDB by
+ *    aggregateId, so out-of-order or duplicated events converge on the latest state.
+ *  - Product found -> upsert; missing or soft-deleted -> delete from index.
+ *  - Manual acks; prefetch bounded by config.RABBIT.consumerPrefetch.
+ *
+ * Failure Handling:
+ *  - Transient failure (ES/Mongo down) -> republish to the next retry queue with
+ *    x-attempt header incremented, then ack the original.
+ *  - Attempts exhausted or unparseable payload -> republish to DLQ with x-last-error.
+ *  - The channel is in confirm mode: the original is acked only once the broker has
+ *    confirmed the copy. An unconfirmed copy requeues the original (nack), so a message
+ *    is never lost between the two (it may be duplicated, which re-syncing tolerates).
+ *
+ * Non-Goals:
+ *  - No automatic DLQ replay (shovel messages back manually once the cause is fixed).
+ */
+const config = require("../config/config");
+const { logger } = require("../utils/logger");
+const { createChannel } = require("../integrations/rabbitmq/rabbitmq");
+const {
+  upsertProduct,
+  deleteProduct,
+} = require("../integrations/elasticsearch/es.product.indexer");
+const ProductService = require("../../modules/products/application/product.service");
+
+const BINDING_KEY = "product.#";
+const ATTEMPT_HEADER = "x-attempt";
+
+let channel = null;
+let consumerTag = null;
+
+const queueName = () => config.RABBIT.searchSyncQueue;
+const retryQueueName = (delayMs) => `${queueName()}.retry.${delayMs}`;
+const deadLetterQueueName = () => `${queueName()}.dlq`;
+
+/**
+ * Declare exchange, main queue, delay queues and DLQ (idempotent).
+ * @param {import('amqplib').Channel} ch
+ */
+async function assertTopology(ch) {
+  await ch.assertExchange(config.RABBIT.exchange, "topic", { durable: true });
+  await ch.assertQueue(queueName(), { durable: true });
+  await ch.bindQueue(queueName(), config.RABBIT.exchange, BINDING_KEY);
+
+  for (const delayMs of config.RABBIT.retryDelaysMs) {
+    await ch.assertQueue(retryQueueName(delayMs), {
+      durable: true,
+      arguments: {
+        "x-message-ttl": delayMs,
+        "x-dead-letter-exchange": "",
+        "x-dead-letter-routing-key": queueName(),
+      },
+    });
+  }
+
+  await ch.assertQueue(deadLetterQueueName(), { durable: true });
+}
+
+/**
+ * Bring the index in line with MongoDB for one product event.
+ * Throws on any infrastructure failure so the caller can retry.
+ *
+ * @param {object} event - Domain event envelope (see ProductService.buildEventEnvelope)
+ */
+async function syncProductFromEvent(event) {
+  const id = event.aggregateId;
+  const res = await ProductService.findById(id);
+
+  if (res.status === 200) {
+    await upsertProduct(res.data, { strict: true });
+    return "upserted";
+  }
+  if (res.status === 404) {
+    await deleteProduct(id, { strict: true });
+    return "deleted";
+  }
+  throw new Error(res.error || `Product lookup failed with status ${res.status}`);
+}
+
+/**
+ * Republish a message copy to a queue, preserving properties and adding headers.
+ * @param {import('amqplib').ConfirmChannel} ch
+ * @returns {Promise<void>} resolves once the broker confirmed the copy
+ */
+function forward(ch, queue, msg, headers) {
+  return new Promise((resolve, reject) => {
+    ch.sendToQueue(
+      queue,
+      msg.content,
+      {
+        contentType: msg.properties.contentType || "application/json",
+        persistent: true,
+        headers: { ...(msg.properties.headers || {}), ...headers },
+      },
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+/**
+ * Move a delivery to another queue: ack it after the copy is confirmed, requeue it otherwise.
+ * @returns {Promise<boolean>} whether the message was moved
+ */
+async function moveTo(ch, queue, msg, headers) {
+  try {
+    await forward(ch, queue, msg, headers);
+  } catch (err) {
+    logger(
+      `[SearchSync] republish to ${queue} not confirmed, requeueing: ${err?.message}`,
+      "WARN:",
+      "yellow"
+    );
+    try {
+      ch.nack(msg, false, true);
+    } catch {
+      // Channel gone: the broker redelivers unacked messages anyway.
+    }
+    return false;
+  }
+  ch.ack(msg);
+  return true;
+}
+
+/**
+ * Handle one delivery: parse, sync, then ack / retry / dead-letter.
+ * @param {import('amqplib').Channel} ch
+ * @param {import('amqplib').ConsumeMessage} msg
+ */
+async function handleMessage(ch, msg) {
+  if (!msg) return; // consumer cancelled by broker
+
+  const routingKey = msg.fields.routingKey;
+  const attempt = Number(msg.properties.headers?.[ATTEMPT_HEADER] || 0);
+
+  let event;
+  try {
+    event = JSON.parse(msg.content.toString("utf8"));
+  } catch (err) {
+    const moved = await moveTo(ch, deadLetterQueueName(), msg, {
+      "x-last-error": `Invalid JSON: ${err.message}`,
+    });
+    if (moved) logger(`[SearchSync] invalid payload (${routingKey}) -> DLQ`, "WARN:", "yellow");
+    return;
+  }
+
+  if (event?.aggregateType !== "Product" || !event?.aggregateId) {
+    ch.ack(msg); // not ours; nothing to sync
+    return;
+  }
+
+  try {
+    const outcome = await syncProductFromEvent(event);
+    ch.ack(msg);
+    logger(
+      `[SearchSync] ${routingKey} -> ${outcome} ${event.aggregateId}`,
+      "INFO:",
+      "green"
+    );
+  } catch (err) {
+    const delays = config.RABBIT.retryDelaysMs;
+    const reason = err?.message || "unknown error";
+
+    const headers = { [ATTEMPT_HEADER]: attempt + 1, "x-last-error": reason };
+
+    if (attempt < delays.length) {
+      if (!(await moveTo(ch, retryQueueName(delays[attempt]), msg, headers))) return;
+      logger(
+        `[SearchSync] ${routingKey} ${event.aggregateId} failed (attempt ${attempt + 1}/${delays.length + 1}), retry in ${delays[attempt]}ms: ${reason}`,
+        "WARN:",
+        "yellow"
+      );
+    } else {
+      if (!(await moveTo(ch, deadLetterQueueName(), msg, headers))) return;
+      logger(
+        `[SearchSync] ${routingKey} ${event.aggregateId} dead-lettered after ${attempt + 1} attempts: ${reason}`,
+        "ERROR:",
+        "red"
+      );
+    }
+  }
+}
+
+/**
+ * Open channel, assert topology and start consuming.
+ * @param {{ onClose?: Function }} [options] - onClose is invoked if the channel drops unexpectedly
+ */
+async function startProductSearchSync({ onClose } = {}) {
+  if (channel) return channel;
+
+  const ch = await createChannel({ confirm: true });
+  await assertTopology(ch);
+  await ch.prefetch(config.RABBIT.consumerPrefetch);
+
+  ch.on("close", () => {
+    const wasActive = channel === ch;
+    channel = null;
+    consumerTag = null;
+    if (wasActive) {
+      logger("[SearchSync] channel closed unexpectedly", "WARN:", "yellow");
+      if (typeof onClose === "function") onClose();
+    }
+  });
+
+  const { consumerTag: tag } = await ch.consume(
+    queueName(),
+    (msg) => {
+      handleMessage(ch, msg).catch((err) =>
+        logger(`[SearchSync] handler crash: ${err?.message}`, "ERROR:", "red")
+      );
+    },
+    { noAck: false }
+  );
+
+  channel = ch;
+  consumerTag = tag;
+  logger(
+    `[SearchSync] consuming "${queueName()}" (prefetch=${config.RABBIT.consumerPrefetch})`,
+    "INFO:",
+    "green"
+  );
+  return ch;
+}
+
+/**
+ * Stop consuming and close the consumer channel (in-flight handlers finish on their own).
+ */
+async function stopProductSearchSync() {
+  const ch = channel;
+  channel = null;
+  if (!ch) return;
+  try {
+    if (consumerTag) await ch.cancel(consumerTag);
+    await ch.close();
+    logger("[SearchSync] consumer stopped", "INFO:", "green");
+  } catch (err) {
+    logger(`[SearchSync] stop error: ${err?.message}`, "WARN:", "yellow");
+  } finally {
+    consumerTag = null;
+  }
+}
+
+module.exports = {
+  assertTopology,
+  syncProductFromEvent,
+  handleMessage,
+  startProductSearchSync,
+  stopProductSearchSync,
+};
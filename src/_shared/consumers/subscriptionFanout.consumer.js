@@ -0,0 +1,101 @@
+/**
+ * @fileoverview RabbitMQ consumer feeding GraphQL subscriptions on this API instance.
+ *
+ * Topology:
+ *  - Server-named, exclusive, auto-delete queue per instance bound with "product.#",
+ *    so each instance receives every product event (fan-out) and the queue disappears
+ *    with the connection.
+ *
+ * Processing:
+ *  - The product is re-read once per event (not per subscriber) and handed to
+ *    graphql/pubsub.publishProductEvent together with the envelope.
+ *  - No acks / retries: live notifications are best-effort; missed events are not replayed
+ *    (clients re-query on reconnect).
+ */
+const config = require("../config/config");
+const { logger } = require("../utils/logger");
+const { createChannel } = require("../integrations/rabbitmq/rabbitmq");
+const ProductService = require("../../modules/products/application/product.service");
+const { publishProductEvent } = require("../../graphql/pubsub");
+
+const BINDING_KEY = "product.#";
+
+let channel = null;
+
+/**
+ * Parse one delivery and publish it to the in-process PubSub.
+ * @param {import('amqplib').ConsumeMessage} msg
+ */
+async function handleMessage(msg) {
+  if (!msg) return;
+
+  let event;
+  try {
+    event = JSON.parse(msg.content.toString("utf8"));
+  } catch (err) {
+    logger(`[Subscriptions] invalid payload (${msg.fields.routingKey}): ${err.message}`, "WARN:", "yellow");
+    return;
+  }
+  if (event?.aggregateType !== "Product" || !event?.aggregateId) return;
+
+  const res = await ProductService.findById(event.aggregateId);
+  if (res.status >= 400 && res.status !== 404) {
+    logger(`[Subscriptions] ${event.type} ${event.aggregateId}: ${res.error}`, "WARN:", "yellow");
+    return;
+  }
+  await publishProductEvent(event, res.status === 200 ? res.data : null);
+}
+
+/**
+ * Declare the instance queue and start consuming.
+ * @param {{ onClose?: Function }} [options] - onClose is invoked if the channel drops unexpectedly
+ */
+async function startSubscriptionFanout({ onClose } = {}) {
+  if (channel) return channel;
+
+  const ch = await createChannel();
+  await ch.assertExchange(config.RABBIT.exchange, "topic", { durable: true });
+  const { queue } = await ch.assertQueue("", { exclusive: true, autoDelete: true, durable: false });
+  await ch.bindQueue(queue, config.RABBIT.exchange, BINDING_KEY);
+
+  ch.on("close", () => {
+    const wasActive = channel === ch;
+    channel = null;
+    if (wasActive) {
+      logger("[Subscriptions] channel closed unexpectedly", "WARN:", "yellow");
+      if (typeof onClose === "function") onClose();
+    }
+  });
+
+  await ch.consume(
+    queue,
+    (msg) => {
+      handleMessage(msg).catch((err) =>
+        logger(`[Subscriptions] handler crash: ${err?.message}`, "ERROR:", "red")
+      );
+    },
+    { noAck: true }
+  );
+
+  channel = ch;
+  logger(`[Subscriptions] fan-out queue "${queue}" bound to ${BINDING_KEY}`, "INFO:", "green");
+  return ch;
+}
+
+async function stopSubscriptionFanout() {
+  const ch = channel;
+  channel = null;
+  if (!ch) return;
+  try {
+    await ch.close();
+    logger("[Subscriptions] fan-out consumer stopped", "INFO:", "green");
+  } catch (err) {
+    logger(`[Subscriptions] stop error: ${err?.message}`, "WARN:", "yellow");
+  }
+}
+
+module.exports = {
+  handleMessage,
+  startSubscriptionFanout,
+  stopSubscriptionFanout,
+};
@@ -8,7 +8,8 @@
  * Behavior:
  *  - For each role in rolesToEnsure:
  *      - Attempts a findOneByCriteria({ name })
- *      - If not found (status != 200) creates it.
+ *      - If not found (status != 200) creates it with its default permissions.
+ *  - Then backfills default permissions onto built-in roles stored before permissions existed.
  *
  * Reliability:
  *  - Best-effort; if a creation fails (e.g. transient DB outage) the app still runs,
@@ -23,6 +24,7 @@
  */
 const RoleService = require("../../modules/roles/application/role.service");
 const RoleTypeEnum = require("../enum/roles.enum");
+const { defaultPermissionsFor } = require("../enum/permissions.enum");
 
 async function ensureEmployeeRole() {
   try {
@@ -34,9 +36,10 @@ async function ensureEmployeeRole() {
     for (const roleName of rolesToEnsure) {
       const res = await RoleService.findOneByCriteria({ name: roleName });
       if (!res || res.status !== 200) {
-        await RoleService.create({ name: roleName });
+        await RoleService.create({ name: roleName, permissions: defaultPermissionsFor(roleName) });
       }
     }
+    await RoleService.backfillDefaultPermissions();
   } catch (error) {
     console.error("Error ensuring roles:", error);
     throw error; // escalate so caller may decide to fail fast or ignore
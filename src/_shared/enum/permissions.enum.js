@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Permission catalogue and default role grants.
+ *
+ * Permission:
+ *  - "<resource>:<action>" strings stored on Role.permissions and checked by the
+ *    GraphQL @requires(permission:) directive (ctx.user.permissions), the REST
+ *    permission middleware and services that authorize an actor (hasPermission).
+ *
+ * DEFAULT_ROLE_PERMISSIONS:
+ *  - Grants for the built-in roles; applied when those roles are created and backfilled
+ *    onto stored roles that predate permissions (role.dataInitializer.js).
+ *  - Mirrors the previous role-name rules, so upgrading changes no access by itself.
+ */
+const RoleTypeEnum = require("./roles.enum");
+
+const Permission = Object.freeze({
+  PRODUCT_CREATE: "product:create",
+  PRODUCT_UPDATE: "product:update",
+  PRODUCT_APPROVE: "product:approve",
+  PRODUCT_DELETE: "product:delete",
+  REVIEW_ASSIGN: "review:assign",
+  AUDIT_READ: "audit:read",
+  USER_MANAGE: "user:manage",
+  ROLE_MANAGE: "role:manage",
+});
+
+const DEFAULT_ROLE_PERMISSIONS = Object.freeze({
+  [RoleTypeEnum.ADMIN]: Object.values(Permission),
+  [RoleTypeEnum.MANAGER]: [Permission.REVIEW_ASSIGN, Permission.AUDIT_READ, Permission.USER_MANAGE],
+  [RoleTypeEnum.EDITOR]: [
+    Permission.PRODUCT_CREATE,
+    Permission.PRODUCT_UPDATE,
+    Permission.PRODUCT_APPROVE,
+    Permission.PRODUCT_DELETE,
+    Permission.AUDIT_READ,
+  ],
+  [RoleTypeEnum.PROVIDER]: [Permission.PRODUCT_CREATE, Permission.PRODUCT_UPDATE],
+  [RoleTypeEnum.EMPLOYEE]: [],
+});
+
+/**
+ * Default grants for a role name (custom roles start empty).
+ * @param {string} roleName
+ * @returns {string[]}
+ */
+function defaultPermissionsFor(roleName) {
+  return [...(DEFAULT_ROLE_PERMISSIONS[String(roleName || "").toLowerCase()] || [])];
+}
+
+/**
+ * Whether actor (ctx.user / req.user shape, permissions resolved from its role) holds permission.
+ * @param {object|null} actor - { permissions?: string[] }
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(actor, permission) {
+  return Boolean(actor?.permissions?.includes(permission));
+}
+
+module.exports = {
+  Permission,
+  DEFAULT_ROLE_PERMISSIONS,
+  defaultPermissionsFor,
+  hasPermission,
+};
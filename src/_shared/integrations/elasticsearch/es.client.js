@@ -9,7 +9,7 @@
  *
  * Limitations:
  *  - No automatic retry for failed indexing operations (best effort).
- *  - For stronger guarantees: implement outbox + async worker ingestion.
+ *  - For stronger guarantees: run the search sync consumer (fed by the outbox) instead of inline indexing.
  */
 const { Client } = require("@elastic/elasticsearch");
 const { logger } = require("../../utils/logger");
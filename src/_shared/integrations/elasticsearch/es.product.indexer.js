@@ -2,15 +2,27 @@
  * @fileoverview Product indexing helpers (eventual consistency) for Elasticsearch.
  *
  * Functions:
- *  - ensureProductIndex(): creates index + mappings if missing (idempotent)
+ *  - ensureProductIndex(): creates a versioned index + alias if missing (idempotent)
+ *  - createProductIndex(): create a physical index with the current settings/mappings
+ *  - mapProduct(): MongoDB document -> ES source document
  *  - upsertProduct(): index or update a product document (wait_for refresh in dev)
  *  - deleteProduct(): remove product doc (ignores 404)
  *
  * Index strategy:
  *  - edge_ngram analyzer for basic autocomplete on name, brand, manufacturer.name
+ *  - config.SEARCH.productIndex is an alias over a versioned physical index
+ *    (<alias>_v<timestamp>); reads and writes go through the alias, and a full
+ *    reindex swaps it atomically (see search/application/reindex.service.js).
+ *  - Installs created before aliases used a concrete index with the alias name;
+ *    the first reindex replaces it.
+ *
+ * Error modes:
+ *  - Default (best effort): failures are logged and swallowed (inline sync from API A).
+ *  - { strict: true }: failures are rethrown so callers (e.g. the search sync consumer)
+ *    can retry / dead-letter instead of dropping the update.
  *
  * Limitations:
- *  - No retries on failures (best effort)
+ *  - No retries here; retry policy belongs to the caller
  *  - MongoDB remains source of truth
  */
 const { getES } = require("./es.client");
@@ -19,62 +31,93 @@ const config = require("../../config/config");
 
 const INDEX = config.SEARCH.productIndex;
 
+const PRODUCT_INDEX_SETTINGS = {
+  analysis: {
+    analyzer: {
+      edge_ngram_analyzer: {
+        type: "custom",
+        tokenizer: "standard",
+        filter: ["lowercase", "edge_ngram_filter"],
+      },
+    },
+    filter: {
+      edge_ngram_filter: {
+        type: "edge_ngram",
+        min_gram: 2,
+        max_gram: 20,
+      },
+    },
+  },
+};
+
+const PRODUCT_INDEX_MAPPINGS = {
+  properties: {
+    gtin: { type: "keyword" },
+    name: {
+      type: "text",
+      analyzer: "edge_ngram_analyzer",
+      search_analyzer: "standard",
+    },
+    brand: {
+      type: "text",
+      analyzer: "edge_ngram_analyzer",
+      search_analyzer: "standard",
+    },
+    description: { type: "text" },
+    "manufacturer.name": {
+      type: "text",
+      analyzer: "edge_ngram_analyzer",
+      search_analyzer: "standard",
+    },
+    "manufacturer.code": { type: "keyword" },
+    "manufacturer.country": { type: "keyword" },
+    netWeight: { type: "float" },
+    weightUnit: { type: "keyword" },
+    status: { type: "keyword" },
+    createdBy: { type: "keyword" },
+    organizationId: { type: "keyword" },
+    createdAt: { type: "date" },
+    updatedAt: { type: "date" },
+  },
+};
+
+/**
+ * Build a unique versioned physical index name behind the product alias.
+ * @returns {string} e.g. "products_v1718000000000"
+ */
+function versionedIndexName() {
+  return `${INDEX}_v${Date.now()}`;
+}
+
+/**
+ * Create a physical product index with the current settings + mappings.
+ * @param {string} name
+ * @param {object} [extraSettings] - Merged over the analysis settings (e.g. refresh_interval)
+ */
+async function createProductIndex(name, extraSettings = {}) {
+  const es = getES();
+  await es.indices.create({
+    index: name,
+    settings: { ...PRODUCT_INDEX_SETTINGS, ...extraSettings },
+    mappings: PRODUCT_INDEX_MAPPINGS,
+  });
+  logger(`[Elasticsearch] index "${name}" created`, "INFO:", "green");
+}
+
+/**
+ * Ensure the product alias (or a legacy concrete index with that name) exists.
+ * Fresh installs get a versioned index with the alias pointing to it, so a later
+ * reindex can swap the alias without downtime.
+ */
 async function ensureProductIndex() {
   const es = getES();
   try {
     const exists = await es.indices.exists({ index: INDEX });
     if (!exists) {
-      await es.indices.create({
-        index: INDEX,
-        settings: {
-          analysis: {
-            analyzer: {
-              edge_ngram_analyzer: {
-                type: "custom",
-                tokenizer: "standard",
-                filter: ["lowercase", "edge_ngram_filter"],
-              },
-            },
-            filter: {
-              edge_ngram_filter: {
-                type: "edge_ngram",
-                min_gram: 2,
-                max_gram: 20,
-              },
-            },
-          },
-        },
-        mappings: {
-          properties: {
-            gtin: { type: "keyword" },
-            name: {
-              type: "text",
-              analyzer: "edge_ngram_analyzer",
-              search_analyzer: "standard",
-            },
-            brand: {
-              type: "text",
-              analyzer: "edge_ngram_analyzer",
-              search_analyzer: "standard",
-            },
-            description: { type: "text" },
-            "manufacturer.name": {
-              type: "text",
-              analyzer: "edge_ngram_analyzer",
-              search_analyzer: "standard",
-            },
-            "manufacturer.code": { type: "keyword" },
-            "manufacturer.country": { type: "keyword" },
-            netWeight: { type: "float" },
-            weightUnit: { type: "keyword" },
-            status: { type: "keyword" },
-            createdBy: { type: "keyword" },
-            createdAt: { type: "date" },
-            updatedAt: { type: "date" },
-          },
-        },
-      });
-      logger(`[Elasticsearch] index "${INDEX}" created`, "INFO:", "green");
+      const physical = versionedIndexName();
+      await createProductIndex(physical);
+      await es.indices.putAlias({ index: physical, name: INDEX });
+      logger(`[Elasticsearch] alias "${INDEX}" -> "${physical}"`, "INFO:", "green");
     } else {
       logger(`[Elasticsearch] index "${INDEX}" exists`, "INFO:", "green");
     }
@@ -96,12 +139,18 @@ function mapProduct(doc) {
     weightUnit: src.weightUnit,
     status: src.status,
     createdBy: String(src.createdBy || ""),
+    organizationId: src.organizationId ? String(src.organizationId) : null,
     createdAt: src.createdAt ? new Date(src.createdAt) : undefined,
     updatedAt: src.updatedAt ? new Date(src.updatedAt) : undefined,
   };
 }
 
-async function upsertProduct(doc) {
+/**
+ * Index or replace a product document.
+ * @param {object} doc - Mongoose doc or plain object with _id/id
+ * @param {{strict?:boolean}} [options]
+ */
+async function upsertProduct(doc, { strict = false } = {}) {
   try {
     const es = getES();
     await es.index({
@@ -121,10 +170,16 @@ async function upsertProduct(doc) {
       "WARN:",
       "yellow"
     );
+    if (strict) throw err;
   }
 }
 
-async function deleteProduct(id) {
+/**
+ * Remove a product document. A missing document (404) is never an error.
+ * @param {string|ObjectId} id
+ * @param {{strict?:boolean}} [options]
+ */
+async function deleteProduct(id, { strict = false } = {}) {
   try {
     const es = getES();
     await es.delete({
@@ -140,12 +195,18 @@ async function deleteProduct(id) {
         "WARN:",
         "yellow"
       );
+      if (strict) throw err;
     }
   }
 }
 
 module.exports = {
+  PRODUCT_INDEX_SETTINGS,
+  PRODUCT_INDEX_MAPPINGS,
+  versionedIndexName,
+  createProductIndex,
   ensureProductIndex,
+  mapProduct,
   upsertProduct,
   deleteProduct,
-};
\ No newline at end of file
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Console mail transport: logs messages instead of delivering them.
+ */
+const crypto = require("crypto");
+const { logger } = require("../../utils/logger");
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      logger(
+        `[Mail] ${messageId} to=${message.to} subject="${message.subject}"\n${message.text}`,
+        "INFO:",
+        "cyan"
+      );
+      return { messageId };
+    },
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview File mail transport: one JSON file per message (<dir>/<timestamp>-<id>.json).
+ *
+ * Useful to read links out of emails in local runs and automated tests.
+ */
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * @param {{dir: string}} options
+ */
+function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, `${Date.now()}-${messageId}.json`),
+        JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { messageId };
+    },
+  };
+}
+
+module.exports = { createFileTransport };
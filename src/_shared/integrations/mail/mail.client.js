@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Outgoing mail: transport selection + send helper + graceful close.
+ *
+ * Transport interface:
+ *  - { name: string, send(message): Promise<{ messageId: string }>, close?(): Promise<void> }
+ *  - message: { from, to, subject, text, html? } (from defaults to config.MAIL.from)
+ *
+ * Transports (config.MAIL.transport / MAIL_TRANSPORT):
+ *  - console: logs the message (local development).
+ *  - file: writes one JSON file per message to MAIL_FILE_DIR (local runs, tests, e2e scripts).
+ *  - smtp: nodemailer over SMTP (SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS).
+ *
+ * Pattern:
+ *  - getMailer(): lazy singleton of the configured transport
+ *  - setMailTransport(transport): replace it (tests, custom providers)
+ *  - sendMail(message): fill defaults and deliver; throws on delivery failure
+ *  - closeMailer(): release pooled SMTP connections
+ *  - assertMailTransportAllowed(): startup check (see Security)
+ *
+ * Security:
+ *  - Messages may carry single-use tokens; console / file transports are for non-production
+ *    use, and the API refuses to start with them when NODE_ENV=production.
+ */
+const config = require("../../config/config");
+const { createConsoleTransport } = require("./console.transport");
+const { createFileTransport } = require("./file.transport");
+const { createSmtpTransport } = require("./smtp.transport");
+
+// Transports that write message contents (reset / verification links) to logs or disk.
+const NON_PRODUCTION_TRANSPORTS = ["console", "file"];
+
+const factories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: config.MAIL.fileDir }),
+  smtp: () => createSmtpTransport(config.MAIL.smtp),
+};
+
+let transport;
+
+function getMailer() {
+  if (!transport) {
+    const factory = factories[config.MAIL.transport];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT '${config.MAIL.transport}'`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+function setMailTransport(next) {
+  transport = next;
+}
+
+/**
+ * @param {{to: string, subject: string, text: string, html?: string, from?: string}} message
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMail(message) {
+  return getMailer().send({ from: config.MAIL.from, ...message });
+}
+
+/**
+ * Fail fast when a non-production transport is configured in production.
+ * @param {string} [nodeEnv]
+ * @param {string} [transportName]
+ * @throws {Error}
+ */
+function assertMailTransportAllowed(
+  nodeEnv = config.SERVER.nodeEnv,
+  transportName = config.MAIL.transport
+) {
+  if (nodeEnv === "production" && NON_PRODUCTION_TRANSPORTS.includes(transportName)) {
+    throw new Error(
+      `MAIL_TRANSPORT '${transportName}' exposes email contents and is not allowed in production`
+    );
+  }
+}
+
+async function closeMailer() {
+  if (transport?.close) await transport.close();
+  transport = null;
+}
+
+module.exports = {
+  getMailer,
+  setMailTransport,
+  sendMail,
+  closeMailer,
+  assertMailTransportAllowed,
+};
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview SMTP mail transport (nodemailer, pooled connections).
+ */
+const nodemailer = require("nodemailer");
+
+/**
+ * @param {{host: string, port: number, secure: boolean, user?: string|null, pass?: string|null}} options
+ */
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    pool: true,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+    async close() {
+      transporter.close();
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
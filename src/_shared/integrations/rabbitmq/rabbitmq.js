@@ -4,6 +4,8 @@
  * Features:
  *  - connect(): lazy singleton connection + confirm channel
  *  - publish(): confirm-based publishing (returns boolean)
+ *  - createChannel({ confirm }): extra channel on the shared connection for consumers
+ *    (confirm mode for consumers that republish before acking)
  *  - waitForRabbitMQ(): retry loop for startup readiness
  *  - closeRabbitMQ(): idempotent resource teardown
  *
@@ -11,9 +13,9 @@
  *  - Single confirm channel reused (adequate for moderate throughput)
  *  - Durable topic exchange asserted
  *
- * Limitations:
- *  - No outbox pattern → a DB commit followed by a publish failure loses the event
- *    (add outbox + worker for stronger guarantees if needed)
+ * Delivery:
+ *  - Domain events are not published directly by services; they go through the
+ *    transactional outbox (see jobs/outboxRelay.job.js), which retries until confirmed.
  */
 const amqplib = require("amqplib");
 const { logger } = require("../../utils/logger");
@@ -62,6 +64,25 @@ async function connect() {
   return connecting;
 }
 
+/**
+ * Open an additional channel on the shared connection.
+ * Consumers get their own channel so prefetch / acks never interfere with
+ * the publisher confirm channel. Caller owns the channel lifecycle.
+ *
+ * @param {{ confirm?: boolean }} [options] - confirm: publisher confirms on this channel
+ * @returns {Promise<import('amqplib').Channel|import('amqplib').ConfirmChannel>}
+ */
+async function createChannel({ confirm = false } = {}) {
+  await connect();
+  const ch = confirm
+    ? await connection.createConfirmChannel()
+    : await connection.createChannel();
+  ch.on("error", (err) => {
+    logger(`[RabbitMQ] consumer channel error: ${err?.message}`, "ERROR:", "red");
+  });
+  return ch;
+}
+
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 async function waitForRabbitMQ(options = {}) {
@@ -159,6 +180,7 @@ async function closeRabbitMQ() {
 
 module.exports = {
   connect,
+  createChannel,
   waitForRabbitMQ,
   publish,
   closeRabbitMQ,
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Outbox relay: publishes PENDING outbox events to RabbitMQ.
+ *
+ * Strategy:
+ *  - Poll every config.OUTBOX.pollIntervalMs; drain up to batchSize events per tick.
+ *  - Each event is claimed atomically (lease) before publishing, so several app
+ *    instances can run the relay concurrently without double-claiming.
+ *  - Publishing goes through the confirm channel (rabbitmq.publish); only a broker
+ *    confirm marks the event DISPATCHED. Anything else schedules a backoff retry.
+ *
+ * Latency:
+ *  - nudgeOutboxRelay() triggers an immediate tick after a commit, so the poll
+ *    interval only matters for retries and events written by other instances.
+ *
+ * Ordering:
+ *  - Best-effort by nextAttemptAt; a failing event does not block later ones.
+ */
+const OutboxService = require("../../modules/outbox/application/outbox.service");
+const { publish } = require("../integrations/rabbitmq/rabbitmq");
+const { logger } = require("../utils/logger");
+const config = require("../config/config");
+
+let timer = null;
+let running = false;
+let rerun = false;
+let stopped = true;
+
+/**
+ * Drain one batch of due events.
+ * @param {{batchSize?:number}} [options]
+ * @returns {Promise<{dispatched:number, failed:number}>}
+ */
+async function relayOutboxBatch({ batchSize = config.OUTBOX.batchSize } = {}) {
+  let dispatched = 0;
+  let failed = 0;
+
+  for (let i = 0; i < batchSize; i++) {
+    const claimed = await OutboxService.claimNext();
+    if (claimed.status !== 200 || !claimed.data) break;
+
+    const event = claimed.data;
+    const ok = await publish(event.routingKey, event.payload, {
+      ...(event.headers || {}),
+      "x-event-id": event.eventId,
+    });
+
+    if (ok) {
+      await OutboxService.markDispatched(event._id);
+      dispatched++;
+    } else {
+      await OutboxService.markFailed(
+        event._id,
+        event.attempts,
+        "Publish not confirmed by broker"
+      );
+      failed++;
+      logger(
+        `[Outbox] ${event.routingKey} ${event.eventId} failed (attempt ${event.attempts}), backing off ${OutboxService.computeBackoff(event.attempts)}ms`,
+        "WARN:",
+        "yellow"
+      );
+      // Broker is likely down: stop draining and let the backoff schedule the rest.
+      break;
+    }
+  }
+
+  if (dispatched > 0) {
+    logger(`[Outbox] dispatched ${dispatched} event(s)`, "INFO:", "green");
+  }
+  return { dispatched, failed };
+}
+
+/**
+ * One relay tick; coalesces concurrent triggers into a single follow-up run.
+ */
+async function tick() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      await relayOutboxBatch();
+    } while (rerun && !stopped);
+  } catch (err) {
+    logger(`[Outbox] relay tick error: ${err?.message}`, "ERROR:", "red");
+  } finally {
+    running = false;
+  }
+}
+
+function schedule() {
+  if (stopped) return;
+  timer = setTimeout(async () => {
+    await tick();
+    schedule();
+  }, config.OUTBOX.pollIntervalMs);
+  timer.unref?.();
+}
+
+/**
+ * Start the polling relay (idempotent).
+ */
+function startOutboxRelay() {
+  if (!stopped) return;
+  stopped = false;
+  schedule();
+  logger(
+    `[Outbox] relay started (poll=${config.OUTBOX.pollIntervalMs}ms, batch=${config.OUTBOX.batchSize})`,
+    "INFO:",
+    "green"
+  );
+}
+
+/**
+ * Request an immediate relay run (e.g. right after a transaction commits).
+ * No-op when the relay is not started in this process.
+ */
+function nudgeOutboxRelay() {
+  if (stopped) return;
+  tick();
+}
+
+/**
+ * Stop polling and wait for an in-flight tick to finish.
+ */
+async function stopOutboxRelay() {
+  stopped = true;
+  if (timer) clearTimeout(timer);
+  timer = null;
+  while (running) {
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  logger("[Outbox] relay stopped", "INFO:", "green");
+}
+
+module.exports = {
+  relayOutboxBatch,
+  startOutboxRelay,
+  nudgeOutboxRelay,
+  stopOutboxRelay,
+};
@@ -8,18 +8,21 @@
  *
  * Failure Mode:
  *  - Responds 401 on any verification failure (invalid signature, expired, malformed).
+ *  - Responds 401 when the token was revoked (stale tokenVersion or deleted user).
  *
  * SECURITY:
  *  - Does not perform role-based authorization (handled separately).
  *  - Ensure upstream reverse proxy strips conflicting Authorization headers.
  *
  * PERFORMANCE:
- *  - Stateless verification; no DB lookups. Suitable for horizontal scaling.
+ *  - The revocation check is cached per user by UserService (AUTH.tokenVersionCacheTtlMs),
+ *    so most requests do not hit the DB.
  */
 const jwt = require("jsonwebtoken");
 const config = require("../config/config");
+const UserService = require("../../modules/users/application/user.service");
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   const header = req.header("Authorization");
 
   if (!header) {
@@ -33,12 +36,18 @@ module.exports = (req, res, next) => {
     return res.status(401).json({ error: "No token, authorization denied" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.JWT.key);
-    req.user = decoded; // Downstream controllers expect { userId, role? }
-    next();
+    decoded = jwt.verify(token, config.JWT.key);
   } catch (err) {
     console.error("Auth middleware error:", err.message);
     return res.status(401).json({ error: "Token is not valid" });
   }
+
+  if (!(await UserService.isTokenCurrent(decoded.userId, decoded.tv))) {
+    return res.status(401).json({ error: "Token has been revoked" });
+  }
+
+  req.user = decoded; // Downstream controllers expect { userId, role?, organizationId? }
+  next();
 };
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Optional access token verification (Express middleware).
+ *
+ * Behavior:
+ *  - No Authorization header: continues anonymously (req.user stays undefined).
+ *  - Header present: same checks as authentication.middleware (401 when invalid or revoked).
+ *
+ * Use on public routes whose results depend on who is asking (e.g. product search).
+ */
+const authentication = require("./authentication.middleware");
+
+module.exports = (req, res, next) => {
+  if (!req.header("Authorization")) return next();
+  return authentication(req, res, next);
+};
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Permission-based authorization middleware (REST counterpart of @requires).
+ *
+ * Responsibilities:
+ *  - Resolve the caller's permissions from its role (RoleService cache, same source as the
+ *    GraphQL context) and attach them to req.user.permissions.
+ *  - Enforce the required permission.
+ *
+ * Assumptions:
+ *  - authentication.middleware has already decoded JWT and set req.user ({ userId, role }).
+ *
+ * Security:
+ *  - Grants and revokes apply to tokens issued before them (permissions are not read from
+ *    the token); lookup failures resolve to no permissions (fail closed).
+ */
+const RoleService = require("../../modules/roles/application/role.service");
+
+module.exports = (permission) => {
+  return async (req, res, next) => {
+    const permissions = await RoleService.permissionsForRole(req.user?.role);
+
+    if (!permissions.includes(permission)) {
+      return res.status(403).json({ error: `Access denied, missing permission ${permission}` });
+    }
+
+    req.user.permissions = permissions;
+    next();
+  };
+};
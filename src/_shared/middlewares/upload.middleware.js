@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Single-file multipart upload middleware (multer, in-memory).
+ *
+ * Behavior:
+ *  - Stores the file in memory (req.file.buffer); callers must cap maxBytes.
+ *  - Multer errors become JSON responses: 413 when the file is too large, 400 otherwise.
+ *
+ * SECURITY:
+ *  - Never write uploads under the source tree; parse from memory and discard.
+ */
+const multer = require("multer");
+
+/**
+ * @param {string} field - Multipart field name
+ * @param {{maxBytes:number}} options
+ */
+module.exports = (field, { maxBytes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ status, error: err.message });
+    });
+  };
+};
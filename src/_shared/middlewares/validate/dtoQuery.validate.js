@@ -4,6 +4,10 @@
  * Behavior:
  *  - Validates req.query fully (no unknown keys).
  *  - Replaces req.query with validated result.
+ *
+ * Express 5:
+ *  - req.query is a getter-only property; plain assignment is silently ignored,
+ *    so the validated value is redefined as an own property on the request.
  */
 
 function validateQueryDto(schema) {
@@ -17,9 +21,14 @@ function validateQueryDto(schema) {
     if (errors.length > 0) {
       return res.status(400).json({ errors });
     }
-    req.query = value;
+    Object.defineProperty(req, "query", {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
     next();
   };
 }
 
-module.exports = validateQueryDto;
\ No newline at end of file
+module.exports = validateQueryDto;
@@ -14,14 +14,39 @@
  *  - No caching layer (add decorator if needed).
  *  - No multi-tenancy partitioning (introduce scoped filters when required).
  *
- * EXTENSION:
- *  - Add transaction support (pass session param).
- *  - Add optimistic concurrency (version key or manual precondition checks).
+ * Pagination:
+ *  - findAll: offset (page/limit) + countDocuments on every call.
+ *  - findConnection: keyset over (createdAt desc, _id desc) with opaque cursors; no count
+ *    unless count() is called (GraphQL resolves totalCount lazily).
+ *
+ * Transactions:
+ *  - withTransaction(work) runs work(session) inside a MongoDB transaction (replica set required).
+ *  - create / findById / updateById / softDeleteById accept { session } as trailing options argument.
+ *
+ * Optimistic concurrency:
+ *  - updateById(..., { ifVersion }) only writes when the stored `version` equals ifVersion and
+ *    increments it; otherwise it answers 409 with currentVersion. Models opt in by declaring
+ *    a numeric `version` path (documents written before that count as version 0).
  *
  * SECURITY:
  *  - Filters always AND with { deletedAt: null } to avoid resurrecting deleted docs accidentally.
  */
 const mongoose = require("mongoose");
+const { encodeCursor, decodeCursor } = require("../utils/cursor.util");
+
+/** Upper bound for a single connection page (same cap as findAll). */
+const MAX_CONNECTION_SIZE = 250;
+
+/**
+ * Internal signal used to roll back a transaction when the unit of work
+ * returns a failed service result instead of throwing.
+ */
+class TransactionAbort extends Error {
+  constructor(result) {
+    super(result?.error || "Transaction aborted");
+    this.result = result;
+  }
+}
 
 class BaseService {
   constructor(model) {
@@ -79,6 +104,18 @@ class BaseService {
     return { status: 404, error: "Document not found" };
   }
 
+  /**
+   * 409 result for a failed version precondition.
+   * @param {number} currentVersion - Version currently stored
+   */
+  handleVersionConflict(currentVersion) {
+    return {
+      status: 409,
+      error: `Document was modified concurrently (current version ${currentVersion})`,
+      currentVersion,
+    };
+  }
+
   /**
    * Applies populate() and select() logic in a shared manner to maintain consistency.
    *
@@ -96,20 +133,55 @@ class BaseService {
     return query;
   }
 
+  /**
+   * Run a unit of work inside a MongoDB transaction.
+   *
+   * Contract:
+   *  - work(session) returns a service result ({status, ...}); status >= 400 aborts (rollback)
+   *    and that same result is returned to the caller.
+   *  - Thrown errors abort and are mapped through handleError.
+   *  - Transient transaction errors are retried by the driver (session.withTransaction).
+   *
+   * @param {(session: import('mongoose').ClientSession) => Promise<object>} work
+   * @returns {Promise<object>} Result returned by work on commit
+   */
+  async withTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+        if (result && result.status >= 400) {
+          throw new TransactionAbort(result);
+        }
+      });
+      return result;
+    } catch (error) {
+      if (error instanceof TransactionAbort) return error.result;
+      return this.handleError(error);
+    } finally {
+      await session.endSession();
+    }
+  }
+
   /**
    * Create a document. After save, optionally re-fetch with populate & projection.
    * @param {object} data
+   * @param {Array} populateOptions
+   * @param {string|null} selectOptions
+   * @param {{session?: import('mongoose').ClientSession}} [options]
    */
-  async create(data, populateOptions = [], selectOptions = null) {
+  async create(data, populateOptions = [], selectOptions = null, { session = null } = {}) {
     try {
       const doc = new this.model(data);
-      const savedDoc = await doc.save();
+      const savedDoc = await doc.save({ session });
 
       if (populateOptions.length || selectOptions) {
         const populatedDoc = await this.findById(
           savedDoc._id,
           populateOptions,
-          selectOptions
+          selectOptions,
+          { session }
         );
         return { status: 201, data: populatedDoc.data };
       }
@@ -173,9 +245,85 @@ class BaseService {
     }
   }
 
-  async findById(id, populateOptions = [], selectOptions = null) {
+  /**
+   * Keyset (cursor) page sorted by createdAt desc, _id desc. Fetches first + 1 docs to
+   * know whether another page exists; never counts.
+   *
+   * @param {object} [filters]
+   * @param {{first?: number, after?: string|null}} [page]
+   * @returns {Promise<{status:number, data?: {edges: {cursor:string, node:object}[],
+   *   pageInfo: {hasNextPage:boolean, hasPreviousPage:boolean, startCursor:string|null, endCursor:string|null}}, error?: string}>}
+   */
+  async findConnection(
+    filters = {},
+    { first = 20, after = null } = {},
+    populateOptions = [],
+    selectOptions = null
+  ) {
+    const size = Math.min(MAX_CONNECTION_SIZE, Math.max(1, parseInt(first, 10) || 20));
+
+    const criteria = [{ ...filters, deletedAt: null }];
+    if (after) {
+      const position = decodeCursor(after);
+      if (!position) return { status: 400, error: "Invalid cursor" };
+      const id = new mongoose.Types.ObjectId(position.id);
+      criteria.push({
+        $or: [
+          { createdAt: { $lt: position.createdAt } },
+          { createdAt: position.createdAt, _id: { $lt: id } },
+        ],
+      });
+    }
+
+    try {
+      let query = this.model
+        .find(criteria.length > 1 ? { $and: criteria } : criteria[0])
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(size + 1);
+      if (populateOptions.length || selectOptions) {
+        query = this.queryPopulate(populateOptions, selectOptions, query);
+      }
+      const docs = await query.exec();
+
+      const hasNextPage = docs.length > size;
+      const edges = docs
+        .slice(0, size)
+        .map((node) => ({ cursor: encodeCursor(node), node }));
+
+      return {
+        status: 200,
+        data: {
+          edges,
+          pageInfo: {
+            hasNextPage,
+            hasPreviousPage: Boolean(after),
+            startCursor: edges[0]?.cursor ?? null,
+            endCursor: edges[edges.length - 1]?.cursor ?? null,
+          },
+        },
+      };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Count active documents matching filters.
+   * @returns {Promise<{status:number, data?: number, error?: string}>}
+   */
+  async count(filters = {}) {
+    try {
+      const total = await this.model.countDocuments({ ...filters, deletedAt: null });
+      return { status: 200, data: total };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  async findById(id, populateOptions = [], selectOptions = null, { session = null } = {}) {
     try {
       let query = this.model.findOne({ _id: id, deletedAt: null });
+      if (session) query = query.session(session);
       if (populateOptions.length || selectOptions) {
         query = this.queryPopulate(populateOptions, selectOptions, query);
       }
@@ -187,6 +335,23 @@ class BaseService {
     }
   }
 
+  /**
+   * Fetch many documents by id in one `$in` query (used by GraphQL batch loaders).
+   * Missing or soft-deleted ids are simply absent from data; order is not guaranteed.
+   */
+  async findByIds(ids, populateOptions = [], selectOptions = null) {
+    try {
+      let query = this.model.find({ _id: { $in: ids }, deletedAt: null });
+      if (populateOptions.length || selectOptions) {
+        query = this.queryPopulate(populateOptions, selectOptions, query);
+      }
+      const docs = await query.lean().exec();
+      return { status: 200, data: docs };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
   async findOneByCriteria(filters, populateOptions = [], selectOptions = null) {
     try {
       let query = this.model.findOne({ ...filters, deletedAt: null });
@@ -201,17 +366,40 @@ class BaseService {
     }
   }
 
-  async updateById(id, updateData, populateOptions = [], selectOptions = null) {
+  /**
+   * @param {{session?: import('mongoose').ClientSession, ifVersion?: number|null}} [options]
+   *  - ifVersion: conditional write on the `version` field (+1 on success, 409 on mismatch)
+   */
+  async updateById(
+    id,
+    updateData,
+    populateOptions = [],
+    selectOptions = null,
+    { session = null, ifVersion = null } = {}
+  ) {
     try {
-      let query = this.model.findOneAndUpdate(
-        { _id: id, deletedAt: null },
-        { ...updateData, updatedAt: new Date() },
-        { new: true }
-      );
+      const filter = { _id: id, deletedAt: null };
+      let update = { ...updateData, updatedAt: new Date() };
+      if (ifVersion != null) {
+        // Unversioned (legacy) documents match version 0.
+        filter.version = ifVersion === 0 ? { $in: [0, null] } : ifVersion;
+        update = { $set: update, $inc: { version: 1 } };
+      }
+
+      let query = this.model.findOneAndUpdate(filter, update, { new: true, session });
       if (populateOptions.length || selectOptions) {
         query = this.queryPopulate(populateOptions, selectOptions, query);
       }
       const updatedDoc = await query.exec();
+      if (!updatedDoc && ifVersion != null) {
+        const stored = await this.model
+          .findOne({ _id: id, deletedAt: null })
+          .select("version")
+          .session(session)
+          .lean()
+          .exec();
+        if (stored) return this.handleVersionConflict(stored.version ?? 0);
+      }
       if (!updatedDoc) return { status: 404, error: "Document not found" };
       return { status: 200, data: updatedDoc };
     } catch (error) {
@@ -219,16 +407,21 @@ class BaseService {
     }
   }
 
-  async softDeleteById(id, populateOptions = [], selectOptions = null) {
+  async softDeleteById(
+    id,
+    populateOptions = [],
+    selectOptions = null,
+    { session = null } = {}
+  ) {
     try {
-      let query = this.model.findById(id);
+      let query = this.model.findById(id).session(session);
       if (populateOptions.length || selectOptions) {
         query = this.queryPopulate(populateOptions, selectOptions, query);
       }
       const doc = await query.exec();
       if (!doc) return this.handleDocumentNotFound();
       doc.deletedAt = new Date();
-      await doc.save();
+      await doc.save({ session });
       return { status: 200, message: "Document soft deleted", data: doc };
     } catch (error) {
       return this.handleError(error);
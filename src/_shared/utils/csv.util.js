@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Minimal RFC 4180 CSV helpers (no external dependency).
+ *
+ * Supports:
+ *  - Quoted fields with embedded delimiters, newlines and doubled quotes ("").
+ *  - CRLF / LF line endings, optional UTF-8 BOM, custom single-char delimiter.
+ *
+ * Non-Goals:
+ *  - Streaming parse (input is expected to fit in memory; callers cap file size).
+ *  - Type inference: every value is returned as a string.
+ */
+
+/**
+ * Parse CSV text into an array of records (array of string fields).
+ * Blank lines are skipped.
+ *
+ * @param {string} text
+ * @param {{delimiter?: string}} [options]
+ * @returns {{records: string[][], lines: number[]}} records + 1-based source line of each record
+ * @throws {Error} on an unterminated quoted field
+ */
+function parseCsvRecords(text, { delimiter = "," } = {}) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  const lines = [];
+
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    field = "";
+    if (!(record.length === 1 && record[0] === "")) {
+      records.push(record);
+      lines.push(recordLine);
+    }
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\r" && input[i + 1] === "\n") {
+      // handled by the following \n
+    } else if (ch === "\n" || ch === "\r") {
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting near line ${recordLine}`);
+  }
+  if (field !== "" || record.length) endRecord();
+
+  return { records, lines };
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by (trimmed) header names.
+ *
+ * @param {string} text
+ * @param {{delimiter?: string}} [options]
+ * @returns {{headers: string[], rows: {line:number, values:object}[]}}
+ */
+function parseCsv(text, options = {}) {
+  const { records, lines } = parseCsvRecords(text, options);
+  if (!records.length) return { headers: [], rows: [] };
+
+  const headers = records[0].map((h) => h.trim());
+  const rows = records.slice(1).map((fields, idx) => {
+    const values = {};
+    headers.forEach((h, col) => {
+      if (h) values[h] = fields[col] ?? "";
+    });
+    return { line: lines[idx + 1], values };
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Escape one value for CSV output (quotes only when needed).
+ * @param {*} value
+ * @param {string} [delimiter]
+ */
+function escapeCsvValue(value, delimiter = ",") {
+  if (value === null || value === undefined) return "";
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return str.includes('"') || str.includes(delimiter) || /[\r\n]/.test(str)
+    ? `"${str.replace(/"/g, '""')}"`
+    : str;
+}
+
+/**
+ * Serialize one record as a CSV line (with trailing CRLF).
+ * @param {Array<*>} values
+ * @param {string} [delimiter]
+ */
+function toCsvLine(values, delimiter = ",") {
+  return values.map((v) => escapeCsvValue(v, delimiter)).join(delimiter) + "\r\n";
+}
+
+module.exports = {
+  parseCsvRecords,
+  parseCsv,
+  escapeCsvValue,
+  toCsvLine,
+};
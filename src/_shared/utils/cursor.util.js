@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Opaque keyset cursors for connection (cursor) pagination.
+ *
+ * Format:
+ *  - base64url(JSON [createdAt ISO string, _id hex]) — the stable sort key (createdAt desc, _id desc).
+ *  - Clients must treat cursors as opaque; the format may change.
+ */
+
+/**
+ * @param {{createdAt: Date|string, _id: any}} doc
+ * @returns {string}
+ */
+function encodeCursor(doc) {
+  const createdAt = new Date(doc.createdAt).toISOString();
+  return Buffer.from(JSON.stringify([createdAt, String(doc._id)])).toString("base64url");
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{createdAt: Date, id: string}|null} null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id)) return null;
+    return { createdAt: date, id };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -4,17 +4,20 @@
  * centralized via config.*
  *
  * Startup flow:
+ *  0. Check configuration (fail-fast: no console / file mail transport in production)
  *  1. Connect MongoDB (fail-fast)
  *  2. Initialize Express + core middlewares
  *  3. Register basic health endpoint
  *  4. Mount GraphQL
- *  5. Register global error handler
- *  6. Launch background initializers (non-blocking)
- *  7. Start HTTP server
+ *  5. Mount REST modules (/api/*, e.g. API B search)
+ *  6. Register global error handler
+ *  7. Launch background initializers (non-blocking), incl. the subscription fan-out consumer
+ *  8. Start HTTP server + WebSocket subscriptions (graphql-ws on /graphql)
  *
  * Graceful shutdown:
  *  - Signals: SIGINT, SIGTERM, SIGUSR2 (nodemon), unhandledRejection, uncaughtException
- *  - Order: HTTP -> RabbitMQ -> Elasticsearch -> MongoDB
+ *  - Order: WebSocket subscriptions -> HTTP -> outbox relay -> subscription fan-out
+ *    -> RabbitMQ -> Elasticsearch -> mail transport -> MongoDB
  *  - Max duration configurable (config.SERVER.gracefulTimeoutMs)
  *
  * Notes:
@@ -32,24 +35,60 @@ const config = require("./_shared/config/config.js");
 const { logger } = require("./_shared/utils/logger.js");
 const errorHandler = require("./_shared/middlewares/errorHandle.middleware.js");
 
-const { setupGraphQL } = require("./graphql/index");
+const { setupGraphQL, GRAPHQL_PATH } = require("./graphql/index");
+const { setupSubscriptions } = require("./graphql/subscriptions");
+const setupRoot = require("./_shared/root/setup.root.js");
 const { ensureEmployeeRole } = require("./_shared/dataInitializer/role.dataInitializer.js");
 const { ensureSearchAndBus } = require("./_shared/dataInitializer/searchAndBus.initializer");
 const { registerCleanupJob } = require("./_shared/jobs/refreshTokenCleanup.job");
+const { startOutboxRelay, stopOutboxRelay } = require("./_shared/jobs/outboxRelay.job");
+const {
+  startSubscriptionFanout,
+  stopSubscriptionFanout,
+} = require("./_shared/consumers/subscriptionFanout.consumer");
 const { closeRabbitMQ } = require("./_shared/integrations/rabbitmq/rabbitmq");
 const { closeES } = require("./_shared/integrations/elasticsearch/es.client");
+const {
+  closeMailer,
+  assertMailTransportAllowed,
+} = require("./_shared/integrations/mail/mail.client");
 
 const PORT = config.SERVER.port;
 const GRACEFUL_TIMEOUT_MS = config.SERVER.gracefulTimeoutMs;
 
 let serverRef = null;
+let subscriptionsRef = null;
 let mongoDbInstance = null;
 let shuttingDown = false;
 let shutdownTimer = null;
 
+/**
+ * Start the per-instance RabbitMQ consumer feeding GraphQL subscriptions.
+ * Retries (config.RABBIT.startupDelayMs) while the broker is unavailable or the channel drops.
+ */
+function startLiveUpdates() {
+  startSubscriptionFanout({ onClose: scheduleLiveUpdates }).catch((err) => {
+    logger(`[Subscriptions] fan-out start failed: ${err?.message}`, "WARN:", "yellow");
+    scheduleLiveUpdates();
+  });
+}
+
+function scheduleLiveUpdates() {
+  if (shuttingDown) return;
+  setTimeout(startLiveUpdates, config.RABBIT.startupDelayMs).unref();
+}
+
 async function main() {
   console.log("MAIN: starting bootstrap sequence...");
 
+  // 0. Configuration
+  try {
+    assertMailTransportAllowed();
+  } catch (configError) {
+    console.error(`FATAL: ${configError.message}.`);
+    process.exit(1);
+  }
+
   // 1. Critical DB
   try {
     console.log("MAIN: connecting MongoDB...");
@@ -81,14 +120,18 @@ async function main() {
 
   // 4. GraphQL
   console.log("MAIN: setting up GraphQL...");
-  await setupGraphQL(app);
+  const { schemaPromise } = await setupGraphQL(app);
   console.log("MAIN: GraphQL mounted.");
 
-  // 5. Error handler
+  // 5. REST modules (infrastructure/*.routers.js -> /api/<name>)
+  setupRoot(app);
+  console.log("MAIN: REST routes mounted.");
+
+  // 6. Error handler
   app.use(errorHandler);
   console.log("MAIN: Global error handler registered.");
 
-  // 6. Background initializers (non-blocking)
+  // 7. Background initializers (non-blocking)
   ensureEmployeeRole().catch((err) =>
     console.error("Role initialization error:", err)
   );
@@ -96,10 +139,13 @@ async function main() {
     console.error("Search/Bus initialization error:", err)
   );
   registerCleanupJob();
+  startOutboxRelay();
+  startLiveUpdates();
   console.log("MAIN: background tasks triggered.");
 
-  // 7. HTTP server
+  // 8. HTTP server
   serverRef = http.createServer(app);
+  subscriptionsRef = setupSubscriptions(serverRef, schemaPromise, { path: GRAPHQL_PATH });
 
   serverRef.on("error", (err) => {
     if (err.code === "EADDRINUSE") {
@@ -115,6 +161,7 @@ async function main() {
     console.log(`🚀 Server listening on port ${PORT}`);
     console.log(`✅ Health:   http://localhost:${PORT}/_health`);
     console.log(`✅ GraphiQL: http://localhost:${PORT}/graphiql`);
+    console.log(`✅ Subscriptions: ws://localhost:${PORT}${GRAPHQL_PATH}`);
     console.log("=====================================================");
     logger(`Server started in mode: ${config.SERVER.nodeEnv}`);
   });
@@ -169,9 +216,13 @@ async function shutdown(signal) {
   }, GRACEFUL_TIMEOUT_MS).unref();
 
   try {
+    if (subscriptionsRef) await subscriptionsRef.close();
     await closeHttpServer();
+    await stopOutboxRelay();
+    await stopSubscriptionFanout();
     await closeRabbitMQ();
     await closeES();
+    await closeMailer();
     await closeMongo();
   } catch (err) {
     console.error("[SHUTDOWN] Error during shutdown:", err);
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Account recovery and email ownership: password reset + email verification.
+ *
+ * Responsibilities:
+ *  - requestPasswordReset / resetPassword: email a single-use link, then set the new password.
+ *  - sendVerificationEmail / verifyEmail: prove the user owns their email (User.emailVerifiedAt).
+ *
+ * Tokens (UserToken):
+ *  - 32 random bytes (base64url) in the emailed link; only their SHA-256 is stored.
+ *  - One pending token per user and purpose: issuing a new one deletes the older ones.
+ *  - Consumed atomically (usedAt set by a conditional update), so a token works once even
+ *    under concurrent requests. Lifetimes: AUTH.passwordResetTtlMs / AUTH.emailVerificationTtlMs.
+ *  - Verification only counts for the address the token was sent to (an email change in
+ *    between makes it invalid).
+ *
+ * Password Reset:
+ *  - requestPasswordReset always answers true, whether or not the email exists (no user
+ *    enumeration). Lookup, token and delivery run in the background after the answer, so
+ *    the response time does not reveal a registered email either; failures are logged only.
+ *  - resetPassword sets the password through UserService (hashing + tokenVersion bump, so
+ *    access tokens die) and closes every session (revokedReason "password_reset").
+ *
+ * Mail:
+ *  - Delivered through the configured transport (integrations/mail, MAIL_TRANSPORT).
+ *  - Links point to MAIL.appUrl (/reset-password?token=..., /verify-email?token=...).
+ */
+const crypto = require("crypto");
+const config = require("../../_shared/config/config");
+const userService = require("../../modules/users/application/user.service");
+const AuthService = require("./auth.service");
+const UserToken = require("../domain/user-token.schema");
+const { UserTokenPurpose } = require("../domain/user-token.enum");
+const { RefreshTokenRevokeReason } = require("../domain/refresh-token.enum");
+const { sendMail } = require("../../_shared/integrations/mail/mail.client");
+const { logger } = require("../../_shared/utils/logger");
+
+const INVALID_TOKEN = { status: 400, error: "Invalid or expired token" };
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Store a new token for user (replacing pending ones of the same purpose).
+ * @returns {Promise<string>} raw token, to be emailed
+ */
+const issueUserToken = async (user, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await UserToken.create({
+    tokenHash: hashToken(token),
+    purpose,
+    userId: user._id,
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+/**
+ * Mark a token as used if it is still usable.
+ * @returns {Promise<object|null>} the token document, null when unknown / used / expired
+ */
+const consumeUserToken = (token, purpose, session = null) => {
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+      deletedAt: null,
+    },
+    { $set: { usedAt: now, updatedAt: now } },
+    { new: true, session }
+  );
+};
+
+const appLink = (path, token) =>
+  `${config.MAIL.appUrl.replace(/\/+$/, "")}${path}?token=${encodeURIComponent(token)}`;
+
+const passwordResetMail = (user, token) => {
+  const link = appLink("/reset-password", token);
+  const minutes = Math.round(config.AUTH.passwordResetTtlMs / 60000);
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hello ${user.name || ""},\n\n` +
+      `Use this link to choose a new password (valid for ${minutes} minutes):\n${link}\n\n` +
+      "If you did not ask for it, you can ignore this email.",
+  };
+};
+
+const verificationMail = (user, token) => {
+  const link = appLink("/verify-email", token);
+  return {
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hello ${user.name || ""},\n\nConfirm your email address with this link:\n${link}`,
+  };
+};
+
+/**
+ * Issue a reset token and email it when email belongs to an active user.
+ * @param {string} email
+ */
+const sendPasswordReset = async (email) => {
+  const userRes = await userService.findByEmail(email);
+  if (userRes.status !== 200) return;
+
+  const user = userRes.data;
+  const token = await issueUserToken(
+    user,
+    UserTokenPurpose.PASSWORD_RESET,
+    config.AUTH.passwordResetTtlMs
+  );
+  await sendMail(passwordResetMail(user, token));
+};
+
+/**
+ * Email a password reset link when email belongs to an active user.
+ * Answers at once; the work runs in the background (fire-and-forget).
+ * @param {string} email
+ * @returns {Promise<{status:number,data:boolean}>} always true
+ */
+exports.requestPasswordReset = async (email) => {
+  sendPasswordReset(email).catch((error) =>
+    logger(`[Account] password reset mail failed: ${error?.message}`, "ERROR:", "red")
+  );
+  return { status: 200, data: true };
+};
+
+/**
+ * Set a new password with a reset token and close every session of the user.
+ * @param {string} token - raw token from the emailed link
+ * @param {string} newPassword
+ */
+exports.resetPassword = async (token, newPassword) => {
+  const result = await userService.withTransaction(async (session) => {
+    const stored = await consumeUserToken(token, UserTokenPurpose.PASSWORD_RESET, session);
+    if (!stored) return INVALID_TOKEN;
+
+    const updated = await userService.updateById(
+      stored.userId,
+      { password: newPassword },
+      [],
+      "_id",
+      { session }
+    );
+    if (updated.status === 404) return INVALID_TOKEN;
+    return updated;
+  });
+  if (result.status >= 400) return result;
+
+  const closed = await AuthService.logoutAll(
+    result.data._id,
+    RefreshTokenRevokeReason.PASSWORD_RESET
+  );
+  if (closed.status >= 400) return closed;
+  return { status: 200, data: true };
+};
+
+/**
+ * Email a verification link to the user's current address.
+ * @param {string|ObjectId} userId
+ */
+exports.sendVerificationEmail = async (userId) => {
+  const userRes = await userService.findById(userId, [], "name email emailVerifiedAt");
+  if (userRes.status !== 200) return userRes;
+  const user = userRes.data;
+  if (user.emailVerifiedAt) return { status: 400, error: "Email already verified" };
+
+  try {
+    const token = await issueUserToken(
+      user,
+      UserTokenPurpose.EMAIL_VERIFICATION,
+      config.AUTH.emailVerificationTtlMs
+    );
+    await sendMail(verificationMail(user, token));
+    return { status: 200, data: true };
+  } catch (error) {
+    logger(`[Account] verification mail failed: ${error?.message}`, "ERROR:", "red");
+    return { status: 502, error: "Could not send verification email" };
+  }
+};
+
+/**
+ * Mark the user's email as verified with a verification token.
+ * @param {string} token - raw token from the emailed link
+ */
+exports.verifyEmail = async (token) =>
+  userService.withTransaction(async (session) => {
+    const stored = await consumeUserToken(token, UserTokenPurpose.EMAIL_VERIFICATION, session);
+    if (!stored) return INVALID_TOKEN;
+
+    const res = await userService.model.updateOne(
+      { _id: stored.userId, email: stored.email, deletedAt: null },
+      { $set: { emailVerifiedAt: new Date() } },
+      { session }
+    );
+    if (!res.matchedCount) return INVALID_TOKEN;
+    return { status: 200, data: true };
+  });
@@ -2,20 +2,42 @@
  * @fileoverview Authentication service: registration, login, token rotation.
  *
  * Responsibilities:
- *  - Register users (role lookup, hashing, issuing initial tokens).
+ *  - Register users (role lookup, issuing initial tokens; UserService hashes the password).
  *  - Authenticate users (password verification, token issuance).
  *  - Refresh token rotation (invalidate old, issue new pair atomically).
+ *  - Sessions: list / revoke a user's active refresh tokens, logout, logout everywhere.
  *  - Fetch user profile for "me" query.
  *
  * Token Model:
- *  - Access Token: short-lived JWT (stateless) with { userId, role }.
+ *  - Access Token: short-lived JWT with { userId, role, organizationId, sid, tv }.
+ *    sid is the jti of the refresh token issued with it (marks the current session).
+ *    tv is the user's tokenVersion; the GraphQL context and REST middleware drop tokens whose
+ *    tv is stale (see UserService.isTokenCurrent).
  *  - Refresh Token: JWT embedding { userId, jti } persisted in DB (RefreshToken collection).
- *  - Each refresh token stored with expiresAt and optional revokedAt.
+ *  - Each refresh token stored with expiresAt, optional revokedAt / revokedReason and the
+ *    user agent / IP of the request that issued it. An active refresh token is a session.
+ *
+ * Session Cap:
+ *  - At most REFRESH_JWT.maxTokensPerUser active sessions per user; issuing one more
+ *    revokes the oldest (revokedReason "evicted"). 0 disables the cap.
+ *  - Logout / revocation of a single session only stop refreshes; its access token stays
+ *    valid until it expires. logoutAll also bumps tokenVersion, ending every access token.
  *
  * Rotation Strategy:
  *  - Upon refresh, existing refresh token is revoked (revokedAt set) and a brand new one is issued.
  *  - No reuse of refresh tokens (prevents replay if stolen after a rotation).
  *
+ * Token Families / Reuse Detection:
+ *  - A login (or registration) starts a family (familyId); every rotation stays in it, so a
+ *    family has at most one usable token.
+ *  - Presenting a token that was already rotated (or losing the race to rotate it) means
+ *    two parties hold the chain: every token of the family is revoked ("reuse_detected"),
+ *    the user's tokenVersion is bumped (access tokens already issued from the family stop
+ *    working; the user's other sessions just refresh), a SecurityEvent is stored and the
+ *    caller gets 401 SESSION_COMPROMISED.
+ *  - The legitimate client's next refresh then fails with the same reason, so it must sign
+ *    in again. Tokens closed by logout / revocation / eviction are plain 401s (no incident).
+ *
  * Security Considerations:
  *  - Password hashing uses bcrypt (cost factor = 10). Increase in production if acceptable latency.
  *  - Refresh token JTI uses crypto.randomUUID() or fallback to random bytes for uniqueness.
@@ -27,7 +49,6 @@
  *    (acceptable for this level; can be mitigated by persisting before signing in advanced designs).
  *
  * Future Enhancements:
- *  - Add refresh token pruning beyond maxTokensPerUser (currently not enforced here).
  *  - Add device / user-agent binding for refresh tokens.
  *  - Add optional IP binding or anomaly detection.
  */
@@ -38,21 +59,80 @@ const config = require("../../_shared/config/config");
 const userService = require("../../modules/users/application/user.service");
 const RoleService = require("../../modules/roles/application/role.service");
 const RefreshToken = require("../domain/refresh-token.schema");
-const { hashPassword, comparePassword } = require("../../_shared/hash/password.hash");
+const SecurityEvent = require("../domain/security-event.schema");
+const { RefreshTokenRevokeReason } = require("../domain/refresh-token.enum");
+const { SecurityEventType } = require("../domain/security-event.enum");
+const { logger } = require("../../_shared/utils/logger");
+const { comparePassword } = require("../../_shared/hash/password.hash");
 const userPopulate = require("../../modules/users/domain/user.populate");
 
 /**
- * Generate and persist a refresh token with unique JTI.
+ * Claims embedded in access tokens (membership changes apply from the next token).
+ * @param {object} user - populated user document
+ * @param {string} sid - jti of the refresh token issued alongside
+ */
+const accessTokenPayload = (user, sid) => ({
+  userId: user._id,
+  role: user.role?.name || null,
+  organizationId: user.organizationId ? String(user.organizationId) : null,
+  sid,
+  tv: user.tokenVersion ?? 0,
+});
+
+/**
+ * Mongo filter for the active (unrevoked, unexpired) refresh tokens of a user.
+ */
+const activeSessionsQuery = (userId, now = new Date()) => ({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: now },
+  deletedAt: null,
+});
+
+/**
+ * Revoke the oldest active sessions beyond REFRESH_JWT.maxTokensPerUser.
+ * @returns {Promise<number>} sessions revoked
+ */
+const evictOldestSessions = async (userId) => {
+  const max = config.REFRESH_JWT.maxTokensPerUser;
+  if (!(max > 0)) return 0;
+
+  const stale = await RefreshToken.find(activeSessionsQuery(userId))
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(max)
+    .select("_id")
+    .lean();
+  if (!stale.length) return 0;
+
+  const res = await RefreshToken.updateMany(
+    { _id: { $in: stale.map((doc) => doc._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: RefreshTokenRevokeReason.EVICTED } }
+  );
+  return res.modifiedCount || 0;
+};
+
+const randomId = () =>
+  typeof crypto.randomUUID === "function"
+    ? crypto.randomUUID()
+    : crypto.randomBytes(16).toString("hex");
+
+const SESSION_COMPROMISED = {
+  status: 401,
+  error: "Session revoked after refresh token reuse; sign in again",
+  reason: "SESSION_COMPROMISED",
+};
+
+/**
+ * Generate and persist a refresh token with unique JTI, then apply the session cap.
  * BEST-EFFORT: If persistence fails (e.g. DB outage), caller gets an error at upper layer.
  *
  * @param {string|ObjectId} userId
- * @returns {Promise<string>} Signed refresh JWT
+ * @param {{userAgent?: string|null, ip?: string|null}} [client] - request opening the session
+ * @param {string} [familyId] - family of the rotated token (new family when omitted)
+ * @returns {Promise<{token: string, jti: string}>} Signed refresh JWT and its jti
  */
-const generateRefreshToken = async (userId) => {
-  const jti =
-    typeof crypto.randomUUID === "function"
-      ? crypto.randomUUID()
-      : crypto.randomBytes(16).toString("hex");
+const generateRefreshToken = async (userId, client = {}, familyId = randomId()) => {
+  const jti = randomId();
 
   const token = jwt.sign({ userId, jti }, config.REFRESH_JWT.refreshKey, {
     expiresIn: config.REFRESH_JWT.refreshExpires,
@@ -69,8 +149,83 @@ const generateRefreshToken = async (userId) => {
     expiresAt.setTime(expiresAt.getTime() + fallbackMs);
   }
 
-  await RefreshToken.create({ jti, expiresAt, userId });
-  return token;
+  await RefreshToken.create({
+    jti,
+    familyId,
+    expiresAt,
+    userId,
+    userAgent: client.userAgent ?? null,
+    ip: client.ip ?? null,
+  });
+  await evictOldestSessions(userId);
+  return { token, jti };
+};
+
+/**
+ * Issue an access / refresh token pair for a loaded user.
+ * @param {object} user - populated user document
+ * @param {{userAgent?: string|null, ip?: string|null}} [client]
+ * @param {string} [familyId] - keep the family of a rotated token
+ */
+const issueTokens = async (user, client, familyId) => {
+  const { token: refreshToken, jti } = await generateRefreshToken(user._id, client, familyId);
+  const accessToken = jwt.sign(accessTokenPayload(user, jti), config.JWT.key, {
+    expiresIn: config.JWT.expires,
+  });
+  return { accessToken, refreshToken };
+};
+
+/**
+ * A rotated token came back: revoke its whole family, end the access tokens issued from it
+ * (tokenVersion bump) and record the incident.
+ * @param {object} stored - RefreshToken document that was presented
+ * @param {{userAgent?: string|null, ip?: string|null}} [client]
+ */
+const handleTokenReuse = async (stored, client = {}) => {
+  const familyId = stored.familyId || stored.jti;
+  const revoked = await RefreshToken.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: RefreshTokenRevokeReason.REUSE_DETECTED } }
+  );
+  const bumped = await userService.bumpTokenVersion(stored.userId);
+  if (bumped.status >= 400) {
+    logger(
+      `[Auth] could not revoke access tokens of user ${stored.userId}: ${bumped.error}`,
+      "ERROR:",
+      "red"
+    );
+  }
+
+  await SecurityEvent.create({
+    type: SecurityEventType.REFRESH_TOKEN_REUSE,
+    userId: stored.userId,
+    familyId,
+    jti: stored.jti,
+    ip: client.ip ?? null,
+    userAgent: client.userAgent ?? null,
+    details: { rotatedAt: stored.revokedAt, revokedSessions: revoked.modifiedCount || 0 },
+  });
+  logger(
+    `[Auth] refresh token reuse for user ${stored.userId} (family ${familyId}); family revoked`,
+    "WARN:",
+    "yellow"
+  );
+};
+
+/**
+ * Result for a revoked token (null when it is still active); rotated tokens trigger
+ * reuse handling.
+ */
+const refuseRevokedToken = async (stored, client) => {
+  if (!stored?.revokedAt) return null;
+  if (stored.revokedReason === RefreshTokenRevokeReason.ROTATED) {
+    await handleTokenReuse(stored, client);
+    return { ...SESSION_COMPROMISED };
+  }
+  if (stored.revokedReason === RefreshTokenRevokeReason.REUSE_DETECTED) {
+    return { ...SESSION_COMPROMISED };
+  }
+  return { status: 401, error: "Invalid or expired refresh token" };
 };
 
 /**
@@ -80,9 +235,10 @@ const generateRefreshToken = async (userId) => {
  *  - Locates role by case-insensitive name.
  *
  * @param {{ email:string,password:string,name:string,role:string }} input
+ * @param {{userAgent?: string|null, ip?: string|null}} [client] - recorded on the session
  * @returns {Promise<{status:number,data?:any,error?:string}>}
  */
-exports.register = async (input) => {
+exports.register = async (input, client = {}) => {
   try {
     const { email, password, name, role } = input;
 
@@ -91,8 +247,6 @@ exports.register = async (input) => {
       return { status: 400, error: "User already exists" };
     }
 
-    const hash = await hashPassword(password);
-
     // Case-insensitive role lookup
     const roleRes = await RoleService.findOneByCriteria({
       name: new RegExp(`^${role}$`, "i"),
@@ -104,7 +258,7 @@ exports.register = async (input) => {
 
     const userRes = await userService.create({
       email,
-      password: hash,
+      password, // hashed by UserService
       name,
       role: roleId,
     });
@@ -122,11 +276,7 @@ exports.register = async (input) => {
     }
     const user = populatedUserRes.data;
 
-    const payload = { userId: user._id, role: user.role?.name || null };
-    const accessToken = jwt.sign(payload, config.JWT.key, {
-      expiresIn: config.JWT.expires,
-    });
-    const refreshToken = await generateRefreshToken(user._id);
+    const { accessToken, refreshToken } = await issueTokens(user, client);
 
     return { status: 201, data: { accessToken, refreshToken, user } };
   } catch (error) {
@@ -140,8 +290,9 @@ exports.register = async (input) => {
  *
  * @param {string} email
  * @param {string} password
+ * @param {{userAgent?: string|null, ip?: string|null}} [client] - recorded on the session
  */
-exports.login = async (email, password) => {
+exports.login = async (email, password, client = {}) => {
   try {
     const userRes = await userService.findByEmail(email, true);
     if (!userRes || userRes.status !== 200) {
@@ -166,12 +317,7 @@ exports.login = async (email, password) => {
     }
     const user = fullUserRes.data;
 
-    const roleName = user.role?.name || null;
-    const payload = { userId: user._id, role: roleName };
-    const accessToken = jwt.sign(payload, config.JWT.key, {
-      expiresIn: config.JWT.expires,
-    });
-    const refreshToken = await generateRefreshToken(user._id);
+    const { accessToken, refreshToken } = await issueTokens(user, client);
 
     return { status: 200, data: { accessToken, refreshToken, user } };
   } catch (error) {
@@ -188,8 +334,9 @@ exports.login = async (email, password) => {
  *  - Expired or revoked or not found in DB
  *
  * @param {string} refreshToken
+ * @param {{userAgent?: string|null, ip?: string|null}} [client] - recorded on the new session
  */
-exports.refreshToken = async (refreshToken) => {
+exports.refreshToken = async (refreshToken, client = {}) => {
   try {
     if (!refreshToken) return { status: 400, error: "Refresh token required" };
 
@@ -200,17 +347,31 @@ exports.refreshToken = async (refreshToken) => {
     }
 
     const stored = await RefreshToken.findOne({ jti, userId });
-    if (
-      !stored ||
-      stored.revokedAt ||
-      (stored.expiresAt && stored.expiresAt <= new Date())
-    ) {
+    if (!stored) {
+      return { status: 401, error: "Invalid or expired refresh token" };
+    }
+    const refused = await refuseRevokedToken(stored, client);
+    if (refused) return refused;
+    if (stored.expiresAt && stored.expiresAt <= new Date()) {
       return { status: 401, error: "Invalid or expired refresh token" };
     }
 
-    // Invalidate old refresh token to prevent reuse
-    stored.revokedAt = new Date();
-    await stored.save();
+    // Invalidate old refresh token to prevent reuse (conditional: one rotation per token)
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: RefreshTokenRevokeReason.ROTATED } },
+      { new: true }
+    );
+    if (!rotated) {
+      // Revoked since we read it: rotated by a concurrent request, or logged out.
+      const current = await RefreshToken.findById(stored._id);
+      return (
+        (await refuseRevokedToken(current, client)) || {
+          status: 401,
+          error: "Invalid or expired refresh token",
+        }
+      );
+    }
 
     const fullUserRes = await userService.findById(
       userId,
@@ -222,14 +383,11 @@ exports.refreshToken = async (refreshToken) => {
     }
     const user = fullUserRes.data;
 
-    const payload = {
-      userId: user._id,
-      role: user.role?.name || null,
-    };
-    const newAccessToken = jwt.sign(payload, config.JWT.key, {
-      expiresIn: config.JWT.expires,
-    });
-    const newRefreshToken = await generateRefreshToken(user._id);
+    const { accessToken: newAccessToken, refreshToken: newRefreshToken } = await issueTokens(
+      user,
+      client,
+      stored.familyId || stored.jti
+    );
 
     return {
       status: 200,
@@ -245,6 +403,109 @@ exports.refreshToken = async (refreshToken) => {
   }
 };
 
+/**
+ * Close the session of a refresh token (idempotent; expired tokens are accepted).
+ * @param {string} refreshToken
+ */
+exports.logout = async (refreshToken) => {
+  try {
+    if (!refreshToken) return { status: 400, error: "Refresh token required" };
+
+    const { jti, userId } = jwt.verify(refreshToken, config.REFRESH_JWT.refreshKey, {
+      ignoreExpiration: true,
+    });
+    if (!jti || !userId) {
+      return { status: 401, error: "Invalid refresh token payload" };
+    }
+
+    await RefreshToken.updateOne(
+      { jti, userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: RefreshTokenRevokeReason.LOGOUT } }
+    );
+    return { status: 200, data: true };
+  } catch (err) {
+    if (err.name === "JsonWebTokenError") {
+      return { status: 401, error: "Invalid refresh token" };
+    }
+    console.error("Logout error:", err);
+    return { status: 500, error: "Server error" };
+  }
+};
+
+/**
+ * Revoke every active session of a user, including access tokens already issued.
+ * @param {string|ObjectId} userId
+ * @param {string} [reason] - RefreshTokenRevokeReason recorded on the sessions
+ * @returns {Promise<{status:number,data?:number,error?:string}>} sessions revoked
+ */
+exports.logoutAll = async (userId, reason = RefreshTokenRevokeReason.LOGOUT_ALL) => {
+  try {
+    const res = await RefreshToken.updateMany(activeSessionsQuery(userId), {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+    const bumped = await userService.bumpTokenVersion(userId);
+    if (bumped.status >= 400) return bumped;
+    return { status: 200, data: res.modifiedCount || 0 };
+  } catch (error) {
+    console.error("Logout all error:", error);
+    return { status: 500, error: "Server error" };
+  }
+};
+
+/**
+ * Active sessions of a user, newest first.
+ * @param {string|ObjectId} userId
+ */
+exports.listSessions = async (userId) => {
+  try {
+    const docs = await RefreshToken.find(activeSessionsQuery(userId))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean();
+    return { status: 200, data: docs };
+  } catch (error) {
+    console.error("List sessions error:", error);
+    return { status: 500, error: "Server error" };
+  }
+};
+
+/**
+ * Revoke one of the user's own active sessions.
+ * @param {string|ObjectId} userId
+ * @param {string|ObjectId} sessionId - RefreshToken id (Session.id)
+ */
+exports.revokeSession = async (userId, sessionId) => {
+  try {
+    const doc = await RefreshToken.findOneAndUpdate(
+      { _id: sessionId, ...activeSessionsQuery(userId) },
+      { $set: { revokedAt: new Date(), revokedReason: RefreshTokenRevokeReason.REVOKED } },
+      { new: true }
+    ).lean();
+    if (!doc) return { status: 404, error: "Session not found" };
+    return { status: 200, data: doc };
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    return { status: 500, error: "Server error" };
+  }
+};
+
+/**
+ * Security events of a user, newest first.
+ * @param {string|ObjectId} userId
+ * @param {number} [limit] - capped at 100
+ */
+exports.listSecurityEvents = async (userId, limit = 20) => {
+  try {
+    const docs = await SecurityEvent.find({ userId, deletedAt: null })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100))
+      .lean();
+    return { status: 200, data: docs };
+  } catch (error) {
+    console.error("List security events error:", error);
+    return { status: 500, error: "Server error" };
+  }
+};
+
 /**
  * Fetch user profile (excludes password).
  * @param {string|ObjectId} userId
@@ -2,7 +2,8 @@
  * @fileoverview Auth input DTOs (Joi).
  *
  * Responsibilities:
- *  - Provide consistent validation schemas for login & registration.
+ *  - Provide consistent validation schemas for login, registration, password reset and
+ *    email verification.
  *  - Centralize constraints (lengths, formats).
  *
  * Non-Goals:
@@ -26,7 +27,26 @@ const registerDto = Joi.object({
   role: Joi.string().min(3).max(50).required(), // DB-level semantic enforcement.
 });
 
+// Emailed tokens are 32 random bytes, base64url encoded.
+const tokenRule = Joi.string().max(128).required();
+
+const requestPasswordResetDto = Joi.object({
+  email: emailRule,
+});
+
+const resetPasswordDto = Joi.object({
+  token: tokenRule,
+  newPassword: passwordRule,
+});
+
+const verifyEmailDto = Joi.object({
+  token: tokenRule,
+});
+
 module.exports = {
   loginDto,
   registerDto,
+  requestPasswordResetDto,
+  resetPasswordDto,
+  verifyEmailDto,
 };
\ No newline at end of file
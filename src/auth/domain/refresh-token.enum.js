@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Refresh token enums.
+ *
+ * RefreshTokenRevokeReason (RefreshToken.revokedReason):
+ *  - ROTATED: exchanged for a new pair through refreshToken.
+ *  - LOGOUT: the session was closed with logout.
+ *  - LOGOUT_ALL: closed by logoutAll.
+ *  - REVOKED: closed from another session (revokeSession).
+ *  - EVICTED: oldest sessions dropped past REFRESH_MAX_TOKENS.
+ *  - REUSE_DETECTED: the family was closed because a rotated token was presented again.
+ *  - PASSWORD_RESET: every session was closed when the password was reset by email.
+ */
+const RefreshTokenRevokeReason = Object.freeze({
+  ROTATED: "rotated",
+  LOGOUT: "logout",
+  LOGOUT_ALL: "logout_all",
+  REVOKED: "revoked",
+  EVICTED: "evicted",
+  REUSE_DETECTED: "reuse_detected",
+  PASSWORD_RESET: "password_reset",
+});
+
+module.exports = {
+  RefreshTokenRevokeReason,
+};
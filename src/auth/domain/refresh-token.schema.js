@@ -5,27 +5,44 @@
  *  - Persist refresh token instances via unique jti.
  *  - Track expiration (expiresAt) and revocation (revokedAt).
  *  - Associate token with userId for ownership and rotation logic.
+ *  - Describe the session it belongs to (user agent / IP at issue time) for mySessions.
+ *  - Group rotations of one login into a family (familyId, kept across refreshes) so a
+ *    replayed token can take the whole chain down (reuse detection, see auth.service).
  *
  * TTL Behavior:
  *  - Index on expiresAt with expireAfterSeconds:0 will allow MongoDB to
  *    remove expired documents automatically (background TTL monitor).
  *
  * Security:
- *  - Tokens are invalid after revocation OR expiration.
+ *  - Tokens are invalid after revocation OR expiration; revokedReason records why
+ *    (RefreshTokenRevokeReason: rotation, logout, eviction past the per-user cap...).
  *  - Does not store the raw token string (only JTI); token secrecy resides client-side.
  *
+ * Indexes:
+ *  - userId + createdAt (active sessions of a user, newest first; cap eviction)
+ *  - familyId (revoke a family)
+ *
  * Future:
- *  - Add user-agent / device fingerprint fields for session management UI.
- *  - Add createdAt for audit (timestamps currently disabled).
+ *  - Add a device fingerprint next to the raw user agent.
  */
 const mongoose = require("mongoose");
 const baseSchema = require("../../../src/_shared/db/baseSchema");
+const { RefreshTokenRevokeReason } = require("./refresh-token.enum");
 
 const refreshTokensSchema = new mongoose.Schema(
   {
     jti: { type: String, required: true, unique: true },
+    // Shared by every rotation of one login; legacy tokens have none (their jti acts as one).
+    familyId: { type: String, default: null, index: true },
     expiresAt: { type: Date, required: true },
     revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: Object.values(RefreshTokenRevokeReason),
+      default: null,
+    },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -35,7 +52,7 @@ const refreshTokensSchema = new mongoose.Schema(
   { timestamps: false }
 );
 
-refreshTokensSchema.index({ userId: 1 });
+refreshTokensSchema.index({ userId: 1, createdAt: -1 });
 refreshTokensSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 refreshTokensSchema.add(baseSchema);
@@ -0,0 +1,13 @@
+/**
+ * @fileoverview Security event enums.
+ *
+ * SecurityEventType:
+ *  - REFRESH_TOKEN_REUSE: a rotated refresh token was presented again; its family was revoked.
+ */
+const SecurityEventType = Object.freeze({
+  REFRESH_TOKEN_REUSE: "refresh_token_reuse",
+});
+
+module.exports = {
+  SecurityEventType,
+};
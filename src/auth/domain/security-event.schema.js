@@ -0,0 +1,39 @@
+/**
+ * @fileoverview SecurityEvent schema (account security incidents, append-only).
+ *
+ * Fields:
+ *  - type: SecurityEventType.
+ *  - userId: affected account.
+ *  - familyId / jti: refresh token family and the token that triggered the event.
+ *  - ip / userAgent: request that triggered it.
+ *  - details: type-specific data (e.g. how many sessions were revoked).
+ *
+ * Indexes:
+ *  - userId + createdAt (history of one account, newest first)
+ */
+const mongoose = require("mongoose");
+const baseSchema = require("../../_shared/db/baseSchema");
+const { SecurityEventType } = require("./security-event.enum");
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(SecurityEventType),
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  familyId: { type: String, default: null },
+  jti: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+});
+
+securityEventSchema.add(baseSchema);
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview User token enums.
+ *
+ * UserTokenPurpose (UserToken.purpose):
+ *  - PASSWORD_RESET: emailed by requestPasswordReset, consumed by resetPassword.
+ *  - EMAIL_VERIFICATION: emailed by sendVerificationEmail (and on register), consumed by verifyEmail.
+ */
+const UserTokenPurpose = Object.freeze({
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+});
+
+module.exports = {
+  UserTokenPurpose,
+};
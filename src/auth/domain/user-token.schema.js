@@ -0,0 +1,43 @@
+/**
+ * @fileoverview UserToken schema: single-use tokens sent by email (password reset, email
+ * verification).
+ *
+ * Fields:
+ *  - tokenHash: SHA-256 of the emailed token (the raw token is never stored).
+ *  - purpose: UserTokenPurpose.
+ *  - email: address the token was sent to (verification only counts for that address).
+ *  - expiresAt / usedAt: a token is usable once, before it expires.
+ *
+ * TTL Behavior:
+ *  - Index on expiresAt with expireAfterSeconds:0 lets MongoDB drop expired tokens.
+ *
+ * Indexes:
+ *  - tokenHash (unique, lookup on use)
+ *  - userId + purpose (replace a user's pending tokens)
+ */
+const mongoose = require("mongoose");
+const baseSchema = require("../../_shared/db/baseSchema");
+const { UserTokenPurpose } = require("./user-token.enum");
+
+const userTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  purpose: {
+    type: String,
+    enum: Object.values(UserTokenPurpose),
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  email: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+});
+
+userTokenSchema.add(baseSchema);
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
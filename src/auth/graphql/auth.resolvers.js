@@ -4,6 +4,10 @@
  * Responsibilities:
  *  - Wrap AuthService methods, perform DTO validation, normalize errors to GraphQL.
  *  - Provide "me" query which relies on context user (decoded in context builder).
+ *  - Session management (mySessions / logout / logoutAll / revokeSession); sessions opened
+ *    here record ctx.client (user agent, IP).
+ *  - Password reset and email verification (AccountService); register also sends the
+ *    verification email (best effort: a delivery failure does not fail the registration).
  *
  * Error Handling:
  *  - unwrap() converts service responses into GraphQL return values or throws GraphQLError.
@@ -13,10 +17,20 @@
  *  - @auth directive enforced at schema for me (defense in depth: we still check ctx.user).
  */
 const AuthService = require("../application/auth.service");
-const { loginDto, registerDto } = require("../domain/auth.dto");
+const AccountService = require("../application/account.service");
+const {
+  loginDto,
+  registerDto,
+  requestPasswordResetDto,
+  resetPasswordDto,
+  verifyEmailDto,
+} = require("../domain/auth.dto");
 const userService = require("../../modules/users/application/user.service");
 const userPopulate = require("../../modules/users/domain/user.populate");
 const { unwrap } = require("../../graphql/error.utils");
+const { loadRef } = require("../../graphql/loaders");
+const { assertPermission } = require("../../graphql/directives/requires");
+const { Permission } = require("../../_shared/enum/permissions.enum");
 
 const selectOptions = "-password -tests";
 
@@ -35,32 +49,97 @@ module.exports = {
       );
       return unwrap(result, "Failed to fetch current user");
     },
+
+    mySessions: async (_p, _args, ctx) => {
+      const result = await AuthService.listSessions(ctx.user.userId);
+      return unwrap(result, "Failed to list sessions");
+    },
+
+    securityEvents: async (_p, { userId, limit }, ctx) => {
+      const target = userId || ctx.user.userId;
+      if (String(target) !== String(ctx.user.userId)) {
+        assertPermission(ctx, Permission.USER_MANAGE);
+      }
+      const result = await AuthService.listSecurityEvents(target, limit);
+      return unwrap(result, "Failed to list security events");
+    },
   },
 
   Mutation: {
-    register: async (_p, { input }) => {
+    register: async (_p, { input }, ctx) => {
       if (registerDto?.validateAsync) {
         await registerDto.validateAsync(input, { abortEarly: false });
       }
-      const result = await AuthService.register(input);
-      return unwrap(result, "Failed to register");
+      const result = await AuthService.register(input, ctx.client);
+      const tokens = unwrap(result, "Failed to register");
+      await AccountService.sendVerificationEmail(tokens.user._id);
+      return tokens;
     },
 
-    login: async (_p, { input }) => {
+    login: async (_p, { input }, ctx) => {
       if (loginDto?.validateAsync) {
         await loginDto.validateAsync(input, { abortEarly: false });
       }
-      const result = await AuthService.login(input.email, input.password);
+      const result = await AuthService.login(input.email, input.password, ctx.client);
       return unwrap(result, "Failed to login");
     },
 
-    refreshToken: async (_p, { refreshToken }) => {
-      const result = await AuthService.refreshToken(refreshToken);
+    refreshToken: async (_p, { refreshToken }, ctx) => {
+      const result = await AuthService.refreshToken(refreshToken, ctx.client);
       return unwrap(result, "Failed to refresh token");
     },
+
+    logout: async (_p, { refreshToken }) => {
+      const result = await AuthService.logout(refreshToken);
+      return unwrap(result, "Failed to logout");
+    },
+
+    logoutAll: async (_p, _args, ctx) => {
+      const result = await AuthService.logoutAll(ctx.user.userId);
+      return unwrap(result, "Failed to logout everywhere");
+    },
+
+    revokeSession: async (_p, { id }, ctx) => {
+      const result = await AuthService.revokeSession(ctx.user.userId, id);
+      return unwrap(result, "Failed to revoke session");
+    },
+
+    requestPasswordReset: async (_p, args) => {
+      await requestPasswordResetDto.validateAsync(args, { abortEarly: false });
+      const result = await AccountService.requestPasswordReset(args.email);
+      return unwrap(result, "Failed to request a password reset");
+    },
+
+    resetPassword: async (_p, args) => {
+      await resetPasswordDto.validateAsync(args, { abortEarly: false });
+      const result = await AccountService.resetPassword(args.token, args.newPassword);
+      return unwrap(result, "Failed to reset password");
+    },
+
+    sendVerificationEmail: async (_p, _args, ctx) => {
+      const result = await AccountService.sendVerificationEmail(ctx.user.userId);
+      return unwrap(result, "Failed to send verification email");
+    },
+
+    verifyEmail: async (_p, args) => {
+      await verifyEmailDto.validateAsync(args, { abortEarly: false });
+      const result = await AccountService.verifyEmail(args.token);
+      return unwrap(result, "Failed to verify email");
+    },
   },
 
   AuthTokens: {
     user: (parent) => parent.user,
   },
+
+  SecurityEvent: {
+    id: (event) => String(event._id),
+    user: (event, _args, ctx) => loadRef(ctx.loaders.userById, event.userId),
+  },
+
+  Session: {
+    id: (session) => String(session._id),
+    current: (session, _args, ctx) =>
+      Boolean(ctx.user?.sessionId) && session.jti === ctx.user.sessionId,
+  },
 };
\ No newline at end of file
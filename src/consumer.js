@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Search sync consumer entry point (standalone process).
+ *
+ * Startup flow:
+ *  1. Connect MongoDB (fail-fast; products are re-read from the system of record)
+ *  2. Wait for Elasticsearch and ensure the product index
+ *  3. Wait for RabbitMQ and start the product search sync consumer
+ *
+ * Recovery:
+ *  - If the broker drops the channel, the consumer is restarted with the
+ *    startup retry policy (config.RABBIT.startupRetries / startupDelayMs).
+ *
+ * Graceful shutdown:
+ *  - Signals: SIGINT, SIGTERM, SIGUSR2 (nodemon)
+ *  - Order: consumer -> RabbitMQ -> Elasticsearch -> MongoDB
+ */
+const MongoDb = require("./_shared/db/mongoConnect.js");
+const config = require("./_shared/config/config.js");
+const { logger } = require("./_shared/utils/logger.js");
+const { ensureESConnectivity, closeES } = require("./_shared/integrations/elasticsearch/es.client");
+const { ensureProductIndex } = require("./_shared/integrations/elasticsearch/es.product.indexer");
+const { waitForRabbitMQ, closeRabbitMQ } = require("./_shared/integrations/rabbitmq/rabbitmq");
+const {
+  startProductSearchSync,
+  stopProductSearchSync,
+} = require("./_shared/consumers/productSearchSync.consumer");
+
+let mongoDbInstance = null;
+let shuttingDown = false;
+
+async function startConsumer() {
+  await waitForRabbitMQ();
+  await startProductSearchSync({ onClose: scheduleRestart });
+}
+
+function scheduleRestart() {
+  if (shuttingDown) return;
+  logger("[Consumer] restarting after channel loss...", "WARN:", "yellow");
+  setTimeout(() => {
+    startConsumer().catch((err) => {
+      console.error("FATAL: consumer restart failed.", err);
+      shutdown("RESTART_FAILED", 1);
+    });
+  }, config.RABBIT.startupDelayMs);
+}
+
+async function main() {
+  try {
+    mongoDbInstance = new MongoDb();
+    await mongoDbInstance.connect();
+  } catch (err) {
+    console.error("FATAL: MongoDB connection failed.", err);
+    process.exit(1);
+  }
+
+  try {
+    await ensureESConnectivity();
+    await ensureProductIndex();
+    await startConsumer();
+    logger("[Consumer] search sync consumer ready", "INFO:", "green");
+  } catch (err) {
+    console.error("FATAL: consumer startup failed.", err);
+    await shutdown("STARTUP_FAILED", 1);
+  }
+}
+
+async function shutdown(signal, exitCode = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[SHUTDOWN] Signal received: ${signal}`);
+
+  const timer = setTimeout(() => {
+    console.error("[SHUTDOWN] Grace period exceeded. Forcing exit.");
+    process.exit(1);
+  }, config.SERVER.gracefulTimeoutMs).unref();
+
+  try {
+    await stopProductSearchSync();
+    await closeRabbitMQ();
+    await closeES();
+    await mongoDbInstance?.disconnect();
+  } catch (err) {
+    console.error("[SHUTDOWN] Error during shutdown:", err);
+  }
+
+  clearTimeout(timer);
+  if (signal === "SIGUSR2") {
+    process.kill(process.pid, "SIGUSR2");
+  } else {
+    process.exit(exitCode);
+  }
+}
+
+["SIGINT", "SIGTERM", "SIGUSR2"].forEach((sig) => {
+  process.once(sig, () => shutdown(sig));
+});
+
+process.on("unhandledRejection", (reason) => {
+  console.error("UNHANDLED REJECTION (consumer):", reason);
+});
+
+main();
@@ -3,8 +3,17 @@
  *
  * Responsibilities:
  *  - Extract Authorization header across multiple adapters (express, graphql-http).
- *  - Verify access token (if present) and inject { userId, role, roles[] } into context.
+ *  - Verify access token (if present) and inject
+ *    { userId, role, roles[], permissions[], organizationId, sessionId, tokenVersion } into
+ *    context; permissions come from the role document (RoleService cache), so grants apply
+ *    to tokens that were issued before them. tokenVersion lets long-lived subscriptions
+ *    re-check the token per event.
  *  - Fail-soft: invalid/expired token yields anonymous user (user = null).
+ *  - Revoked tokens (stale tokenVersion, deleted user) are anonymous too; the check is
+ *    cached by UserService, so it is not a DB read per request.
+ *  - Describe the caller (ctx.client: user agent, IP) for session records.
+ *  - Create per-request batching loaders (ctx.loaders, see graphql/loaders) so nested
+ *    lookups (Product.createdBy, User.role, Product.changes...) become `$in` queries.
  *
  * Security:
  *  - Does not throw on invalid token to allow public root fields (protected resolvers use @auth).
@@ -12,11 +21,27 @@
  *
  * Extension Points:
  *  - Add request ID / correlation ID.
- *  - Attach per-request cache (e.g. DataLoader) here.
- *  - Add IP / UA logging for auditing.
  */
 const jwt = require("jsonwebtoken");
 const config = require("../_shared/config/config");
+const { createLoaders } = require("./loaders");
+const RoleService = require("../modules/roles/application/role.service");
+const UserService = require("../modules/users/application/user.service");
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * User agent and IP of the request (IP honours Express "trust proxy" through req.ip).
+ * @returns {{userAgent: string|null, ip: string|null}}
+ */
+function clientInfo(req) {
+  const headers = req?.headers || {};
+  const userAgent = headers["user-agent"] ? String(headers["user-agent"]) : null;
+  return {
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: req?.ip || req?.socket?.remoteAddress || null,
+  };
+}
 
 module.exports.buildContext = async (contextInput) => {
   const reqWrapper = contextInput?.req || contextInput || {};
@@ -53,12 +78,16 @@ module.exports.buildContext = async (contextInput) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, config.JWT.key);
-        const { userId, role } = decoded || {};
-        if (userId) {
+        const { userId, role, organizationId, sid, tv } = decoded || {};
+        if (userId && (await UserService.isTokenCurrent(userId, tv))) {
           user = {
             userId,
             role: role || null,
             roles: role ? [role] : [],
+            permissions: role ? await RoleService.permissionsForRole(role) : [],
+            organizationId: organizationId || null,
+            sessionId: sid || null,
+            tokenVersion: tv ?? 0,
           };
         }
       } catch {
@@ -67,5 +96,11 @@ module.exports.buildContext = async (contextInput) => {
     }
   }
 
-  return { req: req, rawReq: reqWrapper.raw || null, user };
+  return {
+    req: req,
+    rawReq: reqWrapper.raw || null,
+    user,
+    client: clientInfo(req),
+    loaders: createLoaders(),
+  };
 };
\ No newline at end of file
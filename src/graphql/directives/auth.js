@@ -6,7 +6,8 @@
  *  - Optionally enforce role-based authorization (roles: [RoleName]).
  *
  * Design Choices:
- *  - Implemented as schema transformer to wrap field resolvers.
+ *  - Implemented as schema transformer to wrap field resolvers (and subscribe functions,
+ *    so unauthorized subscriptions fail before any event is delivered).
  *  - Role comparison normalized to lowercase to avoid casing issues.
  *
  * Error Contract:
@@ -14,7 +15,9 @@
  *
  * Future:
  *  - Expand to accept mode: ANY|ALL for role arrays.
- *  - Integrate with permissions matrix or policy engine.
+ *
+ * See also:
+ *  - directives/requires.js for permission-based checks (@requires(permission:)).
  */
 const { mapSchema, getDirective, MapperKind } = require("@graphql-tools/utils");
 const { defaultFieldResolver } = require("graphql");
@@ -23,6 +26,36 @@ const authDirectiveSDL = /* GraphQL */ `
   directive @auth(roles: [RoleName!]) on OBJECT | FIELD_DEFINITION
 `;
 
+/**
+ * Throw 401 / 403 unless ctx.user holds one of the required roles (lowercase compare).
+ */
+function assertAuthorized(ctx, roles) {
+  if (!ctx?.user) {
+    const err = new Error("Unauthenticated");
+    err.status = 401;
+    err.code = "UNAUTHENTICATED";
+    throw err;
+  }
+
+  const required = (roles || []).map((r) => String(r).toLowerCase());
+  if (required.length > 0) {
+    const userRoles = Array.from(
+      new Set(
+        (ctx.user.roles || [])
+          .filter(Boolean)
+          .map((x) => String(x).toLowerCase())
+      )
+    );
+    const ok = userRoles.some((r) => required.includes(r));
+    if (!ok) {
+      const err = new Error("Forbidden");
+      err.status = 403;
+      err.code = "FORBIDDEN";
+      throw err;
+    }
+  }
+}
+
 function makeAuthDirectiveTransformer() {
   return (schema) =>
     mapSchema(schema, {
@@ -30,43 +63,25 @@ function makeAuthDirectiveTransformer() {
         const directives = getDirective(schema, fieldConfig, "auth") || [];
         if (directives.length === 0) return fieldConfig;
 
-        const { resolve = defaultFieldResolver } = fieldConfig;
+        const { resolve = defaultFieldResolver, subscribe } = fieldConfig;
         const { roles = [] } = directives[0] || {};
 
         fieldConfig.resolve = async function (source, args, ctx, info) {
-          if (!ctx?.user) {
-            const err = new Error("Unauthenticated");
-            err.status = 401;
-            err.code = "UNAUTHENTICATED";
-            throw err;
-          }
-
-            const required = (roles || []).map((r) =>
-              String(r).toLowerCase()
-            );
-            if (required.length > 0) {
-              const userRoles = Array.from(
-                new Set(
-                  (ctx.user.roles || [])
-                    .filter(Boolean)
-                    .map((x) => String(x).toLowerCase())
-                )
-              );
-              const ok = userRoles.some((r) => required.includes(r));
-              if (!ok) {
-                const err = new Error("Forbidden");
-                err.status = 403;
-                err.code = "FORBIDDEN";
-                throw err;
-              }
-            }
-
+          assertAuthorized(ctx, roles);
           return resolve.call(this, source, args, ctx, info);
         };
 
+        // Subscriptions: reject at subscribe time instead of on every event.
+        if (subscribe) {
+          fieldConfig.subscribe = function (source, args, ctx, info) {
+            assertAuthorized(ctx, roles);
+            return subscribe.call(this, source, args, ctx, info);
+          };
+        }
+
         return fieldConfig;
       },
     });
 }
 
-module.exports = { authDirectiveSDL, makeAuthDirectiveTransformer };
\ No newline at end of file
+module.exports = { authDirectiveSDL, makeAuthDirectiveTransformer };
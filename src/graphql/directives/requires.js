@@ -0,0 +1,76 @@
+/**
+ * @fileoverview @requires directive implementation (permission-based authorization).
+ *
+ * Responsibilities:
+ *  - Enforce authentication (presence of ctx.user).
+ *  - Enforce that ctx.user.permissions (resolved from the role in graphql/context.js)
+ *    contains the permission named in the SDL, e.g. @requires(permission: "audit:read").
+ *
+ * Design Choices:
+ *  - Same schema-transformer shape as @auth; both may decorate a field (both must pass).
+ *  - Permission names are validated when the schema is built, so a typo fails at startup
+ *    instead of silently denying every request.
+ *
+ * Error Contract:
+ *  - Throws Error with .status and .code (401 UNAUTHENTICATED / 403 FORBIDDEN).
+ */
+const { mapSchema, getDirective, MapperKind } = require("@graphql-tools/utils");
+const { defaultFieldResolver } = require("graphql");
+const { Permission } = require("../../_shared/enum/permissions.enum");
+
+const requiresDirectiveSDL = /* GraphQL */ `
+  directive @requires(permission: String!) on FIELD_DEFINITION
+`;
+
+const KNOWN_PERMISSIONS = new Set(Object.values(Permission));
+
+/**
+ * Throw 401 / 403 unless ctx.user holds permission.
+ */
+function assertPermission(ctx, permission) {
+  if (!ctx?.user) {
+    const err = new Error("Unauthenticated");
+    err.status = 401;
+    err.code = "UNAUTHENTICATED";
+    throw err;
+  }
+  if (!(ctx.user.permissions || []).includes(permission)) {
+    const err = new Error(`Forbidden: missing permission ${permission}`);
+    err.status = 403;
+    err.code = "FORBIDDEN";
+    throw err;
+  }
+}
+
+function makeRequiresDirectiveTransformer() {
+  return (schema) =>
+    mapSchema(schema, {
+      [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+        const directive = getDirective(schema, fieldConfig, "requires")?.[0];
+        if (!directive) return fieldConfig;
+
+        const { permission } = directive;
+        if (!KNOWN_PERMISSIONS.has(permission)) {
+          throw new Error(`Unknown permission "${permission}" on ${typeName}.${fieldName}`);
+        }
+
+        const { resolve = defaultFieldResolver, subscribe } = fieldConfig;
+
+        fieldConfig.resolve = async function (source, args, ctx, info) {
+          assertPermission(ctx, permission);
+          return resolve.call(this, source, args, ctx, info);
+        };
+
+        if (subscribe) {
+          fieldConfig.subscribe = function (source, args, ctx, info) {
+            assertPermission(ctx, permission);
+            return subscribe.call(this, source, args, ctx, info);
+          };
+        }
+
+        return fieldConfig;
+      },
+    });
+}
+
+module.exports = { requiresDirectiveSDL, makeRequiresDirectiveTransformer, assertPermission };
@@ -10,8 +10,14 @@
  *  - 401 -> UNAUTHENTICATED
  *  - 403 -> FORBIDDEN
  *  - 404 -> NOT_FOUND
+ *  - 409 -> CONFLICT
  *  - Else -> INTERNAL_SERVER_ERROR
  *
+ * Extensions:
+ *  - code + status always; currentVersion when the service reports a version conflict,
+ *    so clients can reload and retry with the right expectedVersion.
+ *  - reason when the service qualifies the failure (e.g. SESSION_COMPROMISED on refresh).
+ *
  * Future:
  *  - Add logging hook for high-severity server errors.
  *  - Correlate errors with tracing spans.
@@ -30,11 +36,15 @@ function toGraphQLError(result, fallbackMessage = "Error") {
       ? "FORBIDDEN"
       : status === 404
       ? "NOT_FOUND"
+      : status === 409
+      ? "CONFLICT"
       : "INTERNAL_SERVER_ERROR";
 
-  return new GraphQLError(message, {
-    extensions: { code, status },
-  });
+  const extensions = { code, status };
+  if (result?.currentVersion != null) extensions.currentVersion = result.currentVersion;
+  if (result?.reason) extensions.reason = result.reason;
+
+  return new GraphQLError(message, { extensions });
 }
 
 function unwrap(result, fallbackMessage) {
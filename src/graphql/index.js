@@ -7,6 +7,7 @@
  *  - Resilient context builder (invalid token -> user null)
  *  - Playground only outside production
  *  - Minimal error formatting (no sensitive stack leakage)
+ *  - Returns the schema promise so subscriptions (graphql/subscriptions.js) reuse the same schema
  *
  * Refactor:
  *  - Removed direct process.env usage; relies on config.SERVER.nodeEnv
@@ -206,6 +207,9 @@ function setupGraphQL(app) {
       res.type("text/html").send(ruruHTML({ endpoint: GRAPHQL_PATH }));
     });
   }
+
+  // Shared with the WebSocket subscription server (attached once the HTTP server exists).
+  return { schemaPromise };
 }
 
-module.exports = { setupGraphQL };
\ No newline at end of file
+module.exports = { setupGraphQL, GRAPHQL_PATH };
\ No newline at end of file
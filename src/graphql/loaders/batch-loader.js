@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Minimal DataLoader-style batching + caching loader.
+ *
+ * Responsibilities:
+ *  - Collect load(key) calls made in the same tick and resolve them with a single batch call.
+ *  - Cache the promise per key for the loader's lifetime (one GraphQL request).
+ *
+ * Contract:
+ *  - batchFn(keys) resolves to an array of the same length and order as keys.
+ *  - An Error at position i rejects only load(keys[i]); a thrown/rejected batch rejects all of them.
+ *  - Failed keys are evicted from the cache so a later load can retry.
+ *
+ * Scheduling:
+ *  - Dispatch runs after pending promise jobs (process.nextTick from a resolved promise), so
+ *    sibling resolvers of a list field land in the same batch.
+ *
+ * Non-Goals:
+ *  - No cross-request cache (instances are created per request in graphql/context.js).
+ */
+class BatchLoader {
+  /**
+   * @param {(keys: any[]) => Promise<any[]>} batchFn
+   * @param {{cacheKeyFn?: (key:any) => string, maxBatchSize?: number}} [options]
+   */
+  constructor(batchFn, { cacheKeyFn = (key) => String(key), maxBatchSize = 500 } = {}) {
+    if (typeof batchFn !== "function") {
+      throw new TypeError("BatchLoader requires a batch function");
+    }
+    this.batchFn = batchFn;
+    this.cacheKeyFn = cacheKeyFn;
+    this.maxBatchSize = maxBatchSize;
+    this.cache = new Map();
+    this.queue = [];
+  }
+
+  /**
+   * @param {*} key
+   * @returns {Promise<*>}
+   */
+  load(key) {
+    const cacheKey = this.cacheKeyFn(key);
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, cacheKey, resolve, reject });
+      if (this.queue.length === 1) this.scheduleDispatch();
+    });
+    this.cache.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * @param {any[]} keys
+   * @returns {Promise<any[]>}
+   */
+  loadMany(keys) {
+    return Promise.all(keys.map((key) => this.load(key)));
+  }
+
+  /**
+   * Seed the cache with a known value (no-op if the key is already cached).
+   */
+  prime(key, value) {
+    const cacheKey = this.cacheKeyFn(key);
+    if (!this.cache.has(cacheKey)) this.cache.set(cacheKey, Promise.resolve(value));
+    return this;
+  }
+
+  clear(key) {
+    this.cache.delete(this.cacheKeyFn(key));
+    return this;
+  }
+
+  clearAll() {
+    this.cache.clear();
+    return this;
+  }
+
+  scheduleDispatch() {
+    Promise.resolve().then(() => process.nextTick(() => this.dispatch()));
+  }
+
+  async dispatch() {
+    const queue = this.queue;
+    this.queue = [];
+
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      await this.runBatch(queue.slice(i, i + this.maxBatchSize));
+    }
+  }
+
+  async runBatch(batch) {
+    const fail = (entry, error) => {
+      this.cache.delete(entry.cacheKey);
+      entry.reject(error);
+    };
+
+    let values;
+    try {
+      values = await this.batchFn(batch.map((entry) => entry.key));
+      if (!Array.isArray(values) || values.length !== batch.length) {
+        throw new TypeError(
+          `BatchLoader batch function must return an array of ${batch.length} values`
+        );
+      }
+    } catch (error) {
+      batch.forEach((entry) => fail(entry, error));
+      return;
+    }
+
+    batch.forEach((entry, index) => {
+      const value = values[index];
+      if (value instanceof Error) fail(entry, value);
+      else entry.resolve(value);
+    });
+  }
+}
+
+module.exports = BatchLoader;
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Per-request GraphQL loaders (created in graphql/context.js).
+ *
+ * Loaders:
+ *  - productById / userById / roleById / organizationById: one `$in` query per tick for all
+ *    requested ids.
+ *  - changesByProduct: { productId, filter } -> latest-first ProductChange list; keys sharing
+ *    the same filter are fetched with one `$in` query.
+ *  - commentsByProduct: productId -> every comment of the product (threads + replies, oldest first).
+ *
+ * Notes:
+ *  - userById never selects password / tests.
+ *  - Results are cached for the request only; nothing is shared across requests.
+ */
+const BatchLoader = require("./batch-loader");
+const ProductService = require("../../modules/products/application/product.service");
+const ProductChangeService = require("../../modules/product-changes/application/product-changes.service");
+const UserService = require("../../modules/users/application/user.service");
+const RoleService = require("../../modules/roles/application/role.service");
+const CommentService = require("../../modules/comments/application/comment.service");
+const OrganizationService = require("../../modules/organizations/application/organization.service");
+const { toGraphQLError, unwrap } = require("../error.utils");
+
+/**
+ * Loader resolving ids through service.findByIds (missing ids -> null).
+ */
+function byIdLoader(service, label, selectOptions = null) {
+  return new BatchLoader(async (ids) => {
+    const res = await service.findByIds(ids, [], selectOptions);
+    if (res.status >= 400) throw toGraphQLError(res, `Failed to load ${label}`);
+    const docs = new Map(res.data.map((doc) => [String(doc._id), doc]));
+    return ids.map((id) => docs.get(String(id)) || null);
+  });
+}
+
+function changesByProductLoader() {
+  return new BatchLoader(
+    async (keys) => {
+      const groups = new Map();
+      for (const { productId, filter = {} } of keys) {
+        const signature = JSON.stringify(filter);
+        if (!groups.has(signature)) groups.set(signature, { filter, ids: new Set() });
+        groups.get(signature).ids.add(String(productId));
+      }
+
+      const results = new Map();
+      for (const [signature, { filter, ids }] of groups) {
+        const res = await ProductChangeService.findByProducts([...ids], filter);
+        if (res.status >= 400) throw toGraphQLError(res, "Failed to fetch changes");
+        for (const [productId, docs] of res.data) {
+          results.set(`${productId}|${signature}`, docs);
+        }
+      }
+
+      return keys.map(
+        ({ productId, filter = {} }) =>
+          results.get(`${productId}|${JSON.stringify(filter)}`) || []
+      );
+    },
+    { cacheKeyFn: ({ productId, filter = {} }) => `${productId}|${JSON.stringify(filter)}` }
+  );
+}
+
+function commentsByProductLoader() {
+  return new BatchLoader(async (productIds) => {
+    const res = await CommentService.findByProducts(productIds);
+    if (res.status >= 400) throw toGraphQLError(res, "Failed to fetch comments");
+    return productIds.map((id) => res.data.get(String(id)) || []);
+  });
+}
+
+/**
+ * @returns {{productById: BatchLoader, userById: BatchLoader, roleById: BatchLoader,
+ *   organizationById: BatchLoader, changesByProduct: BatchLoader, commentsByProduct: BatchLoader}}
+ */
+function createLoaders() {
+  return {
+    productById: byIdLoader(ProductService, "products"),
+    userById: byIdLoader(UserService, "users", "-password -tests"),
+    roleById: byIdLoader(RoleService, "roles"),
+    organizationById: byIdLoader(OrganizationService, "organizations"),
+    changesByProduct: changesByProductLoader(),
+    commentsByProduct: commentsByProductLoader(),
+  };
+}
+
+/**
+ * Resolve a reference that may already be populated (object) or be a bare id.
+ * @param {BatchLoader} loader
+ * @param {*} ref - populated doc, ObjectId, string or null
+ */
+function loadRef(loader, ref) {
+  if (ref == null) return null;
+  if (typeof ref === "object" && !ref._bsontype && ref._id) return ref;
+  return loader.load(ref);
+}
+
+/**
+ * load(id) that maps a missing document to NOT_FOUND (same as unwrap on a 404 result).
+ */
+async function loadOrThrow(loader, id, message) {
+  const doc = await loader.load(id);
+  return unwrap(doc ? { status: 200, data: doc } : { status: 404, error: "Document not found" }, message);
+}
+
+module.exports = { createLoaders, loadRef, loadOrThrow };
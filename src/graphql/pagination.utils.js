@@ -0,0 +1,55 @@
+/**
+ * @fileoverview GraphQL pagination helpers.
+ *
+ * Responsibilities:
+ *  - Map offset-paginated service results ({ data, pagination }) to { items, pageInfo }
+ *    matching the shared PageInfo type.
+ *  - Map keyset results (BaseService.findConnection) to Relay-style connections whose
+ *    totalCount is only computed when the field is selected.
+ */
+const { unwrap, toGraphQLError } = require("./error.utils");
+
+/**
+ * @param {{data?: any[], pagination?: {totalDocs:number,totalPages:number,currentPage:number,pageSize:number}}} res
+ * @param {number} page - Requested page (fallback when pagination metadata is missing)
+ * @param {number} limit - Requested page size (fallback)
+ * @returns {{items: any[], pageInfo: object}}
+ */
+function toPage(res, page, limit) {
+  const { data = [], pagination = {} } = res;
+  return {
+    items: data,
+    pageInfo: {
+      page: pagination.currentPage ?? page,
+      limit: pagination.pageSize ?? limit,
+      totalItems: pagination.totalDocs ?? data.length,
+      totalPages: pagination.totalPages ?? 1,
+      hasNextPage:
+        typeof pagination.currentPage === "number" &&
+        typeof pagination.totalPages === "number"
+          ? pagination.currentPage + 1 < pagination.totalPages
+          : false,
+      hasPrevPage:
+        typeof pagination.currentPage === "number"
+          ? pagination.currentPage > 0
+          : false,
+    },
+  };
+}
+
+/**
+ * @param {{status:number, data?: {edges: object[], pageInfo: object}}} res - findConnection result
+ * @param {() => Promise<{status:number, data?: number}>} count - invoked only if totalCount is selected
+ * @param {string} [fallbackMessage]
+ * @returns {{edges: object[], pageInfo: object, totalCount: () => Promise<number>}}
+ */
+function toConnection(res, count, fallbackMessage = "Failed to list") {
+  if (res.status >= 400) throw toGraphQLError(res, fallbackMessage);
+  return {
+    ...res.data,
+    // The default field resolver calls functions, so the count runs only when requested.
+    totalCount: async () => unwrap(await count(), "Failed to count"),
+  };
+}
+
+module.exports = { toPage, toConnection };
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview In-process PubSub for GraphQL subscriptions + domain event -> topic mapping.
+ *
+ * Flow:
+ *  - ProductService writes events to the outbox; the relay publishes them to RabbitMQ.
+ *  - Every API instance consumes them through its own exclusive queue
+ *    (consumers/subscriptionFanout.consumer.js) and calls publishProductEvent here,
+ *    so subscribers on any instance see every event exactly like local ones.
+ *
+ * Topics:
+ *  - PRODUCT_CREATED         product.created
+ *  - PRODUCT_UPDATED         product.updated
+ *  - PRODUCT_STATUS_CHANGED  workflow status events (approved, rejected, resubmitted, ...)
+ *  - REVIEW_QUEUE_CHANGED    product entered / left PENDING_REVIEW, was edited while pending,
+ *                            or was claimed / released / assigned / re-prioritized in the review queue
+ *
+ * Payload:
+ *  - { event, product } where event is the domain envelope (see ProductService.buildEventEnvelope)
+ *    and product the current document (null when soft-deleted).
+ */
+const { PubSub } = require("graphql-subscriptions");
+const { ProductStatus } = require("../modules/products/domain/product.enum");
+
+const pubsub = new PubSub();
+
+const Topics = Object.freeze({
+  PRODUCT_CREATED: "PRODUCT_CREATED",
+  PRODUCT_UPDATED: "PRODUCT_UPDATED",
+  PRODUCT_STATUS_CHANGED: "PRODUCT_STATUS_CHANGED",
+  REVIEW_QUEUE_CHANGED: "REVIEW_QUEUE_CHANGED",
+});
+
+const ReviewQueueChange = Object.freeze({
+  ENTERED: "ENTERED",
+  LEFT: "LEFT",
+  UPDATED: "UPDATED",
+  CLAIMED: "CLAIMED",
+  RELEASED: "RELEASED",
+  ASSIGNED: "ASSIGNED",
+});
+
+const STATUS_EVENTS = new Set([
+  "product.approved",
+  "product.rejected",
+  "product.resubmitted",
+  "product.unpublished",
+  "product.republished",
+  "product.archived",
+]);
+
+/**
+ * How an event affects the review queue (PENDING_REVIEW products), or null.
+ * @param {object} event - Domain event envelope
+ * @param {object|null} product - Current product document
+ * @returns {string|null} ReviewQueueChange value
+ */
+function reviewQueueChangeFor(event, product) {
+  const pending = ProductStatus.PENDING_REVIEW;
+  switch (event.type) {
+    case "product.created":
+    case "product.resubmitted":
+      return event.data?.status === pending ? ReviewQueueChange.ENTERED : null;
+    case "product.approved":
+    case "product.rejected":
+      return ReviewQueueChange.LEFT;
+    case "product.deleted":
+      return event.data?.status === pending ? ReviewQueueChange.LEFT : null;
+    case "product.updated":
+    case "product.prioritized":
+      return product?.status === pending ? ReviewQueueChange.UPDATED : null;
+    case "product.claimed":
+      return ReviewQueueChange.CLAIMED;
+    case "product.released":
+      return ReviewQueueChange.RELEASED;
+    case "product.assigned":
+      return ReviewQueueChange.ASSIGNED;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Topics an event is published to.
+ * @returns {string[]}
+ */
+function topicsForEvent(event, product) {
+  const topics = [];
+  if (event.type === "product.created") topics.push(Topics.PRODUCT_CREATED);
+  if (event.type === "product.updated") topics.push(Topics.PRODUCT_UPDATED);
+  if (STATUS_EVENTS.has(event.type)) topics.push(Topics.PRODUCT_STATUS_CHANGED);
+  if (reviewQueueChangeFor(event, product)) topics.push(Topics.REVIEW_QUEUE_CHANGED);
+  return topics;
+}
+
+/**
+ * Publish a product domain event to the matching subscription topics.
+ * @param {object} event
+ * @param {object|null} product
+ * @returns {Promise<string[]>} topics published
+ */
+async function publishProductEvent(event, product) {
+  const topics = topicsForEvent(event, product);
+  const payload = { event, product };
+  await Promise.all(topics.map((topic) => pubsub.publish(topic, payload)));
+  return topics;
+}
+
+module.exports = {
+  pubsub,
+  Topics,
+  ReviewQueueChange,
+  reviewQueueChangeFor,
+  topicsForEvent,
+  publishProductEvent,
+};
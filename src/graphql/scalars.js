@@ -5,13 +5,20 @@
  *  - Uses graphql-scalars DateTimeResolver for ISO date-time handling.
  * ObjectID:
  *  - Validates MongoDB ObjectId format (string).
+ * JSON:
+ *  - Arbitrary JSON value (used for audit oldValue/newValue).
  *
  * Future:
- *  - Add Email, URL, JSON or custom BigInt if domain requires.
+ *  - Add Email, URL or custom BigInt if domain requires.
  */
-const { DateTimeResolver, ObjectIDResolver } = require("graphql-scalars");
+const {
+  DateTimeResolver,
+  ObjectIDResolver,
+  JSONResolver,
+} = require("graphql-scalars");
 
 module.exports = {
   Date: DateTimeResolver,
   ObjectID: ObjectIDResolver,
+  JSON: JSONResolver,
 };
\ No newline at end of file
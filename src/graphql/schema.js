@@ -2,9 +2,10 @@
  * @fileoverview GraphQL executable schema factory.
  *
  * Responsibilities:
- *  - Build root SDL (base scalars, PageInfo, RoleName enum, @auth directive).
+ *  - Build root SDL (base scalars, PageInfo, ConnectionPageInfo, RoleName enum, @auth and
+ *    @requires directives).
  *  - Load module SDL + resolvers dynamically.
- *  - Apply @auth directive transformer post-schema creation.
+ *  - Apply @auth (role names) and @requires (permissions) transformers post-schema creation.
  *
  * Consistency:
  *  - RoleName enum dynamically derived from shared RoleTypeEnum to avoid duplication.
@@ -20,6 +21,10 @@ const { loadModuleTypeDefsAndResolvers } = require("./modules.loader");
 const scalars = require("./scalars");
 const RoleTypeEnum = require("../_shared/enum/roles.enum");
 const { authDirectiveSDL, makeAuthDirectiveTransformer } = require("./directives/auth");
+const {
+  requiresDirectiveSDL,
+  makeRequiresDirectiveTransformer,
+} = require("./directives/requires");
 
 function buildRootSDL() {
   const roleValues = Object.values(RoleTypeEnum)
@@ -34,6 +39,7 @@ function buildRootSDL() {
   return /* GraphQL */ `
     scalar Date
     scalar ObjectID
+    scalar JSON
 
     ${RoleEnumSDL}
 
@@ -49,10 +55,19 @@ function buildRootSDL() {
       hasPrevPage: Boolean!
     }
 
+    type ConnectionPageInfo {
+      hasNextPage: Boolean!
+      hasPreviousPage: Boolean!
+      startCursor: String
+      endCursor: String
+    }
+
     ${authDirectiveSDL}
+    ${requiresDirectiveSDL}
 
     type Query
     type Mutation
+    type Subscription
   `;
 }
 
@@ -68,12 +83,14 @@ async function buildExecutableSchema() {
     resolvers: {
       Date: scalars.Date,
       ObjectID: scalars.ObjectID,
+      JSON: scalars.JSON,
       ...resolvers,
     },
   });
 
   const applyAuth = makeAuthDirectiveTransformer();
-  return applyAuth(schema);
+  const applyRequires = makeRequiresDirectiveTransformer();
+  return applyRequires(applyAuth(schema));
 }
 
 module.exports = { buildExecutableSchema };
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview GraphQL subscriptions over WebSocket (graphql-ws protocol).
+ *
+ * Transport:
+ *  - ws server attached to the HTTP server on the GraphQL path (/graphql); HTTP POSTs keep
+ *    going through graphql-http, upgrade requests land here.
+ *
+ * Authentication:
+ *  - Same JWT as HTTP: connectionParams.authorization (or .Authorization) or the upgrade
+ *    request Authorization header, verified through buildContext.
+ *  - Connections without a valid token are rejected on connection_init (4403 Forbidden).
+ *  - @auth role checks run on subscribe (see directives/auth.js).
+ *  - The token is re-checked for every event (UserService.isTokenCurrent in the product
+ *    subscription filters), so revoked tokens stop receiving without a reconnect.
+ *
+ * Context:
+ *  - Built per operation: { user, loaders }. A subscription context lives as long as the
+ *    subscription, so event resolvers refresh ctx.loaders per event (no stale cache).
+ */
+const { WebSocketServer } = require("ws");
+const { useServer } = require("graphql-ws/use/ws");
+const { buildContext } = require("./context");
+const { createLoaders } = require("./loaders");
+const { logger } = require("../_shared/utils/logger");
+
+/**
+ * Token from connection_init params, falling back to the upgrade request header.
+ */
+function readAuthorization(ctx) {
+  const params = ctx.connectionParams || {};
+  return (
+    params.authorization ||
+    params.Authorization ||
+    ctx.extra?.request?.headers?.authorization ||
+    null
+  );
+}
+
+/**
+ * Attach the subscription server.
+ * @param {import('http').Server} httpServer
+ * @param {Promise<import('graphql').GraphQLSchema>} schemaPromise
+ * @param {{path?: string}} [options]
+ * @returns {{ close: () => Promise<void> }}
+ */
+function setupSubscriptions(httpServer, schemaPromise, { path = "/graphql" } = {}) {
+  const wsServer = new WebSocketServer({ server: httpServer, path });
+
+  // Attached right away; operations wait for the schema (connections may arrive before it is built).
+  const disposable = useServer(
+    {
+      schema: () => schemaPromise,
+      onConnect: async (ctx) => {
+        const authorization = readAuthorization(ctx);
+        const { user } = await buildContext({ headers: { authorization } });
+        if (!user) return false;
+        ctx.extra.user = user;
+        return true;
+      },
+      context: (ctx) => ({
+        user: ctx.extra.user,
+        req: ctx.extra.request,
+        loaders: createLoaders(),
+      }),
+    },
+    wsServer
+  );
+  logger(`[GraphQL] Subscriptions listening on ws://*${path}`);
+
+  return {
+    close: async () => {
+      await disposable.dispose();
+      await new Promise((resolve) => wsServer.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { setupSubscriptions, readAuthorization };
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview CommentService: discussion threads on products.
+ *
+ * Responsibilities:
+ *  - Start threads on a product (optionally about one field) and reply to them.
+ *  - Let editors resolve / reopen threads.
+ *  - Fetch every comment of many products in one query (GraphQL loader).
+ *
+ * Rules:
+ *  - Product must exist; providers may only comment on products they own
+ *    (domain/comment.policy.js).
+ *  - Only the author edits a comment; the author or an editor deletes it. Deleting a
+ *    thread root deletes its replies.
+ *  - Resolution is stored on the thread root; resolving a reply resolves its thread.
+ *
+ * Future:
+ *  - Notify the other party (provider <-> editor) through product events.
+ */
+const BaseService = require("../../../_shared/service/base.service");
+const Comment = require("../domain/comment.schema");
+const ProductService = require("../../products/application/product.service");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { canAccessProductComments } = require("../domain/comment.policy");
+
+const isEditor = (actor) => (actor?.role || "").toLowerCase() === RoleTypeEnum.EDITOR;
+
+class CommentService extends BaseService {
+  constructor() {
+    super(Comment);
+  }
+
+  /**
+   * Load the product and check the actor may see its threads.
+   * @returns {Promise<{status:number, data?: object, error?: string}>}
+   */
+  async checkProductAccess(actor, productId) {
+    const res = await ProductService.findById(productId);
+    if (res.status !== 200) return res;
+    if (!canAccessProductComments(actor, res.data)) {
+      return { status: 403, error: "Forbidden: not the owner of this product" };
+    }
+    return res;
+  }
+
+  /**
+   * Start a thread (no parentId) or reply to a comment.
+   * @param {object} actor - { userId, role }
+   * @param {{productId: string, body: string, field?: string|null, parentId?: string|null}} input
+   */
+  async addComment(actor, { productId, body, field = null, parentId = null }) {
+    try {
+      const access = await this.checkProductAccess(actor, productId);
+      if (access.status !== 200) return access;
+
+      if (!parentId) {
+        return this.create({ productId, body, field, author: actor.userId });
+      }
+
+      if (field) {
+        return { status: 400, error: "Only the first comment of a thread can reference a field" };
+      }
+      const parent = await this.findById(parentId);
+      if (parent.status === 404) return { status: 404, error: "Parent comment not found" };
+      if (parent.status !== 200) return parent;
+      if (String(parent.data.productId) !== String(productId)) {
+        return { status: 400, error: "Parent comment belongs to another product" };
+      }
+
+      return this.create({
+        productId,
+        body,
+        author: actor.userId,
+        parentId,
+        threadId: parent.data.threadId || parent.data._id,
+      });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Change the text of an own comment.
+   */
+  async editComment(actor, id, body) {
+    const current = await this.findById(id);
+    if (current.status !== 200) return current;
+    if (String(current.data.author) !== String(actor.userId)) {
+      return { status: 403, error: "Forbidden: only the author can edit a comment" };
+    }
+    return this.updateById(id, { body });
+  }
+
+  /**
+   * Soft delete a comment (author or editor); a thread root takes its replies with it.
+   */
+  async deleteComment(actor, id) {
+    try {
+      const current = await this.findById(id);
+      if (current.status !== 200) return current;
+      if (String(current.data.author) !== String(actor.userId) && !isEditor(actor)) {
+        return { status: 403, error: "Forbidden: cannot delete this comment" };
+      }
+
+      return await this.withTransaction(async (session) => {
+        const deleted = await this.softDeleteById(id, [], null, { session });
+        if (deleted.status >= 400) return deleted;
+        if (!current.data.threadId) {
+          await this.model.updateMany(
+            { threadId: current.data._id, deletedAt: null },
+            { deletedAt: new Date() },
+            { session }
+          );
+        }
+        return deleted;
+      });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Resolve or reopen the thread containing comment id (EDITOR only).
+   * @returns thread root
+   */
+  async setThreadResolved(actor, id, resolved) {
+    if (!isEditor(actor)) {
+      return { status: 403, error: "Forbidden: only editors can resolve comment threads" };
+    }
+    const current = await this.findById(id);
+    if (current.status !== 200) return current;
+
+    return this.updateById(
+      current.data.threadId || current.data._id,
+      resolved
+        ? { resolved: true, resolvedBy: actor.userId, resolvedAt: new Date() }
+        : { resolved: false, resolvedBy: null, resolvedAt: null }
+    );
+  }
+
+  /**
+   * Every comment (roots and replies, oldest first) of many products in one `$in` query.
+   * @param {Array<string|ObjectId>} productIds
+   * @returns {Promise<{status:number, data?: Map<string, object[]>, error?: string}>}
+   */
+  async findByProducts(productIds) {
+    try {
+      const docs = await this.model
+        .find({ productId: { $in: productIds }, deletedAt: null })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+        .exec();
+
+      const grouped = new Map(productIds.map((id) => [String(id), []]));
+      for (const doc of docs) {
+        grouped.get(String(doc.productId))?.push(doc);
+      }
+      return { status: 200, data: grouped };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+}
+
+module.exports = new CommentService();
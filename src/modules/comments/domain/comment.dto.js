@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Joi schemas for product comments.
+ *
+ * Constraints:
+ *  - body: 1..4000 chars after trim.
+ *  - field: a product business field or manufacturer sub-field; only on thread roots.
+ *  - parentId: comment being answered (its thread is joined).
+ */
+const Joi = require("joi");
+const { BUSINESS_FIELDS } = require("../../products/application/diff.util");
+
+const objectId = Joi.string().hex().length(24);
+
+const COMMENTABLE_FIELDS = [
+  ...BUSINESS_FIELDS,
+  "manufacturer.name",
+  "manufacturer.code",
+  "manufacturer.country",
+];
+
+const body = Joi.string().trim().min(1).max(4000);
+
+const createCommentDto = Joi.object({
+  productId: objectId.required(),
+  body: body.required(),
+  field: Joi.string()
+    .valid(...COMMENTABLE_FIELDS)
+    .allow(null)
+    .optional(),
+  parentId: objectId.allow(null).optional(),
+});
+
+const updateCommentDto = Joi.object({
+  body: body.required(),
+});
+
+module.exports = {
+  COMMENTABLE_FIELDS,
+  createCommentDto,
+  updateCommentDto,
+};
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Comment visibility rules.
+ *
+ * Rules:
+ *  - Threads follow product ownership: providers only see (and write) comments on
+ *    products of their organization (or that they created, for products without one);
+ *    every other role sees all threads. See organizations/domain/organization.policy.js.
+ */
+const { canSeeProduct } = require("../../organizations/domain/organization.policy");
+
+/**
+ * @param {object|null} actor - { userId, role, organizationId? }
+ * @param {object} product
+ * @returns {boolean}
+ */
+function canAccessProductComments(actor, product) {
+  return canSeeProduct(actor, product);
+}
+
+module.exports = { canAccessProductComments };
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Comment schema (product discussion threads).
+ *
+ * Threads:
+ *  - A thread root has parentId = null and threadId = null.
+ *  - Replies keep parentId (the comment answered) and threadId (the root), so a whole
+ *    thread is fetched with one query and nesting depth does not matter.
+ *  - field (optional, roots only): business field the thread is about, e.g. "netWeight"
+ *    or "manufacturer.country".
+ *  - resolved / resolvedBy / resolvedAt live on the root and describe the whole thread.
+ *
+ * Indexes:
+ *  - productId + createdAt (Product.comments, oldest first)
+ *  - threadId (replies of a thread)
+ *
+ * Soft Delete:
+ *  - baseSchema attaches deletedAt; deleted comments disappear from threads.
+ */
+const mongoose = require("mongoose");
+const baseSchema = require("../../../_shared/db/baseSchema");
+
+const commentSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+    index: true,
+  },
+
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+  },
+
+  field: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  body: {
+    type: String,
+    required: [true, "El comentario no puede estar vacío"],
+    trim: true,
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  resolved: {
+    type: Boolean,
+    default: false,
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+commentSchema.add(baseSchema);
+
+commentSchema.index({ productId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Comment", commentSchema);
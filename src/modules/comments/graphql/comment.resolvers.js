@@ -0,0 +1,73 @@
+/**
+ * Comment resolvers.
+ * - Threads are read through ctx.loaders.commentsByProduct (one query per request).
+ * - Ownership / author rules are enforced by CommentService.
+ */
+
+const CommentService = require("../application/comment.service");
+const { createCommentDto, updateCommentDto } = require("../domain/comment.dto");
+const { canAccessProductComments } = require("../domain/comment.policy");
+const { unwrap } = require("../../../graphql/error.utils");
+const { loadRef } = require("../../../graphql/loaders");
+
+const actorOf = (ctx) => ({
+  userId: ctx.user.userId,
+  role: ctx.user.role,
+  organizationId: ctx.user.organizationId ?? null,
+});
+
+module.exports = {
+  Mutation: {
+    addComment: async (_p, { input }, ctx) => {
+      const value = await createCommentDto.validateAsync(input, { abortEarly: false });
+      const res = await CommentService.addComment(actorOf(ctx), value);
+      return unwrap(res, "Failed to add comment");
+    },
+
+    editComment: async (_p, { id, body }, ctx) => {
+      const value = await updateCommentDto.validateAsync({ body }, { abortEarly: false });
+      const res = await CommentService.editComment(actorOf(ctx), id, value.body);
+      return unwrap(res, "Failed to edit comment");
+    },
+
+    deleteComment: async (_p, { id }, ctx) => {
+      const res = await CommentService.deleteComment(actorOf(ctx), id);
+      return unwrap(res, "Failed to delete comment");
+    },
+
+    resolveCommentThread: async (_p, { id }, ctx) => {
+      const res = await CommentService.setThreadResolved(actorOf(ctx), id, true);
+      return unwrap(res, "Failed to resolve comment thread");
+    },
+
+    reopenCommentThread: async (_p, { id }, ctx) => {
+      const res = await CommentService.setThreadResolved(actorOf(ctx), id, false);
+      return unwrap(res, "Failed to reopen comment thread");
+    },
+  },
+
+  Product: {
+    comments: async (doc, { field, resolved }, ctx) => {
+      if (!canAccessProductComments(ctx.user, doc)) return [];
+      const comments = await ctx.loaders.commentsByProduct.load(String(doc._id || doc.id));
+      return comments.filter(
+        (c) =>
+          !c.threadId &&
+          (field == null || c.field === field) &&
+          (resolved == null || c.resolved === resolved)
+      );
+    },
+  },
+
+  Comment: {
+    id: (doc) => doc.id || doc._id?.toString(),
+    product: (doc, _args, ctx) => loadRef(ctx.loaders.productById, doc.productId),
+    author: (doc, _args, ctx) => loadRef(ctx.loaders.userById, doc.author),
+    resolvedBy: (doc, _args, ctx) => loadRef(ctx.loaders.userById, doc.resolvedBy),
+    replies: async (doc, _args, ctx) => {
+      if (doc.threadId) return [];
+      const comments = await ctx.loaders.commentsByProduct.load(String(doc.productId));
+      return comments.filter((c) => String(c.threadId) === String(doc._id));
+    },
+  },
+};
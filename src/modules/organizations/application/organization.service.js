@@ -0,0 +1,229 @@
+/**
+ * @fileoverview OrganizationService: supplier organizations and their members.
+ *
+ * Responsibilities:
+ *  - Create / rename organizations.
+ *  - Add, re-role and remove members (User.organizationId / organizationRole).
+ *  - Let a member hand their unaffiliated products over to the organization (shareProducts),
+ *    so colleagues can keep working on them.
+ *
+ * Rules:
+ *  - Platform staff holding user:manage manage every organization; organization admins
+ *    manage their own (checked against the stored membership, not the token).
+ *  - Platform staff and organization admins enroll unaffiliated providers, re-role and
+ *    remove members.
+ *  - Joining moves no products: only the provider can share theirs (no takeover by an
+ *    organization admin).
+ *  - Every membership change bumps the member's tokenVersion: visibility and ownership read
+ *    organizationId from the access token, so stale tokens must stop working (the member
+ *    refreshes and gets one with the new membership).
+ *  - Members must have the provider role; a user belongs to at most one organization (409).
+ *  - An organization that has admins keeps at least one (demoting / removing the last is 400).
+ *  - Removing a member leaves the organization's products with the organization.
+ */
+const BaseService = require("../../../_shared/service/base.service");
+const Organization = require("../domain/organization.schema");
+const UserService = require("../../users/application/user.service");
+const userPopulate = require("../../users/domain/user.populate");
+const Product = require("../../products/domain/product.schema");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { Permission } = require("../../../_shared/enum/permissions.enum");
+const { OrganizationRole } = require("../domain/organization.enum");
+
+const memberSelect = "-password -tests";
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+const isPlatformManager = (actor) =>
+  (actor?.permissions || []).includes(Permission.USER_MANAGE);
+
+class OrganizationService extends BaseService {
+  constructor() {
+    super(Organization);
+  }
+
+  /**
+   * Whether actor may manage organizationId (platform manager or one of its admins).
+   * @param {object} actor - { userId, permissions }
+   * @returns {Promise<boolean>}
+   */
+  async canManage(actor, organizationId) {
+    if (isPlatformManager(actor)) return true;
+    const res = await UserService.findById(actor?.userId, [], "organizationId organizationRole");
+    return (
+      res.status === 200 &&
+      sameId(res.data.organizationId, organizationId) &&
+      res.data.organizationRole === OrganizationRole.ADMIN
+    );
+  }
+
+  /**
+   * Load the organization and check actor may manage it.
+   */
+  async findManageable(actor, organizationId) {
+    const res = await this.findById(organizationId);
+    if (res.status !== 200) return res;
+    if (!(await this.canManage(actor, organizationId))) {
+      return { status: 403, error: "Forbidden: not an admin of this organization" };
+    }
+    return res;
+  }
+
+  /**
+   * Rename an organization.
+   * @param {object} actor - { userId, permissions }
+   * @param {{name?: string}} input
+   */
+  async updateOrganization(actor, id, input) {
+    const access = await this.findManageable(actor, id);
+    if (access.status !== 200) return access;
+    return this.updateById(id, input);
+  }
+
+  /**
+   * Members of an organization (platform managers and members only).
+   * @param {object} actor - { userId, permissions, organizationId }
+   */
+  async findMembers(actor, organizationId) {
+    if (!isPlatformManager(actor) && !sameId(actor?.organizationId, organizationId)) {
+      return { status: 403, error: "Forbidden: not a member of this organization" };
+    }
+    try {
+      const docs = await UserService.model
+        .find({ organizationId, deletedAt: null })
+        .select(memberSelect)
+        .sort({ createdAt: 1 })
+        .lean()
+        .exec();
+      return { status: 200, data: docs };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Add a provider to the organization (or change the role of a current member).
+   * Their products stay theirs until they share them (shareProducts).
+   * @param {object} actor - { userId, permissions }
+   * @param {string} role - OrganizationRole value
+   */
+  async addMember(actor, organizationId, userId, role = OrganizationRole.MEMBER) {
+    const access = await this.findManageable(actor, organizationId);
+    if (access.status !== 200) return access;
+
+    const userRes = await UserService.findById(userId, userPopulate);
+    if (userRes.status === 404) return { status: 404, error: "User not found" };
+    if (userRes.status !== 200) return userRes;
+    const user = userRes.data;
+
+    if (sameId(user.organizationId, organizationId)) {
+      return this.setMemberRole(actor, organizationId, userId, role);
+    }
+    if ((user.role?.name || "").toLowerCase() !== RoleTypeEnum.PROVIDER) {
+      return { status: 400, error: "Only provider users can join an organization" };
+    }
+    if (user.organizationId) {
+      return { status: 409, error: "User already belongs to another organization" };
+    }
+
+    return this.updateMembership(userId, { organizationId, organizationRole: role });
+  }
+
+  /**
+   * Move the products actor created outside any organization to actor's organization.
+   * Membership is read from the database (the token may predate it).
+   * @param {object} actor - { userId }
+   * @returns {Promise<{status:number, data?: number, error?: string}>} products moved
+   */
+  async shareProducts(actor) {
+    const userRes = await UserService.findById(actor?.userId, [], "organizationId");
+    if (userRes.status !== 200) return userRes;
+    const { organizationId } = userRes.data;
+    if (!organizationId) return { status: 400, error: "You do not belong to an organization" };
+
+    try {
+      const res = await Product.updateMany(
+        { createdBy: actor.userId, organizationId: null, deletedAt: null },
+        { $set: { organizationId, updatedAt: new Date() } }
+      );
+      return { status: 200, data: res.modifiedCount || 0 };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Change a member's role inside the organization.
+   * @param {string} role - OrganizationRole value
+   */
+  async setMemberRole(actor, organizationId, userId, role) {
+    const access = await this.findManageable(actor, organizationId);
+    if (access.status !== 200) return access;
+
+    const member = await this.findMember(organizationId, userId);
+    if (member.status !== 200) return member;
+
+    if (role !== OrganizationRole.ADMIN) {
+      const kept = await this.checkKeepsAdmin(organizationId, member.data);
+      if (kept) return kept;
+    }
+    return this.updateMembership(userId, { organizationRole: role });
+  }
+
+  /**
+   * Remove a member; the organization keeps its products.
+   */
+  async removeMember(actor, organizationId, userId) {
+    const access = await this.findManageable(actor, organizationId);
+    if (access.status !== 200) return access;
+
+    const member = await this.findMember(organizationId, userId);
+    if (member.status !== 200) return member;
+
+    const kept = await this.checkKeepsAdmin(organizationId, member.data);
+    if (kept) return kept;
+
+    return this.updateMembership(userId, { organizationId: null, organizationRole: null });
+  }
+
+  /**
+   * Write membership fields and revoke the member's access tokens (they carry organizationId).
+   * @param {{organizationId?: ObjectId|null, organizationRole?: string|null}} changes
+   */
+  async updateMembership(userId, changes) {
+    const res = await UserService.updateById(userId, changes, [], memberSelect);
+    if (res.status !== 200) return res;
+
+    const revoked = await UserService.bumpTokenVersion(userId);
+    return revoked.status >= 400 ? revoked : res;
+  }
+
+  /**
+   * @returns {Promise<{status:number, data?: object, error?: string}>} the member (404 otherwise)
+   */
+  async findMember(organizationId, userId) {
+    const res = await UserService.findById(userId, [], memberSelect);
+    if (res.status !== 200) return res;
+    if (!sameId(res.data.organizationId, organizationId)) {
+      return { status: 404, error: "User is not a member of this organization" };
+    }
+    return res;
+  }
+
+  /**
+   * 400 when member is the organization's last admin (or the count failed), null otherwise.
+   */
+  async checkKeepsAdmin(organizationId, member) {
+    if (member.organizationRole !== OrganizationRole.ADMIN) return null;
+    const others = await UserService.count({
+      organizationId,
+      organizationRole: OrganizationRole.ADMIN,
+      _id: { $ne: member._id },
+    });
+    if (others.status >= 400) return others;
+    return others.data > 0
+      ? null
+      : { status: 400, error: "An organization needs at least one admin" };
+  }
+}
+
+module.exports = new OrganizationService();
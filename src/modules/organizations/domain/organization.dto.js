@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Joi schemas for organizations.
+ *
+ * Constraints:
+ *  - name: 2..120 chars after trim.
+ */
+const Joi = require("joi");
+
+const name = Joi.string().trim().min(2).max(120);
+
+const createOrganizationDto = Joi.object({
+  name: name.required(),
+});
+
+const updateOrganizationDto = Joi.object({
+  name: name.optional(),
+});
+
+module.exports = {
+  createOrganizationDto,
+  updateOrganizationDto,
+};
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Organization enums.
+ *
+ * OrganizationRole:
+ *  - A member's role inside their organization (User.organizationRole).
+ *  - ADMIN members manage the organization's name and members; MEMBER has no extra rights.
+ */
+const OrganizationRole = Object.freeze({
+  ADMIN: "admin",
+  MEMBER: "member",
+});
+
+module.exports = {
+  OrganizationRole,
+};
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Product ownership and visibility at organization level.
+ *
+ * Rules:
+ *  - A product with an organizationId belongs to that organization: every current member
+ *    owns it (creator included only while still a member).
+ *  - A product without one (created by a provider outside any organization) belongs to
+ *    its creator.
+ *  - Providers only see products they own; every other role sees all products.
+ *    productVisibilityQuery is the same rule as a Mongo filter for list reads.
+ *
+ * Notes:
+ *  - actor.organizationId comes from the access token (see auth.service); membership
+ *    changes revoke the member's tokens (OrganizationService), so the next token the
+ *    member gets carries the new membership.
+ */
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+
+const idOf = (ref) => (ref == null ? null : String(ref._id || ref));
+
+/**
+ * @param {object|null} actor - { userId, organizationId? }
+ * @param {object} product
+ * @returns {boolean}
+ */
+function ownsProduct(actor, product) {
+  if (!actor || !product) return false;
+  const organizationId = idOf(product.organizationId);
+  if (organizationId) return organizationId === idOf(actor.organizationId);
+  return idOf(product.createdBy) === String(actor.userId);
+}
+
+/**
+ * @param {object|null} actor - { userId, role, organizationId? }
+ * @param {object} product
+ * @returns {boolean}
+ */
+function canSeeProduct(actor, product) {
+  if (!actor || !product) return false;
+  if (String(actor.role || "").toLowerCase() !== RoleTypeEnum.PROVIDER) return true;
+  return ownsProduct(actor, product);
+}
+
+/**
+ * Mongo criteria for the products actor can see (canSeeProduct as a query).
+ * @param {object|null} actor - { userId, role, organizationId? }
+ * @returns {object|null} null when unrestricted; matches nothing without an actor
+ */
+function productVisibilityQuery(actor) {
+  if (!actor) return { _id: null };
+  if (String(actor.role || "").toLowerCase() !== RoleTypeEnum.PROVIDER) return null;
+  const ownUnaffiliated = { organizationId: null, createdBy: actor.userId };
+  return actor.organizationId
+    ? { $or: [{ organizationId: actor.organizationId }, ownUnaffiliated] }
+    : ownUnaffiliated;
+}
+
+module.exports = { ownsProduct, canSeeProduct, productVisibilityQuery };
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Organization schema (supplier company whose staff share products).
+ *
+ * Membership:
+ *  - Stored on the user (User.organizationId / organizationRole); a user belongs to at
+ *    most one organization.
+ *  - Products carry organizationId (set from the creator when created), so ownership
+ *    outlives individual members.
+ *
+ * Soft Delete:
+ *  - Via baseSchema (deletedAt).
+ */
+const mongoose = require("mongoose");
+const baseSchema = require("../../../_shared/db/baseSchema");
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+});
+
+organizationSchema.add(baseSchema);
+
+module.exports = mongoose.model("Organization", organizationSchema);
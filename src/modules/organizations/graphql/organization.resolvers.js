@@ -0,0 +1,89 @@
+/**
+ * Organization resolvers.
+ * - Membership rules (who may manage which organization) are enforced by OrganizationService.
+ * - User.organization / Product.organization go through ctx.loaders.organizationById.
+ */
+
+const OrganizationService = require("../application/organization.service");
+const {
+  createOrganizationDto,
+  updateOrganizationDto,
+} = require("../domain/organization.dto");
+const { OrganizationRole } = require("../domain/organization.enum");
+const { unwrap, toGraphQLError } = require("../../../graphql/error.utils");
+const { toPage } = require("../../../graphql/pagination.utils");
+const { loadRef, loadOrThrow } = require("../../../graphql/loaders");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  OrganizationRole,
+
+  Query: {
+    organization: (_p, { id }, ctx) =>
+      loadOrThrow(ctx.loaders.organizationById, id, "Failed to fetch organization"),
+
+    organizations: async (_p, { page = 0, limit = 20, search }) => {
+      const filter = search?.trim()
+        ? { name: { $regex: escapeRegex(search.trim()), $options: "i" } }
+        : {};
+      const res = await OrganizationService.findAll(page, limit, filter, [], null, { name: 1 });
+      if (res.status >= 400) throw toGraphQLError(res, "Failed to list organizations");
+      return toPage(res, page, limit);
+    },
+
+    myOrganization: (_p, _args, ctx) =>
+      loadRef(ctx.loaders.organizationById, ctx.user.organizationId),
+  },
+
+  Mutation: {
+    createOrganization: async (_p, { input }) => {
+      const value = await createOrganizationDto.validateAsync(input, { abortEarly: false });
+      const res = await OrganizationService.create(value);
+      return unwrap(res, "Failed to create organization");
+    },
+
+    updateOrganization: async (_p, { id, input }, ctx) => {
+      const value = await updateOrganizationDto.validateAsync(input, { abortEarly: false });
+      const res = await OrganizationService.updateOrganization(ctx.user, id, value);
+      return unwrap(res, "Failed to update organization");
+    },
+
+    addOrganizationMember: async (_p, { organizationId, userId, role }, ctx) => {
+      const res = await OrganizationService.addMember(ctx.user, organizationId, userId, role);
+      return unwrap(res, "Failed to add organization member");
+    },
+
+    setOrganizationMemberRole: async (_p, { organizationId, userId, role }, ctx) => {
+      const res = await OrganizationService.setMemberRole(ctx.user, organizationId, userId, role);
+      return unwrap(res, "Failed to change organization member role");
+    },
+
+    removeOrganizationMember: async (_p, { organizationId, userId }, ctx) => {
+      const res = await OrganizationService.removeMember(ctx.user, organizationId, userId);
+      return unwrap(res, "Failed to remove organization member");
+    },
+
+    shareMyProductsWithOrganization: async (_p, _args, ctx) => {
+      const res = await OrganizationService.shareProducts(ctx.user);
+      return unwrap(res, "Failed to share products with the organization");
+    },
+  },
+
+  Organization: {
+    id: (org) => org.id || org._id?.toString(),
+    members: async (org, _args, ctx) =>
+      unwrap(
+        await OrganizationService.findMembers(ctx.user, org._id || org.id),
+        "Failed to fetch organization members"
+      ),
+  },
+
+  User: {
+    organization: (user, _args, ctx) => loadRef(ctx.loaders.organizationById, user.organizationId),
+  },
+
+  Product: {
+    organization: (doc, _args, ctx) => loadRef(ctx.loaders.organizationById, doc.organizationId),
+  },
+};
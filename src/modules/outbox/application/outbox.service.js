@@ -0,0 +1,112 @@
+/**
+ * @fileoverview OutboxService: persistence side of the transactional outbox.
+ *
+ * Responsibilities:
+ *  - enqueue(): store a domain event inside the caller's MongoDB transaction.
+ *  - claimNext(): atomically lease the oldest due PENDING event (safe across relay instances).
+ *  - markDispatched() / markFailed(): record publish outcome and schedule retries.
+ *
+ * Retry Policy:
+ *  - Exponential backoff: backoffBaseMs * 2^(attempts-1), capped at backoffMaxMs.
+ *  - No attempt limit: events are retried until the broker confirms them.
+ *
+ * Delivery Semantics:
+ *  - At-least-once. A relay crash between publish and markDispatched re-publishes after
+ *    the lease expires; consumers de-duplicate by event id when it matters.
+ */
+const BaseService = require("../../../_shared/service/base.service");
+const OutboxEvent = require("../domain/outbox-event.schema");
+const { OutboxStatus } = require("../domain/outbox.enum");
+const config = require("../../../_shared/config/config");
+
+class OutboxService extends BaseService {
+  constructor() {
+    super(OutboxEvent);
+  }
+
+  /**
+   * Store an event envelope for later publication.
+   * @param {string} routingKey - e.g. 'product.created'
+   * @param {object} envelope - Domain event envelope (see ProductService.buildEventEnvelope)
+   * @param {{session?: import('mongoose').ClientSession, headers?: object}} [options]
+   */
+  async enqueue(routingKey, envelope, { session = null, headers = {} } = {}) {
+    try {
+      return await this.create(
+        {
+          eventId: envelope.id,
+          routingKey,
+          aggregateType: envelope.aggregateType,
+          aggregateId: envelope.aggregateId,
+          payload: envelope,
+          headers,
+          status: OutboxStatus.PENDING,
+          nextAttemptAt: new Date(),
+        },
+        [],
+        null,
+        { session }
+      );
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Lease the oldest due PENDING event.
+   * The lease is expressed by pushing nextAttemptAt into the future, so a crashed
+   * relay's claim simply expires and the event becomes due again.
+   *
+   * @param {number} [leaseMs]
+   * @returns {Promise<{status:number,data?:object,error?:string}>} 404 when nothing is due
+   */
+  async claimNext(leaseMs = config.OUTBOX.leaseMs) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+      { status: OutboxStatus.PENDING, nextAttemptAt: { $lte: now } },
+      {
+        $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Mark an event as confirmed by the broker.
+   * @param {string|ObjectId} id
+   */
+  async markDispatched(id) {
+    return this.updateById(id, {
+      status: OutboxStatus.DISPATCHED,
+      dispatchedAt: new Date(),
+      lastError: null,
+    });
+  }
+
+  /**
+   * Record a failed publish and schedule the next attempt.
+   * @param {string|ObjectId} id
+   * @param {number} attempts - Attempts made so far (including the failed one)
+   * @param {string} reason
+   */
+  async markFailed(id, attempts, reason) {
+    return this.updateById(id, {
+      nextAttemptAt: new Date(Date.now() + this.computeBackoff(attempts)),
+      lastError: String(reason || "unknown error").slice(0, 1000),
+    });
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt count.
+   * @param {number} attempts
+   * @returns {number} milliseconds
+   */
+  computeBackoff(attempts) {
+    const { backoffBaseMs, backoffMaxMs } = config.OUTBOX;
+    const exp = Math.max(0, Number(attempts || 1) - 1);
+    return Math.min(backoffMaxMs, backoffBaseMs * 2 ** Math.min(exp, 30));
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview OutboxEvent schema (transactional outbox for domain events).
+ *
+ * Purpose:
+ *  - Persist domain events in the same MongoDB transaction as the business write,
+ *    so an event exists if and only if the change committed.
+ *
+ * Fields:
+ *  - eventId: envelope id (also sent as message header for consumer de-duplication).
+ *  - routingKey / payload / headers: everything needed to publish without re-reading the aggregate.
+ *  - attempts / nextAttemptAt / lastError: relay retry bookkeeping (nextAttemptAt doubles as claim lease).
+ *
+ * Indexes:
+ *  - status + nextAttemptAt: relay polling (oldest due first).
+ *  - dispatchedAt TTL: dispatched events are purged after 7 days.
+ */
+const mongoose = require("mongoose");
+const baseSchema = require("../../../_shared/db/baseSchema");
+const { OutboxStatus } = require("./outbox.enum");
+
+const DISPATCHED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const outboxEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  routingKey: {
+    type: String,
+    required: true,
+  },
+  aggregateType: {
+    type: String,
+  },
+  aggregateId: {
+    type: String,
+    index: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(OutboxStatus),
+      message: "Invalid outbox status",
+    },
+    default: OutboxStatus.PENDING,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  dispatchedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+outboxEventSchema.add(baseSchema);
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEventSchema.index(
+  { dispatchedAt: 1 },
+  { expireAfterSeconds: DISPATCHED_RETENTION_SECONDS }
+);
+
+module.exports = mongoose.model("OutboxEvent", outboxEventSchema);
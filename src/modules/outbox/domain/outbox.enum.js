@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Outbox event lifecycle enum.
+ *
+ * OutboxStatus:
+ *  - PENDING: written with the business transaction; waiting for the relay.
+ *  - DISPATCHED: confirmed by the broker; kept until TTL cleanup.
+ */
+const OutboxStatus = Object.freeze({
+  PENDING: "PENDING",
+  DISPATCHED: "DISPATCHED",
+});
+
+module.exports = {
+  OutboxStatus,
+};
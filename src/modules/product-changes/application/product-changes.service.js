@@ -3,20 +3,29 @@
  *
  * Responsibilities:
  *  - Create immutable audit entries for product lifecycle changes.
- *  - Retrieve change history (sorted newest first).
+ *  - Retrieve change history (sorted newest first), filtered and paginated across the
+ *    catalog or per product, and the chronological trail used for point-in-time reconstruction.
  *
  * Data Model:
  *  - Stores previousValues and newValues as JSON strings (immutable snapshots).
+ *  - Stores field-level changes derived from those snapshots (computeFieldChanges).
  *
  * Consistency:
- *  - Caller responsible for constructing business field subset (service does not diff).
+ *  - Caller responsible for constructing business field subset; the service only derives
+ *    per-field descriptors from what it is given.
+ *
+ * Filtering:
+ *  - productId, changedBy, operation, changedAt range (from/to) and touched field.
+ *  - The field filter matches the stored field-level changes, so entries written before
+ *    field-level diffs existed are not matched by it.
  *
  * Future:
- *  - Add pagination for very large histories.
+ *  - Periodic snapshots so reconstruction does not replay the full trail.
  *  - Add actor enrichment (e.g. caching user lookups).
  */
 const BaseService = require("../../../_shared/service/base.service");
 const ProductChange = require("../domain/product-change.schema");
+const { computeFieldChanges } = require("../../products/application/diff.util");
 
 class ProductChangeService extends BaseService {
   constructor() {
@@ -27,11 +36,21 @@ class ProductChangeService extends BaseService {
    * Create audit record.
    * @param {string|ObjectId} productId
    * @param {string|ObjectId} changedBy
-   * @param {"CREATE"|"UPDATE"|"STATUS_CHANGE"} operation
+   * @param {"CREATE"|"UPDATE"|"STATUS_CHANGE"|"DELETE"} operation
    * @param {object} previous
    * @param {object} next
+   * @param {{session?: import('mongoose').ClientSession, comment?: string|null}} [options]
+   *  - session: join the caller's transaction
+   *  - comment: free text stored with the entry (e.g. rejection reason)
    */
-  async createAudit(productId, changedBy, operation, previous = {}, next = {}) {
+  async createAudit(
+    productId,
+    changedBy,
+    operation,
+    previous = {},
+    next = {},
+    { comment = null, ...options } = {}
+  ) {
     try {
       const payload = {
         productId,
@@ -39,22 +58,62 @@ class ProductChangeService extends BaseService {
         changedAt: new Date(),
         previousValues: JSON.stringify(previous || {}),
         newValues: JSON.stringify(next || {}),
+        changes: computeFieldChanges(previous || {}, next || {}),
         operation,
+        comment,
       };
-      return await this.create(payload);
+      return await this.create(payload, [], null, options);
     } catch (error) {
       return this.handleError(error);
     }
   }
 
+  /**
+   * Translate ProductChangeFilterInput into a Mongo query (deletedAt not included).
+   * @param {{productId?, changedBy?, operation?, from?: Date, to?: Date, field?: string}} [filter]
+   * @returns {object}
+   */
+  buildFilterQuery(filter = {}) {
+    const { productId, changedBy, operation, from, to, field } = filter || {};
+    const query = {};
+    if (productId) query.productId = productId;
+    if (changedBy) query.changedBy = changedBy;
+    if (operation) query.operation = operation;
+    if (from || to) {
+      query.changedAt = {};
+      if (from) query.changedAt.$gte = from;
+      if (to) query.changedAt.$lte = to;
+    }
+    if (field) {
+      const escaped = field.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      // Exact path or any nested path below it (manufacturer -> manufacturer.country)
+      query["changes.field"] = { $regex: `^${escaped}(\\.|$)` };
+    }
+    return query;
+  }
+
+  /**
+   * Paginated change history across the catalog, newest first.
+   * @param {number} page
+   * @param {number} limit
+   * @param {object} [filter] - see buildFilterQuery
+   */
+  async findChanges(page = 0, limit = 20, filter = {}) {
+    return this.findAll(page, limit, this.buildFilterQuery(filter), [], null, {
+      changedAt: -1,
+      _id: -1,
+    });
+  }
+
   /**
    * Retrieve audit history in reverse chronological order.
    * @param {string|ObjectId} productId
+   * @param {object} [filter] - see buildFilterQuery (productId is fixed)
    */
-  async findByProduct(productId) {
+  async findByProduct(productId, filter = {}) {
     try {
       const docs = await this.model
-        .find({ productId, deletedAt: null })
+        .find({ ...this.buildFilterQuery(filter), productId, deletedAt: null })
         .sort({ changedAt: -1 })
         .lean()
         .exec();
@@ -63,6 +122,55 @@ class ProductChangeService extends BaseService {
       return this.handleError(error);
     }
   }
+
+  /**
+   * Histories of many products in one `$in` query (newest first), grouped by productId.
+   * Used by the GraphQL change loader.
+   * @param {Array<string|ObjectId>} productIds
+   * @param {object} [filter] - see buildFilterQuery (productId is ignored)
+   * @returns {Promise<{status:number, data?: Map<string, object[]>, error?: string}>}
+   */
+  async findByProducts(productIds, filter = {}) {
+    try {
+      const docs = await this.model
+        .find({
+          ...this.buildFilterQuery(filter),
+          productId: { $in: productIds },
+          deletedAt: null,
+        })
+        .sort({ changedAt: -1, _id: -1 })
+        .lean()
+        .exec();
+
+      const grouped = new Map(productIds.map((id) => [String(id), []]));
+      for (const doc of docs) {
+        grouped.get(String(doc.productId))?.push(doc);
+      }
+      return { status: 200, data: grouped };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Audit trail in chronological order (oldest first), for state reconstruction.
+   * @param {string|ObjectId} productId
+   * @param {{until?: Date}} [options] - only entries with changedAt <= until
+   */
+  async findTrail(productId, { until = null } = {}) {
+    try {
+      const query = { productId, deletedAt: null };
+      if (until) query.changedAt = { $lte: until };
+      const docs = await this.model
+        .find(query)
+        .sort({ changedAt: 1, _id: 1 })
+        .lean()
+        .exec();
+      return { status: 200, data: docs };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
 }
 
 module.exports = new ProductChangeService();
\ No newline at end of file
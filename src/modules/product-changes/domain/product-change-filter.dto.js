@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Joi schema for change-history filters (productChanges query, Product.changes args).
+ *
+ * Constraints:
+ *  - operation limited to OperationType values.
+ *  - changedAt range: from / to inclusive; to must not precede from.
+ *  - field: touched field name or dotted path ("manufacturer" also matches "manufacturer.country").
+ */
+const Joi = require("joi");
+const { OperationType } = require("../../products/domain/product.enum");
+
+const objectId = Joi.string().hex().length(24);
+
+module.exports = Joi.object({
+  productId: objectId.optional(),
+  changedBy: objectId.optional(),
+  operation: Joi.string()
+    .valid(...Object.values(OperationType))
+    .optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().min(Joi.ref("from")).optional().messages({
+    "date.min": "to must not be earlier than from",
+  }),
+  field: Joi.string().trim().min(1).max(100).optional(),
+});
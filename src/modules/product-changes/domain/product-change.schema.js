@@ -6,11 +6,15 @@
  *
  * Fields:
  *  - previousValues / newValues stored as JSON strings for snapshot fidelity.
- *  - operation limited to enumerated values ("CREATE", "UPDATE", "STATUS_CHANGE").
+ *  - operation limited to enumerated values ("CREATE", "UPDATE", "STATUS_CHANGE", "DELETE").
+ *  - comment: optional free text (e.g. editor rejection reason on STATUS_CHANGE).
+ *  - changes: field-level descriptors ({ field, oldValue, newValue }) derived from the snapshots;
+ *    nested fields use dotted paths (e.g. "manufacturer.country"). Empty on legacy entries.
  *
  * Indexes:
  *  - productId + changedAt (desc sorting facilitated)
  *  - productId alone for quick history filtering
+ *  - changedBy + changedAt and changes.field + changedAt for catalog-wide history filters
  *
  * Validation:
  *  - Each JSON string must parse successfully (guarantees consumers can rely on parse).
@@ -20,7 +24,6 @@
  *
  * Future:
  *  - Consider compression if snapshots get large.
- *  - Add diff metadata for faster UI rendering.
  */
 const mongoose = require("mongoose");
 const baseSchema = require("../../../_shared/db/baseSchema");
@@ -79,6 +82,20 @@ const productChangeSchema = new mongoose.Schema({
     },
   },
 
+  changes: {
+    type: [
+      new mongoose.Schema(
+        {
+          field: { type: String, required: true },
+          oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+          newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+        { _id: false }
+      ),
+    ],
+    default: [],
+  },
+
   operation: {
     type: String,
     enum: {
@@ -87,9 +104,18 @@ const productChangeSchema = new mongoose.Schema({
     },
     required: true,
   },
+
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, "comment must be at most 2000 characters"],
+    default: null,
+  },
 });
 
 productChangeSchema.add(baseSchema);
 productChangeSchema.index({ productId: 1, changedAt: -1 });
+productChangeSchema.index({ changedBy: 1, changedAt: -1 });
+productChangeSchema.index({ "changes.field": 1, changedAt: -1 });
 
 module.exports = mongoose.model("ProductChange", productChangeSchema);
\ No newline at end of file
@@ -1,101 +1,51 @@
 /**
- * @fileoverview (NOTE) The file currently contains user-related resolvers inside product-changes path.
+ * @fileoverview GraphQL resolvers for ProductChange (audit trail) entries.
  *
- * Observation:
- *  - File name suggests it should expose ProductChange resolvers but actual content relates to Users.
- *  - This may be a misplaced file or copy/paste artifact.
+ * Patterns:
+ *  - Validate filters via DTO; use the service layer only.
+ *  - changedBy is resolved through ctx.loaders.userById (one `$in` query per request tick).
  *
- * Recommendation:
- *  - Relocate to users/graphql or rename properly.
- *  - If ProductChange resolvers are needed, implement Query.productChanges(productId) etc.
- *
- * Below: Original content retained unmodified. Added comments only.
+ * Security:
+ *  - Authorization handled at schema level by @requires(permission: "audit:read"), so any
+ *    role granted audit:read may query the trail.
  */
-const UserService = require("../../users/application/user.service");
-const userPopulate = require("../../users/domain/user.populate");
-const createUserDto = require("../../users/domain/user.dto");
-const updateUserDto = require("../../users/domain/userUpdate.dto");
+const ProductChangeService = require("../application/product-changes.service");
+const changeFilterDto = require("../domain/product-change-filter.dto");
+const { computeFieldChanges } = require("../../products/application/diff.util");
 const { unwrap, toGraphQLError } = require("../../../graphql/error.utils");
-
-const selectOptions = "-password -tests";
+const { toPage } = require("../../../graphql/pagination.utils");
+const { loadRef } = require("../../../graphql/loaders");
 
 module.exports = {
   Query: {
-    user: async (_parent, { id }) => {
-      const result = await UserService.findById(id, userPopulate, selectOptions);
-      return unwrap(result, "Failed to fetch user");
+    productChange: async (_p, { id }) => {
+      const res = await ProductChangeService.findById(id);
+      return unwrap(res, "Failed to fetch product change");
     },
 
-    users: async (_parent, { page = 0, limit = 10, filter }) => {
-      const result = await UserService.findAll(
-        page,
-        limit,
-        filter,
-        userPopulate,
-        selectOptions
-      );
-
-      if (result.status >= 400) {
-        throw toGraphQLError(result, "Failed to list users");
-      }
-
-      const { data = [], pagination = {} } = result;
-      return {
-        items: data,
-        pageInfo: {
-          page: pagination.currentPage ?? page,
-          limit: pagination.pageSize ?? limit,
-          totalItems: pagination.totalDocs ?? data.length,
-          totalPages: pagination.totalPages ?? 1,
-          hasNextPage:
-            typeof pagination.currentPage === "number" &&
-            typeof pagination.totalPages === "number"
-              ? pagination.currentPage + 1 < pagination.totalPages
-              : false,
-          hasPrevPage:
-            typeof pagination.currentPage === "number"
-              ? pagination.currentPage > 0
-              : false,
-        },
-      };
+    productChanges: async (_p, { page = 0, limit = 20, filter }) => {
+      const value = await changeFilterDto.validateAsync(filter || {}, { abortEarly: false });
+      const res = await ProductChangeService.findChanges(page, limit, value);
+      if (res.status >= 400) throw toGraphQLError(res, "Failed to list product changes");
+      return toPage(res, page, limit);
     },
   },
 
-  Mutation: {
-    createUser: async (_parent, { input }) => {
-      await createUserDto.validateAsync(input, { abortEarly: false });
-      const result = await UserService.create(
-        input,
-        userPopulate,
-        selectOptions
-      );
-      return unwrap(result, "Failed to create user");
-    },
-
-    updateUser: async (_parent, { id, input }) => {
-      await updateUserDto.validateAsync(input, { abortEarly: false });
-      const result = await UserService.updateById(
-        id,
-        input,
-        userPopulate,
-        selectOptions
-      );
-      return unwrap(result, "Failed to update user");
-    },
-
-    softDeleteUser: async (_parent, { id }) => {
-      const result = await UserService.softDeleteById(
-        id,
-        userPopulate,
-        selectOptions
-      );
-      return unwrap(result, "Failed to soft delete user");
+  ProductChange: {
+    id: (doc) => doc.id || doc._id?.toString(),
+    productId: (doc) => doc.productId?.toString(),
+    changedBy: (doc, _args, ctx) => loadRef(ctx.loaders.userById, doc.changedBy),
+    changes: (doc) => {
+      if (doc.changes?.length) return doc.changes;
+      // Legacy entries (before field-level diffs) only carry the JSON snapshots.
+      try {
+        return computeFieldChanges(
+          JSON.parse(doc.previousValues || "{}"),
+          JSON.parse(doc.newValues || "{}")
+        );
+      } catch {
+        return [];
+      }
     },
   },
-
-  User: {
-    id: (user) => user.id || user._id?.toString(),
-    role: (user) => user.role,
-    lastUsedRole: (user) => user.lastUsedRole,
-  },
-};
\ No newline at end of file
+};
@@ -4,14 +4,13 @@
  * Responsibilities:
  *  - Identify which business fields are changing.
  *  - Produce previous/next snapshots only when a real change occurs.
+ *  - Produce field-level change descriptors ({ field, oldValue, newValue }) with dotted
+ *    paths for nested objects (e.g. "manufacturer.country").
+ *  - Replay an ordered audit trail into the business-field state at that point.
  *
  * Limitations:
- *  - Shallow comparison; nested objects compared via JSON.stringify equality.
- *  - Not suitable for very large nested documents (performance).
- *
- * Future:
- *  - Introduce deep diff with field-level change descriptors.
- *  - Expose list of changed field names explicitly.
+ *  - Snapshot detection compares top-level fields via JSON.stringify equality.
+ *  - Arrays are compared as a whole (no per-index descriptors).
  */
 
 /**
@@ -72,8 +71,110 @@ function computeAuditDiff(currentDoc, updates) {
   return { previous: prevSnapshot, next: nextSnapshot };
 }
 
+const isPlainObject = (v) =>
+  v !== null &&
+  typeof v === "object" &&
+  !Array.isArray(v) &&
+  !(v instanceof Date) &&
+  !(typeof v.toHexString === "function"); // ObjectId
+
+/**
+ * Normalize a leaf value for storage/comparison (Dates -> ISO, ObjectId -> string).
+ */
+function normalizeLeaf(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toHexString === "function") return value.toHexString();
+  return value;
+}
+
+/**
+ * Flatten nested plain objects into dotted leaf paths.
+ * @param {object} obj
+ * @param {string} [prefix]
+ * @param {object} [out]
+ * @returns {Object<string, *>}
+ */
+function flatten(obj, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length) {
+      flatten(value, path, out);
+    } else {
+      out[path] = normalizeLeaf(value);
+    }
+  }
+  return out;
+}
+
+/**
+ * Field-level changes between two snapshots.
+ * Paths missing on one side are reported with null. Order follows BUSINESS_FIELDS,
+ * then any other top-level field alphabetically.
+ *
+ * @param {object} previous
+ * @param {object} next
+ * @returns {{field:string, oldValue:*, newValue:*}[]}
+ */
+function computeFieldChanges(previous = {}, next = {}) {
+  const before = flatten(previous);
+  const after = flatten(next);
+  const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  const rank = (path) => {
+    const idx = BUSINESS_FIELDS.indexOf(path.split(".")[0]);
+    return idx === -1 ? BUSINESS_FIELDS.length : idx;
+  };
+
+  return [...paths]
+    .filter((path) => JSON.stringify(before[path] ?? null) !== JSON.stringify(after[path] ?? null))
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map((field) => ({
+      field,
+      oldValue: before[field] ?? null,
+      newValue: after[field] ?? null,
+    }));
+}
+
+/**
+ * Rebuild business-field state by applying audit entries in chronological order.
+ * Each entry's newValues (JSON string) is merged over the state; a CREATE entry resets
+ * it with every business field (missing ones -> null). DELETE entries carry deletedAt.
+ *
+ * @param {object[]} entries - ProductChange docs sorted oldest first
+ * @returns {{state: object, complete: boolean, deleted: boolean, lastChange: object|null}}
+ *  complete: a CREATE entry was seen (state covers every business field)
+ */
+function replayAuditTrail(entries = []) {
+  let state = {};
+  let complete = false;
+  let deleted = false;
+  let lastChange = null;
+
+  for (const entry of entries) {
+    const next =
+      typeof entry.newValues === "string"
+        ? JSON.parse(entry.newValues || "{}")
+        : entry.newValues || {};
+
+    if (entry.operation === "CREATE") {
+      state = Object.fromEntries(BUSINESS_FIELDS.map((field) => [field, null]));
+      complete = true;
+    }
+    Object.assign(state, pick(next, BUSINESS_FIELDS));
+    if (Object.prototype.hasOwnProperty.call(next, "deletedAt")) {
+      deleted = next.deletedAt != null;
+    }
+    lastChange = entry;
+  }
+
+  return { state, complete, deleted, lastChange };
+}
+
 module.exports = {
   BUSINESS_FIELDS,
   pick,
   computeAuditDiff,
+  computeFieldChanges,
+  replayAuditTrail,
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Catalog export formatters (one product at a time, streaming friendly).
+ *
+ * Each formatter exposes:
+ *  - contentType / extension
+ *  - header(): string written once before the first product
+ *  - row(doc): string for one (lean) product document
+ *  - footer(): string written once after the last product
+ *
+ * Formats:
+ *  - csv: same column names the bulk import understands (metadata columns are
+ *    ignored on re-import), RFC 4180 quoting, CRLF line endings.
+ *  - ndjson: one JSON object per line.
+ *  - xml: GS1-style trade item feed (gtin, brandName, descriptionShort,
+ *    tradeItemDescription, netContent with UN/ECE Rec. 20 unit code, manufacturer).
+ */
+const { toCsvLine } = require("../../../_shared/utils/csv.util");
+
+const CSV_HEADERS = [
+  "id",
+  "gtin",
+  "name",
+  "description",
+  "brand",
+  "manufacturer.name",
+  "manufacturer.code",
+  "manufacturer.country",
+  "netWeight",
+  "weightUnit",
+  "status",
+  "createdBy",
+  "createdAt",
+  "updatedAt",
+];
+
+// UN/ECE Recommendation 20 codes used by GS1 for netContent.
+const GS1_UNIT_CODES = {
+  g: "GRM",
+  kg: "KGM",
+  ml: "MLT",
+  l: "LTR",
+  oz: "ONZ",
+  lb: "LBR",
+};
+
+/**
+ * Plain JSON shape shared by NDJSON export.
+ * @param {object} doc - Lean product document
+ */
+function toExportObject(doc) {
+  return {
+    id: String(doc._id),
+    gtin: doc.gtin,
+    name: doc.name,
+    description: doc.description ?? null,
+    brand: doc.brand,
+    manufacturer: {
+      name: doc.manufacturer?.name ?? null,
+      code: doc.manufacturer?.code ?? null,
+      country: doc.manufacturer?.country ?? null,
+    },
+    netWeight: doc.netWeight ?? null,
+    weightUnit: doc.weightUnit ?? null,
+    status: doc.status,
+    createdBy: doc.createdBy ? String(doc.createdBy) : null,
+    createdAt: doc.createdAt ?? null,
+    updatedAt: doc.updatedAt ?? null,
+  };
+}
+
+/**
+ * Escape text for XML element content / attribute values.
+ * Characters not allowed in XML 1.0 are dropped.
+ * @param {*} value
+ */
+function escapeXml(value) {
+  return String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const xmlElement = (name, value, indent) =>
+  value === null || value === undefined || value === ""
+    ? ""
+    : `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+
+const csvFormatter = {
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+  header: () => toCsvLine(CSV_HEADERS),
+  row: (doc) => {
+    const o = toExportObject(doc);
+    return toCsvLine([
+      o.id,
+      o.gtin,
+      o.name,
+      o.description,
+      o.brand,
+      o.manufacturer.name,
+      o.manufacturer.code,
+      o.manufacturer.country,
+      o.netWeight,
+      o.weightUnit,
+      o.status,
+      o.createdBy,
+      o.createdAt,
+      o.updatedAt,
+    ]);
+  },
+  footer: () => "",
+};
+
+const ndjsonFormatter = {
+  contentType: "application/x-ndjson; charset=utf-8",
+  extension: "ndjson",
+  header: () => "",
+  row: (doc) => `${JSON.stringify(toExportObject(doc))}\n`,
+  footer: () => "",
+};
+
+const xmlFormatter = {
+  contentType: "application/xml; charset=utf-8",
+  extension: "xml",
+  header: () =>
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<catalogueItemFeed creationDateTime="${new Date().toISOString()}">\n`,
+  row: (doc) => {
+    const i2 = "    ";
+    const i3 = "      ";
+    let out = "  <tradeItem>\n";
+    out += xmlElement("gtin", doc.gtin, i2);
+    out += xmlElement("brandName", doc.brand, i2);
+    out += xmlElement("descriptionShort", doc.name, i2);
+    out += xmlElement("tradeItemDescription", doc.description, i2);
+    if (doc.netWeight !== null && doc.netWeight !== undefined) {
+      const unit = GS1_UNIT_CODES[doc.weightUnit];
+      const attr = unit ? ` measurementUnitCode="${unit}"` : "";
+      out += `${i2}<netContent${attr}>${escapeXml(doc.netWeight)}</netContent>\n`;
+    }
+    if (doc.manufacturer) {
+      out += `${i2}<manufacturerOfTradeItem>\n`;
+      out += xmlElement("partyName", doc.manufacturer.name, i3);
+      out += xmlElement("gln", doc.manufacturer.code, i3);
+      out += xmlElement("countryCode", doc.manufacturer.country, i3);
+      out += `${i2}</manufacturerOfTradeItem>\n`;
+    }
+    out += xmlElement("tradeItemStatus", doc.status, i2);
+    out += xmlElement("lastChangeDateTime", doc.updatedAt?.toISOString?.() ?? doc.updatedAt, i2);
+    out += "  </tradeItem>\n";
+    return out;
+  },
+  footer: () => "</catalogueItemFeed>\n",
+};
+
+const ExportFormatters = Object.freeze({
+  csv: csvFormatter,
+  ndjson: ndjsonFormatter,
+  xml: xmlFormatter,
+});
+
+module.exports = {
+  CSV_HEADERS,
+  GS1_UNIT_CODES,
+  ExportFormatters,
+  escapeXml,
+  toExportObject,
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Bulk import file parsing (CSV / JSON / NDJSON -> product candidates).
+ *
+ * Output:
+ *  - rows: [{ row, data }] where row is the 1-based record number users can find in
+ *    their file (CSV: source line, NDJSON: line, JSON: array position) and data is a
+ *    product-shaped object ready for product.dto validation.
+ *  - invalid: [{ row, reasons }] for records that could not be parsed at all (NDJSON).
+ *
+ * CSV Columns (case/underscore/dot-insensitive):
+ *  gtin, name, description, brand, manufacturer.name, manufacturer.code,
+ *  manufacturer.country, netWeight, weightUnit. Metadata columns written by the export
+ *  (id, status, createdBy, createdAt, updatedAt) are ignored so exports can be re-imported.
+ *  Other unknown columns are passed through so validation reports them. Empty cells are
+ *  treated as missing.
+ *
+ * Errors:
+ *  - Throws ImportParseError for file-level problems (unknown format, malformed JSON/CSV).
+ */
+const path = require("path");
+const { parseCsv } = require("../../../_shared/utils/csv.util");
+const { ImportFormat } = require("../domain/product-import.enum");
+
+class ImportParseError extends Error {}
+
+const CSV_COLUMNS = {
+  gtin: ["gtin"],
+  name: ["name"],
+  description: ["description"],
+  brand: ["brand"],
+  manufacturername: ["manufacturer", "name"],
+  manufacturercode: ["manufacturer", "code"],
+  manufacturercountry: ["manufacturer", "country"],
+  netweight: ["netWeight"],
+  weightunit: ["weightUnit"],
+};
+
+// Written by the CSV export; never imported (status comes from the workflow).
+const IGNORED_COLUMNS = ["id", "status", "createdby", "createdat", "updatedat"];
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[\s._-]/g, "");
+
+/**
+ * Resolve the import format from an explicit value, file extension or MIME type.
+ * @param {{format?:string, fileName?:string, mimeType?:string}} hints
+ * @returns {string|null} ImportFormat value
+ */
+function detectFormat({ format, fileName, mimeType } = {}) {
+  const values = Object.values(ImportFormat);
+  if (format) return values.includes(format.toLowerCase()) ? format.toLowerCase() : null;
+
+  const ext = path.extname(fileName || "").slice(1).toLowerCase();
+  if (ext === "jsonl") return ImportFormat.NDJSON;
+  if (values.includes(ext)) return ext;
+
+  const mime = (mimeType || "").toLowerCase();
+  if (mime.includes("csv")) return ImportFormat.CSV;
+  if (mime.includes("ndjson") || mime.includes("jsonl")) return ImportFormat.NDJSON;
+  if (mime.includes("json")) return ImportFormat.JSON;
+  return null;
+}
+
+/**
+ * Map one CSV record (header -> string) to a product-shaped object.
+ * @param {object} values
+ */
+function csvValuesToProduct(values) {
+  const product = {};
+  for (const [header, raw] of Object.entries(values)) {
+    const value = typeof raw === "string" ? raw.trim() : raw;
+    if (value === "" || value === undefined) continue;
+
+    const key = normalizeHeader(header);
+    if (IGNORED_COLUMNS.includes(key)) continue;
+
+    const target = CSV_COLUMNS[key];
+    if (!target) {
+      product[header] = value; // surfaced by validation as "not allowed"
+    } else if (target.length === 2) {
+      product[target[0]] = product[target[0]] || {};
+      product[target[0]][target[1]] = value;
+    } else {
+      product[target[0]] = value;
+    }
+  }
+  return product;
+}
+
+function parseCsvFile(text) {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (err) {
+    throw new ImportParseError(`Malformed CSV: ${err.message}`);
+  }
+  if (!parsed.headers.some((h) => normalizeHeader(h) === "gtin")) {
+    throw new ImportParseError("CSV header row must include a gtin column");
+  }
+  return {
+    rows: parsed.rows.map(({ line, values }) => ({ row: line, data: csvValuesToProduct(values) })),
+    invalid: [],
+  };
+}
+
+function parseJsonFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new ImportParseError(`Malformed JSON: ${err.message}`);
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.products;
+  if (!Array.isArray(items)) {
+    throw new ImportParseError('JSON must be an array of products or { "products": [...] }');
+  }
+  return { rows: items.map((data, idx) => ({ row: idx + 1, data })), invalid: [] };
+}
+
+function parseNdjsonFile(text) {
+  const rows = [];
+  const invalid = [];
+  text.split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    try {
+      rows.push({ row: idx + 1, data: JSON.parse(line) });
+    } catch (err) {
+      invalid.push({ row: idx + 1, reasons: [`Malformed JSON: ${err.message}`] });
+    }
+  });
+  return { rows, invalid };
+}
+
+/**
+ * Parse an uploaded file.
+ * @param {Buffer|string} content
+ * @param {string} format - ImportFormat value
+ * @returns {{rows:{row:number,data:object}[], invalid:{row:number,reasons:string[]}[]}}
+ */
+function parseImportFile(content, format) {
+  const text = Buffer.isBuffer(content) ? content.toString("utf8") : String(content || "");
+  switch (format) {
+    case ImportFormat.CSV:
+      return parseCsvFile(text);
+    case ImportFormat.JSON:
+      return parseJsonFile(text);
+    case ImportFormat.NDJSON:
+      return parseNdjsonFile(text);
+    default:
+      throw new ImportParseError(`Unsupported import format: ${format}`);
+  }
+}
+
+module.exports = {
+  ImportParseError,
+  detectFormat,
+  csvValuesToProduct,
+  parseImportFile,
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview ProductExportService: streaming catalog export.
+ *
+ * Flow:
+ *  - Filters are the GraphQL ProductFilterInput fields (ProductService.buildFilterQuery).
+ *  - Scoped to what the caller may read: providers only export the products they own
+ *    (their organization's, or their own outside any organization).
+ *  - Products are read through a Mongo cursor (sorted by _id, lean, batched) and turned
+ *    into chunks by the selected formatter (export.formatters.js) inside an async
+ *    generator, so memory stays flat regardless of catalog size.
+ *  - The returned Readable applies backpressure: the cursor only advances as fast as
+ *    the client consumes the response. Destroying the stream closes the cursor.
+ *
+ * Consistency:
+ *  - The cursor is not a snapshot; products changed during a long export may appear
+ *    with either version.
+ */
+const { Readable } = require("stream");
+const Product = require("../domain/product.schema");
+const ProductService = require("./product.service");
+const { ExportFormatters } = require("./export.formatters");
+
+const CURSOR_BATCH_SIZE = 500;
+
+class ProductExportService {
+  /**
+   * Async generator yielding the export document chunk by chunk.
+   * @param {object} formatter
+   * @param {object} query - Mongo filter
+   */
+  async *generate(formatter, query) {
+    const cursor = Product.find(query)
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+    try {
+      const header = formatter.header();
+      if (header) yield header;
+      for await (const doc of cursor) {
+        yield formatter.row(doc);
+      }
+      const footer = formatter.footer();
+      if (footer) yield footer;
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Prepare a streaming export.
+   * @param {object} filter - ProductFilterInput fields
+   * @param {string} format - csv | ndjson | xml
+   * @param {object} [actor] - { userId, role, organizationId } of the caller
+   * @returns {{status:number, data?:{stream:Readable, contentType:string, fileName:string}, error?:string}}
+   */
+  createExport(filter = {}, format = "csv", actor = null) {
+    const formatter = ExportFormatters[format];
+    if (!formatter) {
+      return { status: 400, error: `Unsupported export format: ${format}` };
+    }
+
+    const query = { ...ProductService.buildFilterQuery(filter, actor), deletedAt: null };
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+    return {
+      status: 200,
+      data: {
+        stream: Readable.from(this.generate(formatter, query)),
+        contentType: formatter.contentType,
+        fileName: `products-${stamp}.${formatter.extension}`,
+      },
+    };
+  }
+}
+
+module.exports = new ProductExportService();
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview ProductImportService: bulk product creation from uploaded files.
+ *
+ * Flow:
+ *  1. Detect format + parse the file (import.parser.js); file-level errors -> 400.
+ *  2. Persist an ImportJob (QUEUED) with totalRows.
+ *  3. Small files (<= config.IMPORT.syncMaxRows) are processed inline and the full
+ *     report is returned (201); larger files are processed in the background (202)
+ *     and polled through getJob().
+ *
+ * Row Processing (sequential, one product transaction per row):
+ *  - product.dto validation (includes isValidGTIN) -> INVALID with Joi messages.
+ *  - GTIN seen earlier in the file or already in the catalog -> DUPLICATE.
+ *  - ProductService.createWithRole -> CREATED (initial status from the workflow, same
+ *    audit entry and product.created event as the GraphQL mutation).
+ *
+ * Limitations:
+ *  - Background jobs run in the API process; a restart leaves the job RUNNING with the
+ *    progress saved so far (re-upload the file: created rows come back as DUPLICATE).
+ */
+const BaseService = require("../../../_shared/service/base.service");
+const ImportJob = require("../domain/import-job.schema");
+const Product = require("../domain/product.schema");
+const ProductService = require("./product.service");
+const createDto = require("../domain/product.dto");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { ImportJobStatus, ImportRowOutcome } = require("../domain/product-import.enum");
+const { ImportParseError, detectFormat, parseImportFile } = require("./import.parser");
+const { logger } = require("../../../_shared/utils/logger");
+const config = require("../../../_shared/config/config");
+
+// Roles allowed to read any import job (others only see their own).
+const SUPERVISOR_ROLES = [RoleTypeEnum.ADMIN, RoleTypeEnum.MANAGER, RoleTypeEnum.EDITOR];
+
+class ProductImportService extends BaseService {
+  constructor() {
+    super(ImportJob);
+  }
+
+  /**
+   * Validate and import an uploaded file.
+   * @param {object} actor - { userId, role }
+   * @param {{buffer:Buffer, originalname?:string, mimetype?:string}} file - multer file
+   * @param {{format?:string}} [options] - Explicit format overrides extension/MIME detection
+   */
+  async startImport(actor, file, { format } = {}) {
+    try {
+      if (!file?.buffer?.length) {
+        return { status: 400, error: "An import file is required (multipart field 'file')" };
+      }
+
+      const resolved = detectFormat({
+        format,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+      });
+      if (!resolved) {
+        return { status: 400, error: "Unsupported file format (use csv, json or ndjson)" };
+      }
+
+      let parsed;
+      try {
+        parsed = parseImportFile(file.buffer, resolved);
+      } catch (err) {
+        if (err instanceof ImportParseError) return { status: 400, error: err.message };
+        throw err;
+      }
+
+      const totalRows = parsed.rows.length + parsed.invalid.length;
+      if (totalRows === 0) {
+        return { status: 400, error: "The import file contains no rows" };
+      }
+      if (totalRows > config.IMPORT.maxRows) {
+        return {
+          status: 400,
+          error: `Too many rows (${totalRows}); the limit is ${config.IMPORT.maxRows} per file`,
+        };
+      }
+
+      const jobRes = await this.create({
+        createdBy: actor.userId,
+        role: (actor.role || "").toLowerCase(),
+        fileName: file.originalname || null,
+        format: resolved,
+        totalRows,
+      });
+      if (jobRes.status >= 400) return jobRes;
+      const job = jobRes.data;
+
+      if (totalRows <= config.IMPORT.syncMaxRows) {
+        await this.processJob(job._id, actor, parsed);
+        const done = await this.findById(job._id);
+        return done.status === 200 ? { status: 201, data: done.data } : done;
+      }
+
+      setImmediate(() => {
+        this.processJob(job._id, actor, parsed).catch((err) =>
+          logger(`[Import] job ${job._id} crashed: ${err?.message}`, "ERROR:", "red")
+        );
+      });
+      return { status: 202, data: job };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Process all rows of a job, saving progress every config.IMPORT.progressEvery rows.
+   * @param {string|ObjectId} jobId
+   * @param {object} actor
+   * @param {{rows:object[], invalid:object[]}} parsed
+   */
+  async processJob(jobId, actor, parsed) {
+    const counts = { created: 0, duplicates: 0, invalid: 0, failed: 0 };
+    const results = [];
+    const seen = new Map(); // gtin -> first row number
+
+    const record = (result) => {
+      results.push(result);
+      if (result.outcome === ImportRowOutcome.CREATED) counts.created++;
+      else if (result.outcome === ImportRowOutcome.DUPLICATE) counts.duplicates++;
+      else if (result.outcome === ImportRowOutcome.INVALID) counts.invalid++;
+      else counts.failed++;
+    };
+
+    const saveProgress = (extra = {}) =>
+      ImportJob.updateOne(
+        { _id: jobId },
+        {
+          $set: {
+            processedRows: results.length,
+            counts,
+            results: [...results].sort((a, b) => a.row - b.row),
+            ...extra,
+          },
+        }
+      );
+
+    await ImportJob.updateOne(
+      { _id: jobId },
+      { $set: { status: ImportJobStatus.RUNNING, startedAt: new Date() } }
+    );
+
+    try {
+      for (const bad of parsed.invalid) {
+        record({ row: bad.row, gtin: null, outcome: ImportRowOutcome.INVALID, reasons: bad.reasons });
+      }
+
+      for (const { row, data } of parsed.rows) {
+        record(await this.importRow(actor, row, data, seen));
+        if (results.length % config.IMPORT.progressEvery === 0) await saveProgress();
+      }
+
+      await saveProgress({ status: ImportJobStatus.COMPLETED, finishedAt: new Date() });
+      logger(
+        `[Import] job ${jobId}: ${counts.created} created, ${counts.duplicates} duplicate, ${counts.invalid} invalid, ${counts.failed} failed`,
+        "INFO:",
+        "green"
+      );
+    } catch (err) {
+      await saveProgress({
+        status: ImportJobStatus.FAILED,
+        error: err?.message || "unknown error",
+        finishedAt: new Date(),
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Validate and create one product row.
+   * @returns {Promise<{row:number,gtin:string|null,outcome:string,productId?:ObjectId,reasons:string[]}>}
+   */
+  async importRow(actor, row, data, seen) {
+    const rawGtin = data?.gtin;
+    const gtin = ["string", "number"].includes(typeof rawGtin) ? String(rawGtin).trim() : null;
+
+    const { value, error } = createDto.validate(data, { abortEarly: false });
+    if (error) {
+      return {
+        row,
+        gtin,
+        outcome: ImportRowOutcome.INVALID,
+        reasons: error.details.map((d) => d.message),
+      };
+    }
+
+    if (seen.has(value.gtin)) {
+      return {
+        row,
+        gtin: value.gtin,
+        outcome: ImportRowOutcome.DUPLICATE,
+        reasons: [`gtin already appears in row ${seen.get(value.gtin)}`],
+      };
+    }
+    seen.set(value.gtin, row);
+
+    // Unique index spans soft-deleted products too, so check without deletedAt filter.
+    if (await Product.exists({ gtin: value.gtin })) {
+      return {
+        row,
+        gtin: value.gtin,
+        outcome: ImportRowOutcome.DUPLICATE,
+        reasons: ["gtin already exists in the catalog"],
+      };
+    }
+
+    const res = await ProductService.createWithRole(actor, value);
+    if (res.status === 201) {
+      return {
+        row,
+        gtin: value.gtin,
+        outcome: ImportRowOutcome.CREATED,
+        productId: res.data._id,
+        reasons: [],
+      };
+    }
+    if (String(res.error || "").includes("Duplicate Key")) {
+      return {
+        row,
+        gtin: value.gtin,
+        outcome: ImportRowOutcome.DUPLICATE,
+        reasons: ["gtin already exists in the catalog"],
+      };
+    }
+    return {
+      row,
+      gtin: value.gtin,
+      outcome: ImportRowOutcome.FAILED,
+      reasons: [res.error || `Create failed with status ${res.status}`],
+    };
+  }
+
+  /**
+   * Fetch an import job (owner, or admin/manager/editor).
+   * @param {object} actor
+   * @param {string|ObjectId} id
+   */
+  async getJob(actor, id) {
+    const res = await this.findById(id);
+    if (res.status !== 200) return res;
+
+    const role = (actor?.role || "").toLowerCase();
+    const isOwner = String(res.data.createdBy) === String(actor?.userId);
+    if (!isOwner && !SUPERVISOR_ROLES.includes(role)) {
+      return { status: 403, error: "Forbidden: not the owner of this import" };
+    }
+    return res;
+  }
+}
+
+module.exports = new ProductImportService();
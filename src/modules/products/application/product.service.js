@@ -4,34 +4,88 @@
  * Responsibilities:
  *  - Enforce editorial workflow: provider submissions -> editor approvals.
  *  - Record audit trails for creates/updates/status changes.
- *  - Publish domain events to RabbitMQ (best-effort, never block writes).
- *  - Maintain search index sync in Elasticsearch (best-effort).
+ *  - Emit domain events through the transactional outbox (written in the same
+ *    MongoDB transaction as the product + audit entry; relayed to RabbitMQ after commit).
+ *  - Maintain search index sync in Elasticsearch (best-effort, inline unless the
+ *    search sync consumer owns indexing: config.SEARCH.inlineIndexing=false).
  *
  * Workflow Rules:
- *  - Provider-created products start as PENDING_REVIEW.
- *  - Editor-created products auto-publish (PUBLISHED).
- *  - Only EDITOR may approve PENDING_REVIEW -> PUBLISHED.
- *  - Provider can update only own PENDING_REVIEW items.
+ *  - Declared in domain/product.workflow.js (initial status and edit rules per permission,
+ *    transitions with their required permission and guards). The service only applies them.
+ *  - Every status change goes through transitionProduct(actor, id, action); the
+ *    approve/reject/... methods are thin shortcuts kept for the existing mutations.
+ *  - Status changes write a STATUS_CHANGE audit entry (with the reviewer comment, if any).
+ *  - Soft delete needs product:delete (DELETE audit entry, product.deleted event, removed
+ *    from the search index).
+ *
+ * Ownership:
+ *  - Products take the creator's organizationId, so every member of a supplier organization
+ *    owns them (organizations/domain/organization.policy.js); products without one belong
+ *    to their creator.
+ *
+ * History:
+ *  - productAsOf replays the audit trail to rebuild business fields at a given instant.
+ *  - revertProduct (product:update + audit:read) restores the fields recorded by a change
+ *    through updateWithAudit, so the rollback is itself an UPDATE audit entry +
+ *    product.updated event. Status is not reverted (it stays under workflow control).
+ *
+ * Concurrency:
+ *  - Products carry a version number. Edits and status changes write conditionally on the
+ *    version read beforehand (so the audit `previous` snapshot is never stale) and bump it.
+ *  - Callers may pass expectedVersion (updateProduct / approveProduct / transitionProduct);
+ *    a mismatch, or a write racing between read and update, returns 409 with currentVersion.
  *
  * Resilience:
- *  - RabbitMQ + ES updates are non-transactional. Failures are logged but do not abort DB change.
- *  - Future: consider outbox pattern if at-least-once event emission required.
+ *  - Product write, audit entry and outbox event commit atomically (replica set required).
+ *  - Events are published at-least-once by the outbox relay, retried with backoff while RabbitMQ is down.
+ *  - Inline ES sync stays best-effort; failures are logged but do not abort the DB change.
  *
  * Security:
- *  - Authorization scope (role checks) done here layered on top of GraphQL @auth directive.
+ *  - Authorization (permission checks on actor.permissions) done here layered on top of the
+ *    GraphQL @requires directive, so REST and GraphQL callers get the same rules.
  *
  * Consistency Model:
- *  - ES index may be eventually consistent relative to MongoDB.
- *  - No distributed transaction or saga implemented (deliberate).
+ *  - ES index and event consumers are eventually consistent relative to MongoDB.
+ *  - No distributed transaction or saga implemented (deliberate; the outbox bridges Mongo -> bus).
  */
 const BaseService = require("../../../_shared/service/base.service");
 const Product = require("../domain/product.schema");
-const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { Permission, hasPermission } = require("../../../_shared/enum/permissions.enum");
 const ProductChangeService = require("../../product-changes/application/product-changes.service");
-const { ProductStatus } = require("../domain/product.enum");
-const { computeAuditDiff } = require("./diff.util");
-const { publish: publishEvent } = require("../../../_shared/integrations/rabbitmq/rabbitmq");
-const { upsertProduct } = require("../../../_shared/integrations/elasticsearch/es.product.indexer");
+const { productWorkflow, ProductAction } = require("../domain/product.workflow");
+const {
+  canSeeProduct,
+  productVisibilityQuery,
+} = require("../../organizations/domain/organization.policy");
+const {
+  BUSINESS_FIELDS,
+  pick,
+  computeAuditDiff,
+  replayAuditTrail,
+} = require("./diff.util");
+const OutboxService = require("../../outbox/application/outbox.service");
+const { nudgeOutboxRelay } = require("../../../_shared/jobs/outboxRelay.job");
+const {
+  upsertProduct,
+  deleteProduct: removeFromIndex,
+} = require("../../../_shared/integrations/elasticsearch/es.product.indexer");
+const config = require("../../../_shared/config/config");
+
+/**
+ * Stored version of a product (documents written before versioning count as 0).
+ * @param {object} product
+ */
+function versionOf(product) {
+  return product?.version ?? 0;
+}
+
+/**
+ * Trim an optional free-text comment; empty -> null.
+ * @param {string|null|undefined} value
+ */
+function normalizeComment(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
 
 class ProductService extends BaseService {
   constructor() {
@@ -58,63 +112,111 @@ class ProductService extends BaseService {
   }
 
   /**
-   * Create product enforcing role-based initial status.
-   * Side Effects:
-   *  - Writes product
-   *  - Inserts audit record
-   *  - Publishes rabbit event (best-effort)
+   * Inline ES sync (best-effort, fire-and-forget).
+   * Soft-deleted products are removed from the index; everything else is upserted.
+   * No-op when indexing is delegated to the search sync consumer.
+   * @param {object} doc - Product document
+   */
+  syncSearchIndex(doc) {
+    if (!config.SEARCH.inlineIndexing) return;
+    if (doc?.deletedAt) {
+      removeFromIndex(doc._id || doc.id);
+      return;
+    }
+    upsertProduct(doc);
+  }
+
+  /**
+   * Append a domain event to the outbox inside the current transaction.
+   * Publication happens after commit via the outbox relay.
+   *
+   * @param {string} type - Routing key / event type
+   * @param {string|ObjectId} aggregateId
+   * @param {object} data
+   * @param {object} actor
+   * @param {import('mongoose').ClientSession} session
+   */
+  async enqueueEvent(type, aggregateId, data, actor, session) {
+    const evt = this.buildEventEnvelope(type, aggregateId, data, actor);
+    return OutboxService.enqueue(type, evt, { session });
+  }
+
+  /**
+   * Post-commit side effects: wake the outbox relay and sync search (both best-effort).
+   * @param {object} doc - Committed product document
+   */
+  afterCommit(doc) {
+    nudgeOutboxRelay();
+    this.syncSearchIndex(doc);
+  }
+
+  /**
+   * Create product with the workflow's permission-based initial status.
+   * Transaction (product + audit + outbox event), then:
+   *  - Relay publishes product.created (at-least-once)
    *  - Indexes in ES (best-effort)
    */
   async createWithRole(actor, input, populateOptions = [], selectOptions = null) {
     try {
-      const role = (actor?.role || "").toLowerCase();
-      const status =
-        role === RoleTypeEnum.EDITOR
-          ? ProductStatus.PUBLISHED
-          : ProductStatus.PENDING_REVIEW;
+      const status = productWorkflow.initialStatus(actor);
 
       const payload = {
         ...input,
         status,
         createdBy: actor.userId,
+        organizationId: actor.organizationId ?? null,
       };
 
-      const created = await this.create(payload, populateOptions, selectOptions);
+      const created = await this.withTransaction(async (session) => {
+        const res = await this.create(payload, [], null, { session });
+        if (res.status >= 400) return res;
+
+        const audit = await ProductChangeService.createAudit(
+          res.data._id,
+          actor.userId,
+          "CREATE",
+          {},
+          {
+            gtin: res.data.gtin,
+            name: res.data.name,
+            description: res.data.description,
+            brand: res.data.brand,
+            manufacturer: res.data.manufacturer,
+            netWeight: res.data.netWeight,
+            weightUnit: res.data.weightUnit,
+            status: res.data.status,
+          },
+          { session }
+        );
+        if (audit.status >= 400) return audit;
+
+        const queued = await this.enqueueEvent(
+          "product.created",
+          res.data._id,
+          {
+            productId: String(res.data._id),
+            status: res.data.status,
+            gtin: res.data.gtin,
+          },
+          actor,
+          session
+        );
+        if (queued.status >= 400) return queued;
+
+        return res;
+      });
       if (created.status >= 400) return created;
 
-      await ProductChangeService.createAudit(
-        created.data._id,
-        actor.userId,
-        "CREATE",
-        {},
-        {
-          gtin: created.data.gtin,
-            name: created.data.name,
-            description: created.data.description,
-            brand: created.data.brand,
-            manufacturer: created.data.manufacturer,
-            netWeight: created.data.netWeight,
-            weightUnit: created.data.weightUnit,
-            status: created.data.status,
-        }
-      );
-
-      // Event emission (non-critical)
-      const evt = this.buildEventEnvelope(
-        "product.created",
-        created.data._id,
-        {
-          productId: String(created.data._id),
-          status: created.data.status,
-          gtin: created.data.gtin,
-        },
-        actor
-      );
-      publishEvent("product.created", evt);
-
-      // Index sync (non-critical)
-      upsertProduct(created.data);
+      this.afterCommit(created.data);
 
+      if (populateOptions.length || selectOptions) {
+        const populated = await this.findById(
+          created.data._id,
+          populateOptions,
+          selectOptions
+        );
+        if (populated.status === 200) return { status: 201, data: populated.data };
+      }
       return created;
     } catch (error) {
       return this.handleError(error);
@@ -124,33 +226,42 @@ class ProductService extends BaseService {
   /**
    * Update product with audit diff generation.
    * Constraints:
-   *  - Providers may only modify owned PENDING_REVIEW items.
-   *  - Providers cannot change status field.
+   *  - Edit rules per permission come from the workflow definition (without product:approve:
+   *    PENDING_REVIEW / REJECTED items of the actor's organization only).
+   *  - status cannot be changed here (use transitionProduct).
    *
    * AUDIT:
    *  - If no business-relevant fields changed -> returns existing doc (no new audit).
+   *
+   * @param {{comment?: string|null, eventData?: object, expectedVersion?: number|null}} [options]
+   *  - comment: stored on the UPDATE audit entry
+   *  - eventData: extra product.updated payload fields
+   *  - expectedVersion: version the caller edited; 409 (with currentVersion) when it moved on
    */
-  async updateWithAudit(actor, id, updates, populateOptions = [], selectOptions = null) {
+  async updateWithAudit(
+    actor,
+    id,
+    updates,
+    populateOptions = [],
+    selectOptions = null,
+    { comment = null, eventData = {}, expectedVersion = null } = {}
+  ) {
     try {
-      const role = (actor?.role || "").toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(updates, "status")) {
+        return { status: 400, error: "Status changes must go through transitionProduct" };
+      }
 
       const currentRes = await this.findById(id);
       if (currentRes.status !== 200) return currentRes;
       const current = currentRes.data;
 
-      if (role === RoleTypeEnum.PROVIDER) {
-        const isOwner = String(current.createdBy) === String(actor.userId);
-        if (!isOwner) {
-          return { status: 403, error: "Forbidden: not the owner of this product" };
-        }
-        if (current.status !== ProductStatus.PENDING_REVIEW) {
-          return { status: 400, error: "Only pending products can be updated by provider" };
-        }
-        if (Object.prototype.hasOwnProperty.call(updates, "status")) {
-          return { status: 400, error: "Status changes are not allowed in this operation" };
-        }
+      if (expectedVersion != null && expectedVersion !== versionOf(current)) {
+        return this.handleVersionConflict(versionOf(current));
       }
 
+      const denied = productWorkflow.checkEdit(actor, current);
+      if (denied) return denied;
+
       const { previous, next } = computeAuditDiff(current, updates);
       const hasChanges =
         Object.keys(next).length > 0 &&
@@ -161,99 +272,430 @@ class ProductService extends BaseService {
         return this.findById(id, populateOptions, selectOptions);
       }
 
-      const updated = await this.updateById(
-        id,
-        updates,
-        populateOptions,
-        selectOptions
-      );
+      const updated = await this.withTransaction(async (session) => {
+        const res = await this.updateById(id, updates, [], null, {
+          session,
+          ifVersion: versionOf(current),
+        });
+        if (res.status >= 400) return res;
+
+        const audit = await ProductChangeService.createAudit(
+          id,
+          actor.userId,
+          "UPDATE",
+          previous,
+          next,
+          { session, comment }
+        );
+        if (audit.status >= 400) return audit;
+
+        const queued = await this.enqueueEvent(
+          "product.updated",
+          id,
+          {
+            productId: String(id),
+            changed: Object.keys(updates),
+            ...eventData,
+          },
+          actor,
+          session
+        );
+        if (queued.status >= 400) return queued;
+
+        return res;
+      });
       if (updated.status >= 400) return updated;
 
-      await ProductChangeService.createAudit(
+      this.afterCommit(updated.data);
+
+      if (populateOptions.length || selectOptions) {
+        return this.findById(id, populateOptions, selectOptions);
+      }
+      return updated;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Persist a status transition atomically: product update + STATUS_CHANGE audit
+   * (with optional comment) + outbox event. Callers validate permission/ownership/state first.
+   *
+   * @param {object} actor - { userId, permissions }
+   * @param {object} current - Current product document
+   * @param {object} transition
+   * @param {string} transition.to - Target ProductStatus
+   * @param {string} transition.eventType - Routing key, e.g. 'product.rejected'
+   * @param {string|null} [transition.comment] - Stored on the audit entry
+   * @param {object} [transition.updates] - Extra fields written with the status
+   * @param {object} [transition.eventData] - Extra event payload fields
+   */
+  async applyStatusChange(
+    actor,
+    current,
+    { to, eventType, comment = null, updates = {}, eventData = {} },
+    populateOptions = [],
+    selectOptions = null
+  ) {
+    const id = current._id;
+    const updated = await this.withTransaction(async (session) => {
+      const res = await this.updateById(id, { ...updates, status: to }, [], null, {
+        session,
+        ifVersion: versionOf(current),
+      });
+      if (res.status >= 400) return res;
+
+      const audit = await ProductChangeService.createAudit(
         id,
         actor.userId,
-        "UPDATE",
-        previous,
-        next
+        "STATUS_CHANGE",
+        { status: current.status },
+        { status: to },
+        { session, comment }
       );
+      if (audit.status >= 400) return audit;
 
-      const evt = this.buildEventEnvelope(
-        "product.updated",
+      const queued = await this.enqueueEvent(
+        eventType,
         id,
         {
           productId: String(id),
-          changed: Object.keys(updates),
+          status: to,
+          ...eventData,
         },
-        actor
+        actor,
+        session
       );
-      publishEvent("product.updated", evt);
+      if (queued.status >= 400) return queued;
 
-      upsertProduct(updated.data);
+      return res;
+    });
+    if (updated.status >= 400) return updated;
 
-      return updated;
-    } catch (error) {
-      return this.handleError(error);
+    this.afterCommit(updated.data);
+
+    if (populateOptions.length || selectOptions) {
+      return this.findById(id, populateOptions, selectOptions);
     }
+    return updated;
   }
 
   /**
-   * Approve pending product (EDITOR only).
-   * State Transition: PENDING_REVIEW -> PUBLISHED
+   * Run a workflow action (see domain/product.workflow.js) against a product.
+   * Single entry point for every status change.
+   *
+   * @param {object} actor - { userId, permissions }
+   * @param {string|ObjectId} id
+   * @param {string} action - ProductAction value
+   * @param {{comment?: string|null, expectedVersion?: number|null}} [options]
+   *  - comment: reviewer comment / reason (stored on the audit entry)
+   *  - expectedVersion: version the caller reviewed; 409 (with currentVersion) when it moved on
    */
-  async approvePending(actor, id, populateOptions = [], selectOptions = null) {
+  async transitionProduct(
+    actor,
+    id,
+    action,
+    { comment = null, expectedVersion = null } = {},
+    populateOptions = [],
+    selectOptions = null
+  ) {
     try {
-      const role = (actor?.role || "").toLowerCase();
-      if (role !== RoleTypeEnum.EDITOR) {
-        return { status: 403, error: "Forbidden: only editors can approve products" };
-      }
+      const note = normalizeComment(comment);
+
+      // Permission / mandatory comment checks need no I/O.
+      const pre = productWorkflow.precheck(action, actor, note);
+      if (pre) return pre;
 
       const currentRes = await this.findById(id);
       if (currentRes.status !== 200) return currentRes;
       const current = currentRes.data;
 
-      if (current.status !== ProductStatus.PENDING_REVIEW) {
-        return { status: 400, error: "Only pending products can be approved" };
+      if (expectedVersion != null && expectedVersion !== versionOf(current)) {
+        return this.handleVersionConflict(versionOf(current));
       }
 
-      const updates = { status: ProductStatus.PUBLISHED };
-      const updated = await this.updateById(
-        id,
-        updates,
+      const verdict = productWorkflow.evaluate(action, { actor, product: current, comment: note });
+      if (!verdict.ok) return { status: verdict.status, error: verdict.error };
+
+      const { transition } = verdict;
+      const context = { actor, product: current, comment: note };
+      return await this.applyStatusChange(
+        actor,
+        current,
+        {
+          to: transition.to,
+          eventType: transition.event,
+          comment: note,
+          updates: transition.updates ? transition.updates(context) : {},
+          eventData: transition.eventData ? transition.eventData(context) : {},
+        },
         populateOptions,
         selectOptions
       );
-      if (updated.status >= 400) return updated;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
 
-      await ProductChangeService.createAudit(
-        id,
-        actor.userId,
-        "STATUS_CHANGE",
-        { status: current.status },
-        { status: ProductStatus.PUBLISHED }
-      );
+  /**
+   * Actions the actor may currently take on a product.
+   * @param {object} product
+   * @param {object} actor - { userId, permissions }
+   */
+  availableTransitions(product, actor) {
+    return productWorkflow.availableTransitions(product, actor);
+  }
 
-      const evt = this.buildEventEnvelope(
-        "product.approved",
-        id,
-        {
-          productId: String(id),
-          status: ProductStatus.PUBLISHED,
-        },
-        actor
+  /**
+   * Approve pending product (product:approve). Shortcut for transitionProduct(APPROVE).
+   */
+  async approvePending(
+    actor,
+    id,
+    populateOptions = [],
+    selectOptions = null,
+    { expectedVersion = null } = {}
+  ) {
+    return this.transitionProduct(
+      actor,
+      id,
+      ProductAction.APPROVE,
+      { expectedVersion },
+      populateOptions,
+      selectOptions
+    );
+  }
+
+  /**
+   * Reject pending product with a mandatory reason (product:approve).
+   * Shortcut for transitionProduct(REJECT); the reason becomes rejectionReason + audit comment.
+   */
+  async rejectProduct(actor, id, reason, populateOptions = [], selectOptions = null) {
+    return this.transitionProduct(
+      actor,
+      id,
+      ProductAction.REJECT,
+      { comment: reason },
+      populateOptions,
+      selectOptions
+    );
+  }
+
+  /**
+   * Resubmit a rejected product for review (product:update, owners only).
+   * Shortcut for transitionProduct(RESUBMIT).
+   */
+  async resubmitProduct(actor, id, comment = null, populateOptions = [], selectOptions = null) {
+    return this.transitionProduct(
+      actor,
+      id,
+      ProductAction.RESUBMIT,
+      { comment },
+      populateOptions,
+      selectOptions
+    );
+  }
+
+  /**
+   * Take a published product offline (product:approve). Shortcut for transitionProduct(UNPUBLISH).
+   */
+  async unpublishProduct(actor, id, reason = null, populateOptions = [], selectOptions = null) {
+    return this.transitionProduct(
+      actor,
+      id,
+      ProductAction.UNPUBLISH,
+      { comment: reason },
+      populateOptions,
+      selectOptions
+    );
+  }
+
+  /**
+   * Archive a published or unpublished product (product:approve).
+   * Shortcut for transitionProduct(ARCHIVE). Archived products are hidden from default search.
+   */
+  async archiveProduct(actor, id, reason = null, populateOptions = [], selectOptions = null) {
+    return this.transitionProduct(
+      actor,
+      id,
+      ProductAction.ARCHIVE,
+      { comment: reason },
+      populateOptions,
+      selectOptions
+    );
+  }
+
+  /**
+   * Soft delete a product (product:delete).
+   * Transaction: deletedAt + DELETE audit entry + product.deleted event.
+   * After commit the product is removed from the search index.
+   */
+  async softDeleteProduct(actor, id, reason = null, populateOptions = [], selectOptions = null) {
+    try {
+      if (!hasPermission(actor, Permission.PRODUCT_DELETE)) {
+        return { status: 403, error: `Forbidden: missing permission ${Permission.PRODUCT_DELETE}` };
+      }
+
+      const currentRes = await this.findById(id);
+      if (currentRes.status !== 200) return currentRes;
+      const current = currentRes.data;
+
+      const deleted = await this.withTransaction(async (session) => {
+        const res = await this.softDeleteById(id, populateOptions, selectOptions, { session });
+        if (res.status >= 400) return res;
+
+        const audit = await ProductChangeService.createAudit(
+          id,
+          actor.userId,
+          "DELETE",
+          { status: current.status, deletedAt: null },
+          { status: current.status, deletedAt: res.data.deletedAt },
+          { session, comment: normalizeComment(reason) }
+        );
+        if (audit.status >= 400) return audit;
+
+        const queued = await this.enqueueEvent(
+          "product.deleted",
+          id,
+          {
+            productId: String(id),
+            status: current.status,
+            createdBy: current.createdBy ? String(current.createdBy) : null,
+            organizationId: current.organizationId ? String(current.organizationId) : null,
+            deletedAt: res.data.deletedAt,
+          },
+          actor,
+          session
+        );
+        if (queued.status >= 400) return queued;
+
+        return { status: 200, data: res.data };
+      });
+      if (deleted.status >= 400) return deleted;
+
+      this.afterCommit(deleted.data);
+      return deleted;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Rebuild a product's business fields as of a given instant from its audit trail.
+   * Works for soft-deleted products too (deleted flag reflects the state at that time).
+   * With an actor, products they cannot see (canSeeProduct) answer 404.
+   *
+   * @param {string|ObjectId} id
+   * @param {Date} at
+   * @param {object} [actor] - { userId, role, organizationId? }
+   * @returns {Promise<{status:number,data?:object,error?:string}>}
+   *  data: { productId, at, deleted, lastChange, ...business fields }
+   */
+  async productAsOf(id, at, actor = null) {
+    try {
+      if (actor) {
+        const owner = await this.model.findById(id).select("createdBy organizationId").lean();
+        if (!canSeeProduct(actor, owner)) return { status: 404, error: "Product not found" };
+      }
+
+      const trail = await ProductChangeService.findTrail(id, { until: at });
+      if (trail.status !== 200) return trail;
+      if (!trail.data.length) {
+        return { status: 404, error: "Product has no history at the given date" };
+      }
+
+      const { state, deleted, lastChange } = replayAuditTrail(trail.data);
+      return {
+        status: 200,
+        data: { ...state, productId: String(id), at, deleted, lastChange },
+      };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Restore the business fields recorded right after audit entry changeId.
+   * Needs product:update and audit:read (the change is picked from the audit trail).
+   * Goes through updateWithAudit (edit rules, UPDATE audit, outbox event).
+   *
+   * @param {object} actor - { userId, permissions }
+   * @param {string|ObjectId} id - Product id
+   * @param {string|ObjectId} changeId - ProductChange id of the version to restore
+   */
+  async revertProduct(actor, id, changeId, populateOptions = [], selectOptions = null) {
+    try {
+      const missing = [Permission.PRODUCT_UPDATE, Permission.AUDIT_READ].find(
+        (permission) => !hasPermission(actor, permission)
       );
-      publishEvent("product.approved", evt);
+      if (missing) {
+        return { status: 403, error: `Forbidden: missing permission ${missing}` };
+      }
 
-      upsertProduct(updated.data);
+      const trail = await ProductChangeService.findTrail(id);
+      if (trail.status !== 200) return trail;
 
-      return updated;
+      const index = trail.data.findIndex((entry) => String(entry._id) === String(changeId));
+      if (index === -1) {
+        return { status: 404, error: "Change not found for this product" };
+      }
+
+      const { state, complete, deleted } = replayAuditTrail(trail.data.slice(0, index + 1));
+      if (deleted) {
+        return { status: 400, error: "Cannot revert to a deleted version" };
+      }
+
+      const updates = pick(
+        state,
+        BUSINESS_FIELDS.filter((field) => field !== "status")
+      );
+      if (!complete) {
+        // Partial (legacy) trail: only restore fields we actually know.
+        for (const [key, value] of Object.entries(updates)) {
+          if (value === null) delete updates[key];
+        }
+      }
+
+      return this.updateWithAudit(actor, id, updates, populateOptions, selectOptions, {
+        comment: `Reverted to change ${changeId}`,
+        eventData: { revertedFrom: String(changeId) },
+      });
     } catch (error) {
       return this.handleError(error);
     }
   }
 
   /**
-   * Query products with advanced filters (search + brand + status + createdBy).
+   * Translate ProductFilterInput (search + brand + status + createdBy + organizationId)
+   * into a Mongo query, limited to what actor may see (productVisibilityQuery).
    * Uses regex for case-insensitive partial matches (NOT index-friendly at scale).
+   * Shared by the paginated list, the connection and the streaming export.
+   * @param {object} [filter]
+   * @param {object|null} [actor] - { userId, role, organizationId }; unrestricted when omitted
+   * @returns {object} Mongo filter (deletedAt not included)
+   */
+  buildFilterQuery(filter = {}, actor) {
+    const { search, brand, status, createdBy, organizationId } = filter || {};
+    const q = {};
+
+    if (search && typeof search === "string" && search.trim()) {
+      const regex = new RegExp(search.trim(), "i");
+      q.$or = [{ name: regex }, { brand: regex }, { description: regex }];
+    }
+
+    if (brand) q.brand = brand;
+    if (status) q.status = status;
+    if (createdBy) q.createdBy = createdBy;
+    if (organizationId) q.organizationId = organizationId;
+
+    const visibility = actor ? productVisibilityQuery(actor) : null;
+    if (visibility) q.$and = [visibility];
+
+    return q;
+  }
+
+  /**
+   * Query products with advanced filters (see buildFilterQuery).
    * FUTURE:
    *  - Consider adding text indexes or leveraging ES for full-text queries.
    */
@@ -263,20 +705,11 @@ class ProductService extends BaseService {
     filter = {},
     populateOptions = [],
     selectOptions = null,
-    sort = { createdAt: -1 }
+    sort = { createdAt: -1 },
+    actor = null
   ) {
     try {
-      const { search, brand, status, createdBy } = filter || {};
-      const q = {};
-
-      if (search && typeof search === "string" && search.trim()) {
-        const regex = new RegExp(search.trim(), "i");
-        q.$or = [{ name: regex }, { brand: regex }, { description: regex }];
-      }
-
-      if (brand) q.brand = brand;
-      if (status) q.status = status;
-      if (createdBy) q.createdBy = createdBy;
+      const q = this.buildFilterQuery(filter, actor);
 
       return await super.findAll(
         page,
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview ImportJob schema: one bulk product import and its per-row report.
+ *
+ * Fields:
+ *  - createdBy / role: importing actor (products are created on their behalf).
+ *  - totalRows / processedRows + counts: progress for polling.
+ *  - results: one entry per processed row (row number, gtin, outcome, reasons).
+ *
+ * Size:
+ *  - results is embedded; config.IMPORT.maxRows keeps the document well below 16MB.
+ *
+ * Indexes:
+ *  - createdBy + createdAt (list "my imports").
+ */
+const mongoose = require("mongoose");
+const baseSchema = require("../../../_shared/db/baseSchema");
+const { ImportJobStatus, ImportRowOutcome, ImportFormat } = require("./product-import.enum");
+
+const rowResultSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true },
+    gtin: { type: String, default: null },
+    outcome: {
+      type: String,
+      enum: Object.values(ImportRowOutcome),
+      required: true,
+    },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+    reasons: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const importJobSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: { type: String, required: true },
+  fileName: { type: String, default: null },
+  format: {
+    type: String,
+    enum: Object.values(ImportFormat),
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: Object.values(ImportJobStatus),
+    default: ImportJobStatus.QUEUED,
+    required: true,
+  },
+  totalRows: { type: Number, default: 0 },
+  processedRows: { type: Number, default: 0 },
+  counts: {
+    created: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  results: { type: [rowResultSchema], default: [] },
+  error: { type: String, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+});
+
+importJobSchema.add(baseSchema);
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
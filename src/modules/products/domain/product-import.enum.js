@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Bulk product import enums.
+ *
+ * ImportJobStatus:
+ *  - QUEUED: accepted, waiting to be processed in the background.
+ *  - RUNNING: rows being validated / created.
+ *  - COMPLETED: every row has an outcome (some may be invalid or duplicates).
+ *  - FAILED: processing aborted (see job.error); processed rows keep their outcome.
+ *
+ * ImportRowOutcome:
+ *  - CREATED: product created (initial status follows the workflow).
+ *  - DUPLICATE: GTIN already exists (catalog or earlier row in the same file).
+ *  - INVALID: failed DTO / GTIN validation or could not be parsed.
+ *  - FAILED: valid row rejected by the service (e.g. database error).
+ *
+ * ImportFormat:
+ *  - csv (header row required), json (array of objects), ndjson (one object per line).
+ */
+const ImportJobStatus = Object.freeze({
+  QUEUED: "QUEUED",
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+});
+
+const ImportRowOutcome = Object.freeze({
+  CREATED: "CREATED",
+  DUPLICATE: "DUPLICATE",
+  INVALID: "INVALID",
+  FAILED: "FAILED",
+});
+
+const ImportFormat = Object.freeze({
+  CSV: "csv",
+  JSON: "json",
+  NDJSON: "ndjson",
+});
+
+module.exports = {
+  ImportJobStatus,
+  ImportRowOutcome,
+  ImportFormat,
+};
@@ -4,25 +4,29 @@
  * ProductStatus:
  *  - PENDING_REVIEW: Created by provider; awaiting editor approval.
  *  - PUBLISHED: Visible / approved state.
+ *  - REJECTED: Sent back by an editor with a reason; provider may edit and resubmit.
+ *  - UNPUBLISHED: Taken offline by an editor; hidden from default search.
+ *  - ARCHIVED: Retired by an editor; kept for history, hidden from default search.
  *
  * OperationType:
  *  - Used in audit log to classify change.
  *
  * WeightUnit:
  *  - Restricted list for normalization (supports filtering and analytics).
- *
- * Future:
- *  - Add REJECTED or ARCHIVED statuses if workflow expands.
  */
 const ProductStatus = Object.freeze({
   PENDING_REVIEW: "PENDING_REVIEW",
   PUBLISHED: "PUBLISHED",
+  REJECTED: "REJECTED",
+  UNPUBLISHED: "UNPUBLISHED",
+  ARCHIVED: "ARCHIVED",
 });
 
 const OperationType = Object.freeze({
   CREATE: "CREATE",
   UPDATE: "UPDATE",
   STATUS_CHANGE: "STATUS_CHANGE",
+  DELETE: "DELETE",
 });
 
 const WeightUnit = Object.freeze({
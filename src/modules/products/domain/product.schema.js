@@ -4,10 +4,17 @@
  * Constraints:
  *  - gtin: unique, numeric patterns and check digit validation (via isValidGTIN).
  *  - manufacturer: embedded subdocument (no separate collection).
+ *  - organizationId: owning supplier organization (null for products of unaffiliated providers).
+ *  - review: embedded review queue state (claim, assignment, priority, submittedAt).
+ *  - version: optimistic concurrency counter, incremented by every edit and status change
+ *    (BaseService.updateById ifVersion). Review queue bookkeeping does not bump it.
  *
  * Indexing:
  *  - brand + name compound
  *  - status + createdAt (for workflow queries)
+ *  - createdAt + _id (keyset order of productsConnection)
+ *  - organizationId + status (organization-owned products, member adoption)
+ *  - status + review.submittedAt / review.priority (review queue ordering)
  *  - text-like fields kept as strings; search responsibilities offloaded to ES index (separate integration).
  *
  * Workflow:
@@ -15,12 +22,13 @@
  *
  * Future:
  *  - Add slug field for canonical URLs.
- *  - Add version history or embed lastChange summary.
+ *  - Embed lastChange summary.
  */
 const mongoose = require("mongoose");
 const baseSchema = require("../../../_shared/db/baseSchema");
 const { ProductStatus, WeightUnit } = require("./product.enum");
 const { isValidGTIN } = require("./gtin.util");
+const reviewSchema = require("../../review-queue/domain/review.schema");
 
 const manufacturerSchema = new mongoose.Schema(
   {
@@ -109,17 +117,47 @@ const productSchema = new mongoose.Schema({
     index: true,
   },
 
+  // Latest editor rejection reason; cleared on resubmission / approval.
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
     required: true,
     index: true,
   },
+
+  // Owning organization; every member may edit it as the creator could.
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+    default: null,
+  },
+
+  version: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  // Review queue state; managed by ReviewQueueService and the workflow transitions.
+  review: {
+    type: reviewSchema,
+    default: () => ({}),
+  },
 });
 
 productSchema.add(baseSchema);
 
 productSchema.index({ brand: 1, name: 1 });
 productSchema.index({ status: 1, createdAt: -1 });
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ organizationId: 1, status: 1 });
+productSchema.index({ status: 1, "review.submittedAt": 1 });
+productSchema.index({ status: 1, "review.priority": -1, "review.submittedAt": 1 });
 
 module.exports = mongoose.model("Product", productSchema);
\ No newline at end of file
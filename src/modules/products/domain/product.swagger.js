@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Swagger specification for Product REST endpoints (bulk import / export).
+ *
+ * Notes:
+ *  - Single-product CRUD lives in GraphQL (API A); REST covers file-based flows.
+ *  - Import reports list one entry per row with outcome CREATED | DUPLICATE | INVALID | FAILED.
+ */
+/**
+ * @swagger
+ * tags:
+ *   - name: Products
+ *     description: Product bulk import and export
+ *
+ * /api/products/import:
+ *   post:
+ *     summary: Bulk import products from a CSV, JSON or NDJSON file
+ *     description: >
+ *       Files up to IMPORT_SYNC_MAX_ROWS rows are processed immediately (201 with the report);
+ *       larger files run as a background job (202) to poll at /api/products/import/{id}.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, json, ndjson] }
+ *         description: Overrides detection from the file extension / MIME type
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file: { type: string, format: binary }
+ *     responses:
+ *       '201':
+ *         description: Import completed; data contains counts and per-row results
+ *       '202':
+ *         description: Import job queued; poll GET /api/products/import/{id}
+ *       '400':
+ *         description: Missing file, unsupported format, malformed file or too many rows
+ *       '401':
+ *         description: Missing or invalid token
+ *       '403':
+ *         description: Role not allowed to create products
+ *       '413':
+ *         description: File exceeds IMPORT_MAX_FILE_BYTES
+ *
+ * /api/products/import/{id}:
+ *   get:
+ *     summary: Import job status and per-row report
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       '200':
+ *         description: Job with status (QUEUED | RUNNING | COMPLETED | FAILED), counts and results
+ *       '403':
+ *         description: Not the owner of the import
+ *       '404':
+ *         description: Job not found
+ */
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Stream the catalog as CSV, NDJSON or a GS1-style XML feed
+ *     description: >
+ *       Reads products through a MongoDB cursor and streams them; the full catalog is never
+ *       held in memory. Filters match the GraphQL ProductFilterInput. Soft-deleted products
+ *       are excluded.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson, xml], default: csv }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: Case-insensitive partial match on name, brand or description
+ *       - in: query
+ *         name: brand
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [PENDING_REVIEW, PUBLISHED, REJECTED, UNPUBLISHED, ARCHIVED] }
+ *       - in: query
+ *         name: createdBy
+ *         schema: { type: string }
+ *       - in: query
+ *         name: organizationId
+ *         schema: { type: string }
+ *     responses:
+ *       '200':
+ *         description: Export file (Content-Disposition attachment)
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *           application/xml: {}
+ *       '400':
+ *         description: Invalid query parameters
+ *       '401':
+ *         description: Missing or invalid token
+ */
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Declarative product workflow (status state machine).
+ *
+ * Definition shape (PRODUCT_WORKFLOW):
+ *  - initial: { [permission]: status, default: status } -> status assigned on create
+ *             (first listed permission the actor holds, else default).
+ *  - edit:    { [permission]: rule, default: rule } with rule { statuses?: string[],
+ *             ownOnly?: boolean } -> what updateProduct may touch (same lookup as initial;
+ *             an empty rule allows any status).
+ *  - transitions: { [ACTION]: {
+ *        from: string[],             // source statuses
+ *        to: string,                 // target status
+ *        permission: string,         // Permission the actor's role must grant
+ *        event: string,              // outbox routing key
+ *        requiresComment?: boolean,  // comment mandatory (e.g. rejection reason)
+ *        guards?: Function[],        // ({ actor, product }) => null | { status, error }
+ *        updates?: Function,         // ({ actor, product, comment }) => extra fields to persist
+ *        eventData?: Function,       // ({ actor, product, comment }) => extra event payload
+ *    } }
+ *
+ * Evaluation order (evaluate()):
+ *  1. Unknown action -> 400
+ *  2. Missing permission -> 403
+ *  3. Missing mandatory comment -> 400
+ *  4. Product not in a source status -> 400
+ *  5. First failing guard result is returned as-is
+ *
+ * Review queue:
+ *  - APPROVE / REJECT are refused while the product is assigned to another editor (403)
+ *    or another editor holds an active claim (409), and release the claim when applied.
+ *  - RESUBMIT restarts the SLA clock (review.submittedAt).
+ *
+ * Notes:
+ *  - Rules are keyed by permission, not role name: a custom role granted product:approve
+ *    reviews like an editor without code changes. actor.permissions is resolved from the
+ *    role by the GraphQL context / REST permission middleware.
+ *  - Pure module (no I/O); ProductService applies the result atomically.
+ *  - createWorkflow() accepts any definition of the same shape, so rules can be
+ *    adjusted (or tested) without touching the service.
+ */
+const { Permission, hasPermission } = require("../../../_shared/enum/permissions.enum");
+const { ProductStatus } = require("./product.enum");
+const {
+  isClaimedByOther,
+  isAssignedToOther,
+  releaseClaim,
+} = require("../../review-queue/domain/review.util");
+const { ownsProduct } = require("../../organizations/domain/organization.policy");
+
+const ProductAction = Object.freeze({
+  APPROVE: "APPROVE",
+  REJECT: "REJECT",
+  RESUBMIT: "RESUBMIT",
+  UNPUBLISH: "UNPUBLISH",
+  REPUBLISH: "REPUBLISH",
+  ARCHIVE: "ARCHIVE",
+});
+
+/**
+ * Guard: actor must own the product (its organization, or its creator when it has none).
+ */
+function isOwner({ actor, product }) {
+  return ownsProduct(actor, product)
+    ? null
+    : { status: 403, error: "Forbidden: not the owner of this product" };
+}
+
+/**
+ * Guard: no other editor is reviewing the product (review queue assignment or active claim).
+ */
+function isNotClaimedByOther({ actor, product }) {
+  if (isAssignedToOther(product, actor.userId)) {
+    return { status: 403, error: "Forbidden: product is assigned to another editor" };
+  }
+  return isClaimedByOther(product, actor.userId)
+    ? {
+        status: 409,
+        error: `Product is claimed for review until ${new Date(
+          product.review.claimExpiresAt
+        ).toISOString()}`,
+      }
+    : null;
+}
+
+const PRODUCT_WORKFLOW = {
+  initial: {
+    [Permission.PRODUCT_APPROVE]: ProductStatus.PUBLISHED,
+    default: ProductStatus.PENDING_REVIEW,
+  },
+
+  edit: {
+    [Permission.PRODUCT_APPROVE]: {},
+    default: {
+      statuses: [ProductStatus.PENDING_REVIEW, ProductStatus.REJECTED],
+      ownOnly: true,
+    },
+  },
+
+  transitions: {
+    [ProductAction.APPROVE]: {
+      from: [ProductStatus.PENDING_REVIEW],
+      to: ProductStatus.PUBLISHED,
+      permission: Permission.PRODUCT_APPROVE,
+      event: "product.approved",
+      guards: [isNotClaimedByOther],
+      updates: () => ({ rejectionReason: null, ...releaseClaim() }),
+    },
+    [ProductAction.REJECT]: {
+      from: [ProductStatus.PENDING_REVIEW],
+      to: ProductStatus.REJECTED,
+      permission: Permission.PRODUCT_APPROVE,
+      event: "product.rejected",
+      requiresComment: true,
+      guards: [isNotClaimedByOther],
+      updates: ({ comment }) => ({ rejectionReason: comment, ...releaseClaim() }),
+      eventData: ({ product, comment }) => ({
+        reason: comment,
+        createdBy: String(product.createdBy?._id || product.createdBy),
+      }),
+    },
+    [ProductAction.RESUBMIT]: {
+      from: [ProductStatus.REJECTED],
+      to: ProductStatus.PENDING_REVIEW,
+      permission: Permission.PRODUCT_UPDATE,
+      event: "product.resubmitted",
+      guards: [isOwner],
+      updates: () => ({
+        rejectionReason: null,
+        "review.submittedAt": new Date(),
+        ...releaseClaim(),
+      }),
+    },
+    [ProductAction.UNPUBLISH]: {
+      from: [ProductStatus.PUBLISHED],
+      to: ProductStatus.UNPUBLISHED,
+      permission: Permission.PRODUCT_APPROVE,
+      event: "product.unpublished",
+    },
+    [ProductAction.REPUBLISH]: {
+      from: [ProductStatus.UNPUBLISHED],
+      to: ProductStatus.PUBLISHED,
+      permission: Permission.PRODUCT_APPROVE,
+      event: "product.republished",
+    },
+    [ProductAction.ARCHIVE]: {
+      from: [ProductStatus.PUBLISHED, ProductStatus.UNPUBLISHED],
+      to: ProductStatus.ARCHIVED,
+      permission: Permission.PRODUCT_APPROVE,
+      event: "product.archived",
+    },
+  },
+};
+
+/**
+ * Value for the first permission key of table (in declaration order) the actor holds,
+ * else table.default.
+ */
+function byPermission(table, actor) {
+  if (!table) return undefined;
+  const key = Object.keys(table).find((k) => k !== "default" && hasPermission(actor, k));
+  return key ? table[key] : table.default;
+}
+
+/**
+ * Build a workflow evaluator from a declarative definition.
+ * @param {object} definition - See module header
+ */
+function createWorkflow(definition) {
+  const transitions = definition.transitions || {};
+
+  function runGuards(transition, context) {
+    for (const guard of transition.guards || []) {
+      const failure = guard(context);
+      if (failure) return failure;
+    }
+    return null;
+  }
+
+  return {
+    definition,
+
+    /**
+     * @param {object} actor - { userId, permissions }
+     * @returns {string} initial status for products created by actor
+     */
+    initialStatus(actor) {
+      return byPermission(definition.initial, actor);
+    },
+
+    /**
+     * Whether actor may edit product fields in its current status.
+     * @returns {null|{status:number,error:string}}
+     */
+    checkEdit(actor, product) {
+      const rule = byPermission(definition.edit, actor);
+      if (!rule) return null;
+      if (rule.ownOnly) {
+        const failure = isOwner({ actor, product });
+        if (failure) return failure;
+      }
+      if (rule.statuses && !rule.statuses.includes(product.status)) {
+        return {
+          status: 400,
+          error: `Products in status ${product.status} cannot be updated`,
+        };
+      }
+      return null;
+    },
+
+    /**
+     * @param {string} action
+     * @returns {object|undefined} transition definition
+     */
+    getTransition(action) {
+      return transitions[action];
+    },
+
+    /**
+     * Checks that do not need the product (permission, mandatory comment).
+     * Lets callers fail fast before loading the document.
+     * @returns {null|{status:number,error:string}}
+     */
+    precheck(action, actor, comment) {
+      const transition = transitions[action];
+      if (!transition) return { status: 400, error: `Unknown workflow action: ${action}` };
+      if (!hasPermission(actor, transition.permission)) {
+        return { status: 403, error: `Forbidden: missing permission ${transition.permission}` };
+      }
+      if (transition.requiresComment && !comment) {
+        return { status: 400, error: `A comment is required to ${action.toLowerCase()} a product` };
+      }
+      return null;
+    },
+
+    /**
+     * Full evaluation of an action against a product.
+     * @returns {{ok:true, transition:object} | {ok:false, status:number, error:string}}
+     */
+    evaluate(action, { actor, product, comment = null }) {
+      const pre = this.precheck(action, actor, comment);
+      if (pre) return { ok: false, ...pre };
+
+      const transition = transitions[action];
+      if (!transition.from.includes(product.status)) {
+        return {
+          ok: false,
+          status: 400,
+          error: `Cannot ${action.toLowerCase()} a product in status ${product.status}`,
+        };
+      }
+
+      const failure = runGuards(transition, { actor, product, comment });
+      if (failure) return { ok: false, ...failure };
+
+      return { ok: true, transition };
+    },
+
+    /**
+     * Actions the actor may currently take on product (mandatory comments not checked).
+     * @returns {{action:string,to:string,requiresComment:boolean}[]}
+     */
+    availableTransitions(product, actor) {
+      if (!product || product.deletedAt) return [];
+      return Object.entries(transitions)
+        .filter(
+          ([, t]) =>
+            hasPermission(actor, t.permission) &&
+            t.from.includes(product.status) &&
+            !runGuards(t, { actor, product, comment: null })
+        )
+        .map(([action, t]) => ({
+          action,
+          to: t.to,
+          requiresComment: Boolean(t.requiresComment),
+        }));
+    },
+  };
+}
+
+const productWorkflow = createWorkflow(PRODUCT_WORKFLOW);
+
+module.exports = {
+  ProductAction,
+  PRODUCT_WORKFLOW,
+  createWorkflow,
+  productWorkflow,
+};
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Joi schema for the catalog export query string.
+ *
+ * Parameters:
+ *  - format: csv (default) | ndjson | xml (GS1-style feed).
+ *  - search / brand / status / createdBy / organizationId: same semantics as GraphQL
+ *    ProductFilterInput.
+ */
+const Joi = require("joi");
+const { ProductStatus } = require("./product.enum");
+
+module.exports = Joi.object({
+  format: Joi.string().lowercase().valid("csv", "ndjson", "xml").default("csv"),
+  search: Joi.string().trim().max(200).allow("").optional(),
+  brand: Joi.string().trim().max(200).optional(),
+  status: Joi.string()
+    .valid(...Object.values(ProductStatus))
+    .optional(),
+  createdBy: Joi.string().length(24).hex().optional(),
+  organizationId: Joi.string().length(24).hex().optional(),
+});
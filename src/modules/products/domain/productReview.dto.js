@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Joi schemas for editorial review actions.
+ *
+ * Constraints:
+ *  - reject: reason mandatory (shown to the provider and stored on the audit entry).
+ *  - resubmit: optional provider note for the reviewer.
+ *  - lifecycle (unpublish / archive / delete): optional editor reason.
+ *  - transition: optional comment (the workflow decides when it is mandatory); for REJECT
+ *    it is the rejection reason and follows the reject rule.
+ */
+const Joi = require("joi");
+const { ProductAction } = require("./product.workflow");
+
+const rejectReason = Joi.string().trim().min(3).max(2000);
+
+const rejectDto = Joi.object({
+  reason: rejectReason.required(),
+});
+
+const resubmitDto = Joi.object({
+  comment: Joi.string().trim().max(2000).allow("", null).optional(),
+});
+
+const lifecycleDto = Joi.object({
+  reason: Joi.string().trim().max(2000).allow("", null).optional(),
+});
+
+const transitionDto = Joi.object({
+  action: Joi.string().required(),
+  comment: Joi.when("action", {
+    is: ProductAction.REJECT,
+    then: rejectReason.required(),
+    otherwise: Joi.string().trim().max(2000).allow("", null).optional(),
+  }),
+});
+
+module.exports = {
+  transitionDto,
+  rejectDto,
+  resubmitDto,
+  lifecycleDto,
+};
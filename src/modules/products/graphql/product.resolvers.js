@@ -1,106 +1,300 @@
 /**
  * Product resolvers implementing editorial workflow and audit history.
  * - Reuse service layer and Joi DTOs.
- * - Protect operations with @auth in SDL; here we enforce fine-grained rules.
+ * - Protect operations with @auth / @requires in SDL; here (and in the workflow) we enforce
+ *   fine-grained rules against the caller's permissions.
+ * - Reads are scoped by organization: providers only get products they own
+ *   (canSeeProduct / productVisibilityQuery); hidden products answer NOT_FOUND.
  */
 
 const ProductService = require("../application/product.service");
 const ProductChangeService = require("../../product-changes/application/product-changes.service");
+const UserService = require("../../users/application/user.service");
 const createDto = require("../domain/product.dto");
 const updateDto = require("../domain/productUpdate.dto");
-const productPopulate = require("../domain/product.populate");
+const {
+  rejectDto,
+  resubmitDto,
+  lifecycleDto,
+  transitionDto,
+} = require("../domain/productReview.dto");
+const changeFilterDto = require("../../product-changes/domain/product-change-filter.dto");
 const { unwrap, toGraphQLError } = require("../../../graphql/error.utils");
+const { toPage, toConnection } = require("../../../graphql/pagination.utils");
+const { loadRef, loadOrThrow, createLoaders } = require("../../../graphql/loaders");
+const { pubsub, Topics, reviewQueueChangeFor } = require("../../../graphql/pubsub");
+const { canSeeProduct } = require("../../organizations/domain/organization.policy");
+const { withFilter } = require("graphql-subscriptions");
 
+// createdBy / changes are resolved through ctx.loaders (batched per request), not populate.
+const populateOptions = [];
 const selectOptions = null;
+const newestFirst = { createdAt: -1 };
+
+const actorOf = (ctx) => ({
+  userId: ctx.user.userId,
+  role: ctx.user.role,
+  permissions: ctx.user.permissions || [],
+  organizationId: ctx.user.organizationId ?? null,
+});
+
+/**
+ * Subscription visibility: providers only see products they own.
+ * Deleted products are no longer readable, so product.deleted is checked against the
+ * ownership recorded in the event (createdBy / organizationId); other events need the
+ * product to still exist.
+ * The subscriber's token is checked again (cached lookup): a role change, password reset
+ * or logoutAll after connecting ends deliveries.
+ */
+async function canReceive(user, { event, product }) {
+  const visible =
+    !product && event?.type === "product.deleted"
+      ? canSeeProduct(user, event.data)
+      : canSeeProduct(user, product);
+  return visible && UserService.isTokenCurrent(user.userId, user.tokenVersion);
+}
+
+/**
+ * Subscription field over one topic, filtered by visibility (+ optional extra predicate).
+ * Each event gets fresh loaders: the subscription context outlives a single result.
+ */
+function productSubscription(topic, toResult, extraFilter = () => true) {
+  return {
+    subscribe: withFilter(
+      () => pubsub.asyncIterableIterator(topic),
+      (payload, args, ctx) => extraFilter(payload, args) && canReceive(ctx?.user, payload)
+    ),
+    resolve: (payload, _args, ctx) => {
+      ctx.loaders = createLoaders();
+      return toResult(payload);
+    },
+  };
+}
 
 module.exports = {
   Query: {
-    product: async (_p, { id }, _ctx) => {
-      const res = await ProductService.findById(id, productPopulate, selectOptions);
-      return unwrap(res, "Failed to fetch product");
+    product: async (_p, { id }, ctx) => {
+      const product = await loadOrThrow(ctx.loaders.productById, id, "Failed to fetch product");
+      if (!canSeeProduct(actorOf(ctx), product)) {
+        throw toGraphQLError(
+          { status: 404, error: "Product not found" },
+          "Failed to fetch product"
+        );
+      }
+      return product;
     },
 
-    products: async (_p, { page = 0, limit = 10, filter }, _ctx) => {
+    products: async (_p, { page = 0, limit = 10, filter }, ctx) => {
       const res = await ProductService.findAllWithFilters(
         page,
         limit,
         filter,
-        productPopulate,
-        selectOptions
+        populateOptions,
+        selectOptions,
+        newestFirst,
+        actorOf(ctx)
       );
 
       if (res.status >= 400) throw toGraphQLError(res, "Failed to list products");
+      return toPage(res, page, limit);
+    },
+
+    productsConnection: async (_p, { first, after, filter }, ctx) => {
+      const query = ProductService.buildFilterQuery(filter, actorOf(ctx));
+      const res = await ProductService.findConnection(
+        query,
+        { first, after },
+        populateOptions,
+        selectOptions
+      );
+      return toConnection(res, () => ProductService.count(query), "Failed to list products");
+    },
 
-      const { data = [], pagination = {} } = res;
-      return {
-        items: data,
-        pageInfo: {
-          page: pagination.currentPage ?? page,
-          limit: pagination.pageSize ?? limit,
-          totalItems: pagination.totalDocs ?? data.length,
-          totalPages: pagination.totalPages ?? 1,
-          hasNextPage:
-            typeof pagination.currentPage === "number" &&
-            typeof pagination.totalPages === "number"
-              ? pagination.currentPage + 1 < pagination.totalPages
-              : false,
-          hasPrevPage:
-            typeof pagination.currentPage === "number"
-              ? pagination.currentPage > 0
-              : false,
-        },
-      };
+    productAsOf: async (_p, { id, at }, ctx) => {
+      const res = await ProductService.productAsOf(id, at, actorOf(ctx));
+      return unwrap(res, "Failed to rebuild product history");
     },
   },
 
   Mutation: {
     createProduct: async (_p, { input }, ctx) => {
       await createDto.validateAsync(input, { abortEarly: false });
-      const actor = { userId: ctx.user.userId, role: ctx.user.role };
+      const actor = actorOf(ctx);
       const res = await ProductService.createWithRole(
         actor,
         input,
-        productPopulate,
+        populateOptions,
         selectOptions
       );
       return unwrap(res, "Failed to create product");
     },
 
-    updateProduct: async (_p, { id, input }, ctx) => {
+    updateProduct: async (_p, { id, input, expectedVersion }, ctx) => {
       await updateDto.validateAsync(input, { abortEarly: false });
-      const actor = { userId: ctx.user.userId, role: ctx.user.role };
+      const actor = actorOf(ctx);
       const res = await ProductService.updateWithAudit(
         actor,
         id,
         input,
-        productPopulate,
-        selectOptions
+        populateOptions,
+        selectOptions,
+        { expectedVersion }
       );
       return unwrap(res, "Failed to update product");
     },
 
-    approveProduct: async (_p, { id }, ctx) => {
-      const actor = { userId: ctx.user.userId, role: ctx.user.role };
-      const res = await ProductService.approvePending(
+    transitionProduct: async (_p, { id, action, comment, expectedVersion }, ctx) => {
+      const value = await transitionDto.validateAsync({ action, comment }, { abortEarly: false });
+      const actor = actorOf(ctx);
+      const res = await ProductService.transitionProduct(
         actor,
         id,
-        productPopulate,
+        action,
+        { comment: value.comment, expectedVersion },
+        populateOptions,
         selectOptions
       );
+      return unwrap(res, "Failed to change product status");
+    },
+
+    approveProduct: async (_p, { id, expectedVersion }, ctx) => {
+      const actor = actorOf(ctx);
+      const res = await ProductService.approvePending(
+        actor,
+        id,
+        populateOptions,
+        selectOptions,
+        { expectedVersion }
+      );
       return unwrap(res, "Failed to approve product");
     },
-  },
 
-  Product: {
-    id: (doc) => doc.id || doc._id?.toString(),
-    changes: async (doc) => {
-      const res = await ProductChangeService.findByProduct(doc._id || doc.id);
-      return unwrap(res, "Failed to fetch changes");
+    rejectProduct: async (_p, { id, reason }, ctx) => {
+      const value = await rejectDto.validateAsync({ reason }, { abortEarly: false });
+      const actor = actorOf(ctx);
+      const res = await ProductService.rejectProduct(
+        actor,
+        id,
+        value.reason,
+        populateOptions,
+        selectOptions
+      );
+      return unwrap(res, "Failed to reject product");
+    },
+
+    resubmitProduct: async (_p, { id, comment }, ctx) => {
+      const value = await resubmitDto.validateAsync({ comment }, { abortEarly: false });
+      const actor = actorOf(ctx);
+      const res = await ProductService.resubmitProduct(
+        actor,
+        id,
+        value.comment,
+        populateOptions,
+        selectOptions
+      );
+      return unwrap(res, "Failed to resubmit product");
+    },
+
+    unpublishProduct: async (_p, { id, reason }, ctx) => {
+      const value = await lifecycleDto.validateAsync({ reason }, { abortEarly: false });
+      const actor = actorOf(ctx);
+      const res = await ProductService.unpublishProduct(
+        actor,
+        id,
+        value.reason,
+        populateOptions,
+        selectOptions
+      );
+      return unwrap(res, "Failed to unpublish product");
+    },
+
+    archiveProduct: async (_p, { id, reason }, ctx) => {
+      const value = await lifecycleDto.validateAsync({ reason }, { abortEarly: false });
+      const actor = actorOf(ctx);
+      const res = await ProductService.archiveProduct(
+        actor,
+        id,
+        value.reason,
+        populateOptions,
+        selectOptions
+      );
+      return unwrap(res, "Failed to archive product");
+    },
+
+    deleteProduct: async (_p, { id, reason }, ctx) => {
+      const value = await lifecycleDto.validateAsync({ reason }, { abortEarly: false });
+      const actor = actorOf(ctx);
+      const res = await ProductService.softDeleteProduct(
+        actor,
+        id,
+        value.reason,
+        populateOptions,
+        selectOptions
+      );
+      return unwrap(res, "Failed to delete product");
+    },
+
+    revertProduct: async (_p, { id, changeId }, ctx) => {
+      const actor = actorOf(ctx);
+      const res = await ProductService.revertProduct(
+        actor,
+        id,
+        changeId,
+        populateOptions,
+        selectOptions
+      );
+      return unwrap(res, "Failed to revert product");
     },
   },
 
-  ProductChange: {
+  Subscription: {
+    productCreated: productSubscription(Topics.PRODUCT_CREATED, ({ product }) => product),
+
+    productUpdated: productSubscription(Topics.PRODUCT_UPDATED, ({ product }) => product),
+
+    productStatusChanged: productSubscription(
+      Topics.PRODUCT_STATUS_CHANGED,
+      ({ event, product }) => ({
+        productId: event.aggregateId,
+        status: event.data?.status,
+        event: event.type,
+        occurredAt: event.occurredAt,
+        product,
+      }),
+      ({ event }, { status }) => !status || event.data?.status === status
+    ),
+
+    reviewQueueChanged: productSubscription(
+      Topics.REVIEW_QUEUE_CHANGED,
+      ({ event, product }) => ({
+        productId: event.aggregateId,
+        change: reviewQueueChangeFor(event, product),
+        event: event.type,
+        occurredAt: event.occurredAt,
+        product,
+      })
+    ),
+  },
+
+  Product: {
     id: (doc) => doc.id || doc._id?.toString(),
-    productId: (doc) => doc.productId?.toString(),
+    version: (doc) => doc.version ?? 0,
+    createdBy: (doc, _args, ctx) => loadRef(ctx.loaders.userById, doc.createdBy),
+    changes: async (doc, { filter }, ctx) => {
+      const value = await changeFilterDto.validateAsync(filter || {}, { abortEarly: false });
+      const productId = String(doc._id || doc.id);
+      return ctx.loaders.changesByProduct.load({ productId, filter: value });
+    },
+    changesPage: async (doc, { filter, page = 0, limit = 20 }) => {
+      const value = await changeFilterDto.validateAsync(filter || {}, { abortEarly: false });
+      const res = await ProductChangeService.findChanges(page, limit, {
+        ...value,
+        productId: String(doc._id || doc.id),
+      });
+      if (res.status >= 400) throw toGraphQLError(res, "Failed to fetch changes");
+      return toPage(res, page, limit);
+    },
+    availableTransitions: (doc, _args, ctx) =>
+      ctx.user ? ProductService.availableTransitions(doc, ctx.user) : [],
   },
 };
\ No newline at end of file
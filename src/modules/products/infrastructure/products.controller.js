@@ -0,0 +1,49 @@
+/**
+ * @fileoverview REST controller for product bulk operations.
+ *
+ * Contract:
+ *  - Expects req.user from authentication middleware ({ userId, role, organizationId }),
+ *    with permissions resolved by the permission middleware where a route requires one.
+ *  - Responds with the service result object as-is ({ status, data } or { status, error }),
+ *    except exports, which stream the file body (errors after the first byte abort the response).
+ */
+const { pipeline } = require("stream");
+const ProductImportService = require("../application/product-import.service");
+const ProductExportService = require("../application/product-export.service");
+const { logger } = require("../../../_shared/utils/logger");
+
+const actorOf = (req) => ({
+  userId: req.user?.userId,
+  role: req.user?.role,
+  permissions: req.user?.permissions || [],
+  organizationId: req.user?.organizationId ?? null,
+});
+
+exports.importProducts = async (req, res) => {
+  const result = await ProductImportService.startImport(actorOf(req), req.file, {
+    format: req.query.format,
+  });
+  res.status(result.status).json(result);
+};
+
+exports.getImportJob = async (req, res) => {
+  const result = await ProductImportService.getJob(actorOf(req), req.params.id);
+  res.status(result.status).json(result);
+};
+
+exports.exportProducts = async (req, res) => {
+  const { format, ...filter } = req.query;
+  const result = ProductExportService.createExport(filter, format, actorOf(req));
+  if (result.status >= 400) return res.status(result.status).json(result);
+
+  const { stream, contentType, fileName } = result.data;
+  res.status(200);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+  pipeline(stream, res, (err) => {
+    if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      logger(`[Export] stream aborted: ${err.message}`, "ERROR:", "red");
+    }
+  });
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Product REST routes (auto-mounted at /api/products by setup.root).
+ *
+ * Endpoints:
+ *  - POST /api/products/import     : bulk import from CSV / JSON / NDJSON (multipart field "file")
+ *  - GET  /api/products/import/:id : import job status + per-row report
+ *  - GET  /api/products/export     : streaming export (csv | ndjson | xml) with ProductFilterInput filters
+ *
+ * Security:
+ *  - JWT required; import needs product:create (resolved from the caller's role, so revoking
+ *    it stops bulk creation too), export is open to roles that can list products (providers
+ *    only get the products they own).
+ */
+const express = require("express");
+const authentication = require("../../../_shared/middlewares/authentication.middleware");
+const authorization = require("../../../_shared/middlewares/authorization.middleware");
+const requirePermission = require("../../../_shared/middlewares/permission.middleware");
+const singleFileUpload = require("../../../_shared/middlewares/upload.middleware");
+const validateId = require("../../../_shared/middlewares/validate/id.validate");
+const validateQueryDto = require("../../../_shared/middlewares/validate/dtoQuery.validate");
+const exportQueryDto = require("../domain/productExport.dto");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { Permission } = require("../../../_shared/enum/permissions.enum");
+const config = require("../../../_shared/config/config");
+const controller = require("./products.controller");
+
+const router = express.Router();
+
+router.post(
+  "/import",
+  authentication,
+  requirePermission(Permission.PRODUCT_CREATE),
+  singleFileUpload("file", { maxBytes: config.IMPORT.maxFileBytes }),
+  controller.importProducts
+);
+
+router.get("/import/:id", authentication, validateId, controller.getImportJob);
+
+router.get(
+  "/export",
+  authentication,
+  authorization([
+    RoleTypeEnum.ADMIN,
+    RoleTypeEnum.MANAGER,
+    RoleTypeEnum.EDITOR,
+    RoleTypeEnum.PROVIDER,
+  ]),
+  validateQueryDto(exportQueryDto),
+  controller.exportProducts
+);
+
+module.exports = router;
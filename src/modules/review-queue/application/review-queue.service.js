@@ -0,0 +1,348 @@
+/**
+ * @fileoverview ReviewQueueService: pending-review work queue for editors.
+ *
+ * Responsibilities:
+ *  - List PENDING_REVIEW products sorted by age (oldest submission first) or priority,
+ *    with per-provider counts and SLA state.
+ *  - Claims: an editor locks a pending product for REVIEW_CLAIM_TTL_MS; the lock expires by
+ *    itself (claimExpiresAt) and other editors cannot approve / reject meanwhile
+ *    (guard in domain/product.workflow.js).
+ *  - Assignment and priority: managers / admins route items to a specific editor; only the
+ *    assignee may then claim, approve or reject it.
+ *
+ * Rules:
+ *  - claimReview: EDITOR; product pending; unclaimed, expired or already ours; unassigned or
+ *    assigned to us. Claiming again renews the lock.
+ *  - releaseReview: the claim holder, or a manager / admin.
+ *  - assignReview: MANAGER / ADMIN; assignee must be an editor; a claim held by someone
+ *    else is dropped. editorId null clears the assignment.
+ *  - setReviewPriority: MANAGER / ADMIN.
+ *
+ * Events:
+ *  - product.claimed / product.released / product.assigned / product.prioritized go through
+ *    the outbox in the same transaction as the update (feeds reviewQueueChanged).
+ *  - Claim expiry emits nothing (it is evaluated lazily).
+ *
+ * Storage:
+ *  - State lives in product.review (domain/review.schema.js); this service works on the
+ *    Product model directly so claims stay single-document atomic updates.
+ */
+const mongoose = require("mongoose");
+const BaseService = require("../../../_shared/service/base.service");
+const Product = require("../../products/domain/product.schema");
+const ProductService = require("../../products/application/product.service");
+const UserService = require("../../users/application/user.service");
+const userPopulate = require("../../users/domain/user.populate");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { ProductStatus } = require("../../products/domain/product.enum");
+const { ReviewQueueSort } = require("../domain/review.enum");
+const {
+  sameId,
+  isClaimActive,
+  isAssignedToOther,
+  releaseClaim,
+} = require("../domain/review.util");
+const { nudgeOutboxRelay } = require("../../../_shared/jobs/outboxRelay.job");
+const config = require("../../../_shared/config/config");
+
+const MANAGING_ROLES = [RoleTypeEnum.ADMIN, RoleTypeEnum.MANAGER];
+
+const roleOf = (actor) => (actor?.role || "").toLowerCase();
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/** Submission instant with the createdAt fallback for products that predate the queue. */
+const SUBMITTED_AT = { $ifNull: ["$review.submittedAt", "$createdAt"] };
+
+class ReviewQueueService extends BaseService {
+  constructor() {
+    super(Product);
+  }
+
+  /**
+   * Mongo filter for the queue. Ids are cast up front so the same filter works in aggregations.
+   * @param {{providerId?: string, assignedTo?: string, claimed?: boolean, overdue?: boolean}} [filter]
+   * @param {Date} [now]
+   */
+  buildQueueQuery(filter = {}, now = new Date()) {
+    const criteria = [{ status: ProductStatus.PENDING_REVIEW }];
+
+    if (filter.providerId) criteria.push({ createdBy: toObjectId(filter.providerId) });
+    if (filter.assignedTo) criteria.push({ "review.assignedTo": toObjectId(filter.assignedTo) });
+
+    const unclaimed = {
+      $or: [{ "review.claimedBy": null }, { "review.claimExpiresAt": { $lte: now } }],
+    };
+    if (filter.claimed === true) criteria.push({ $nor: [unclaimed] });
+    if (filter.claimed === false) criteria.push(unclaimed);
+
+    const cutoff = new Date(now.getTime() - config.REVIEW.slaMs);
+    const overdue = {
+      $or: [
+        { "review.submittedAt": { $lte: cutoff } },
+        { "review.submittedAt": null, createdAt: { $lte: cutoff } },
+      ],
+    };
+    if (filter.overdue === true) criteria.push(overdue);
+    if (filter.overdue === false) criteria.push({ $nor: [overdue] });
+
+    return criteria.length > 1 ? { $and: criteria } : criteria[0];
+  }
+
+  /**
+   * @param {string} sort - ReviewQueueSort value
+   * @returns {object} Mongo sort
+   */
+  queueSort(sort) {
+    const byAge = { "review.submittedAt": 1, createdAt: 1, _id: 1 };
+    return sort === ReviewQueueSort.PRIORITY ? { "review.priority": -1, ...byAge } : byAge;
+  }
+
+  /**
+   * Page of pending products.
+   * @param {object} [filter] - See buildQueueQuery
+   * @param {string} [sort] - ReviewQueueSort value
+   */
+  async findQueue(filter = {}, sort = ReviewQueueSort.AGE, page = 0, limit = 20) {
+    return this.findAll(page, limit, this.buildQueueQuery(filter), [], null, this.queueSort(sort));
+  }
+
+  /**
+   * Pending / overdue counts per provider (filter.providerId is ignored).
+   * @returns {Promise<{status:number, data?: {providerId, pending:number, overdue:number, oldestSubmittedAt:Date}[], error?: string}>}
+   */
+  async countByProvider(filter = {}) {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - config.REVIEW.slaMs);
+    const query = this.buildQueueQuery({ ...filter, providerId: null }, now);
+    try {
+      const rows = await this.model.aggregate([
+        { $match: { ...query, deletedAt: null } },
+        {
+          $group: {
+            _id: "$createdBy",
+            pending: { $sum: 1 },
+            overdue: { $sum: { $cond: [{ $lte: [SUBMITTED_AT, cutoff] }, 1, 0] } },
+            oldestSubmittedAt: { $min: SUBMITTED_AT },
+          },
+        },
+        { $sort: { pending: -1, _id: 1 } },
+      ]);
+      return {
+        status: 200,
+        data: rows.map(({ _id, pending, overdue, oldestSubmittedAt }) => ({
+          providerId: _id,
+          pending,
+          overdue,
+          oldestSubmittedAt,
+        })),
+      };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Run a review update and enqueue its event in one transaction, then wake the relay.
+   * @param {object} actor
+   * @param {string|ObjectId} id
+   * @param {string} eventType
+   * @param {(session) => Promise<object>} write - returns the updated product result
+   * @param {(doc) => object} [eventData]
+   */
+  async applyReviewChange(actor, id, eventType, write, eventData = () => ({})) {
+    try {
+      const updated = await this.withTransaction(async (session) => {
+        const res = await write(session);
+        if (res.status >= 400) return res;
+
+        const queued = await ProductService.enqueueEvent(
+          eventType,
+          id,
+          { productId: String(id), status: res.data.status, ...eventData(res.data) },
+          actor,
+          session
+        );
+        if (queued.status >= 400) return queued;
+
+        return res;
+      });
+      if (updated.status < 400) nudgeOutboxRelay();
+      return updated;
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Load a product that must be pending review (inside the transaction).
+   */
+  async findPending(id, session) {
+    const current = await this.findById(id, [], null, { session });
+    if (current.status !== 200) return current;
+    if (current.data.status !== ProductStatus.PENDING_REVIEW) {
+      return {
+        status: 400,
+        error: `Product is not pending review (status ${current.data.status})`,
+      };
+    }
+    return current;
+  }
+
+  /**
+   * Claim (or renew the claim on) a pending product.
+   * @param {object} actor - { userId, role }
+   * @param {string|ObjectId} id
+   * @param {{ttlMs?: number}} [options]
+   */
+  async claimReview(actor, id, { ttlMs = config.REVIEW.claimTtlMs } = {}) {
+    if (roleOf(actor) !== RoleTypeEnum.EDITOR) {
+      return { status: 403, error: "Forbidden: only editors can claim products for review" };
+    }
+
+    return this.applyReviewChange(
+      actor,
+      id,
+      "product.claimed",
+      async (session) => {
+        const now = new Date();
+        const doc = await this.model.findOneAndUpdate(
+          {
+            _id: id,
+            deletedAt: null,
+            status: ProductStatus.PENDING_REVIEW,
+            $and: [
+              {
+                $or: [
+                  { "review.claimedBy": null },
+                  { "review.claimExpiresAt": { $lte: now } },
+                  { "review.claimedBy": actor.userId },
+                ],
+              },
+              { $or: [{ "review.assignedTo": null }, { "review.assignedTo": actor.userId }] },
+            ],
+          },
+          {
+            $set: {
+              "review.claimedBy": actor.userId,
+              "review.claimedAt": now,
+              "review.claimExpiresAt": new Date(now.getTime() + ttlMs),
+              updatedAt: now,
+            },
+          },
+          { new: true, session }
+        );
+        if (doc) return { status: 200, data: doc };
+        return this.explainRefusedClaim(actor, id, session);
+      },
+      (doc) => ({
+        claimedBy: String(actor.userId),
+        claimExpiresAt: doc.review.claimExpiresAt.toISOString(),
+      })
+    );
+  }
+
+  /**
+   * Why the conditional claim update matched nothing.
+   */
+  async explainRefusedClaim(actor, id, session) {
+    const current = await this.findPending(id, session);
+    if (current.status !== 200) return current;
+
+    const { review } = current.data;
+    if (isAssignedToOther(current.data, actor.userId)) {
+      return { status: 403, error: "Forbidden: product is assigned to another editor" };
+    }
+    return {
+      status: 409,
+      error: `Product is already claimed until ${new Date(review.claimExpiresAt).toISOString()}`,
+    };
+  }
+
+  /**
+   * Drop an active claim (holder, manager or admin).
+   */
+  async releaseReview(actor, id) {
+    const role = roleOf(actor);
+    if (role !== RoleTypeEnum.EDITOR && !MANAGING_ROLES.includes(role)) {
+      return { status: 403, error: "Forbidden: cannot release review claims" };
+    }
+
+    return this.applyReviewChange(actor, id, "product.released", async (session) => {
+      const current = await this.findPending(id, session);
+      if (current.status !== 200) return current;
+
+      const { review } = current.data;
+      if (!isClaimActive(review)) return { status: 400, error: "Product is not claimed" };
+      if (!sameId(review.claimedBy, actor.userId) && !MANAGING_ROLES.includes(role)) {
+        return { status: 403, error: "Forbidden: product is claimed by another editor" };
+      }
+      return this.updateById(id, releaseClaim(), [], null, { session });
+    });
+  }
+
+  /**
+   * Assign a pending product to an editor (null clears the assignment).
+   */
+  async assignReview(actor, id, editorId) {
+    if (!MANAGING_ROLES.includes(roleOf(actor))) {
+      return { status: 403, error: "Forbidden: only managers can assign reviews" };
+    }
+
+    if (editorId) {
+      const assignee = await UserService.findById(editorId, userPopulate);
+      if (assignee.status === 404) return { status: 404, error: "Assignee not found" };
+      if (assignee.status !== 200) return assignee;
+      if ((assignee.data.role?.name || "").toLowerCase() !== RoleTypeEnum.EDITOR) {
+        return { status: 400, error: "Reviews can only be assigned to editors" };
+      }
+    }
+
+    return this.applyReviewChange(
+      actor,
+      id,
+      "product.assigned",
+      async (session) => {
+        const current = await this.findPending(id, session);
+        if (current.status !== 200) return current;
+
+        const { review } = current.data;
+        const updates = editorId
+          ? {
+              "review.assignedTo": editorId,
+              "review.assignedBy": actor.userId,
+              "review.assignedAt": new Date(),
+            }
+          : { "review.assignedTo": null, "review.assignedBy": null, "review.assignedAt": null };
+        if (editorId && isClaimActive(review) && !sameId(review.claimedBy, editorId)) {
+          Object.assign(updates, releaseClaim());
+        }
+        return this.updateById(id, updates, [], null, { session });
+      },
+      () => ({ assignedTo: editorId ? String(editorId) : null })
+    );
+  }
+
+  /**
+   * Change the queue priority of a pending product.
+   * @param {number} priority - ReviewPriority value
+   */
+  async setReviewPriority(actor, id, priority) {
+    if (!MANAGING_ROLES.includes(roleOf(actor))) {
+      return { status: 403, error: "Forbidden: only managers can change review priority" };
+    }
+
+    return this.applyReviewChange(
+      actor,
+      id,
+      "product.prioritized",
+      async (session) => {
+        const current = await this.findPending(id, session);
+        if (current.status !== 200) return current;
+        return this.updateById(id, { "review.priority": priority }, [], null, { session });
+      },
+      () => ({ priority })
+    );
+  }
+}
+
+module.exports = new ReviewQueueService();
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Joi schemas for review queue queries and actions.
+ *
+ * Constraints:
+ *  - filter: optional provider / assignee ids; claimed and overdue narrow the queue.
+ *  - claim: optional lock lifetime in minutes (1 min .. 8 h); defaults to REVIEW_CLAIM_TTL_MS.
+ */
+const Joi = require("joi");
+
+const objectId = Joi.string().hex().length(24);
+
+const reviewQueueFilterDto = Joi.object({
+  providerId: objectId.optional(),
+  assignedTo: objectId.optional(),
+  claimed: Joi.boolean().optional(),
+  overdue: Joi.boolean().optional(),
+});
+
+const claimReviewDto = Joi.object({
+  ttlMinutes: Joi.number().integer().min(1).max(480).allow(null).optional(),
+});
+
+module.exports = {
+  reviewQueueFilterDto,
+  claimReviewDto,
+};
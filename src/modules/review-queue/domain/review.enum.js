@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Review queue enums.
+ *
+ * ReviewPriority:
+ *  - Stored as a number so the queue can sort by it; GraphQL exposes the names.
+ *
+ * ReviewQueueSort:
+ *  - AGE: oldest submission first.
+ *  - PRIORITY: highest priority first, then oldest submission.
+ */
+const ReviewPriority = Object.freeze({
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+  URGENT: 3,
+});
+
+const ReviewQueueSort = Object.freeze({
+  AGE: "AGE",
+  PRIORITY: "PRIORITY",
+});
+
+module.exports = {
+  ReviewPriority,
+  ReviewQueueSort,
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Review bookkeeping embedded in Product (product.review).
+ *
+ * Fields:
+ *  - submittedAt: when the product (re)entered PENDING_REVIEW; SLA age is measured from here.
+ *  - priority: ReviewPriority value set by managers.
+ *  - claimedBy / claimedAt / claimExpiresAt: editor lock; expired claims are simply ignored
+ *    (no sweeper job), so nothing has to run for a lock to lapse.
+ *  - assignedTo / assignedBy / assignedAt: manager assignment; only the assignee may claim.
+ *
+ * Notes:
+ *  - Embedded (no separate collection) so claiming is a single atomic findOneAndUpdate.
+ */
+const mongoose = require("mongoose");
+const { ReviewPriority } = require("./review.enum");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    submittedAt: { type: Date, default: Date.now },
+    priority: {
+      type: Number,
+      enum: Object.values(ReviewPriority),
+      default: ReviewPriority.NORMAL,
+    },
+    claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    claimedAt: { type: Date, default: null },
+    claimExpiresAt: { type: Date, default: null },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    assignedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+module.exports = reviewSchema;
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Pure review queue helpers (claims and SLA timing).
+ *
+ * Notes:
+ *  - Products created before the review queue existed have no review.submittedAt;
+ *    createdAt is used instead.
+ *  - `now` is injectable to keep the helpers deterministic in tests.
+ */
+const sameId = (a, b) => a != null && b != null && String(a?._id || a) === String(b?._id || b);
+
+/**
+ * Whether review holds an unexpired claim.
+ * @param {object|null|undefined} review - product.review
+ * @param {Date} [now]
+ */
+function isClaimActive(review, now = new Date()) {
+  return Boolean(
+    review?.claimedBy && review.claimExpiresAt && new Date(review.claimExpiresAt) > now
+  );
+}
+
+/**
+ * Whether another user than userId holds an active claim on the product.
+ * @param {object} product
+ * @param {string|ObjectId} userId
+ * @param {Date} [now]
+ */
+function isClaimedByOther(product, userId, now = new Date()) {
+  return isClaimActive(product?.review, now) && !sameId(product.review.claimedBy, userId);
+}
+
+/**
+ * Whether the product is assigned to another editor than userId.
+ * @param {object} product
+ * @param {string|ObjectId} userId
+ */
+function isAssignedToOther(product, userId) {
+  const assignedTo = product?.review?.assignedTo;
+  return Boolean(assignedTo) && !sameId(assignedTo, userId);
+}
+
+/**
+ * Update fields that drop the claim (dotted paths, usable in any product update).
+ * @returns {object}
+ */
+function releaseClaim() {
+  return {
+    "review.claimedBy": null,
+    "review.claimedAt": null,
+    "review.claimExpiresAt": null,
+  };
+}
+
+/**
+ * Submission instant used for age / SLA.
+ * @param {object} product
+ * @returns {Date|null}
+ */
+function submittedAtOf(product) {
+  const value = product?.review?.submittedAt || product?.createdAt;
+  return value ? new Date(value) : null;
+}
+
+/**
+ * Age and SLA state of a pending product.
+ * @param {object} product
+ * @param {{slaMs: number, now?: Date}} options
+ * @returns {{submittedAt: Date|null, ageMs: number|null, dueAt: Date|null, overdue: boolean}}
+ */
+function reviewTiming(product, { slaMs, now = new Date() }) {
+  const submittedAt = submittedAtOf(product);
+  if (!submittedAt) return { submittedAt: null, ageMs: null, dueAt: null, overdue: false };
+  const dueAt = new Date(submittedAt.getTime() + slaMs);
+  return {
+    submittedAt,
+    ageMs: Math.max(0, now.getTime() - submittedAt.getTime()),
+    dueAt,
+    overdue: dueAt <= now,
+  };
+}
+
+module.exports = {
+  sameId,
+  isClaimActive,
+  isClaimedByOther,
+  isAssignedToOther,
+  releaseClaim,
+  submittedAtOf,
+  reviewTiming,
+};
@@ -0,0 +1,95 @@
+/**
+ * Review queue resolvers.
+ * - Queue listing + per-provider counts, claim / release / assign / priority mutations.
+ * - Product.review maps product.review to its GraphQL view (expired claims shown as unclaimed).
+ */
+
+const ReviewQueueService = require("../application/review-queue.service");
+const { reviewQueueFilterDto, claimReviewDto } = require("../domain/review-queue.dto");
+const { ReviewPriority } = require("../domain/review.enum");
+const { isClaimActive, reviewTiming } = require("../domain/review.util");
+const { ProductStatus } = require("../../products/domain/product.enum");
+const { unwrap, toGraphQLError } = require("../../../graphql/error.utils");
+const { toPage } = require("../../../graphql/pagination.utils");
+const { loadRef } = require("../../../graphql/loaders");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const config = require("../../../_shared/config/config");
+
+/**
+ * GraphQL view of product.review (plain object; claim fields cleared once expired).
+ */
+function toReviewView(doc, now = new Date()) {
+  const raw = doc.review?.toObject ? doc.review.toObject() : doc.review || {};
+  const active = isClaimActive(raw, now);
+  const timing = reviewTiming(doc, { slaMs: config.REVIEW.slaMs, now });
+  return {
+    ...raw,
+    priority: raw.priority ?? ReviewPriority.NORMAL,
+    claimedBy: active ? raw.claimedBy : null,
+    claimedAt: active ? raw.claimedAt : null,
+    claimExpiresAt: active ? raw.claimExpiresAt : null,
+    ...timing,
+    overdue: doc.status === ProductStatus.PENDING_REVIEW && timing.overdue,
+  };
+}
+
+const actorOf = (ctx) => ({ userId: ctx.user.userId, role: ctx.user.role });
+
+module.exports = {
+  ReviewPriority,
+
+  Query: {
+    reviewQueue: async (_p, { filter, sort, page = 0, limit = 20 }) => {
+      const value = await reviewQueueFilterDto.validateAsync(filter || {}, { abortEarly: false });
+      const res = await ReviewQueueService.findQueue(value, sort, page, limit);
+      if (res.status >= 400) throw toGraphQLError(res, "Failed to list review queue");
+      return {
+        ...toPage(res, page, limit),
+        // Resolved only when selected (default resolver calls functions).
+        byProvider: async () =>
+          unwrap(await ReviewQueueService.countByProvider(value), "Failed to count review queue"),
+      };
+    },
+  },
+
+  Mutation: {
+    claimReview: async (_p, { id, ttlMinutes }, ctx) => {
+      const value = await claimReviewDto.validateAsync({ ttlMinutes }, { abortEarly: false });
+      const options = value.ttlMinutes ? { ttlMs: value.ttlMinutes * 60 * 1000 } : {};
+      const res = await ReviewQueueService.claimReview(actorOf(ctx), id, options);
+      return unwrap(res, "Failed to claim product");
+    },
+
+    releaseReview: async (_p, { id }, ctx) => {
+      const res = await ReviewQueueService.releaseReview(actorOf(ctx), id);
+      return unwrap(res, "Failed to release product");
+    },
+
+    assignReview: async (_p, { id, editorId }, ctx) => {
+      const res = await ReviewQueueService.assignReview(actorOf(ctx), id, editorId ?? null);
+      return unwrap(res, "Failed to assign product");
+    },
+
+    setReviewPriority: async (_p, { id, priority }, ctx) => {
+      const res = await ReviewQueueService.setReviewPriority(actorOf(ctx), id, priority);
+      return unwrap(res, "Failed to change review priority");
+    },
+  },
+
+  Product: {
+    review: (doc, _args, ctx) =>
+      String(ctx.user?.role || "").toLowerCase() === RoleTypeEnum.PROVIDER
+        ? null
+        : toReviewView(doc),
+  },
+
+  ProductReview: {
+    claimedBy: (review, _args, ctx) => loadRef(ctx.loaders.userById, review.claimedBy),
+    assignedTo: (review, _args, ctx) => loadRef(ctx.loaders.userById, review.assignedTo),
+    assignedBy: (review, _args, ctx) => loadRef(ctx.loaders.userById, review.assignedBy),
+  },
+
+  ReviewQueueProviderCount: {
+    provider: (row, _args, ctx) => loadRef(ctx.loaders.userById, row.providerId),
+  },
+};
@@ -2,26 +2,165 @@
  * @fileoverview RoleService: specialized CRUD facade for Role model.
  *
  * Responsibilities:
- *  - Extend BaseService for Role-specific future behaviors (permission policies, caching).
- *  - Provide a centralized place to evolve role logic without touching generic BaseService.
+ *  - Extend BaseService for Role-specific behaviors.
+ *  - Grant / revoke permissions on a role; backfill default grants on built-in roles
+ *    stored before permissions existed.
+ *  - Resolve a role name to its permissions for request authorization (cached).
+ *  - Keep built-in roles (RoleTypeEnum) in place: @auth matches role names, so renaming or
+ *    deleting them would move or drop access (400).
  *
- * Current State:
- *  - No custom methods yet; inherits all CRUD from BaseService.
+ * Caching:
+ *  - permissionsForRole keeps results for config.AUTH.permissionCacheTtlMs per role name.
+ *    Grants / revokes / renames clear the local entry; other instances pick the change up
+ *    when their entry expires.
  *
  * Future Enhancements:
- *  - addPermissions(roleId, permissions[])
- *  - cache role lookups with TTL
  *  - map external IAM groups to internal roles
  */
 const BaseService = require("../../../_shared/service/base.service.js");
 const Role = require("../domain/role.schema.js");
+const config = require("../../../_shared/config/config");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { DEFAULT_ROLE_PERMISSIONS } = require("../../../_shared/enum/permissions.enum");
+
+const BUILT_IN_ROLES = Object.values(RoleTypeEnum);
+const isBuiltInRole = (name) => BUILT_IN_ROLES.includes(String(name || "").toLowerCase());
 
 class RoleService extends BaseService {
   constructor() {
     super(Role);
+    this.permissionCache = new Map();
+  }
+
+  /**
+   * Permissions granted by the role called roleName ([] for unknown roles).
+   * Lookup failures are not cached and yield [] (requests fail closed).
+   * @param {string} roleName
+   * @returns {Promise<string[]>}
+   */
+  async permissionsForRole(roleName) {
+    const name = String(roleName || "").toLowerCase();
+    if (!name) return [];
+
+    const cached = this.permissionCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const res = await this.findOneByCriteria({ name }, [], "permissions");
+    if (res.status !== 200 && res.status !== 404) return [];
+
+    const permissions = res.status === 200 ? [...(res.data.permissions || [])] : [];
+    this.permissionCache.set(name, {
+      permissions,
+      expiresAt: Date.now() + config.AUTH.permissionCacheTtlMs,
+    });
+    return permissions;
+  }
+
+  /**
+   * Drop cached permissions (one role name, or all when omitted).
+   * @param {string} [roleName]
+   */
+  invalidatePermissions(roleName) {
+    if (roleName) this.permissionCache.delete(String(roleName).toLowerCase());
+    else this.permissionCache.clear();
+  }
+
+  /**
+   * Apply a permission update ($addToSet / $pull) and refresh the cache.
+   */
+  async changePermissions(id, update) {
+    try {
+      const doc = await this.model
+        .findOneAndUpdate(
+          { _id: id, deletedAt: null },
+          { ...update, $set: { updatedAt: new Date() } },
+          { new: true, runValidators: true }
+        )
+        .exec();
+      if (!doc) return this.handleDocumentNotFound();
+      this.invalidatePermissions(doc.name);
+      return { status: 200, data: doc };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * @param {string|ObjectId} id
+   * @param {string[]} permissions - Permission values
+   */
+  async grantPermissions(id, permissions) {
+    return this.changePermissions(id, { $addToSet: { permissions: { $each: permissions } } });
   }
 
-  // Placeholder for role-specific methods later.
+  /**
+   * @param {string|ObjectId} id
+   * @param {string[]} permissions - Permission values
+   */
+  async revokePermissions(id, permissions) {
+    return this.changePermissions(id, { $pull: { permissions: { $in: permissions } } });
+  }
+
+  /**
+   * Give built-in roles without a permissions field their default grants.
+   * Roles whose permissions were edited (even to an empty list) are left alone.
+   * @returns {Promise<{status:number, data?: {updated:number}, error?: string}>}
+   */
+  async backfillDefaultPermissions() {
+    try {
+      let updated = 0;
+      for (const [name, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        const res = await this.model.updateMany(
+          { name, permissions: { $exists: false } },
+          { $set: { permissions } }
+        );
+        updated += res.modifiedCount || 0;
+      }
+      if (updated) this.invalidatePermissions();
+      return { status: 200, data: { updated } };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * 400 when id is a built-in role (those keep their name and cannot be deleted),
+   * the lookup failure when it cannot be loaded, null otherwise.
+   */
+  async checkNotBuiltIn(id) {
+    const res = await this.findById(id, [], "name");
+    if (res.status !== 200) return res;
+    return isBuiltInRole(res.data.name)
+      ? { status: 400, error: "Built-in roles cannot be renamed or deleted" }
+      : null;
+  }
+
+  // Renames and deletions change what a role name resolves to.
+  async updateById(id, updateData, ...rest) {
+    if (updateData?.name) {
+      const guard = await this.checkNotBuiltIn(id);
+      if (guard) return guard;
+    }
+    const res = await super.updateById(id, updateData, ...rest);
+    if (res.status === 200 && updateData?.name) this.invalidatePermissions();
+    return res;
+  }
+
+  async softDeleteById(id, ...rest) {
+    const guard = await this.checkNotBuiltIn(id);
+    if (guard) return guard;
+    const res = await super.softDeleteById(id, ...rest);
+    if (res.status === 200) this.invalidatePermissions();
+    return res;
+  }
+
+  async deleteById(id, ...rest) {
+    const guard = await this.checkNotBuiltIn(id);
+    if (guard) return guard;
+    const res = await super.deleteById(id, ...rest);
+    if (res.status === 200) this.invalidatePermissions();
+    return res;
+  }
 }
 
-module.exports = new RoleService();
\ No newline at end of file
+module.exports = new RoleService();
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Joi schemas for role permissions.
+ *
+ * Constraints:
+ *  - Values restricted to the Permission catalogue, no duplicates.
+ *  - grant / revoke need at least one permission.
+ */
+const Joi = require("joi");
+const { Permission } = require("../../../_shared/enum/permissions.enum");
+
+const permissionList = Joi.array()
+  .items(Joi.string().valid(...Object.values(Permission)))
+  .unique()
+  .messages({
+    "any.only": `Permission must be one of ${Object.values(Permission).join(", ")}`,
+  });
+
+const permissionChangeDto = Joi.object({
+  permissions: permissionList.min(1).required(),
+});
+
+module.exports = {
+  permissionList,
+  permissionChangeDto,
+};
@@ -2,24 +2,29 @@
  * @fileoverview Joi schema for Role creation payload.
  *
  * Responsibilities:
- *  - Validate incoming "name" field matches allowed role enum values.
+ *  - Validate the role name (lowercase slug) and optional initial permissions.
  *
- * Limitations:
- *  - Enum list defined in shared RoleTypeEnum (imported).
+ * Notes:
+ *  - Built-in names (RoleTypeEnum) get their default permissions when none are given.
  *  - Does not handle updates (see roleUpdate.dto.js).
  *
  * Security:
- *  - Strict enum prevents privilege escalation by arbitrary string role injection.
+ *  - Permissions are restricted to the Permission catalogue; a custom role name grants
+ *    nothing by itself (only its permissions count).
  */
 const Joi = require("joi");
-const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { permissionList } = require("./permission.dto");
 
 module.exports = Joi.object({
   name: Joi.string()
-    .valid(RoleTypeEnum.ADMIN, RoleTypeEnum.MANAGER, RoleTypeEnum.EMPLOYEE, RoleTypeEnum.PROVIDER, RoleTypeEnum.EDITOR)
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z][a-z0-9_-]{1,39}$/)
     .required()
     .messages({
       "string.empty": "Name is required",
-      "any.only": `Name must be one of ${Object.values(RoleTypeEnum).join(", ")}`,
+      "string.pattern.base":
+        "Name must start with a letter and contain only letters, digits, _ or - (2-40 chars)",
     }),
-});
\ No newline at end of file
+  permissions: permissionList.optional(),
+});
@@ -2,10 +2,12 @@
  * @fileoverview Role Mongoose schema.
  *
  * Responsibilities:
- *  - Persist system role names (one document per distinct role).
+ *  - Persist roles (one document per distinct name) and the permissions they grant.
  *
  * Schema Notes:
- *  - "name" unique => prevents duplicates (case-sensitive uniqueness).
+ *  - "name" unique, stored lowercase. Built-in names come from RoleTypeEnum (used by @auth);
+ *    other names define custom roles whose access comes from permissions only.
+ *  - "permissions": Permission values (see _shared/enum/permissions.enum.js).
  *
  * Soft Delete:
  *  - Base schema adds deletedAt; logically a role can be "disabled" without removal.
@@ -15,21 +17,35 @@
  *  - Add description / metadata / UI labels.
  */
 const mongoose = require("mongoose");
-const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+const { Permission } = require("../../../_shared/enum/permissions.enum");
 const baseSchema = require("../../../_shared/db/baseSchema");
 
 const roleSchema = new mongoose.Schema({
   name: {
     type: String,
-    enum: {
-      values: Object.values(RoleTypeEnum),
-      message: "Invalid role type",
-    },
     required: true,
     unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,39}$/, "Invalid role name"],
+  },
+
+  permissions: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: Object.values(Permission),
+          message: "Unknown permission",
+        },
+      },
+    ],
+    default: [],
   },
 });
 
 roleSchema.add(baseSchema);
+// Keyset order for cursor (connection) pagination.
+roleSchema.index({ createdAt: -1, _id: -1 });
 
 module.exports = mongoose.model("Role", roleSchema);
\ No newline at end of file
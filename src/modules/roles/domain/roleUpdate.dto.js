@@ -5,10 +5,11 @@
  *  - Allow partial update (currently only 'name').
  *
  * Security:
- *  - Same enum restriction as creation schema.
- *
- * Future:
- *  - Add immutability warning if some roles become system-locked.
+ *  - Same name rules as creation; permissions change only through
+ *    grantPermissions / revokePermissions.
+ *  - Built-in names (RoleTypeEnum) are reserved: @auth matches role names, so renaming a
+ *    role to one would hand its holders that role's access. Built-in roles themselves
+ *    cannot be renamed either (RoleService).
  */
 const Joi = require("joi");
 const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
@@ -16,9 +17,14 @@ const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
 module.exports = Joi.object({
   name: Joi.string()
     .optional()
-    .valid(RoleTypeEnum.ADMIN, RoleTypeEnum.MANAGER, RoleTypeEnum.EMPLOYEE, RoleTypeEnum.PROVIDER, RoleTypeEnum.EDITOR)
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z][a-z0-9_-]{1,39}$/)
+    .invalid(...Object.values(RoleTypeEnum))
     .messages({
+      "any.invalid": "Name is reserved for a built-in role",
       "string.empty": "Name cannot be empty",
-      "any.only": `Name must be one of ${Object.values(RoleTypeEnum).join(", ")}`,
+      "string.pattern.base":
+        "Name must start with a letter and contain only letters, digits, _ or - (2-40 chars)",
     }),
-});
\ No newline at end of file
+});
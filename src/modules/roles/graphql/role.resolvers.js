@@ -4,7 +4,8 @@
  * Responsibilities:
  *  - Wrap RoleService CRUD operations.
  *  - Provide pagination metadata (derived from service pagination object).
- *  - Enforce validation via Joi DTOs (create/update).
+ *  - Enforce validation via Joi DTOs (create/update/permission changes).
+ *  - Expose the permission catalogue and the caller's permissions (ctx.user.permissions).
  *
  * Error Handling:
  *  - unwrap() throws GraphQL errors where appropriate.
@@ -12,19 +13,22 @@
  *
  * Future:
  *  - Add bulk role operations.
- *  - Add permission enumeration per role if/when supported.
  */
 const RoleService = require("../application/role.service");
 const roleCreateDto = require("../domain/role.dto");
 const roleUpdateDto = require("../domain/roleUpdate.dto");
+const { permissionChangeDto } = require("../domain/permission.dto");
+const {
+  Permission,
+  defaultPermissionsFor,
+} = require("../../../_shared/enum/permissions.enum");
 const { unwrap, toGraphQLError } = require("../../../graphql/error.utils");
+const { loadOrThrow } = require("../../../graphql/loaders");
+const { toConnection } = require("../../../graphql/pagination.utils");
 
 module.exports = {
   Query: {
-    role: async (_p, { id }) => {
-      const result = await RoleService.findById(id);
-      return unwrap(result, "Failed to fetch role");
-    },
+    role: (_p, { id }, ctx) => loadOrThrow(ctx.loaders.roleById, id, "Failed to fetch role"),
 
     roles: async (_p, { page = 0, limit = 10, filter }) => {
       const result = await RoleService.findAll(page, limit, filter);
@@ -52,18 +56,30 @@ module.exports = {
         },
       };
     },
+
+    rolesConnection: async (_p, { first, after, filter = {} }) => {
+      const result = await RoleService.findConnection(filter, { first, after });
+      return toConnection(result, () => RoleService.count(filter), "Failed to list roles");
+    },
+
+    permissions: () => Object.values(Permission),
+
+    myPermissions: (_p, _args, ctx) => ctx.user.permissions || [],
   },
 
   Mutation: {
     createRole: async (_p, { input }) => {
-      await roleCreateDto.validateAsync(input, { abortEarly: false });
-      const result = await RoleService.create(input);
+      const value = await roleCreateDto.validateAsync(input, { abortEarly: false });
+      const result = await RoleService.create({
+        ...value,
+        permissions: value.permissions ?? defaultPermissionsFor(value.name),
+      });
       return unwrap(result, "Failed to create role");
     },
 
     updateRole: async (_p, { id, input }) => {
-      await roleUpdateDto.validateAsync(input, { abortEarly: false });
-      const result = await RoleService.updateById(id, input);
+      const value = await roleUpdateDto.validateAsync(input, { abortEarly: false });
+      const result = await RoleService.updateById(id, value);
       return unwrap(result, "Failed to update role");
     },
 
@@ -79,9 +95,22 @@ module.exports = {
       }
       return true;
     },
+
+    grantPermissions: async (_p, { roleId, permissions }) => {
+      const value = await permissionChangeDto.validateAsync({ permissions }, { abortEarly: false });
+      const result = await RoleService.grantPermissions(roleId, value.permissions);
+      return unwrap(result, "Failed to grant permissions");
+    },
+
+    revokePermissions: async (_p, { roleId, permissions }) => {
+      const value = await permissionChangeDto.validateAsync({ permissions }, { abortEarly: false });
+      const result = await RoleService.revokePermissions(roleId, value.permissions);
+      return unwrap(result, "Failed to revoke permissions");
+    },
   },
 
   Role: {
     id: (role) => role.id || role._id?.toString(),
+    permissions: (role) => role.permissions || [],
   },
 };
\ No newline at end of file
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview ReindexService: rebuild the Elasticsearch product index from MongoDB.
+ *
+ * Flow (one job at a time per process):
+ *  1. Create a versioned index (<alias>_v<timestamp>) with the current settings/mappings,
+ *     refresh disabled while loading.
+ *  2. Stream every non-deleted product through a Mongo cursor into bulk requests
+ *     (config.SEARCH.reindexBatchSize documents each).
+ *  3. Refresh, then atomically point the alias at the new index (old targets removed
+ *     in the same updateAliases call; a legacy concrete index named like the alias
+ *     is dropped via remove_index).
+ *  4. Catch-up pass: products touched since the job started are re-applied to the new
+ *     index (writes during the load went to the old index through the alias).
+ *  5. Delete the previous physical indices.
+ *
+ * Failure Handling:
+ *  - Any error before the swap (including per-document bulk failures) deletes the new
+ *    index and leaves the alias untouched, so search keeps serving the old data.
+ *  - Documents that fail during the catch-up pass mark the job FAILED and keep the previous
+ *    indices (the alias already points at the new one), so the missing documents are
+ *    reported and the old data is still there to switch back to.
+ *
+ * Progress:
+ *  - getStatus() exposes the current/last job snapshot (total, processed, indexed, failed).
+ *  - reindexAll({ onProgress }) reports after every bulk batch (used by the CLI).
+ *  - The catch-up pass adds to processed/indexed, so processed may end slightly above total.
+ *
+ * Limitations:
+ *  - Job state is in-memory: status is only visible on the instance running the job,
+ *    and concurrent reindexes from different instances are not prevented.
+ */
+const crypto = require("crypto");
+const { getES } = require("../../../_shared/integrations/elasticsearch/es.client");
+const {
+  versionedIndexName,
+  createProductIndex,
+  mapProduct,
+} = require("../../../_shared/integrations/elasticsearch/es.product.indexer");
+const Product = require("../../products/domain/product.schema");
+const { ReindexStatus } = require("../domain/reindex.enum");
+const { logger } = require("../../../_shared/utils/logger");
+const config = require("../../../_shared/config/config");
+
+class ReindexService {
+  constructor() {
+    this.alias = config.SEARCH.productIndex;
+    this.job = null;
+  }
+
+  /**
+   * Build bulk operations for a batch of product documents.
+   * Soft-deleted documents become delete operations. Pure (no I/O).
+   *
+   * @param {string} index
+   * @param {object[]} docs - Lean product documents
+   * @returns {object[]} ES bulk operations
+   */
+  buildBulkOperations(index, docs) {
+    return docs.flatMap((doc) => {
+      const id = String(doc._id);
+      if (doc.deletedAt) {
+        return [{ delete: { _index: index, _id: id } }];
+      }
+      return [{ index: { _index: index, _id: id } }, mapProduct(doc)];
+    });
+  }
+
+  /**
+   * Build the alias swap actions. Pure (no I/O).
+   *
+   * @param {string} newIndex
+   * @param {string[]} previousIndices - Current alias targets
+   * @param {boolean} legacyConcrete - A concrete index occupies the alias name
+   * @returns {object[]} updateAliases actions
+   */
+  buildAliasActions(newIndex, previousIndices, legacyConcrete) {
+    const actions = [{ add: { index: newIndex, alias: this.alias } }];
+    for (const index of previousIndices) {
+      actions.push({ remove: { index, alias: this.alias } });
+    }
+    if (legacyConcrete) {
+      actions.push({ remove_index: { index: this.alias } });
+    }
+    return actions;
+  }
+
+  /**
+   * Current or last job snapshot.
+   */
+  getStatus() {
+    return { status: 200, data: this.job ? { ...this.job } : null };
+  }
+
+  /**
+   * Start a reindex in the background (GraphQL / admin entry point).
+   * @param {{userId?:string}} [actor]
+   * @returns {{status:number, data?:object, error?:string}} 202 with the job snapshot
+   */
+  start(actor = {}) {
+    if (this.job?.status === ReindexStatus.RUNNING) {
+      return { status: 409, error: "A reindex is already running" };
+    }
+    const job = this.createJob(actor.userId);
+    this.run(job).catch(() => {}); // outcome recorded on the job
+    return { status: 202, data: { ...job } };
+  }
+
+  /**
+   * Run a reindex to completion (CLI entry point).
+   * @param {{onProgress?: Function}} [options]
+   */
+  async reindexAll({ onProgress } = {}) {
+    if (this.job?.status === ReindexStatus.RUNNING) {
+      return { status: 409, error: "A reindex is already running" };
+    }
+    const job = this.createJob(null);
+    try {
+      await this.run(job, onProgress);
+      return { status: 200, data: { ...job } };
+    } catch (err) {
+      return { status: 500, error: `Reindex Error: ${err?.message}`, data: { ...job } };
+    }
+  }
+
+  createJob(requestedBy) {
+    this.job = {
+      id: crypto.randomUUID(),
+      status: ReindexStatus.RUNNING,
+      alias: this.alias,
+      targetIndex: versionedIndexName(),
+      previousIndices: [],
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      failed: 0,
+      requestedBy: requestedBy ? String(requestedBy) : null,
+      startedAt: new Date(),
+      finishedAt: null,
+      error: null,
+    };
+    return this.job;
+  }
+
+  /**
+   * Execute the job (see module header for the flow). Throws on failure after
+   * recording it on the job.
+   */
+  async run(job, onProgress) {
+    const es = getES();
+    const report = () => typeof onProgress === "function" && onProgress({ ...job });
+    let swapped = false;
+
+    try {
+      await createProductIndex(job.targetIndex, { refresh_interval: "-1" });
+      logger(`[Reindex] ${job.id} started -> "${job.targetIndex}"`, "INFO:", "green");
+
+      job.total = await Product.countDocuments({ deletedAt: null });
+      report();
+
+      await this.loadFromCursor(es, job, { deletedAt: null }, report);
+      if (job.failed > 0) {
+        throw new Error(`${job.failed} document(s) failed to index`);
+      }
+
+      await es.indices.putSettings({
+        index: job.targetIndex,
+        settings: { refresh_interval: null },
+      });
+      await es.indices.refresh({ index: job.targetIndex });
+
+      const { previousIndices, legacyConcrete } = await this.resolveAliasTargets(es);
+      job.previousIndices = previousIndices;
+      await es.indices.updateAliases({
+        actions: this.buildAliasActions(job.targetIndex, previousIndices, legacyConcrete),
+      });
+      swapped = true;
+      logger(`[Reindex] alias "${this.alias}" -> "${job.targetIndex}"`, "INFO:", "green");
+
+      // Catch-up: writes during the load went to the old index through the alias.
+      await this.loadFromCursor(es, job, { updatedAt: { $gte: job.startedAt } }, report);
+      await es.indices.refresh({ index: job.targetIndex });
+      if (job.failed > 0) {
+        throw new Error(
+          `${job.failed} document(s) failed to index during catch-up; ` +
+            `previous indices kept: ${previousIndices.join(", ") || "none"}`
+        );
+      }
+
+      for (const index of previousIndices) {
+        await es.indices.delete({ index }, { ignore: [404] });
+      }
+
+      job.status = ReindexStatus.COMPLETED;
+      job.finishedAt = new Date();
+      report();
+      logger(
+        `[Reindex] ${job.id} completed: ${job.indexed} indexed, ${job.failed} failed`,
+        "INFO:",
+        "green"
+      );
+    } catch (err) {
+      job.status = ReindexStatus.FAILED;
+      job.error = err?.message || "unknown error";
+      job.finishedAt = new Date();
+      report();
+      logger(`[Reindex] ${job.id} failed: ${job.error}`, "ERROR:", "red");
+
+      if (!swapped) {
+        await es.indices
+          .delete({ index: job.targetIndex }, { ignore: [404] })
+          .catch(() => {});
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Stream products matching filter into the target index.
+   */
+  async loadFromCursor(es, job, filter, report) {
+    const batchSize = config.SEARCH.reindexBatchSize;
+    const cursor = Product.find(filter).sort({ _id: 1 }).lean().cursor({ batchSize });
+
+    let batch = [];
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length >= batchSize) {
+        await this.flush(es, job, batch);
+        batch = [];
+        report();
+      }
+    }
+    if (batch.length) {
+      await this.flush(es, job, batch);
+      report();
+    }
+  }
+
+  async flush(es, job, docs) {
+    const res = await es.bulk({
+      operations: this.buildBulkOperations(job.targetIndex, docs),
+      refresh: false,
+    });
+
+    let failed = 0;
+    if (res.errors) {
+      for (const item of res.items || []) {
+        const op = item.index || item.delete;
+        // Deleting a document the new index never received is fine.
+        if (op?.error && !(item.delete && op.status === 404)) {
+          failed++;
+          if (failed <= 5) {
+            logger(`[Reindex] ${op._id}: ${op.error.reason || op.error.type}`, "WARN:", "yellow");
+          }
+        }
+      }
+    }
+
+    job.processed += docs.length;
+    job.failed += failed;
+    job.indexed += docs.length - failed;
+  }
+
+  /**
+   * Find what the alias name currently resolves to.
+   * @returns {Promise<{previousIndices:string[], legacyConcrete:boolean}>}
+   */
+  async resolveAliasTargets(es) {
+    const aliasExists = await es.indices.existsAlias({ name: this.alias });
+    if (aliasExists) {
+      const res = await es.indices.getAlias({ name: this.alias });
+      return { previousIndices: Object.keys(res), legacyConcrete: false };
+    }
+    const indexExists = await es.indices.exists({ index: this.alias });
+    return { previousIndices: [], legacyConcrete: Boolean(indexExists) };
+  }
+}
+
+module.exports = new ReindexService();
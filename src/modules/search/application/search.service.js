@@ -0,0 +1,211 @@
+/**
+ * @fileoverview SearchService: full-text product search over Elasticsearch (API B).
+ *
+ * Responsibilities:
+ *  - Translate validated search parameters into an ES bool query.
+ *  - Return hits with highlight snippets and BaseService-like pagination metadata.
+ *
+ * Query Strategy:
+ *  - multi_match over name, brand, manufacturer.name (edge_ngram analyzed at index time,
+ *    standard analyzer at search time) and description (standard full-text).
+ *  - Exact filters go into bool.filter (cached, no scoring impact).
+ *  - Empty q -> match_all (pure filtering / browsing).
+ *  - UNPUBLISHED / ARCHIVED products stay indexed but are excluded unless requested
+ *    explicitly via the status filter. Soft-deleted products are removed from the index.
+ *
+ * Visibility (visibilityFilter, applied on top of the caller's filters):
+ *  - Anonymous callers and roles without catalog review duties: PUBLISHED only.
+ *  - Providers: PUBLISHED plus the products they own in any status (their organization's,
+ *    or their own outside any organization; same rule as productVisibilityQuery).
+ *  - Editors, managers and admins: everything.
+ *
+ * Consistency:
+ *  - Results reflect the ES index, which is eventually consistent with MongoDB.
+ *
+ * Error Contract:
+ *  - Returns { status, data, pagination } on success.
+ *  - Returns { status: 503 } when ES is unreachable, { status: 500 } otherwise.
+ */
+const { getES } = require("../../../_shared/integrations/elasticsearch/es.client");
+const { logger } = require("../../../_shared/utils/logger");
+const config = require("../../../_shared/config/config");
+const { ProductStatus } = require("../../products/domain/product.enum");
+const RoleTypeEnum = require("../../../_shared/enum/roles.enum");
+
+const SEARCH_FIELDS = ["name^3", "brand^2", "manufacturer.name^2", "description"];
+const HIGHLIGHT_FIELDS = ["name", "brand", "description", "manufacturer.name"];
+const HIDDEN_BY_DEFAULT = [ProductStatus.UNPUBLISHED, ProductStatus.ARCHIVED];
+const SEES_ALL_STATUSES = [RoleTypeEnum.ADMIN, RoleTypeEnum.MANAGER, RoleTypeEnum.EDITOR];
+const PUBLISHED_ONLY = { term: { status: ProductStatus.PUBLISHED } };
+
+class SearchService {
+  constructor() {
+    this.index = config.SEARCH.productIndex;
+  }
+
+  /**
+   * ES filter limiting what actor may find (null when unrestricted).
+   * @param {object|null} actor - { userId, role, organizationId } from the access token,
+   *   null when anonymous
+   * @returns {object|null}
+   */
+  visibilityFilter(actor) {
+    const role = String(actor?.role || "").toLowerCase();
+    if (SEES_ALL_STATUSES.includes(role)) return null;
+    if (role === RoleTypeEnum.PROVIDER && actor.userId) {
+      const should = [
+        PUBLISHED_ONLY,
+        {
+          bool: {
+            filter: [{ term: { createdBy: String(actor.userId) } }],
+            must_not: [{ exists: { field: "organizationId" } }],
+          },
+        },
+      ];
+      if (actor.organizationId) {
+        should.push({ term: { organizationId: String(actor.organizationId) } });
+      }
+      return { bool: { should, minimum_should_match: 1 } };
+    }
+    return PUBLISHED_ONLY;
+  }
+
+  /**
+   * Build the ES search request body from validated parameters.
+   * Pure (no I/O) so it can be unit-tested in isolation.
+   *
+   * @param {object} params - Output of search.dto validation
+   * @param {object|null} [actor] - caller (see visibilityFilter); anonymous when omitted
+   * @returns {object} ES search request
+   */
+  buildSearchRequest(params = {}, actor = null) {
+    const {
+      q,
+      status,
+      weightUnit,
+      country,
+      createdBy,
+      sortBy = "relevance",
+      order = "desc",
+      page = 0,
+      limit = 10,
+      highlight = true,
+    } = params;
+
+    const must = [];
+    const filter = [];
+    const mustNot = [];
+
+    if (q && q.trim()) {
+      must.push({
+        multi_match: {
+          query: q.trim(),
+          fields: SEARCH_FIELDS,
+          type: "best_fields",
+          operator: "and",
+        },
+      });
+    } else {
+      must.push({ match_all: {} });
+    }
+
+    if (status) filter.push({ term: { status } });
+    else mustNot.push({ terms: { status: HIDDEN_BY_DEFAULT } });
+    if (weightUnit) filter.push({ term: { weightUnit } });
+    if (country) filter.push({ term: { "manufacturer.country": country } });
+    if (createdBy) filter.push({ term: { createdBy: String(createdBy) } });
+    const visibility = this.visibilityFilter(actor);
+    if (visibility) filter.push(visibility);
+
+    const sort =
+      sortBy === "relevance"
+        ? [{ _score: { order } }, { createdAt: { order: "desc" } }]
+        : [{ [sortBy]: { order, missing: "_last" } }, { _score: { order: "desc" } }];
+
+    const request = {
+      index: this.index,
+      from: page * limit,
+      size: limit,
+      track_total_hits: true,
+      query: { bool: { must, filter, must_not: mustNot } },
+      sort,
+    };
+
+    if (highlight) {
+      request.highlight = {
+        pre_tags: ["<em>"],
+        post_tags: ["</em>"],
+        fields: Object.fromEntries(
+          HIGHLIGHT_FIELDS.map((f) => [
+            f,
+            { fragment_size: 150, number_of_fragments: 3 },
+          ])
+        ),
+      };
+    }
+
+    return request;
+  }
+
+  /**
+   * Execute product search.
+   * @param {object} params - Validated query (see search.dto)
+   * @param {object|null} [actor] - caller (see visibilityFilter); anonymous when omitted
+   */
+  async searchProducts(params = {}, actor = null) {
+    const page = params.page ?? 0;
+    const limit = params.limit ?? 10;
+
+    try {
+      const es = getES();
+      const res = await es.search(this.buildSearchRequest(params, actor));
+
+      const total =
+        typeof res.hits?.total === "number"
+          ? res.hits.total
+          : res.hits?.total?.value ?? 0;
+
+      const items = (res.hits?.hits || []).map((hit) => ({
+        id: hit._id,
+        score: hit._score,
+        ...hit._source,
+        highlight: hit.highlight || {},
+      }));
+
+      return {
+        status: 200,
+        data: items,
+        pagination: {
+          totalDocs: total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: page,
+          pageSize: limit,
+        },
+      };
+    } catch (err) {
+      return this.handleError(err);
+    }
+  }
+
+  /**
+   * Map ES client errors into service result objects.
+   * @param {Error} err
+   */
+  handleError(err) {
+    const statusCode = err?.meta?.statusCode;
+    logger(`[Search] query error: ${err?.message}`, "WARN:", "yellow");
+
+    if (err?.name === "ConnectionError" || err?.name === "TimeoutError") {
+      return { status: 503, error: "Search service unavailable" };
+    }
+    if (statusCode === 404) {
+      return { status: 503, error: "Search index not available" };
+    }
+    if (statusCode === 400) {
+      return { status: 400, error: "Invalid search request" };
+    }
+    return { status: 500, error: `Search Error: ${err?.message}` };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Full reindex job lifecycle enum.
+ *
+ * ReindexStatus:
+ *  - RUNNING: new index is being created / bulk-loaded.
+ *  - COMPLETED: alias swapped to the new index; old indices dropped.
+ *  - FAILED: alias untouched; the partially built index was removed.
+ */
+const ReindexStatus = Object.freeze({
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+});
+
+module.exports = {
+  ReindexStatus,
+};
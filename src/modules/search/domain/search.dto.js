@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Joi schema for product search query string (API B).
+ *
+ * Parameters:
+ *  - q: free text matched against name, brand, description and manufacturer.name.
+ *  - status / weightUnit / country / createdBy: exact keyword filters.
+ *  - sortBy + order: relevance (score) or a date/numeric field.
+ *  - page (0-based) + limit: bounded so page * limit stays inside ES max_result_window.
+ *  - highlight: toggle highlight snippets in the response.
+ */
+const Joi = require("joi");
+const { ProductStatus, WeightUnit } = require("../../products/domain/product.enum");
+
+const MAX_RESULT_WINDOW = 10000;
+
+module.exports = Joi.object({
+  q: Joi.string().trim().max(200).allow("").optional(),
+  status: Joi.string()
+    .valid(...Object.values(ProductStatus))
+    .optional(),
+  weightUnit: Joi.string()
+    .valid(...Object.values(WeightUnit))
+    .optional(),
+  country: Joi.string().trim().max(100).optional(),
+  createdBy: Joi.string().length(24).hex().optional(),
+  sortBy: Joi.string()
+    .valid("relevance", "createdAt", "updatedAt", "netWeight")
+    .default("relevance"),
+  order: Joi.string().valid("asc", "desc").default("desc"),
+  page: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  highlight: Joi.boolean().default(true),
+})
+  .custom((value, helpers) => {
+    if ((value.page + 1) * value.limit > MAX_RESULT_WINDOW) {
+      return helpers.message(
+        `page * limit must not exceed ${MAX_RESULT_WINDOW} results`
+      );
+    }
+    return value;
+  }, "result window guard");
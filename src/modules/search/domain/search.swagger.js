@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Swagger specification for Search (API B) endpoints.
+ *
+ * Notes:
+ *  - Backed by Elasticsearch; results are eventually consistent with MongoDB.
+ *  - Pagination mirrors the service layer shape (data + pagination, 0-based page).
+ */
+/**
+ * @swagger
+ * tags:
+ *   - name: Search
+ *     description: Product full-text search over Elasticsearch
+ *
+ * /api/search/products:
+ *   get:
+ *     summary: Search products by name, brand, description and manufacturer
+ *     description: >
+ *       Public. Anonymous callers only get PUBLISHED products; with a Bearer token editors,
+ *       managers and admins see every status and providers also their own products.
+ *     tags: [Search]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *         description: Free text (type-ahead friendly on name, brand, manufacturer.name)
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [PENDING_REVIEW, PUBLISHED, REJECTED, UNPUBLISHED, ARCHIVED] }
+ *         description: Exact status; when omitted UNPUBLISHED and ARCHIVED are excluded
+ *       - in: query
+ *         name: weightUnit
+ *         schema: { type: string, enum: [g, kg, ml, l, oz, lb] }
+ *       - in: query
+ *         name: country
+ *         schema: { type: string }
+ *         description: Exact manufacturer.country
+ *       - in: query
+ *         name: createdBy
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sortBy
+ *         schema: { type: string, enum: [relevance, createdAt, updatedAt, netWeight], default: relevance }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 0, default: 0 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 10 }
+ *       - in: query
+ *         name: highlight
+ *         schema: { type: boolean, default: true }
+ *     responses:
+ *       '200':
+ *         description: Matching products with highlight snippets and pagination
+ *       '400':
+ *         description: Invalid query parameters
+ *       '401':
+ *         description: Invalid or revoked token (only when a token is sent)
+ *       '503':
+ *         description: Search backend unavailable
+ */
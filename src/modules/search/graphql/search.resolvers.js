@@ -0,0 +1,24 @@
+/**
+ * Search administration resolvers.
+ * - Reindex runs in the background; the mutation returns the initial job snapshot.
+ * - Access restricted to ADMIN in SDL.
+ */
+
+const ReindexService = require("../application/reindex.service");
+const { unwrap } = require("../../../graphql/error.utils");
+
+module.exports = {
+  Query: {
+    reindexStatus: async () => {
+      const res = ReindexService.getStatus();
+      return res.data;
+    },
+  },
+
+  Mutation: {
+    reindexProducts: async (_p, _args, ctx) => {
+      const res = ReindexService.start({ userId: ctx.user.userId });
+      return unwrap(res, "Failed to start reindex");
+    },
+  },
+};
@@ -0,0 +1,14 @@
+/**
+ * @fileoverview REST controller for product search (API B).
+ *
+ * Contract:
+ *  - Expects req.query already validated/coerced by validateQueryDto(search.dto).
+ *  - req.user is set only for authenticated callers (optionalAuthentication).
+ *  - Responds with the service result object as-is ({ status, data, pagination } or { status, error }).
+ */
+const SearchService = require("../application/search.service");
+
+exports.searchProducts = async (req, res) => {
+  const result = await SearchService.searchProducts(req.query, req.user || null);
+  res.status(result.status).json(result);
+};
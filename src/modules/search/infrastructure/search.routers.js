@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Search REST routes (auto-mounted at /api/search by setup.root).
+ *
+ * Endpoints:
+ *  - GET /api/search/products : full-text product search with filters, sort, pagination, highlight
+ *
+ * Security:
+ *  - Public read surface: anonymous callers only get PUBLISHED products.
+ *  - An optional Bearer token widens it (see SearchService.visibilityFilter): editors,
+ *    managers and admins see every status, providers also the products they own.
+ */
+const express = require("express");
+const optionalAuthentication = require("../../../_shared/middlewares/optionalAuthentication.middleware");
+const validateQueryDto = require("../../../_shared/middlewares/validate/dtoQuery.validate");
+const searchQueryDto = require("../domain/search.dto");
+const controller = require("./search.controller");
+
+const router = express.Router();
+
+router.get(
+  "/products",
+  optionalAuthentication,
+  validateQueryDto(searchQueryDto),
+  controller.searchProducts
+);
+
+module.exports = router;
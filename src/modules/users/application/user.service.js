@@ -6,9 +6,20 @@
  *
  * Adds:
  *  - findByEmail(email, includePassword=false)
+ *  - Access token revocation through tokenVersion (isTokenCurrent / bumpTokenVersion).
+ *
+ * Token Version:
+ *  - Access tokens carry the user's tokenVersion (tv); a token is honoured only while it
+ *    matches the stored value and the user is not soft-deleted.
+ *  - Bumped by updateById when the role changes or a password is set, by softDeleteById
+ *    and by bumpTokenVersion (AuthService.logoutAll, organization membership changes).
+ *  - Lookups are cached per user for config.AUTH.tokenVersionCacheTtlMs. Bumps clear the
+ *    local entry; other instances honour old tokens until their entry expires.
  *
  * Security:
  *  - When includePassword=false (default) the password field is excluded.
+ *  - Passwords are hashed here (create / updateById), so callers pass them in clear;
+ *    changing the email clears emailVerifiedAt.
  *  - Upstream callers must sanitize outputs (GraphQL resolvers already exclude sensitive fields).
  *
  * Future:
@@ -16,10 +27,13 @@
  */
 const BaseService = require("../../../_shared/service/base.service.js");
 const User = require("../domain/user.schema.js");
+const config = require("../../../_shared/config/config");
+const { hashPassword } = require("../../../_shared/hash/password.hash");
 
 class UserService extends BaseService {
   constructor() {
     super(User);
+    this.tokenVersionCache = new Map();
   }
 
   /**
@@ -39,6 +53,99 @@ class UserService extends BaseService {
       return this.handleError(error);
     }
   }
+
+  /**
+   * Current token version of an active user (null when missing or soft-deleted).
+   * Lookup failures are not cached and yield undefined (callers fail closed).
+   * @param {string|ObjectId} userId
+   * @returns {Promise<number|null|undefined>}
+   */
+  async tokenVersionOf(userId) {
+    const key = String(userId);
+    const cached = this.tokenVersionCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.version;
+
+    try {
+      const doc = await this.model
+        .findOne({ _id: userId, deletedAt: null })
+        .select("tokenVersion")
+        .lean()
+        .exec();
+      const version = doc ? doc.tokenVersion ?? 0 : null;
+      this.tokenVersionCache.set(key, {
+        version,
+        expiresAt: Date.now() + config.AUTH.tokenVersionCacheTtlMs,
+      });
+      return version;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Whether an access token issued with version tv is still honoured.
+   * Tokens issued before token versions existed count as version 0.
+   * @param {string|ObjectId} userId
+   * @param {number} [tv]
+   * @returns {Promise<boolean>}
+   */
+  async isTokenCurrent(userId, tv) {
+    const current = await this.tokenVersionOf(userId);
+    return current != null && (tv ?? 0) === current;
+  }
+
+  /**
+   * Revoke every access token issued to the user so far.
+   * @param {string|ObjectId} userId
+   * @param {{session?: import('mongoose').ClientSession}} [options]
+   */
+  async bumpTokenVersion(userId, { session = null } = {}) {
+    try {
+      await this.model.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }, { session });
+      this.tokenVersionCache.delete(String(userId));
+      return { status: 200, data: true };
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  // Passwords are stored hashed.
+  async create(data, populateOptions = [], selectOptions = null, options = {}) {
+    const doc = data?.password ? { ...data, password: await hashPassword(data.password) } : data;
+    return super.create(doc, populateOptions, selectOptions, options);
+  }
+
+  // Password changes are hashed; role and password changes revoke issued access tokens;
+  // a new email address has to be verified again.
+  async updateById(id, updateData, populateOptions = [], selectOptions = null, options = {}) {
+    let data = updateData;
+    let revoke = false;
+
+    if (data?.password) {
+      data = { ...data, password: await hashPassword(data.password) };
+      revoke = true;
+    }
+    if (data?.role || data?.email) {
+      const current = await this.findById(id, [], "role email", { session: options.session });
+      if (current.status === 200) {
+        if (data.role && String(current.data.role) !== String(data.role)) revoke = true;
+        if (data.email && current.data.email !== data.email) {
+          data = { ...data, emailVerifiedAt: null };
+        }
+      }
+    }
+    if (revoke) data = { ...data, $inc: { tokenVersion: 1 } };
+
+    const res = await super.updateById(id, data, populateOptions, selectOptions, options);
+    if (res.status === 200 && revoke) this.tokenVersionCache.delete(String(id));
+    return res;
+  }
+
+  async softDeleteById(id, populateOptions = [], selectOptions = null, options = {}) {
+    const res = await super.softDeleteById(id, populateOptions, selectOptions, options);
+    if (res.status === 200) await this.bumpTokenVersion(id, options);
+    return res;
+  }
 }
 
-module.exports = new UserService();
\ No newline at end of file
+module.exports = new UserService();
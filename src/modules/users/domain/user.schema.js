@@ -4,7 +4,12 @@
  * Fields:
  *  - email unique (login identifier)
  *  - role (ObjectId -> Role)
+ *  - organizationId / organizationRole: supplier organization membership (at most one),
+ *    managed by OrganizationService
  *  - refreshTokens: array of RefreshToken ObjectIds (optional ref usage)
+ *  - emailVerifiedAt: set by verifyEmail; cleared when the email changes (null = unverified)
+ *  - tokenVersion: embedded in access tokens (tv); bumping it revokes every access token
+ *    issued before (role / password change, soft delete, logoutAll). See UserService.
  *
  * Security:
  *  - password stored as hash (bcrypt) - ensure never selected by default in production (could add select:false).
@@ -18,6 +23,7 @@
  */
 const mongoose = require("mongoose");
 const baseSchema = require("../../../_shared/db/baseSchema");
+const { OrganizationRole } = require("../../organizations/domain/organization.enum");
 
 const userSchema = new mongoose.Schema({
   name: { type: String },
@@ -26,6 +32,10 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true }, // Consider select:false in production
   role: { type: mongoose.Schema.Types.ObjectId, ref: "Role", required: true },
   lastUsedRole: { type: mongoose.Schema.Types.ObjectId, ref: "Role", default: null },
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", default: null },
+  organizationRole: { type: String, enum: Object.values(OrganizationRole), default: null },
+  emailVerifiedAt: { type: Date, default: null },
+  tokenVersion: { type: Number, default: 0, min: 0 },
   refreshTokens: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -35,5 +45,8 @@ const userSchema = new mongoose.Schema({
 });
 
 userSchema.add(baseSchema);
+// Keyset order for cursor (connection) pagination.
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ organizationId: 1 });
 
 module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
@@ -5,6 +5,7 @@
  *  - Validate inputs via DTO.
  *  - Use service layer (never query model directly here).
  *  - Provide pagination metadata consistent with other modules.
+ *  - role / lastUsedRole resolved through ctx.loaders.roleById (batched per request).
  *
  * Security:
  *  - Excludes password and tests (selectOptions).
@@ -15,24 +16,18 @@ const userPopulate = require("../domain/user.populate");
 const createUserDto = require("../domain/user.dto");
 const updateUserDto = require("../domain/userUpdate.dto");
 const { unwrap, toGraphQLError } = require("../../../graphql/error.utils");
+const { loadRef, loadOrThrow } = require("../../../graphql/loaders");
+const { toConnection } = require("../../../graphql/pagination.utils");
 
 const selectOptions = "-password -tests";
 
 module.exports = {
   Query: {
-    user: async (_parent, { id }) => {
-      const result = await UserService.findById(id, userPopulate, selectOptions);
-      return unwrap(result, "Failed to fetch user");
-    },
+    user: (_parent, { id }, ctx) =>
+      loadOrThrow(ctx.loaders.userById, id, "Failed to fetch user"),
 
     users: async (_parent, { page = 0, limit = 10, filter }) => {
-      const result = await UserService.findAll(
-        page,
-        limit,
-        filter,
-        userPopulate,
-        selectOptions
-      );
+      const result = await UserService.findAll(page, limit, filter, [], selectOptions);
 
       if (result.status >= 400) {
         throw toGraphQLError(result, "Failed to list users");
@@ -58,6 +53,16 @@ module.exports = {
         },
       };
     },
+
+    usersConnection: async (_parent, { first, after, filter = {} }) => {
+      const result = await UserService.findConnection(
+        filter,
+        { first, after },
+        [],
+        selectOptions
+      );
+      return toConnection(result, () => UserService.count(filter), "Failed to list users");
+    },
   },
 
   Mutation: {
@@ -94,7 +99,8 @@ module.exports = {
 
   User: {
     id: (user) => user.id || user._id?.toString(),
-    role: (user) => user.role,
-    lastUsedRole: (user) => user.lastUsedRole,
+    role: (user, _args, ctx) => loadRef(ctx.loaders.roleById, user.role),
+    emailVerified: (user) => Boolean(user.emailVerifiedAt),
+    lastUsedRole: (user, _args, ctx) => loadRef(ctx.loaders.roleById, user.lastUsedRole),
   },
 };
\ No newline at end of file
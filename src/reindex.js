@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Full Elasticsearch product reindex (one-shot CLI).
+ *
+ * Usage:
+ *  - npm run reindex
+ *
+ * Flow:
+ *  1. Connect MongoDB and wait for Elasticsearch
+ *  2. Rebuild the product index behind its alias (see search/application/reindex.service.js)
+ *  3. Print progress per bulk batch, then exit 0 on success / 1 on failure
+ *
+ * Notes:
+ *  - Safe to run while the API is serving: the alias is only swapped once the new
+ *    index is fully loaded.
+ */
+const MongoDb = require("./_shared/db/mongoConnect.js");
+const { logger } = require("./_shared/utils/logger.js");
+const { ensureESConnectivity, closeES } = require("./_shared/integrations/elasticsearch/es.client");
+const ReindexService = require("./modules/search/application/reindex.service");
+
+function printProgress(job) {
+  const pct = job.total ? Math.min(100, Math.floor((job.processed / job.total) * 100)) : 100;
+  console.log(
+    `[Reindex] ${job.status} ${job.processed}/${job.total} (${pct}%) indexed=${job.indexed} failed=${job.failed}`
+  );
+}
+
+async function main() {
+  const mongoDbInstance = new MongoDb();
+  let exitCode = 0;
+
+  try {
+    await mongoDbInstance.connect();
+    await ensureESConnectivity();
+
+    const res = await ReindexService.reindexAll({ onProgress: printProgress });
+    if (res.status >= 400) {
+      console.error(`[Reindex] ${res.error}`);
+      exitCode = 1;
+    } else {
+      logger(
+        `[Reindex] alias "${res.data.alias}" now points to "${res.data.targetIndex}"`,
+        "INFO:",
+        "green"
+      );
+    }
+  } catch (err) {
+    console.error("FATAL: reindex failed.", err);
+    exitCode = 1;
+  }
+
+  try {
+    await closeES();
+    await mongoDbInstance.disconnect();
+  } catch (err) {
+    console.error("[Reindex] Error during shutdown:", err);
+  }
+  process.exit(exitCode);
+}
+
+main();
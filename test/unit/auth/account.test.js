@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const AccountService = require("../../../src/auth/application/account.service");
+const AuthService = require("../../../src/auth/application/auth.service");
+const UserToken = require("../../../src/auth/domain/user-token.schema");
+const userService = require("../../../src/modules/users/application/user.service");
+const {
+  setMailTransport,
+  assertMailTransportAllowed,
+} = require("../../../src/_shared/integrations/mail/mail.client");
+const { createFileTransport } = require("../../../src/_shared/integrations/mail/file.transport");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const userId = "64b000000000000000000001";
+const user = { _id: userId, name: "Pat", email: "pat@example.com", emailVerifiedAt: null };
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+// requestPasswordReset finishes its work after answering; mocks settle within one tick.
+const backgroundWork = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("AccountService", () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    setMailTransport({
+      name: "memory",
+      send: async (message) => {
+        sent.push(message);
+        return { messageId: "m1" };
+      },
+    });
+    jest.spyOn(userService, "withTransaction").mockImplementation((work) => work(null));
+    jest.spyOn(UserToken, "deleteMany").mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setMailTransport(null);
+  });
+
+  it("should email a reset link and store only the token hash", async () => {
+    jest.spyOn(userService, "findByEmail").mockResolvedValue({ status: 200, data: user });
+    const createSpy = jest.spyOn(UserToken, "create").mockResolvedValue({});
+
+    const res = await AccountService.requestPasswordReset(user.email);
+    await backgroundWork();
+
+    expect(res).toEqual({ status: 200, data: true });
+    const token = new URL(sent[0].text.match(/http\S+/)[0]).searchParams.get("token");
+    expect(sent[0].to).toBe(user.email);
+    expect(createSpy.mock.calls[0][0]).toMatchObject({
+      tokenHash: sha256(token),
+      purpose: "password_reset",
+      email: user.email,
+    });
+    expect(JSON.stringify(createSpy.mock.calls[0][0])).not.toContain(token);
+  });
+
+  it("should not reveal whether an email is registered", async () => {
+    jest.spyOn(userService, "findByEmail").mockResolvedValue({ status: 404, error: "User not found" });
+
+    expect(await AccountService.requestPasswordReset("nobody@example.com")).toEqual({
+      status: 200,
+      data: true,
+    });
+    await backgroundWork();
+    expect(sent).toHaveLength(0);
+  });
+
+  it("should answer before looking up the account or sending the mail", async () => {
+    const lookup = jest.spyOn(userService, "findByEmail").mockReturnValue(new Promise(() => {}));
+
+    expect(await AccountService.requestPasswordReset(user.email)).toEqual({
+      status: 200,
+      data: true,
+    });
+    expect(lookup).toHaveBeenCalledWith(user.email);
+    expect(sent).toHaveLength(0);
+  });
+
+  it("should consume the token once, set the password and close every session", async () => {
+    const consumeSpy = jest
+      .spyOn(UserToken, "findOneAndUpdate")
+      .mockResolvedValue({ userId, email: user.email });
+    const updateSpy = jest
+      .spyOn(userService, "updateById")
+      .mockResolvedValue({ status: 200, data: { _id: userId } });
+    const logoutSpy = jest
+      .spyOn(AuthService, "logoutAll")
+      .mockResolvedValue({ status: 200, data: 2 });
+
+    const res = await AccountService.resetPassword("raw-token", "new-secret");
+
+    expect(res).toEqual({ status: 200, data: true });
+    expect(consumeSpy.mock.calls[0][0]).toMatchObject({
+      tokenHash: sha256("raw-token"),
+      purpose: "password_reset",
+      usedAt: null,
+    });
+    expect(updateSpy.mock.calls[0][1]).toEqual({ password: "new-secret" });
+    expect(logoutSpy).toHaveBeenCalledWith(userId, "password_reset");
+  });
+
+  it("should refuse used or expired reset tokens", async () => {
+    jest.spyOn(UserToken, "findOneAndUpdate").mockResolvedValue(null);
+    const updateSpy = jest.spyOn(userService, "updateById");
+
+    const res = await AccountService.resetPassword("raw-token", "new-secret");
+
+    expect(res).toEqual({ status: 400, error: "Invalid or expired token" });
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+
+  it("should only verify the address the token was sent to", async () => {
+    jest
+      .spyOn(UserToken, "findOneAndUpdate")
+      .mockResolvedValue({ userId, email: "old@example.com" });
+    const updateSpy = jest.spyOn(userService.model, "updateOne").mockResolvedValue({ matchedCount: 0 });
+
+    const res = await AccountService.verifyEmail("raw-token");
+
+    expect(res.status).toBe(400);
+    expect(updateSpy.mock.calls[0][0]).toMatchObject({ _id: userId, email: "old@example.com" });
+  });
+
+  it("should not send a verification email for a verified address", async () => {
+    jest.spyOn(userService, "findById").mockResolvedValue({
+      status: 200,
+      data: { ...user, emailVerifiedAt: new Date() },
+    });
+
+    expect((await AccountService.sendVerificationEmail(userId)).status).toBe(400);
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe("mail transport configuration", () => {
+  it("should refuse console and file transports in production", () => {
+    expect(() => assertMailTransportAllowed("production", "console")).toThrow(/not allowed/);
+    expect(() => assertMailTransportAllowed("production", "file")).toThrow(/not allowed/);
+    expect(() => assertMailTransportAllowed("production", "smtp")).not.toThrow();
+    expect(() => assertMailTransportAllowed("development", "console")).not.toThrow();
+  });
+});
+
+describe("file mail transport", () => {
+  it("should write one JSON file per message", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"));
+    try {
+      const transport = createFileTransport({ dir });
+
+      const { messageId } = await transport.send({ to: "a@example.com", subject: "Hi", text: "x" });
+
+      const [file] = await fs.readdir(dir);
+      const stored = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+      expect(stored).toMatchObject({ messageId, to: "a@example.com", subject: "Hi" });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
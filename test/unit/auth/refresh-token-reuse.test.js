@@ -0,0 +1,113 @@
+const jwt = require("jsonwebtoken");
+const AuthService = require("../../../src/auth/application/auth.service");
+const RefreshToken = require("../../../src/auth/domain/refresh-token.schema");
+const SecurityEvent = require("../../../src/auth/domain/security-event.schema");
+const userService = require("../../../src/modules/users/application/user.service");
+const config = require("../../../src/_shared/config/config");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const userId = "64b000000000000000000001";
+const client = { userAgent: "curl/8", ip: "203.0.113.9" };
+const token = () => jwt.sign({ userId, jti: "j1" }, config.REFRESH_JWT.refreshKey);
+const later = () => new Date(Date.now() + 60 * 60 * 1000);
+
+function storedToken(fields) {
+  return { _id: "t1", jti: "j1", userId, familyId: "fam1", expiresAt: later(), ...fields };
+}
+
+describe("refresh token families", () => {
+  beforeEach(() => {
+    jest.spyOn(SecurityEvent, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should keep the family when rotating", async () => {
+    jest.spyOn(RefreshToken, "findOne").mockResolvedValue(storedToken({ revokedAt: null }));
+    jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(storedToken({}));
+    jest.spyOn(userService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: userId, role: { name: "provider" } },
+    });
+    const createSpy = jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+    jest.spyOn(RefreshToken, "find").mockReturnValue({
+      sort: () => ({ skip: () => ({ select: () => ({ lean: async () => [] }) }) }),
+    });
+
+    const res = await AuthService.refreshToken(token(), client);
+
+    expect(res.status).toBe(200);
+    expect(createSpy.mock.calls[0][0]).toMatchObject({ familyId: "fam1", ...client });
+    expect(SecurityEvent.create).not.toHaveBeenCalled();
+  });
+
+  it("should revoke the family and record an event when a rotated token is replayed", async () => {
+    jest
+      .spyOn(RefreshToken, "findOne")
+      .mockResolvedValue(storedToken({ revokedAt: new Date(), revokedReason: "rotated" }));
+    const revokeSpy = jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+    const bumpSpy = jest
+      .spyOn(userService, "bumpTokenVersion")
+      .mockResolvedValue({ status: 200, data: true });
+
+    const res = await AuthService.refreshToken(token(), client);
+
+    expect(res).toMatchObject({ status: 401, reason: "SESSION_COMPROMISED" });
+    expect(revokeSpy.mock.calls[0][0]).toEqual({ familyId: "fam1", revokedAt: null });
+    expect(revokeSpy.mock.calls[0][1].$set.revokedReason).toBe("reuse_detected");
+    expect(bumpSpy).toHaveBeenCalledWith(userId);
+    expect(SecurityEvent.create.mock.calls[0][0]).toMatchObject({
+      type: "refresh_token_reuse",
+      userId,
+      familyId: "fam1",
+      jti: "j1",
+      ip: client.ip,
+      details: { revokedSessions: 1 },
+    });
+  });
+
+  it("should make the legitimate client sign in again after a reuse", async () => {
+    jest
+      .spyOn(RefreshToken, "findOne")
+      .mockResolvedValue(storedToken({ revokedAt: new Date(), revokedReason: "reuse_detected" }));
+
+    const res = await AuthService.refreshToken(token(), client);
+
+    expect(res).toMatchObject({ status: 401, reason: "SESSION_COMPROMISED" });
+    expect(SecurityEvent.create).not.toHaveBeenCalled();
+  });
+
+  it("should stop honouring access tokens issued before the reuse", async () => {
+    jest
+      .spyOn(RefreshToken, "findOne")
+      .mockResolvedValue(storedToken({ revokedAt: new Date(), revokedReason: "rotated" }));
+    jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+    let stored = 0;
+    jest.spyOn(userService.model, "updateOne").mockImplementation(async () => {
+      stored += 1;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(userService.model, "findOne").mockImplementation(() => ({
+      select: () => ({ lean: () => ({ exec: async () => ({ tokenVersion: stored }) }) }),
+    }));
+    expect(await userService.isTokenCurrent(userId, 0)).toBe(true);
+
+    await AuthService.refreshToken(token(), client);
+
+    expect(await userService.isTokenCurrent(userId, 0)).toBe(false);
+  });
+
+  it("should treat a logged out token as a plain invalid token", async () => {
+    jest
+      .spyOn(RefreshToken, "findOne")
+      .mockResolvedValue(storedToken({ revokedAt: new Date(), revokedReason: "logout" }));
+
+    const res = await AuthService.refreshToken(token(), client);
+
+    expect(res).toEqual({ status: 401, error: "Invalid or expired refresh token" });
+    expect(SecurityEvent.create).not.toHaveBeenCalled();
+  });
+});
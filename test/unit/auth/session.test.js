@@ -0,0 +1,96 @@
+const jwt = require("jsonwebtoken");
+const AuthService = require("../../../src/auth/application/auth.service");
+const RefreshToken = require("../../../src/auth/domain/refresh-token.schema");
+const userService = require("../../../src/modules/users/application/user.service");
+const config = require("../../../src/_shared/config/config");
+const { hashPassword } = require("../../../src/_shared/hash/password.hash");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const userId = "64b000000000000000000001";
+const client = { userAgent: "Mozilla/5.0 (test)", ip: "10.0.0.7" };
+
+function findChain(docs) {
+  const chain = {
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    lean: jest.fn(async () => docs),
+  };
+  return chain;
+}
+
+describe("AuthService sessions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should record the client and evict sessions beyond the cap on login", async () => {
+    const password = "secret123";
+    jest.spyOn(userService, "findByEmail").mockResolvedValue({
+      status: 200,
+      data: { _id: userId, password: await hashPassword(password) },
+    });
+    jest.spyOn(userService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: userId, role: { name: "provider" }, organizationId: null },
+    });
+    const createSpy = jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+    const chain = findChain([{ _id: "old1" }]);
+    jest.spyOn(RefreshToken, "find").mockReturnValue(chain);
+    const updateSpy = jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await AuthService.login("p@example.com", password, client);
+
+    expect(res.status).toBe(200);
+    expect(createSpy.mock.calls[0][0]).toMatchObject({ userId, ...client });
+    expect(chain.skip).toHaveBeenCalledWith(config.REFRESH_JWT.maxTokensPerUser);
+    expect(updateSpy.mock.calls[0][0]).toEqual({ _id: { $in: ["old1"] }, revokedAt: null });
+    expect(updateSpy.mock.calls[0][1].$set.revokedReason).toBe("evicted");
+
+    const { sid } = jwt.decode(res.data.accessToken);
+    expect(sid).toBe(createSpy.mock.calls[0][0].jti);
+  });
+
+  it("should revoke the session of a refresh token on logout", async () => {
+    const token = jwt.sign({ userId, jti: "j1" }, config.REFRESH_JWT.refreshKey);
+    const updateSpy = jest.spyOn(RefreshToken, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await AuthService.logout(token);
+
+    expect(res).toEqual({ status: 200, data: true });
+    expect(updateSpy.mock.calls[0][0]).toEqual({ jti: "j1", userId, revokedAt: null });
+    expect(updateSpy.mock.calls[0][1].$set.revokedReason).toBe("logout");
+  });
+
+  it("should reject a forged refresh token on logout", async () => {
+    const token = jwt.sign({ userId, jti: "j1" }, "not-the-refresh-key");
+
+    expect((await AuthService.logout(token)).status).toBe(401);
+  });
+
+  it("should only revoke sessions of the requesting user", async () => {
+    const updateSpy = jest.spyOn(RefreshToken, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn(async () => null),
+    });
+
+    const res = await AuthService.revokeSession(userId, "64b0000000000000000000f1");
+
+    expect(res.status).toBe(404);
+    expect(updateSpy.mock.calls[0][0]).toMatchObject({
+      _id: "64b0000000000000000000f1",
+      userId,
+      revokedAt: null,
+    });
+  });
+
+  it("should count the sessions closed by logoutAll and revoke access tokens", async () => {
+    jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({ modifiedCount: 3 });
+    const bumpSpy = jest
+      .spyOn(userService, "bumpTokenVersion")
+      .mockResolvedValue({ status: 200, data: true });
+
+    expect(await AuthService.logoutAll(userId)).toEqual({ status: 200, data: 3 });
+    expect(bumpSpy).toHaveBeenCalledWith(userId);
+  });
+});
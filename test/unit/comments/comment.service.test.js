@@ -0,0 +1,100 @@
+const CommentService = require("../../../src/modules/comments/application/comment.service");
+const ProductService = require("../../../src/modules/products/application/product.service");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const editor = { userId: "e1", role: "editor" };
+const provider = { userId: "p1", role: "provider" };
+
+describe("CommentService", () => {
+  let createSpy;
+
+  beforeEach(() => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "x1", createdBy: "p1" },
+    });
+    createSpy = jest
+      .spyOn(CommentService, "create")
+      .mockImplementation(async (data) => ({ status: 201, data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should start a thread about a field", async () => {
+    const res = await CommentService.addComment(provider, {
+      productId: "x1",
+      body: "Is the weight right?",
+      field: "netWeight",
+    });
+
+    expect(res.status).toBe(201);
+    expect(createSpy).toHaveBeenCalledWith({
+      productId: "x1",
+      body: "Is the weight right?",
+      field: "netWeight",
+      author: "p1",
+    });
+  });
+
+  it("should keep providers out of other providers' products", async () => {
+    const res = await CommentService.addComment(
+      { userId: "p2", role: "provider" },
+      { productId: "x1", body: "Hello" }
+    );
+
+    expect(res.status).toBe(403);
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  it("should attach replies to the thread root", async () => {
+    jest.spyOn(CommentService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "c2", productId: "x1", threadId: "c1" },
+    });
+
+    await CommentService.addComment(editor, { productId: "x1", body: "Fixed", parentId: "c2" });
+
+    expect(createSpy.mock.calls[0][0]).toMatchObject({ parentId: "c2", threadId: "c1" });
+  });
+
+  it("should reject a field on replies", async () => {
+    const res = await CommentService.addComment(editor, {
+      productId: "x1",
+      body: "Fixed",
+      field: "name",
+      parentId: "c1",
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("should only let the author edit", async () => {
+    jest.spyOn(CommentService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "c1", author: "p1" },
+    });
+
+    const res = await CommentService.editComment(editor, "c1", "Changed");
+
+    expect(res.status).toBe(403);
+  });
+
+  it("should resolve the whole thread from a reply (editors only)", async () => {
+    jest.spyOn(CommentService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "c2", threadId: "c1" },
+    });
+    const updateSpy = jest
+      .spyOn(CommentService, "updateById")
+      .mockResolvedValue({ status: 200, data: { _id: "c1", resolved: true } });
+
+    expect((await CommentService.setThreadResolved(provider, "c2", true)).status).toBe(403);
+    await CommentService.setThreadResolved(editor, "c2", true);
+
+    expect(updateSpy.mock.calls[0][0]).toBe("c1");
+    expect(updateSpy.mock.calls[0][1]).toMatchObject({ resolved: true, resolvedBy: "e1" });
+  });
+});
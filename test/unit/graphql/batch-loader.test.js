@@ -0,0 +1,66 @@
+const BatchLoader = require("../../../src/graphql/loaders/batch-loader");
+
+describe("BatchLoader", () => {
+  it("should batch loads from the same tick into one call", async () => {
+    const batchFn = jest.fn(async (keys) => keys.map((key) => `v${key}`));
+    const loader = new BatchLoader(batchFn);
+
+    const values = await Promise.all([loader.load(1), loader.load(2), loader.load(1)]);
+
+    expect(values).toEqual(["v1", "v2", "v1"]);
+    expect(batchFn).toHaveBeenCalledTimes(1);
+    expect(batchFn).toHaveBeenCalledWith([1, 2]);
+  });
+
+  it("should cache values across ticks", async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn);
+
+    await loader.load("a");
+    await loader.load("a");
+
+    expect(batchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should batch nested resolver loads issued after an awaited promise", async () => {
+    const batchFn = jest.fn(async (keys) => keys);
+    const loader = new BatchLoader(batchFn);
+    const resolveField = async (key) => {
+      await Promise.resolve();
+      return loader.load(key);
+    };
+
+    await Promise.all([resolveField("a"), resolveField("b")]);
+
+    expect(batchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reject only the keys whose value is an Error and allow a retry", async () => {
+    let fail = true;
+    const loader = new BatchLoader(async (keys) =>
+      keys.map((key) => (key === "bad" && fail ? new Error("boom") : key))
+    );
+
+    const [good, bad] = await Promise.allSettled([loader.load("ok"), loader.load("bad")]);
+    expect(good.value).toBe("ok");
+    expect(bad.reason.message).toBe("boom");
+
+    fail = false;
+    await expect(loader.load("bad")).resolves.toBe("bad");
+  });
+
+  it("should split batches by maxBatchSize and use cacheKeyFn", async () => {
+    const batchFn = jest.fn(async (keys) => keys.map((key) => key.id));
+    const loader = new BatchLoader(batchFn, { maxBatchSize: 2, cacheKeyFn: (key) => key.id });
+
+    await loader.loadMany([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 1 }]);
+
+    expect(batchFn).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject every key when the batch returns a wrong length", async () => {
+    const loader = new BatchLoader(async () => []);
+
+    await expect(loader.load("x")).rejects.toThrow(/array of 1 values/);
+  });
+});
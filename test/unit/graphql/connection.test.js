@@ -0,0 +1,90 @@
+const { encodeCursor, decodeCursor } = require("../../../src/_shared/utils/cursor.util");
+const { toConnection } = require("../../../src/graphql/pagination.utils");
+const BaseService = require("../../../src/_shared/service/base.service");
+
+const doc = (id, createdAt) => ({ _id: id, createdAt: new Date(createdAt) });
+
+function fakeModel(docs) {
+  const query = {
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn((n) => {
+      query.limited = n;
+      return query;
+    }),
+    exec: jest.fn(async () => docs.slice(0, query.limited)),
+  };
+  return { find: jest.fn(() => query), countDocuments: jest.fn(async () => docs.length), query };
+}
+
+describe("cursor.util", () => {
+  it("should round-trip createdAt and _id", () => {
+    const cursor = encodeCursor(doc("64b000000000000000000009", "2024-01-01T00:00:00Z"));
+
+    expect(decodeCursor(cursor)).toEqual({
+      createdAt: new Date("2024-01-01T00:00:00Z"),
+      id: "64b000000000000000000009",
+    });
+  });
+
+  it("should return null for malformed cursors", () => {
+    expect(decodeCursor("not-a-cursor")).toBeNull();
+    expect(decodeCursor(Buffer.from('["x","y"]').toString("base64url"))).toBeNull();
+  });
+});
+
+describe("BaseService.findConnection", () => {
+  const docs = [
+    doc("64b000000000000000000003", "2024-01-03T00:00:00Z"),
+    doc("64b000000000000000000002", "2024-01-02T00:00:00Z"),
+    doc("64b000000000000000000001", "2024-01-01T00:00:00Z"),
+  ];
+
+  it("should return edges and detect a next page without counting", async () => {
+    const model = fakeModel(docs);
+    const service = new BaseService(model);
+
+    const res = await service.findConnection({}, { first: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.data.edges.map((e) => e.node._id)).toEqual([docs[0]._id, docs[1]._id]);
+    expect(res.data.pageInfo).toMatchObject({
+      hasNextPage: true,
+      hasPreviousPage: false,
+      endCursor: encodeCursor(docs[1]),
+    });
+    expect(model.query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(model.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it("should seek after the cursor position", async () => {
+    const model = fakeModel(docs.slice(2));
+    const service = new BaseService(model);
+
+    const res = await service.findConnection({ name: "x" }, { first: 2, after: encodeCursor(docs[1]) });
+
+    const filter = model.find.mock.calls[0][0];
+    expect(filter.$and[0]).toEqual({ name: "x", deletedAt: null });
+    expect(filter.$and[1].$or[0]).toEqual({ createdAt: { $lt: docs[1].createdAt } });
+    expect(res.data.pageInfo.hasNextPage).toBe(false);
+    expect(res.data.pageInfo.hasPreviousPage).toBe(true);
+  });
+
+  it("should reject an invalid cursor", async () => {
+    const service = new BaseService(fakeModel(docs));
+
+    const res = await service.findConnection({}, { after: "garbage" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("toConnection", () => {
+  it("should count only when totalCount is resolved", async () => {
+    const count = jest.fn(async () => ({ status: 200, data: 42 }));
+
+    const connection = toConnection({ status: 200, data: { edges: [], pageInfo: {} } }, count);
+
+    expect(count).not.toHaveBeenCalled();
+    await expect(connection.totalCount()).resolves.toBe(42);
+  });
+});
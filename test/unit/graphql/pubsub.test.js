@@ -0,0 +1,46 @@
+const {
+  Topics,
+  ReviewQueueChange,
+  reviewQueueChangeFor,
+  topicsForEvent,
+} = require("../../../src/graphql/pubsub");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const pending = { _id: "x1", status: "PENDING_REVIEW" };
+const published = { _id: "x1", status: "PUBLISHED" };
+
+describe("pubsub topic mapping", () => {
+  it("should publish a product submitted for review to created and review-queue topics", () => {
+    const event = { type: "product.created", data: { status: "PENDING_REVIEW" } };
+
+    expect(topicsForEvent(event, pending)).toEqual([
+      Topics.PRODUCT_CREATED,
+      Topics.REVIEW_QUEUE_CHANGED,
+    ]);
+    expect(reviewQueueChangeFor(event, pending)).toBe(ReviewQueueChange.ENTERED);
+  });
+
+  it("should treat approval as a status change that leaves the queue", () => {
+    const event = { type: "product.approved", data: { status: "PUBLISHED" } };
+
+    expect(topicsForEvent(event, published)).toEqual([
+      Topics.PRODUCT_STATUS_CHANGED,
+      Topics.REVIEW_QUEUE_CHANGED,
+    ]);
+    expect(reviewQueueChangeFor(event, published)).toBe(ReviewQueueChange.LEFT);
+  });
+
+  it("should only touch the queue for edits of pending products", () => {
+    const event = { type: "product.updated", data: {} };
+
+    expect(reviewQueueChangeFor(event, pending)).toBe(ReviewQueueChange.UPDATED);
+    expect(topicsForEvent(event, published)).toEqual([Topics.PRODUCT_UPDATED]);
+  });
+
+  it("should report deleted pending products as leaving the queue", () => {
+    const event = { type: "product.deleted", data: { status: "PENDING_REVIEW" } };
+
+    expect(topicsForEvent(event, null)).toEqual([Topics.REVIEW_QUEUE_CHANGED]);
+  });
+});
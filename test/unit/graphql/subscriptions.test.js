@@ -0,0 +1,215 @@
+const { parse, subscribe } = require("graphql");
+const { buildExecutableSchema } = require("../../../src/graphql/schema");
+const { pubsub, publishProductEvent } = require("../../../src/graphql/pubsub");
+const ProductService = require("../../../src/modules/products/application/product.service");
+const UserService = require("../../../src/modules/users/application/user.service");
+const { handleMessage } = require("../../../src/_shared/consumers/subscriptionFanout.consumer");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const orgA = "64b0000000000000000000a1";
+const orgB = "64b0000000000000000000b1";
+const provider = {
+  userId: "u1",
+  role: "provider",
+  roles: ["provider"],
+  organizationId: orgA,
+};
+const editor = {
+  userId: "u2",
+  role: "editor",
+  roles: ["editor"],
+  organizationId: null,
+};
+
+const productOf = (id, organizationId, status = "PUBLISHED") => ({
+  _id: id,
+  name: `Product ${id}`,
+  status,
+  organizationId,
+  createdBy: "u9",
+});
+const eventOf = (type, aggregateId, data = {}) => ({
+  id: `${type}:${aggregateId}`,
+  type,
+  occurredAt: "2024-01-01T00:00:00.000Z",
+  aggregateType: "Product",
+  aggregateId,
+  data,
+});
+const deliveryOf = (event) => ({
+  content: Buffer.from(typeof event === "string" ? event : JSON.stringify(event)),
+  fields: { routingKey: event.type || "product.updated" },
+});
+
+describe("GraphQL subscriptions", () => {
+  let schema;
+
+  beforeAll(async () => {
+    schema = await buildExecutableSchema();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(UserService, "isTokenCurrent").mockResolvedValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  /**
+   * Subscribe as user, run publish once the iterator listens, return the first delivered result.
+   */
+  async function firstResult(source, user, publish) {
+    const iterator = await subscribe({
+      schema,
+      document: parse(source),
+      contextValue: { user },
+    });
+    if (!iterator.next) return iterator;
+
+    const next = iterator.next();
+    await new Promise((resolve) => setImmediate(resolve));
+    await publish();
+    const { value } = await next;
+    await iterator.return();
+    return value;
+  }
+
+  it("should reject anonymous subscribers", async () => {
+    const res = await firstResult("subscription { productUpdated { id } }", null);
+
+    expect(res.errors[0].originalError).toMatchObject({
+      status: 401,
+      code: "UNAUTHENTICATED",
+    });
+  });
+
+  it("should keep providers out of the review queue", async () => {
+    const res = await firstResult("subscription { reviewQueueChanged { productId } }", provider);
+
+    expect(res.errors[0].originalError).toMatchObject({
+      status: 403,
+      code: "FORBIDDEN",
+    });
+  });
+
+  it("should only deliver a provider's own products", async () => {
+    const res = await firstResult("subscription { productUpdated { id } }", provider, async () => {
+      await publishProductEvent(
+        eventOf("product.updated", "64b0000000000000000000b2"),
+        productOf("64b0000000000000000000b2", orgB)
+      );
+      await publishProductEvent(
+        eventOf("product.updated", "64b0000000000000000000a2"),
+        productOf("64b0000000000000000000a2", orgA)
+      );
+    });
+
+    expect(res.data.productUpdated.id).toBe("64b0000000000000000000a2");
+  });
+
+  it("should skip events while the subscriber's token is revoked", async () => {
+    UserService.isTokenCurrent.mockResolvedValueOnce(false);
+    const source = "subscription { productUpdated { id } }";
+
+    const res = await firstResult(source, { ...provider, tokenVersion: 3 }, async () => {
+      await publishProductEvent(
+        eventOf("product.updated", "64b0000000000000000000a2"),
+        productOf("64b0000000000000000000a2", orgA)
+      );
+      await publishProductEvent(
+        eventOf("product.updated", "64b0000000000000000000a3"),
+        productOf("64b0000000000000000000a3", orgA)
+      );
+    });
+
+    expect(UserService.isTokenCurrent).toHaveBeenCalledWith("u1", 3);
+    expect(res.data.productUpdated.id).toBe("64b0000000000000000000a3");
+  });
+
+  it("should filter status changes by the requested status", async () => {
+    const source = "subscription { productStatusChanged(status: PUBLISHED) { productId status } }";
+
+    const res = await firstResult(source, editor, async () => {
+      await publishProductEvent(
+        eventOf("product.rejected", "64b000000000000000000001", {
+          status: "REJECTED",
+        }),
+        productOf("64b000000000000000000001", orgA, "REJECTED")
+      );
+      await publishProductEvent(
+        eventOf("product.approved", "64b000000000000000000002", {
+          status: "PUBLISHED",
+        }),
+        productOf("64b000000000000000000002", orgA)
+      );
+    });
+
+    expect(res.data.productStatusChanged).toEqual({
+      productId: "64b000000000000000000002",
+      status: "PUBLISHED",
+    });
+  });
+
+  it("should deliver deleted pending products leaving the queue", async () => {
+    const source = "subscription { reviewQueueChanged { productId change product { id } } }";
+    const deleted = eventOf("product.deleted", "64b000000000000000000003", {
+      status: "PENDING_REVIEW",
+      createdBy: "u9",
+      organizationId: orgA,
+    });
+
+    const res = await firstResult(source, editor, () => publishProductEvent(deleted, null));
+
+    expect(res.data.reviewQueueChanged).toEqual({
+      productId: "64b000000000000000000003",
+      change: "LEFT",
+      product: null,
+    });
+  });
+});
+
+describe("subscription fan-out consumer", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("should re-read the product and publish it with the event", async () => {
+    const product = productOf("64b000000000000000000001", orgA);
+    jest.spyOn(ProductService, "findById").mockResolvedValue({ status: 200, data: product });
+    const publishSpy = jest.spyOn(pubsub, "publish").mockResolvedValue();
+    const event = eventOf("product.updated", "64b000000000000000000001");
+
+    await handleMessage(deliveryOf(event));
+
+    expect(ProductService.findById).toHaveBeenCalledWith("64b000000000000000000001");
+    expect(publishSpy).toHaveBeenCalledWith("PRODUCT_UPDATED", {
+      event,
+      product,
+    });
+  });
+
+  it("should publish deleted products with a null product", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({ status: 404, error: "Not found" });
+    const publishSpy = jest.spyOn(pubsub, "publish").mockResolvedValue();
+    const event = eventOf("product.deleted", "64b000000000000000000001", {
+      status: "PENDING_REVIEW",
+    });
+
+    await handleMessage(deliveryOf(event));
+
+    expect(publishSpy).toHaveBeenCalledWith("REVIEW_QUEUE_CHANGED", {
+      event,
+      product: null,
+    });
+  });
+
+  it("should drop unreadable products, invalid payloads and foreign aggregates", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({ status: 500, error: "db down" });
+    const publishSpy = jest.spyOn(pubsub, "publish").mockResolvedValue();
+
+    await handleMessage(deliveryOf(eventOf("product.updated", "64b000000000000000000001")));
+    await handleMessage(deliveryOf("{not json"));
+    await handleMessage(deliveryOf({ ...eventOf("user.updated", "u1"), aggregateType: "User" }));
+
+    expect(ProductService.findById).toHaveBeenCalledTimes(1);
+    expect(publishSpy).not.toHaveBeenCalled();
+  });
+});
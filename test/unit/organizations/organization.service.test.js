@@ -0,0 +1,205 @@
+const OrganizationService = require("../../../src/modules/organizations/application/organization.service");
+const UserService = require("../../../src/modules/users/application/user.service");
+const Product = require("../../../src/modules/products/domain/product.schema");
+const {
+  ownsProduct,
+  canSeeProduct,
+  productVisibilityQuery,
+} = require("../../../src/modules/organizations/domain/organization.policy");
+const ProductService = require("../../../src/modules/products/application/product.service");
+const { productWorkflow } = require("../../../src/modules/products/domain/product.workflow");
+const { ProductStatus } = require("../../../src/modules/products/domain/product.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const orgId = "64b0000000000000000000a1";
+const otherOrgId = "64b0000000000000000000a2";
+const alice = { userId: "64b000000000000000000001", role: "provider", organizationId: orgId };
+const bob = { userId: "64b000000000000000000002", role: "provider", organizationId: orgId };
+const outsider = { userId: "64b000000000000000000003", role: "provider", organizationId: null };
+const platformManager = { userId: "64b000000000000000000009", permissions: ["user:manage"] };
+
+describe("organization ownership", () => {
+  const product = {
+    status: ProductStatus.REJECTED,
+    createdBy: alice.userId,
+    organizationId: orgId,
+  };
+
+  it("should let every member own the organization's products", () => {
+    expect(ownsProduct(bob, product)).toBe(true);
+    expect(ownsProduct({ ...alice, organizationId: otherOrgId }, product)).toBe(false);
+    expect(productWorkflow.checkEdit(bob, product)).toBeNull();
+  });
+
+  it("should fall back to the creator for products without an organization", () => {
+    const legacy = { ...product, organizationId: null };
+
+    expect(ownsProduct(alice, legacy)).toBe(true);
+    expect(ownsProduct(bob, legacy)).toBe(false);
+  });
+
+  it("should hide other organizations' products from providers only", () => {
+    expect(canSeeProduct(outsider, product)).toBe(false);
+    expect(canSeeProduct({ userId: "e1", role: "editor" }, product)).toBe(true);
+  });
+});
+
+describe("organization read scoping", () => {
+  it("should limit provider lists to the products they own", () => {
+    expect(productVisibilityQuery(alice)).toEqual({
+      $or: [{ organizationId: orgId }, { organizationId: null, createdBy: alice.userId }],
+    });
+    expect(productVisibilityQuery(outsider)).toEqual({
+      organizationId: null,
+      createdBy: outsider.userId,
+    });
+    expect(productVisibilityQuery({ userId: "e1", role: "editor" })).toBeNull();
+  });
+
+  it("should keep the caller's filters next to the scope", () => {
+    const query = ProductService.buildFilterQuery({ search: "juice", status: "PUBLISHED" }, outsider);
+
+    expect(query.status).toBe("PUBLISHED");
+    expect(query.$or).toHaveLength(3);
+    expect(query.$and).toEqual([{ organizationId: null, createdBy: outsider.userId }]);
+    expect(ProductService.buildFilterQuery({ status: "PUBLISHED" }).$and).toBeUndefined();
+  });
+});
+
+describe("organization membership", () => {
+  beforeEach(() => {
+    jest.spyOn(OrganizationService, "withTransaction").mockImplementation((work) => work(null));
+    jest
+      .spyOn(OrganizationService, "findById")
+      .mockResolvedValue({ status: 200, data: { _id: orgId, name: "Acme" } });
+    jest.spyOn(UserService, "bumpTokenVersion").mockResolvedValue({ status: 200, data: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should add a provider without taking over their products", async () => {
+    jest.spyOn(UserService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: outsider.userId, role: { name: "provider" }, organizationId: null },
+    });
+    const updateSpy = jest
+      .spyOn(UserService, "updateById")
+      .mockResolvedValue({ status: 200, data: { _id: outsider.userId } });
+    const adoptSpy = jest.spyOn(Product, "updateMany");
+
+    const res = await OrganizationService.addMember(platformManager, orgId, outsider.userId);
+
+    expect(res.status).toBe(200);
+    expect(updateSpy.mock.calls[0][1]).toEqual({ organizationId: orgId, organizationRole: "member" });
+    expect(adoptSpy).not.toHaveBeenCalled();
+    expect(UserService.bumpTokenVersion).toHaveBeenCalledWith(outsider.userId);
+  });
+
+  it("should let organization admins enroll unaffiliated providers", async () => {
+    jest.spyOn(OrganizationService, "canManage").mockResolvedValue(true);
+    jest.spyOn(UserService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: outsider.userId, role: { name: "provider" }, organizationId: null },
+    });
+    const updateSpy = jest
+      .spyOn(UserService, "updateById")
+      .mockResolvedValue({ status: 200, data: { _id: outsider.userId } });
+
+    const res = await OrganizationService.addMember(alice, orgId, outsider.userId);
+
+    expect(res.status).toBe(200);
+    expect(updateSpy.mock.calls[0][1]).toEqual({ organizationId: orgId, organizationRole: "member" });
+  });
+
+  it("should revoke the member's access tokens whenever membership changes", async () => {
+    jest.spyOn(OrganizationService, "canManage").mockResolvedValue(true);
+    jest.spyOn(UserService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: bob.userId, organizationId: orgId, organizationRole: "member" },
+    });
+    const updateSpy = jest
+      .spyOn(UserService, "updateById")
+      .mockResolvedValue({ status: 200, data: { _id: bob.userId } });
+
+    await OrganizationService.setMemberRole(alice, orgId, bob.userId, "admin");
+    const res = await OrganizationService.removeMember(alice, orgId, bob.userId);
+
+    expect(res.status).toBe(200);
+    expect(updateSpy.mock.calls[1][1]).toEqual({ organizationId: null, organizationRole: null });
+    expect(UserService.bumpTokenVersion.mock.calls).toEqual([[bob.userId], [bob.userId]]);
+  });
+
+  it("should not revoke tokens when the membership write fails", async () => {
+    jest.spyOn(OrganizationService, "canManage").mockResolvedValue(true);
+    jest.spyOn(UserService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: bob.userId, organizationId: orgId, organizationRole: "member" },
+    });
+    jest.spyOn(UserService, "updateById").mockResolvedValue({ status: 500, error: "db down" });
+
+    const res = await OrganizationService.removeMember(alice, orgId, bob.userId);
+
+    expect(res).toEqual({ status: 500, error: "db down" });
+    expect(UserService.bumpTokenVersion).not.toHaveBeenCalled();
+  });
+
+  it("should let a member share their unaffiliated products", async () => {
+    jest
+      .spyOn(UserService, "findById")
+      .mockResolvedValue({ status: 200, data: { organizationId: orgId } });
+    const adoptSpy = jest.spyOn(Product, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+
+    const res = await OrganizationService.shareProducts(bob);
+
+    expect(res).toEqual({ status: 200, data: 2 });
+    expect(adoptSpy.mock.calls[0][0]).toEqual({
+      createdBy: bob.userId,
+      organizationId: null,
+      deletedAt: null,
+    });
+    expect(adoptSpy.mock.calls[0][1].$set.organizationId).toBe(orgId);
+  });
+
+  it("should refuse users of another organization and non-providers", async () => {
+    const findUser = jest.spyOn(UserService, "findById");
+    findUser.mockResolvedValueOnce({
+      status: 200,
+      data: { _id: outsider.userId, role: { name: "provider" }, organizationId: otherOrgId },
+    });
+    findUser.mockResolvedValueOnce({
+      status: 200,
+      data: { _id: outsider.userId, role: { name: "editor" }, organizationId: null },
+    });
+
+    expect((await OrganizationService.addMember(platformManager, orgId, outsider.userId)).status).toBe(409);
+    expect((await OrganizationService.addMember(platformManager, orgId, outsider.userId)).status).toBe(400);
+  });
+
+  it("should only let admins of the organization manage its members", async () => {
+    jest.spyOn(UserService, "findById").mockResolvedValue({
+      status: 200,
+      data: { organizationId: orgId, organizationRole: "member" },
+    });
+
+    const res = await OrganizationService.removeMember(bob, orgId, alice.userId);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("should keep the last admin", async () => {
+    jest.spyOn(UserService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: alice.userId, organizationId: orgId, organizationRole: "admin" },
+    });
+    jest.spyOn(UserService, "count").mockResolvedValue({ status: 200, data: 0 });
+    const updateSpy = jest.spyOn(UserService, "updateById");
+
+    const res = await OrganizationService.removeMember(alice, orgId, alice.userId);
+
+    expect(res).toEqual({ status: 400, error: "An organization needs at least one admin" });
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+});
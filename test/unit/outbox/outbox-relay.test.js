@@ -0,0 +1,131 @@
+const OutboxService = require("../../../src/modules/outbox/application/outbox.service");
+const ProductService = require("../../../src/modules/products/application/product.service");
+const ProductChangeService = require("../../../src/modules/product-changes/application/product-changes.service");
+const { publish } = require("../../../src/_shared/integrations/rabbitmq/rabbitmq");
+const { relayOutboxBatch } = require("../../../src/_shared/jobs/outboxRelay.job");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+jest.mock("../../../src/_shared/integrations/rabbitmq/rabbitmq", () => ({ publish: jest.fn() }));
+
+const outboxEvent = (n) => ({
+  _id: `o${n}`,
+  eventId: `product.updated:x${n}:1`,
+  routingKey: "product.updated",
+  payload: { id: `product.updated:x${n}:1`, aggregateId: `x${n}` },
+  headers: {},
+  attempts: 1,
+});
+
+describe("relayOutboxBatch", () => {
+  let due;
+
+  beforeEach(() => {
+    due = [outboxEvent(1), outboxEvent(2)];
+    jest
+      .spyOn(OutboxService, "claimNext")
+      .mockImplementation(async () =>
+        due.length
+          ? { status: 200, data: due.shift() }
+          : { status: 404, error: "Document not found" }
+      );
+    jest.spyOn(OutboxService, "markDispatched").mockResolvedValue({ status: 200 });
+    jest.spyOn(OutboxService, "markFailed").mockResolvedValue({ status: 200 });
+    publish.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should publish due events and mark them dispatched", async () => {
+    publish.mockResolvedValue(true);
+
+    const res = await relayOutboxBatch({ batchSize: 10 });
+
+    expect(res).toEqual({ dispatched: 2, failed: 0 });
+    expect(publish).toHaveBeenCalledWith(
+      "product.updated",
+      { id: "product.updated:x1:1", aggregateId: "x1" },
+      { "x-event-id": "product.updated:x1:1" }
+    );
+    expect(OutboxService.markDispatched.mock.calls).toEqual([["o1"], ["o2"]]);
+  });
+
+  it("should back off and stop draining when the broker does not confirm", async () => {
+    publish.mockResolvedValue(false);
+
+    const res = await relayOutboxBatch({ batchSize: 10 });
+
+    expect(res).toEqual({ dispatched: 0, failed: 1 });
+    expect(OutboxService.markFailed).toHaveBeenCalledWith(
+      "o1",
+      1,
+      "Publish not confirmed by broker"
+    );
+    expect(OutboxService.markDispatched).not.toHaveBeenCalled();
+    expect(OutboxService.claimNext).toHaveBeenCalledTimes(1);
+  });
+
+  it("should claim at most batchSize events", async () => {
+    publish.mockResolvedValue(true);
+
+    expect(await relayOutboxBatch({ batchSize: 1 })).toEqual({ dispatched: 1, failed: 0 });
+    expect(due).toHaveLength(1);
+  });
+
+  it("should schedule retries with exponential backoff", async () => {
+    const updateSpy = jest.spyOn(OutboxService, "updateById").mockResolvedValue({ status: 200 });
+    OutboxService.markFailed.mockRestore();
+    const before = Date.now();
+
+    await OutboxService.markFailed("o1", 3, "Publish not confirmed by broker");
+
+    const { nextAttemptAt, lastError } = updateSpy.mock.calls[0][1];
+    expect(nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+      before + OutboxService.computeBackoff(3)
+    );
+    expect(lastError).toBe("Publish not confirmed by broker");
+  });
+});
+
+describe("product writes and the outbox", () => {
+  const session = { id: "session-1" };
+  const editor = { userId: "e1", role: "editor", organizationId: null };
+  const input = { gtin: "4006381333931", name: "Juice", brand: "Acme" };
+
+  beforeEach(() => {
+    jest.spyOn(ProductService, "withTransaction").mockImplementation((work) => work(session));
+    jest
+      .spyOn(ProductService, "create")
+      .mockImplementation(async (data) => ({ status: 201, data: { _id: "x1", ...data } }));
+    jest.spyOn(ProductChangeService, "createAudit").mockResolvedValue({ status: 201 });
+    jest.spyOn(ProductService, "afterCommit").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should insert the outbox event in the product's transaction", async () => {
+    const enqueueSpy = jest.spyOn(OutboxService, "enqueue").mockResolvedValue({ status: 201 });
+
+    const res = await ProductService.createWithRole(editor, input);
+
+    expect(res.status).toBe(201);
+    expect(ProductService.create.mock.calls[0][3]).toEqual({ session });
+    const [routingKey, envelope, options] = enqueueSpy.mock.calls[0];
+    expect(routingKey).toBe("product.created");
+    expect(envelope).toMatchObject({ type: "product.created", aggregateId: "x1", actor: "e1" });
+    expect(options).toEqual({ session });
+    expect(ProductService.afterCommit).toHaveBeenCalledTimes(1);
+  });
+
+  it("should fail the write (rolling the transaction back) when the event cannot be stored", async () => {
+    jest.spyOn(OutboxService, "enqueue").mockResolvedValue({ status: 500, error: "write failed" });
+
+    const res = await ProductService.createWithRole(editor, input);
+
+    expect(res).toEqual({ status: 500, error: "write failed" });
+    expect(ProductService.afterCommit).not.toHaveBeenCalled();
+  });
+});
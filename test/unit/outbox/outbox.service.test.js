@@ -0,0 +1,17 @@
+const OutboxService = require("../../../src/modules/outbox/application/outbox.service");
+const config = require("../../../src/_shared/config/config");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+describe("OutboxService.computeBackoff", () => {
+  it("should grow exponentially from the base delay", () => {
+    const base = config.OUTBOX.backoffBaseMs;
+    expect(OutboxService.computeBackoff(1)).toBe(base);
+    expect(OutboxService.computeBackoff(2)).toBe(base * 2);
+    expect(OutboxService.computeBackoff(4)).toBe(base * 8);
+  });
+
+  it("should cap the delay at backoffMaxMs", () => {
+    expect(OutboxService.computeBackoff(100)).toBe(config.OUTBOX.backoffMaxMs);
+  });
+});
@@ -0,0 +1,68 @@
+const resolvers = require("../../../src/modules/product-changes/graphql/product-change.resolvers");
+const productResolvers = require("../../../src/modules/products/graphql/product.resolvers");
+const ProductChangeService = require("../../../src/modules/product-changes/application/product-changes.service");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+describe("ProductChange resolvers", () => {
+  it("should return a populated author as is", () => {
+    const ctx = { loaders: { userById: { load: jest.fn() } } };
+    const author = { _id: "u1", email: "editor@example.com" };
+
+    expect(resolvers.ProductChange.changedBy({ changedBy: author }, {}, ctx)).toBe(author);
+    expect(ctx.loaders.userById.load).not.toHaveBeenCalled();
+  });
+
+  it("should load the author through the request loader when only the id is stored", async () => {
+    const ctx = {
+      loaders: {
+        userById: { load: jest.fn().mockResolvedValue({ _id: "u1", email: "editor@example.com" }) },
+      },
+    };
+
+    const user = await resolvers.ProductChange.changedBy({ changedBy: "u1" }, {}, ctx);
+
+    expect(user.email).toBe("editor@example.com");
+    expect(ctx.loaders.userById.load).toHaveBeenCalledWith("u1");
+  });
+
+  it("should derive field changes for legacy entries", () => {
+    const changes = resolvers.ProductChange.changes({
+      changes: [],
+      previousValues: JSON.stringify({ name: "Juice" }),
+      newValues: JSON.stringify({ name: "Orange juice" }),
+    });
+
+    expect(changes).toEqual([{ field: "name", oldValue: "Juice", newValue: "Orange juice" }]);
+  });
+});
+
+describe("Product change history resolvers", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("should page a product's changes with the shared PageInfo", async () => {
+    const findSpy = jest.spyOn(ProductChangeService, "findChanges").mockResolvedValue({
+      status: 200,
+      data: [{ _id: "c2" }],
+      pagination: { totalDocs: 3, totalPages: 3, currentPage: 1, pageSize: 1 },
+    });
+
+    const page = await productResolvers.Product.changesPage(
+      { _id: "x1" },
+      { filter: { operation: "UPDATE" }, page: 1, limit: 1 }
+    );
+
+    expect(findSpy).toHaveBeenCalledWith(1, 1, { operation: "UPDATE", productId: "x1" });
+    expect(page).toEqual({
+      items: [{ _id: "c2" }],
+      pageInfo: {
+        page: 1,
+        limit: 1,
+        totalItems: 3,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPrevPage: true,
+      },
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const ProductChangeService = require("../../../src/modules/product-changes/application/product-changes.service");
+const changeFilterDto = require("../../../src/modules/product-changes/domain/product-change-filter.dto");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+describe("ProductChangeService filters", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should build a query from every filter", () => {
+    const from = new Date("2024-01-01T00:00:00Z");
+    const to = new Date("2024-02-01T00:00:00Z");
+
+    const query = ProductChangeService.buildFilterQuery({
+      productId: "64b000000000000000000009",
+      changedBy: "64b000000000000000000001",
+      operation: "UPDATE",
+      from,
+      to,
+      field: "manufacturer",
+    });
+
+    expect(query).toEqual({
+      productId: "64b000000000000000000009",
+      changedBy: "64b000000000000000000001",
+      operation: "UPDATE",
+      changedAt: { $gte: from, $lte: to },
+      "changes.field": { $regex: "^manufacturer(\\.|$)" },
+    });
+  });
+
+  it("should match a field and its nested paths only", () => {
+    const { $regex } = ProductChangeService.buildFilterQuery({ field: "manufacturer" })[
+      "changes.field"
+    ];
+    const re = new RegExp($regex);
+
+    expect(re.test("manufacturer")).toBe(true);
+    expect(re.test("manufacturer.country")).toBe(true);
+    expect(re.test("manufacturerCode")).toBe(false);
+  });
+
+  it("should paginate newest first", async () => {
+    const findAllSpy = jest
+      .spyOn(ProductChangeService, "findAll")
+      .mockResolvedValue({ status: 200, data: [], pagination: {} });
+
+    await ProductChangeService.findChanges(2, 5, { operation: "DELETE" });
+
+    expect(findAllSpy).toHaveBeenCalledWith(2, 5, { operation: "DELETE" }, [], null, {
+      changedAt: -1,
+      _id: -1,
+    });
+  });
+
+  it("should reject an inverted date range", () => {
+    const { error } = changeFilterDto.validate({
+      from: "2024-02-01T00:00:00Z",
+      to: "2024-01-01T00:00:00Z",
+    });
+
+    expect(error.message).toMatch(/to must not be earlier than from/);
+  });
+});
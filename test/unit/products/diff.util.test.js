@@ -0,0 +1,41 @@
+const {
+  computeAuditDiff,
+  computeFieldChanges,
+} = require("../../../src/modules/products/application/diff.util");
+
+describe("diff.util computeFieldChanges", () => {
+  it("reports nested manufacturer changes with dotted paths", () => {
+    const current = {
+      name: "Juice",
+      manufacturer: { name: "Acme", code: "1", country: "ES" },
+    };
+    const { previous, next } = computeAuditDiff(current, {
+      manufacturer: { name: "Acme", code: "1", country: "FR" },
+    });
+
+    expect(computeFieldChanges(previous, next)).toEqual([
+      { field: "manufacturer.country", oldValue: "ES", newValue: "FR" },
+    ]);
+  });
+
+  it("orders by business fields and uses null for missing values", () => {
+    const changes = computeFieldChanges(
+      { status: "PENDING_REVIEW", description: "old" },
+      { status: "PUBLISHED", gtin: "4006381333931" }
+    );
+
+    expect(changes).toEqual([
+      { field: "gtin", oldValue: null, newValue: "4006381333931" },
+      { field: "description", oldValue: "old", newValue: null },
+      { field: "status", oldValue: "PENDING_REVIEW", newValue: "PUBLISHED" },
+    ]);
+  });
+
+  it("normalizes dates and ignores unchanged fields", () => {
+    const at = new Date("2024-01-01T00:00:00Z");
+    expect(
+      computeFieldChanges({ name: "A", deletedAt: null }, { name: "A", deletedAt: at })
+    ).toEqual([{ field: "deletedAt", oldValue: null, newValue: at.toISOString() }]);
+    expect(computeFieldChanges({ name: "A" }, { name: "A" })).toEqual([]);
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  ExportFormatters,
+  CSV_HEADERS,
+  escapeXml,
+} = require("../../../src/modules/products/application/export.formatters");
+const ProductExportService = require("../../../src/modules/products/application/product-export.service");
+const Product = require("../../../src/modules/products/domain/product.schema");
+const { parseImportFile } = require("../../../src/modules/products/application/import.parser");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const doc = {
+  _id: "64b000000000000000000009",
+  gtin: "4006381333931",
+  name: 'Juice "Fresh", 1L',
+  description: "Orange & mango",
+  brand: "Acme",
+  manufacturer: { name: "Acme Foods", code: "8412345000006", country: "ES" },
+  netWeight: 1,
+  weightUnit: "l",
+  status: "PUBLISHED",
+  createdBy: "64b000000000000000000001",
+  createdAt: new Date("2024-01-01T00:00:00Z"),
+  updatedAt: new Date("2024-01-02T00:00:00Z"),
+};
+
+describe("export formatters", () => {
+  it("should write CSV that the bulk import can read back", () => {
+    const csv = ExportFormatters.csv.header() + ExportFormatters.csv.row(doc);
+    const { rows } = parseImportFile(csv, "csv");
+
+    expect(csv.split("\r\n")[0]).toBe(CSV_HEADERS.join(","));
+    expect(rows[0].data).toEqual({
+      gtin: doc.gtin,
+      name: doc.name,
+      description: doc.description,
+      brand: doc.brand,
+      manufacturer: doc.manufacturer,
+      netWeight: "1",
+      weightUnit: "l",
+    });
+  });
+
+  it("should write one JSON object per NDJSON line", () => {
+    const line = ExportFormatters.ndjson.row(doc);
+
+    expect(line.endsWith("\n")).toBe(true);
+    expect(JSON.parse(line)).toMatchObject({ id: doc._id, gtin: doc.gtin, status: "PUBLISHED" });
+  });
+
+  it("should map products to GS1-style trade items", () => {
+    const xml = ExportFormatters.xml.row(doc);
+
+    expect(xml).toContain("<gtin>4006381333931</gtin>");
+    expect(xml).toContain("<brandName>Acme</brandName>");
+    expect(xml).toContain("<descriptionShort>Juice &quot;Fresh&quot;, 1L</descriptionShort>");
+    expect(xml).toContain("<tradeItemDescription>Orange &amp; mango</tradeItemDescription>");
+    expect(xml).toContain('<netContent measurementUnitCode="LTR">1</netContent>');
+    expect(xml).toContain("<partyName>Acme Foods</partyName>");
+    expect(escapeXml("a\u0001b<")).toBe("ab&lt;");
+  });
+});
+
+describe("ProductExportService.createExport", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should reject unknown formats", () => {
+    expect(ProductExportService.createExport({}, "xlsx").status).toBe(400);
+  });
+
+  it("should stream filtered products from a cursor", async () => {
+    const close = jest.fn().mockResolvedValue();
+    const cursor = {
+      close,
+      async *[Symbol.asyncIterator]() {
+        yield doc;
+        yield { ...doc, _id: "64b00000000000000000000a", gtin: "96385074" };
+      },
+    };
+    const chain = { sort: jest.fn(), lean: jest.fn(), cursor: jest.fn(() => cursor) };
+    chain.sort.mockReturnValue(chain);
+    chain.lean.mockReturnValue(chain);
+    const findSpy = jest.spyOn(Product, "find").mockReturnValue(chain);
+
+    const res = ProductExportService.createExport({ brand: "Acme" }, "xml");
+    let body = "";
+    for await (const chunk of res.data.stream) body += chunk;
+
+    expect(findSpy).toHaveBeenCalledWith({ brand: "Acme", deletedAt: null });
+    expect(res.data.fileName).toMatch(/^products-.*\.xml$/);
+    expect(body.match(/<tradeItem>/g)).toHaveLength(2);
+    expect(body.trim().endsWith("</catalogueItemFeed>")).toBe(true);
+    expect(close).toHaveBeenCalled();
+  });
+
+  it("should only export the products a provider owns", async () => {
+    const cursor = { close: jest.fn().mockResolvedValue(), async *[Symbol.asyncIterator]() {} };
+    const chain = { sort: jest.fn(), lean: jest.fn(), cursor: jest.fn(() => cursor) };
+    chain.sort.mockReturnValue(chain);
+    chain.lean.mockReturnValue(chain);
+    const findSpy = jest.spyOn(Product, "find").mockReturnValue(chain);
+    const provider = { userId: "64b000000000000000000001", role: "provider", organizationId: null };
+
+    const res = ProductExportService.createExport({ status: "PENDING_REVIEW" }, "ndjson", provider);
+    for await (const chunk of res.data.stream) void chunk;
+
+    expect(findSpy).toHaveBeenCalledWith({
+      status: "PENDING_REVIEW",
+      $and: [{ organizationId: null, createdBy: provider.userId }],
+      deletedAt: null,
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  ImportParseError,
+  detectFormat,
+  parseImportFile,
+} = require("../../../src/modules/products/application/import.parser");
+
+describe("detectFormat", () => {
+  it("should prefer the explicit format, then extension, then MIME type", () => {
+    expect(detectFormat({ format: "NDJSON", fileName: "a.csv" })).toBe("ndjson");
+    expect(detectFormat({ fileName: "catalog.jsonl" })).toBe("ndjson");
+    expect(detectFormat({ fileName: "catalog.CSV" })).toBe("csv");
+    expect(detectFormat({ fileName: "upload", mimeType: "application/json" })).toBe("json");
+    expect(detectFormat({ fileName: "catalog.xlsx" })).toBeNull();
+  });
+});
+
+describe("parseImportFile", () => {
+  it("should map CSV columns to nested product fields", () => {
+    const csv = [
+      "GTIN,Name,Brand,Manufacturer.Name,manufacturer_country,net_weight,weightUnit",
+      '4006381333931,"Juice, orange",Acme,"Acme ""Foods""",ES,1.5,l',
+      "",
+      "96385074,Water,,Aqua Co,,,",
+    ].join("\r\n");
+
+    const { rows, invalid } = parseImportFile(Buffer.from(csv), "csv");
+
+    expect(invalid).toEqual([]);
+    expect(rows).toEqual([
+      {
+        row: 2,
+        data: {
+          gtin: "4006381333931",
+          name: "Juice, orange",
+          brand: "Acme",
+          manufacturer: { name: 'Acme "Foods"', country: "ES" },
+          netWeight: "1.5",
+          weightUnit: "l",
+        },
+      },
+      { row: 4, data: { gtin: "96385074", name: "Water", manufacturer: { name: "Aqua Co" } } },
+    ]);
+  });
+
+  it("should reject CSV files without a gtin column", () => {
+    expect(() => parseImportFile("name,brand\nA,B", "csv")).toThrow(ImportParseError);
+  });
+
+  it("should accept a JSON array or a products wrapper", () => {
+    const items = [{ gtin: "96385074" }, { gtin: "4006381333931" }];
+
+    expect(parseImportFile(JSON.stringify(items), "json").rows.map((r) => r.row)).toEqual([1, 2]);
+    expect(parseImportFile(JSON.stringify({ products: items }), "json").rows).toHaveLength(2);
+    expect(() => parseImportFile("{ nope", "json")).toThrow(ImportParseError);
+  });
+
+  it("should report malformed NDJSON lines without failing the file", () => {
+    const { rows, invalid } = parseImportFile('{"gtin":"96385074"}\n\n{broken\n', "ndjson");
+
+    expect(rows).toEqual([{ row: 1, data: { gtin: "96385074" } }]);
+    expect(invalid).toHaveLength(1);
+    expect(invalid[0].row).toBe(3);
+  });
+});
@@ -0,0 +1,64 @@
+const ProductImportService = require("../../../src/modules/products/application/product-import.service");
+const ProductService = require("../../../src/modules/products/application/product.service");
+const Product = require("../../../src/modules/products/domain/product.schema");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const provider = { userId: "64b000000000000000000001", role: "provider" };
+const valid = {
+  gtin: "4006381333931",
+  name: "Orange juice",
+  brand: "Acme",
+  manufacturer: { name: "Acme Foods" },
+};
+
+describe("ProductImportService.importRow", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should report validation messages for invalid rows", async () => {
+    const result = await ProductImportService.importRow(
+      provider,
+      3,
+      { gtin: "4006381333932", name: "X" },
+      new Map()
+    );
+
+    expect(result.outcome).toBe("INVALID");
+    expect(result.gtin).toBe("4006381333932");
+    expect(result.reasons).toEqual(
+      expect.arrayContaining(["gtin has an invalid check digit", '"brand" is required'])
+    );
+  });
+
+  it("should flag GTINs repeated within the file", async () => {
+    const seen = new Map([["4006381333931", 2]]);
+
+    const result = await ProductImportService.importRow(provider, 5, valid, seen);
+
+    expect(result).toMatchObject({ outcome: "DUPLICATE", reasons: ["gtin already appears in row 2"] });
+  });
+
+  it("should skip GTINs already in the catalog", async () => {
+    jest.spyOn(Product, "exists").mockResolvedValue({ _id: "x" });
+    const createSpy = jest.spyOn(ProductService, "createWithRole");
+
+    const result = await ProductImportService.importRow(provider, 2, valid, new Map());
+
+    expect(result.outcome).toBe("DUPLICATE");
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  it("should create new products with the workflow semantics of createWithRole", async () => {
+    jest.spyOn(Product, "exists").mockResolvedValue(null);
+    const createSpy = jest
+      .spyOn(ProductService, "createWithRole")
+      .mockResolvedValue({ status: 201, data: { _id: "p1" } });
+
+    const result = await ProductImportService.importRow(provider, 2, valid, new Map());
+
+    expect(createSpy).toHaveBeenCalledWith(provider, valid);
+    expect(result).toMatchObject({ outcome: "CREATED", productId: "p1" });
+  });
+});
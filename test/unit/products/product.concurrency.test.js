@@ -0,0 +1,78 @@
+const ProductService = require("../../../src/modules/products/application/product.service");
+const ProductChangeService = require("../../../src/modules/product-changes/application/product-changes.service");
+const { toGraphQLError } = require("../../../src/graphql/error.utils");
+const { defaultPermissionsFor } = require("../../../src/_shared/enum/permissions.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const editor = { userId: "e1", role: "editor", permissions: defaultPermissionsFor("editor") };
+const product = { _id: "x1", name: "Juice", status: "PENDING_REVIEW", createdBy: "p1", version: 3 };
+
+/** Minimal chainable query resolving to value. */
+const queryOf = (value) => {
+  const query = {
+    select: () => query,
+    session: () => query,
+    lean: () => query,
+    populate: () => query,
+    exec: async () => value,
+  };
+  return query;
+};
+
+describe("Product optimistic concurrency", () => {
+  beforeEach(() => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({ status: 200, data: product });
+    jest.spyOn(ProductService, "withTransaction").mockImplementation((work) => work(null));
+    jest.spyOn(ProductChangeService, "createAudit").mockResolvedValue({ status: 201 });
+    jest.spyOn(ProductService, "enqueueEvent").mockResolvedValue({ status: 201 });
+    jest.spyOn(ProductService, "afterCommit").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should refuse a stale expectedVersion before writing", async () => {
+    const updateSpy = jest.spyOn(ProductService, "updateById");
+
+    const res = await ProductService.updateWithAudit(editor, "x1", { name: "Orange" }, [], null, {
+      expectedVersion: 2,
+    });
+
+    expect(res).toMatchObject({ status: 409, currentVersion: 3 });
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+
+  it("should write conditionally on the version that was read", async () => {
+    const updateSpy = jest
+      .spyOn(ProductService, "updateById")
+      .mockResolvedValue({ status: 200, data: { ...product, name: "Orange", version: 4 } });
+
+    const res = await ProductService.updateWithAudit(editor, "x1", { name: "Orange" }, [], null, {
+      expectedVersion: 3,
+    });
+
+    expect(res.status).toBe(200);
+    expect(updateSpy.mock.calls[0][4]).toMatchObject({ ifVersion: 3 });
+  });
+
+  it("should report the stored version when a concurrent write won", async () => {
+    jest.spyOn(ProductService.model, "findOneAndUpdate").mockReturnValue(queryOf(null));
+    jest.spyOn(ProductService.model, "findOne").mockReturnValue(queryOf({ version: 4 }));
+
+    const res = await ProductService.approvePending(editor, "x1");
+
+    expect(res).toMatchObject({ status: 409, currentVersion: 4 });
+    expect(ProductChangeService.createAudit).not.toHaveBeenCalled();
+    const [filter, update] = ProductService.model.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: "x1", version: 3 });
+    expect(update.$inc).toEqual({ version: 1 });
+  });
+
+  it("should expose conflicts as CONFLICT with the current version", () => {
+    const error = toGraphQLError({ status: 409, error: "stale", currentVersion: 4 });
+
+    expect(error.extensions).toEqual({ code: "CONFLICT", status: 409, currentVersion: 4 });
+  });
+});
@@ -0,0 +1,149 @@
+const ProductService = require("../../../src/modules/products/application/product.service");
+const ProductChangeService = require("../../../src/modules/product-changes/application/product-changes.service");
+const { replayAuditTrail } = require("../../../src/modules/products/application/diff.util");
+const { defaultPermissionsFor } = require("../../../src/_shared/enum/permissions.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const editor = { userId: "e1", role: "editor", permissions: defaultPermissionsFor("editor") };
+const provider = { userId: "p1", role: "provider", permissions: defaultPermissionsFor("provider") };
+
+const manufacturer = { name: "Acme Foods", code: "8412345000006", country: "ES" };
+const trail = [
+  {
+    _id: "c1",
+    operation: "CREATE",
+    changedAt: new Date("2024-01-01T00:00:00Z"),
+    newValues: JSON.stringify({
+      gtin: "4006381333931",
+      name: "Juice",
+      brand: "Acme",
+      manufacturer,
+      status: "PENDING_REVIEW",
+    }),
+  },
+  {
+    _id: "c2",
+    operation: "UPDATE",
+    changedAt: new Date("2024-01-02T00:00:00Z"),
+    newValues: JSON.stringify({ name: "Orange juice", description: "Fresh" }),
+  },
+  {
+    _id: "c3",
+    operation: "STATUS_CHANGE",
+    changedAt: new Date("2024-01-03T00:00:00Z"),
+    newValues: JSON.stringify({ status: "PUBLISHED" }),
+  },
+];
+
+describe("replayAuditTrail", () => {
+  it("should merge entries in order starting from the CREATE snapshot", () => {
+    const { state, complete, deleted, lastChange } = replayAuditTrail(trail);
+
+    expect(complete).toBe(true);
+    expect(deleted).toBe(false);
+    expect(lastChange._id).toBe("c3");
+    expect(state).toMatchObject({
+      name: "Orange juice",
+      description: "Fresh",
+      status: "PUBLISHED",
+      netWeight: null,
+      manufacturer,
+    });
+  });
+
+  it("should flag versions written by a DELETE entry", () => {
+    const { deleted } = replayAuditTrail([
+      ...trail,
+      {
+        _id: "c4",
+        operation: "DELETE",
+        newValues: JSON.stringify({ status: "PUBLISHED", deletedAt: "2024-01-04T00:00:00Z" }),
+      },
+    ]);
+
+    expect(deleted).toBe(true);
+  });
+});
+
+describe("ProductService history", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should rebuild a product as of a date", async () => {
+    const at = new Date("2024-01-02T12:00:00Z");
+    const findSpy = jest
+      .spyOn(ProductChangeService, "findTrail")
+      .mockResolvedValue({ status: 200, data: trail.slice(0, 2) });
+
+    const res = await ProductService.productAsOf("x1", at);
+
+    expect(findSpy).toHaveBeenCalledWith("x1", { until: at });
+    expect(res.status).toBe(200);
+    expect(res.data).toMatchObject({
+      productId: "x1",
+      name: "Orange juice",
+      status: "PENDING_REVIEW",
+      deleted: false,
+    });
+  });
+
+  it("should return 404 before the product existed", async () => {
+    jest.spyOn(ProductChangeService, "findTrail").mockResolvedValue({ status: 200, data: [] });
+
+    const res = await ProductService.productAsOf("x1", new Date("2023-01-01T00:00:00Z"));
+
+    expect(res.status).toBe(404);
+  });
+
+  it("should hide other owners' products from providers", async () => {
+    const lean = jest.fn().mockResolvedValue({ createdBy: "someone-else", organizationId: null });
+    jest.spyOn(ProductService.model, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({ lean }),
+    });
+    const findSpy = jest.spyOn(ProductChangeService, "findTrail");
+
+    const res = await ProductService.productAsOf("x1", new Date(), provider);
+
+    expect(res).toEqual({ status: 404, error: "Product not found" });
+    expect(findSpy).not.toHaveBeenCalled();
+  });
+
+  it("should revert business fields through updateWithAudit without touching status", async () => {
+    jest.spyOn(ProductChangeService, "findTrail").mockResolvedValue({ status: 200, data: trail });
+    const updateSpy = jest
+      .spyOn(ProductService, "updateWithAudit")
+      .mockResolvedValue({ status: 200, data: { _id: "x1" } });
+
+    const res = await ProductService.revertProduct(editor, "x1", "c1");
+
+    expect(res.status).toBe(200);
+    const [, id, updates, , , options] = updateSpy.mock.calls[0];
+    expect(id).toBe("x1");
+    expect(updates).toEqual({
+      gtin: "4006381333931",
+      name: "Juice",
+      description: null,
+      brand: "Acme",
+      manufacturer,
+      netWeight: null,
+      weightUnit: null,
+    });
+    expect(options.eventData).toEqual({ revertedFrom: "c1" });
+  });
+
+  it("should return 404 for a change of another product", async () => {
+    jest.spyOn(ProductChangeService, "findTrail").mockResolvedValue({ status: 200, data: trail });
+
+    const res = await ProductService.revertProduct(editor, "x1", "other");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("should require product:update and audit:read to revert", async () => {
+    const res = await ProductService.revertProduct(provider, "x1", "c1");
+
+    expect(res).toEqual({ status: 403, error: "Forbidden: missing permission audit:read" });
+  });
+});
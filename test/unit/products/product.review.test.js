@@ -0,0 +1,155 @@
+const ProductService = require("../../../src/modules/products/application/product.service");
+const { ProductStatus } = require("../../../src/modules/products/domain/product.enum");
+const {
+  rejectDto,
+  transitionDto,
+} = require("../../../src/modules/products/domain/productReview.dto");
+const { defaultPermissionsFor } = require("../../../src/_shared/enum/permissions.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const editor = { userId: "e1", role: "editor", permissions: defaultPermissionsFor("editor") };
+const provider = { userId: "p1", role: "provider", permissions: defaultPermissionsFor("provider") };
+
+describe("ProductService review transitions", () => {
+  let applySpy;
+
+  beforeEach(() => {
+    applySpy = jest
+      .spyOn(ProductService, "applyStatusChange")
+      .mockImplementation(async (_actor, current, transition) => ({
+        status: 200,
+        data: { ...current, status: transition.to },
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should reject a pending product with the reason as audit comment", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "x1", status: ProductStatus.PENDING_REVIEW, createdBy: "p1" },
+    });
+
+    const res = await ProductService.rejectProduct(editor, "x1", "  Missing weight  ");
+
+    expect(res.status).toBe(200);
+    expect(applySpy.mock.calls[0][2]).toMatchObject({
+      to: ProductStatus.REJECTED,
+      eventType: "product.rejected",
+      comment: "Missing weight",
+      updates: { rejectionReason: "Missing weight" },
+    });
+  });
+
+  it("should require a rejection reason", async () => {
+    const res = await ProductService.rejectProduct(editor, "x1", "   ");
+
+    expect(res.status).toBe(400);
+    expect(applySpy).not.toHaveBeenCalled();
+  });
+
+  it("should forbid non-editors from rejecting", async () => {
+    const res = await ProductService.rejectProduct(provider, "x1", "Nope");
+
+    expect(res.status).toBe(403);
+  });
+
+  it("should let the owning provider resubmit a rejected product", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "x1", status: ProductStatus.REJECTED, createdBy: "p1" },
+    });
+
+    const res = await ProductService.resubmitProduct(provider, "x1", "Weight added");
+
+    expect(res.status).toBe(200);
+    expect(applySpy.mock.calls[0][2]).toMatchObject({
+      to: ProductStatus.PENDING_REVIEW,
+      eventType: "product.resubmitted",
+      comment: "Weight added",
+      updates: { rejectionReason: null },
+    });
+  });
+
+  it("should refuse resubmission of products that are not rejected", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "x1", status: ProductStatus.PUBLISHED, createdBy: "p1" },
+    });
+
+    const res = await ProductService.resubmitProduct(provider, "x1");
+
+    expect(res.status).toBe(400);
+    expect(applySpy).not.toHaveBeenCalled();
+  });
+});
+
+describe("ProductService lifecycle transitions", () => {
+  let applySpy;
+
+  beforeEach(() => {
+    applySpy = jest
+      .spyOn(ProductService, "applyStatusChange")
+      .mockImplementation(async (_actor, current, transition) => ({
+        status: 200,
+        data: { ...current, status: transition.to },
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should archive an unpublished product and emit product.archived", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "x1", status: ProductStatus.UNPUBLISHED, createdBy: "p1" },
+    });
+
+    const res = await ProductService.archiveProduct(editor, "x1", " Discontinued ");
+
+    expect(res.status).toBe(200);
+    expect(applySpy.mock.calls[0][2]).toMatchObject({
+      to: ProductStatus.ARCHIVED,
+      eventType: "product.archived",
+      comment: "Discontinued",
+    });
+  });
+
+  it("should only unpublish published products", async () => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({
+      status: 200,
+      data: { _id: "x1", status: ProductStatus.PENDING_REVIEW, createdBy: "p1" },
+    });
+
+    const res = await ProductService.unpublishProduct(editor, "x1");
+
+    expect(res.status).toBe(400);
+    expect(applySpy).not.toHaveBeenCalled();
+  });
+
+  it("should forbid providers from deleting products", async () => {
+    const res = await ProductService.softDeleteProduct(provider, "x1");
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("review DTOs", () => {
+  it("should hold a REJECT transition comment to the reject reason rule", () => {
+    expect(rejectDto.validate({ reason: "x" }).error).toBeDefined();
+    expect(transitionDto.validate({ action: "REJECT", comment: "x" }).error).toBeDefined();
+    expect(transitionDto.validate({ action: "REJECT" }).error).toBeDefined();
+    expect(
+      transitionDto.validate({ action: "REJECT", comment: "Wrong GTIN" }).error
+    ).toBeUndefined();
+  });
+
+  it("should keep the comment optional for other actions", () => {
+    expect(transitionDto.validate({ action: "APPROVE", comment: "x" }).error).toBeUndefined();
+    expect(transitionDto.validate({ action: "ARCHIVE", comment: null }).error).toBeUndefined();
+  });
+});
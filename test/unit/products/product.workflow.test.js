@@ -0,0 +1,126 @@
+const {
+  productWorkflow,
+  createWorkflow,
+  ProductAction,
+} = require("../../../src/modules/products/domain/product.workflow");
+const { ProductStatus } = require("../../../src/modules/products/domain/product.enum");
+const { defaultPermissionsFor } = require("../../../src/_shared/enum/permissions.enum");
+
+const actorOf = (userId, role) => ({ userId, role, permissions: defaultPermissionsFor(role) });
+const editor = actorOf("e1", "editor");
+const provider = actorOf("p1", "provider");
+const otherProvider = actorOf("p2", "provider");
+
+describe("productWorkflow", () => {
+  it("should derive the initial status from the creator's permissions", () => {
+    expect(productWorkflow.initialStatus(editor)).toBe(ProductStatus.PUBLISHED);
+    expect(productWorkflow.initialStatus(provider)).toBe(ProductStatus.PENDING_REVIEW);
+    expect(productWorkflow.initialStatus(actorOf("m1", "manager"))).toBe(
+      ProductStatus.PENDING_REVIEW
+    );
+  });
+
+  it("should authorize custom roles by permission rather than role name", () => {
+    const reviewer = { userId: "r1", role: "reviewer", permissions: ["product:approve"] };
+    const revoked = {
+      ...editor,
+      permissions: editor.permissions.filter((p) => p !== "product:approve"),
+    };
+    const pending = { status: ProductStatus.PENDING_REVIEW, createdBy: "p1" };
+
+    expect(productWorkflow.initialStatus(reviewer)).toBe(ProductStatus.PUBLISHED);
+    expect(
+      productWorkflow.evaluate(ProductAction.APPROVE, { actor: reviewer, product: pending }).ok
+    ).toBe(true);
+    expect(
+      productWorkflow.evaluate(ProductAction.APPROVE, { actor: revoked, product: pending })
+    ).toMatchObject({
+      ok: false,
+      status: 403,
+      error: "Forbidden: missing permission product:approve",
+    });
+    expect(
+      productWorkflow.checkEdit(revoked, { status: ProductStatus.PUBLISHED, createdBy: "p1" })
+    ).toMatchObject({
+      status: 403,
+    });
+  });
+
+  it("should list the editor actions for a pending product", () => {
+    const product = { status: ProductStatus.PENDING_REVIEW, createdBy: "p1" };
+
+    expect(productWorkflow.availableTransitions(product, editor)).toEqual([
+      { action: ProductAction.APPROVE, to: ProductStatus.PUBLISHED, requiresComment: false },
+      { action: ProductAction.REJECT, to: ProductStatus.REJECTED, requiresComment: true },
+    ]);
+    expect(productWorkflow.availableTransitions(product, provider)).toEqual([]);
+  });
+
+  it("should only offer resubmission to the owning provider", () => {
+    const product = { status: ProductStatus.REJECTED, createdBy: "p1" };
+
+    expect(productWorkflow.availableTransitions(product, provider).map((t) => t.action)).toEqual([
+      ProductAction.RESUBMIT,
+    ]);
+    expect(productWorkflow.availableTransitions(product, otherProvider)).toEqual([]);
+  });
+
+  it("should report why an action is refused", () => {
+    const published = { status: ProductStatus.PUBLISHED, createdBy: "p1" };
+
+    expect(
+      productWorkflow.evaluate("EXPLODE", { actor: editor, product: published })
+    ).toMatchObject({
+      ok: false,
+      status: 400,
+    });
+    expect(
+      productWorkflow.evaluate(ProductAction.ARCHIVE, { actor: provider, product: published })
+    ).toMatchObject({ ok: false, status: 403 });
+    expect(
+      productWorkflow.evaluate(ProductAction.REJECT, { actor: editor, product: published })
+    ).toMatchObject({ ok: false, status: 400 });
+    expect(
+      productWorkflow.evaluate(ProductAction.RESUBMIT, {
+        actor: otherProvider,
+        product: { status: ProductStatus.REJECTED, createdBy: "p1" },
+      })
+    ).toMatchObject({ ok: false, status: 403 });
+  });
+
+  it("should enforce edit rules per permission", () => {
+    expect(
+      productWorkflow.checkEdit(provider, { status: ProductStatus.PUBLISHED, createdBy: "p1" })
+    ).toMatchObject({ status: 400 });
+    expect(
+      productWorkflow.checkEdit(otherProvider, { status: ProductStatus.REJECTED, createdBy: "p1" })
+    ).toMatchObject({ status: 403 });
+    expect(
+      productWorkflow.checkEdit(editor, { status: ProductStatus.ARCHIVED, createdBy: "p1" })
+    ).toBeNull();
+  });
+
+  it("should run custom guards from a definition", () => {
+    const workflow = createWorkflow({
+      initial: { default: "DRAFT" },
+      transitions: {
+        SHIP: {
+          from: ["DRAFT"],
+          to: "SHIPPED",
+          permission: "product:approve",
+          event: "thing.shipped",
+          guards: [({ product }) => (product.ready ? null : { status: 400, error: "not ready" })],
+        },
+      },
+    });
+
+    expect(workflow.evaluate("SHIP", { actor: editor, product: { status: "DRAFT" } })).toEqual({
+      ok: false,
+      status: 400,
+      error: "not ready",
+    });
+    expect(
+      workflow.evaluate("SHIP", { actor: editor, product: { status: "DRAFT", ready: true } }).ok
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,134 @@
+const ReviewQueueService = require("../../../src/modules/review-queue/application/review-queue.service");
+const ProductService = require("../../../src/modules/products/application/product.service");
+const { productWorkflow, ProductAction } = require("../../../src/modules/products/domain/product.workflow");
+const { reviewTiming } = require("../../../src/modules/review-queue/domain/review.util");
+const { ReviewQueueSort } = require("../../../src/modules/review-queue/domain/review.enum");
+const { defaultPermissionsFor } = require("../../../src/_shared/enum/permissions.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+jest.mock("../../../src/_shared/jobs/outboxRelay.job", () => ({ nudgeOutboxRelay: jest.fn() }));
+
+const editorPermissions = defaultPermissionsFor("editor");
+const editor = {
+  userId: "64b000000000000000000001",
+  role: "editor",
+  permissions: editorPermissions,
+};
+const otherEditor = "64b000000000000000000002";
+const later = () => new Date(Date.now() + 10 * 60 * 1000);
+
+describe("review queue timing", () => {
+  it("should measure age from the submission and fall back to createdAt", () => {
+    const now = new Date("2024-01-03T00:00:00Z");
+    const slaMs = 24 * 60 * 60 * 1000;
+
+    const legacy = reviewTiming({ createdAt: new Date("2024-01-01T00:00:00Z") }, { slaMs, now });
+    const resubmitted = reviewTiming(
+      { createdAt: new Date("2024-01-01T00:00:00Z"), review: { submittedAt: "2024-01-02T12:00:00Z" } },
+      { slaMs, now }
+    );
+
+    expect(legacy).toMatchObject({ ageMs: 2 * slaMs, overdue: true });
+    expect(resubmitted).toMatchObject({ ageMs: slaMs / 2, overdue: false });
+    expect(resubmitted.dueAt.toISOString()).toBe("2024-01-03T12:00:00.000Z");
+  });
+
+  it("should sort by priority before age", () => {
+    expect(Object.keys(ReviewQueueService.queueSort(ReviewQueueSort.PRIORITY))[0]).toBe(
+      "review.priority"
+    );
+    expect(Object.keys(ReviewQueueService.queueSort(ReviewQueueSort.AGE))[0]).toBe(
+      "review.submittedAt"
+    );
+  });
+});
+
+describe("review claims", () => {
+  beforeEach(() => {
+    jest.spyOn(ReviewQueueService, "withTransaction").mockImplementation((work) => work(null));
+    jest.spyOn(ProductService, "enqueueEvent").mockResolvedValue({ status: 201 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should lock a pending product and emit product.claimed", async () => {
+    const updateSpy = jest
+      .spyOn(ReviewQueueService.model, "findOneAndUpdate")
+      .mockImplementation(async (_filter, update) => ({
+        _id: "x1",
+        status: "PENDING_REVIEW",
+        review: { claimExpiresAt: update.$set["review.claimExpiresAt"] },
+      }));
+
+    const res = await ReviewQueueService.claimReview(editor, "x1", { ttlMs: 60000 });
+
+    expect(res.status).toBe(200);
+    expect(updateSpy.mock.calls[0][0]).toMatchObject({ _id: "x1", status: "PENDING_REVIEW" });
+    expect(ProductService.enqueueEvent.mock.calls[0][0]).toBe("product.claimed");
+  });
+
+  it("should report a conflict when another editor holds the claim", async () => {
+    jest.spyOn(ReviewQueueService.model, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(ReviewQueueService, "findById").mockResolvedValue({
+      status: 200,
+      data: { status: "PENDING_REVIEW", review: { claimedBy: otherEditor, claimExpiresAt: later() } },
+    });
+
+    const res = await ReviewQueueService.claimReview(editor, "x1");
+
+    expect(res.status).toBe(409);
+    expect(ProductService.enqueueEvent).not.toHaveBeenCalled();
+  });
+
+  it("should refuse items assigned to another editor", async () => {
+    jest.spyOn(ReviewQueueService.model, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(ReviewQueueService, "findById").mockResolvedValue({
+      status: 200,
+      data: { status: "PENDING_REVIEW", review: { assignedTo: otherEditor } },
+    });
+
+    const res = await ReviewQueueService.claimReview(editor, "x1");
+
+    expect(res.status).toBe(403);
+  });
+
+  it("should only let editors claim", async () => {
+    const res = await ReviewQueueService.claimReview({ userId: "p1", role: "provider" }, "x1");
+
+    expect(res.status).toBe(403);
+  });
+
+  it("should block approval by anyone but the claim holder", () => {
+    const product = {
+      status: "PENDING_REVIEW",
+      review: { claimedBy: otherEditor, claimExpiresAt: later() },
+    };
+
+    expect(productWorkflow.evaluate(ProductAction.APPROVE, { actor: editor, product })).toMatchObject({
+      ok: false,
+      status: 409,
+    });
+    expect(
+      productWorkflow.evaluate(ProductAction.APPROVE, {
+        actor: { userId: otherEditor, role: "editor", permissions: editorPermissions },
+        product,
+      }).ok
+    ).toBe(true);
+  });
+
+  it("should block approval and rejection of items assigned to another editor", () => {
+    const product = { status: "PENDING_REVIEW", review: { assignedTo: otherEditor } };
+    const assignee = { userId: otherEditor, role: "editor", permissions: editorPermissions };
+
+    for (const action of [ProductAction.APPROVE, ProductAction.REJECT]) {
+      expect(
+        productWorkflow.evaluate(action, { actor: editor, product, comment: "Wrong GTIN" })
+      ).toMatchObject({ ok: false, status: 403 });
+    }
+    expect(productWorkflow.evaluate(ProductAction.APPROVE, { actor: assignee, product }).ok).toBe(
+      true
+    );
+  });
+});
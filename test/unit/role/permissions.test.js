@@ -0,0 +1,89 @@
+const RoleService = require("../../../src/modules/roles/application/role.service");
+const { permissionChangeDto } = require("../../../src/modules/roles/domain/permission.dto");
+const { assertPermission } = require("../../../src/graphql/directives/requires");
+const requirePermission = require("../../../src/_shared/middlewares/permission.middleware");
+const {
+  Permission,
+  defaultPermissionsFor,
+} = require("../../../src/_shared/enum/permissions.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+describe("Role permissions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    RoleService.invalidatePermissions();
+  });
+
+  it("should give built-in roles their default grants and custom roles none", () => {
+    expect(defaultPermissionsFor("ADMIN")).toEqual(Object.values(Permission));
+    expect(defaultPermissionsFor("provider")).toEqual([
+      Permission.PRODUCT_CREATE,
+      Permission.PRODUCT_UPDATE,
+    ]);
+    expect(defaultPermissionsFor("auditor")).toEqual([]);
+  });
+
+  it("should cache permissions per role name", async () => {
+    const findSpy = jest
+      .spyOn(RoleService, "findOneByCriteria")
+      .mockResolvedValue({ status: 200, data: { permissions: [Permission.AUDIT_READ] } });
+
+    expect(await RoleService.permissionsForRole("Auditor")).toEqual([Permission.AUDIT_READ]);
+    expect(await RoleService.permissionsForRole("auditor")).toEqual([Permission.AUDIT_READ]);
+    expect(findSpy).toHaveBeenCalledTimes(1);
+    expect(findSpy).toHaveBeenCalledWith({ name: "auditor" }, [], "permissions");
+
+    RoleService.invalidatePermissions("auditor");
+    await RoleService.permissionsForRole("auditor");
+    expect(findSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it("should fail closed without caching when the lookup fails", async () => {
+    const findSpy = jest
+      .spyOn(RoleService, "findOneByCriteria")
+      .mockResolvedValueOnce({ status: 500, error: "db down" })
+      .mockResolvedValueOnce({ status: 200, data: { permissions: [Permission.USER_MANAGE] } });
+
+    expect(await RoleService.permissionsForRole("manager")).toEqual([]);
+    expect(await RoleService.permissionsForRole("manager")).toEqual([Permission.USER_MANAGE]);
+    expect(findSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject unknown or empty permission changes", () => {
+    expect(permissionChangeDto.validate({ permissions: ["audit:read"] }).error).toBeUndefined();
+    expect(permissionChangeDto.validate({ permissions: ["audit:write"] }).error.message).toMatch(
+      /Permission must be one of/
+    );
+    expect(permissionChangeDto.validate({ permissions: [] }).error).toBeDefined();
+  });
+
+  it("should require the permission on the context user", () => {
+    const ctx = { user: { role: "auditor", permissions: [Permission.AUDIT_READ] } };
+
+    expect(() => assertPermission(ctx, Permission.AUDIT_READ)).not.toThrow();
+    expect(() => assertPermission(ctx, Permission.USER_MANAGE)).toThrow(
+      expect.objectContaining({ status: 403, code: "FORBIDDEN" })
+    );
+    expect(() => assertPermission({}, Permission.AUDIT_READ)).toThrow(
+      expect.objectContaining({ status: 401 })
+    );
+  });
+
+  it("should resolve REST permissions from the caller's role", async () => {
+    jest
+      .spyOn(RoleService, "findOneByCriteria")
+      .mockResolvedValue({ status: 200, data: { permissions: [Permission.PRODUCT_UPDATE] } });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    const req = { user: { userId: "u1", role: "supplier" } };
+
+    await requirePermission(Permission.PRODUCT_CREATE)(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    await requirePermission(Permission.PRODUCT_UPDATE)(req, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.user.permissions).toEqual([Permission.PRODUCT_UPDATE]);
+  });
+});
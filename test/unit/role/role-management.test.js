@@ -0,0 +1,56 @@
+const { graphql } = require("graphql");
+const RoleService = require("../../../src/modules/roles/application/role.service");
+const roleUpdateDto = require("../../../src/modules/roles/domain/roleUpdate.dto");
+const { buildExecutableSchema } = require("../../../src/graphql/schema");
+const { defaultPermissionsFor } = require("../../../src/_shared/enum/permissions.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const roleId = "64b0000000000000000000c1";
+
+describe("Role management", () => {
+  let schema;
+
+  beforeAll(async () => {
+    schema = await buildExecutableSchema();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    RoleService.invalidatePermissions();
+  });
+
+  it.each([
+    `mutation { createRole(input: { name: "auditor", permissions: ["role:manage"] }) { id } }`,
+    `mutation { updateRole(id: "${roleId}", input: { name: "auditor" }) { id } }`,
+    `mutation { softDeleteRole(id: "${roleId}") { id } }`,
+    `mutation { deleteRolePermanent(id: "${roleId}") }`,
+  ])("should require role:manage for %s", async (source) => {
+    const createSpy = jest.spyOn(RoleService, "create");
+    const user = { userId: "u1", role: "manager", roles: ["manager"] };
+    const contextValue = { user: { ...user, permissions: defaultPermissionsFor("manager") } };
+
+    const res = await graphql({ schema, source, contextValue });
+
+    expect(res.errors[0].originalError).toMatchObject({ status: 403, code: "FORBIDDEN" });
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  it("should reserve built-in names", () => {
+    expect(roleUpdateDto.validate({ name: "Admin" }).error.message).toBe(
+      "Name is reserved for a built-in role"
+    );
+    expect(roleUpdateDto.validate({ name: "auditor" }).error).toBeUndefined();
+  });
+
+  it("should refuse to rename or delete built-in roles", async () => {
+    jest.spyOn(RoleService, "findById").mockResolvedValue({ status: 200, data: { name: "editor" } });
+    const deleteSpy = jest.spyOn(RoleService.model, "findByIdAndDelete");
+    const expected = { status: 400, error: "Built-in roles cannot be renamed or deleted" };
+
+    expect(await RoleService.updateById(roleId, { name: "auditor" })).toEqual(expected);
+    expect(await RoleService.softDeleteById(roleId)).toEqual(expected);
+    expect(await RoleService.deleteById(roleId)).toEqual(expected);
+    expect(deleteSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const ReindexService = require("../../../src/modules/search/application/reindex.service");
+const Product = require("../../../src/modules/products/domain/product.schema");
+const { getES } = require("../../../src/_shared/integrations/elasticsearch/es.client");
+const { ReindexStatus } = require("../../../src/modules/search/domain/reindex.enum");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+jest.mock("../../../src/_shared/integrations/elasticsearch/es.client", () => ({
+  getES: jest.fn(),
+}));
+jest.mock("../../../src/_shared/integrations/elasticsearch/es.product.indexer", () => ({
+  ...jest.requireActual("../../../src/_shared/integrations/elasticsearch/es.product.indexer"),
+  createProductIndex: jest.fn().mockResolvedValue(undefined),
+}));
+
+describe("ReindexService.buildBulkOperations", () => {
+  it("should index active products and delete soft-deleted ones", () => {
+    const ops = ReindexService.buildBulkOperations("products_v1", [
+      { _id: "a1", name: "Juice", brand: "Acme", createdBy: "u1", deletedAt: null },
+      { _id: "b2", name: "Gone", brand: "Acme", deletedAt: new Date() },
+    ]);
+
+    expect(ops).toHaveLength(3);
+    expect(ops[0]).toEqual({ index: { _index: "products_v1", _id: "a1" } });
+    expect(ops[1]).toMatchObject({ name: "Juice", brand: "Acme", createdBy: "u1" });
+    expect(ops[2]).toEqual({ delete: { _index: "products_v1", _id: "b2" } });
+  });
+});
+
+describe("ReindexService.buildAliasActions", () => {
+  it("should move the alias off previous indices in one call", () => {
+    const actions = ReindexService.buildAliasActions("products_v2", ["products_v1"], false);
+
+    expect(actions).toEqual([
+      { add: { index: "products_v2", alias: ReindexService.alias } },
+      { remove: { index: "products_v1", alias: ReindexService.alias } },
+    ]);
+  });
+
+  it("should drop a legacy concrete index occupying the alias name", () => {
+    const actions = ReindexService.buildAliasActions("products_v2", [], true);
+
+    expect(actions).toContainEqual({ remove_index: { index: ReindexService.alias } });
+  });
+});
+
+describe("ReindexService.run", () => {
+  let es;
+
+  beforeEach(() => {
+    es = {
+      indices: {
+        putSettings: jest.fn().mockResolvedValue({}),
+        refresh: jest.fn().mockResolvedValue({}),
+        existsAlias: jest.fn().mockResolvedValue(true),
+        getAlias: jest.fn().mockResolvedValue({ products_v1: {} }),
+        updateAliases: jest.fn().mockResolvedValue({}),
+        delete: jest.fn().mockResolvedValue({}),
+      },
+    };
+    getES.mockReturnValue(es);
+    jest.spyOn(Product, "countDocuments").mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should drop the previous index once the catch-up pass is clean", async () => {
+    jest.spyOn(ReindexService, "loadFromCursor").mockResolvedValue();
+    const job = ReindexService.createJob(null);
+
+    await ReindexService.run(job);
+
+    expect(job.status).toBe(ReindexStatus.COMPLETED);
+    expect(es.indices.delete).toHaveBeenCalledWith({ index: "products_v1" }, { ignore: [404] });
+  });
+
+  it("should fail the job and keep the previous index when catch-up documents fail", async () => {
+    jest
+      .spyOn(ReindexService, "loadFromCursor")
+      .mockResolvedValueOnce()
+      .mockImplementationOnce(async (_es, job) => {
+        job.processed += 3;
+        job.indexed += 1;
+        job.failed += 2;
+      });
+    const job = ReindexService.createJob(null);
+
+    await expect(ReindexService.run(job)).rejects.toThrow(/2 document\(s\) failed/);
+
+    expect(es.indices.updateAliases).toHaveBeenCalled();
+    expect(job).toMatchObject({ status: ReindexStatus.FAILED, failed: 2 });
+    expect(job.error).toContain("previous indices kept: products_v1");
+    expect(es.indices.delete).not.toHaveBeenCalled();
+  });
+});
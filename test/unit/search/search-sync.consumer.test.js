@@ -0,0 +1,136 @@
+const config = require("../../../src/_shared/config/config");
+const ProductService = require("../../../src/modules/products/application/product.service");
+const indexer = require("../../../src/_shared/integrations/elasticsearch/es.product.indexer");
+const { handleMessage } = require("../../../src/_shared/consumers/productSearchSync.consumer");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+jest.mock("../../../src/_shared/integrations/elasticsearch/es.product.indexer", () => ({
+  upsertProduct: jest.fn(),
+  deleteProduct: jest.fn(),
+}));
+
+const queue = config.RABBIT.searchSyncQueue;
+const delays = config.RABBIT.retryDelaysMs;
+const event = { type: "product.updated", aggregateType: "Product", aggregateId: "x1" };
+
+const deliveryOf = (content, headers = {}) => ({
+  content: Buffer.from(typeof content === "string" ? content : JSON.stringify(content)),
+  fields: { routingKey: "product.updated" },
+  properties: { contentType: "application/json", headers },
+});
+
+/**
+ * Confirm channel double; confirmations are released through confirm(err?).
+ */
+function fakeChannel() {
+  const pending = [];
+  return {
+    sendToQueue: jest.fn((_queue, _content, _options, callback) => pending.push(callback)),
+    ack: jest.fn(),
+    nack: jest.fn(),
+    confirm: (err = null) => pending.shift()(err),
+  };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("product search sync consumer", () => {
+  beforeEach(() => {
+    jest.spyOn(ProductService, "findById").mockResolvedValue({ status: 200, data: { _id: "x1" } });
+    indexer.upsertProduct.mockReset().mockResolvedValue(undefined);
+    indexer.deleteProduct.mockReset().mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should index the product and ack", async () => {
+    const ch = fakeChannel();
+    const msg = deliveryOf(event);
+
+    await handleMessage(ch, msg);
+
+    expect(indexer.upsertProduct).toHaveBeenCalledWith({ _id: "x1" }, { strict: true });
+    expect(ch.ack).toHaveBeenCalledWith(msg);
+    expect(ch.sendToQueue).not.toHaveBeenCalled();
+  });
+
+  it("should remove missing products from the index", async () => {
+    ProductService.findById.mockResolvedValue({ status: 404, error: "Document not found" });
+    const ch = fakeChannel();
+
+    await handleMessage(ch, deliveryOf(event));
+
+    expect(indexer.deleteProduct).toHaveBeenCalledWith("x1", { strict: true });
+    expect(ch.ack).toHaveBeenCalledTimes(1);
+  });
+
+  it("should schedule a retry and ack only once the copy is confirmed", async () => {
+    indexer.upsertProduct.mockRejectedValue(new Error("es down"));
+    const ch = fakeChannel();
+    const msg = deliveryOf(event);
+
+    const handled = handleMessage(ch, msg);
+    await flush();
+
+    expect(ch.sendToQueue).toHaveBeenCalledWith(
+      `${queue}.retry.${delays[0]}`,
+      msg.content,
+      expect.objectContaining({
+        persistent: true,
+        headers: { "x-attempt": 1, "x-last-error": "es down" },
+      }),
+      expect.any(Function)
+    );
+    expect(ch.ack).not.toHaveBeenCalled();
+
+    ch.confirm();
+    await handled;
+    expect(ch.ack).toHaveBeenCalledWith(msg);
+  });
+
+  it("should dead-letter a message once its retries are exhausted", async () => {
+    indexer.upsertProduct.mockRejectedValue(new Error("es down"));
+    const ch = fakeChannel();
+    const msg = deliveryOf(event, { "x-attempt": delays.length });
+
+    const handled = handleMessage(ch, msg);
+    await flush();
+    ch.confirm();
+    await handled;
+
+    const [target, , options] = ch.sendToQueue.mock.calls[0];
+    expect(target).toBe(`${queue}.dlq`);
+    expect(options.headers).toEqual({ "x-attempt": delays.length + 1, "x-last-error": "es down" });
+    expect(ch.ack).toHaveBeenCalledWith(msg);
+  });
+
+  it("should dead-letter unparseable payloads", async () => {
+    const ch = fakeChannel();
+    const msg = deliveryOf("{not json");
+
+    const handled = handleMessage(ch, msg);
+    await flush();
+    ch.confirm();
+    await handled;
+
+    expect(ch.sendToQueue.mock.calls[0][0]).toBe(`${queue}.dlq`);
+    expect(ProductService.findById).not.toHaveBeenCalled();
+    expect(ch.ack).toHaveBeenCalledWith(msg);
+  });
+
+  it("should requeue instead of acking when the broker rejects the copy", async () => {
+    indexer.upsertProduct.mockRejectedValue(new Error("es down"));
+    const ch = fakeChannel();
+    const msg = deliveryOf(event);
+
+    const handled = handleMessage(ch, msg);
+    await flush();
+    ch.confirm(new Error("nacked"));
+    await handled;
+
+    expect(ch.ack).not.toHaveBeenCalled();
+    expect(ch.nack).toHaveBeenCalledWith(msg, false, true);
+  });
+});
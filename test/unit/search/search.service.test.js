@@ -0,0 +1,100 @@
+const SearchService = require("../../../src/modules/search/application/search.service");
+const searchQueryDto = require("../../../src/modules/search/domain/search.dto");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const editor = { userId: "64b0000000000000000000e1", role: "editor" };
+const provider = { userId: "64b000000000000000000001", role: "provider" };
+
+describe("SearchService.buildSearchRequest", () => {
+  it("should build a match_all query with defaults when q is empty", () => {
+    const { value } = searchQueryDto.validate({});
+    const req = SearchService.buildSearchRequest(value, editor);
+
+    expect(req.query.bool.must).toEqual([{ match_all: {} }]);
+    expect(req.query.bool.filter).toEqual([]);
+    expect(req.query.bool.must_not).toEqual([
+      { terms: { status: ["UNPUBLISHED", "ARCHIVED"] } },
+    ]);
+    expect(req.from).toBe(0);
+    expect(req.size).toBe(10);
+    expect(req.highlight).toBeDefined();
+  });
+
+  it("should search text fields and apply keyword filters", () => {
+    const { value } = searchQueryDto.validate({
+      q: "juice",
+      status: "PUBLISHED",
+      weightUnit: "ml",
+      country: "ES",
+      page: "2",
+      limit: "20",
+    });
+    const req = SearchService.buildSearchRequest(value, editor);
+
+    expect(req.query.bool.must[0].multi_match.query).toBe("juice");
+    expect(req.query.bool.must[0].multi_match.fields).toEqual(
+      expect.arrayContaining(["description", "manufacturer.name^2"])
+    );
+    expect(req.query.bool.filter).toEqual([
+      { term: { status: "PUBLISHED" } },
+      { term: { weightUnit: "ml" } },
+      { term: { "manufacturer.country": "ES" } },
+    ]);
+    expect(req.query.bool.must_not).toEqual([]);
+    expect(req.from).toBe(40);
+    expect(req.size).toBe(20);
+  });
+
+  it("should sort by the requested field and omit highlight when disabled", () => {
+    const { value } = searchQueryDto.validate({
+      sortBy: "createdAt",
+      order: "asc",
+      highlight: "false",
+    });
+    const req = SearchService.buildSearchRequest(value);
+
+    expect(req.sort[0]).toEqual({ createdAt: { order: "asc", missing: "_last" } });
+    expect(req.highlight).toBeUndefined();
+  });
+});
+
+describe("SearchService.visibilityFilter", () => {
+  const published = { term: { status: "PUBLISHED" } };
+
+  it("should only show published products to anonymous callers", () => {
+    const { value } = searchQueryDto.validate({ status: "PENDING_REVIEW", createdBy: provider.userId });
+    const req = SearchService.buildSearchRequest(value);
+
+    expect(req.query.bool.filter).toContainEqual(published);
+    expect(SearchService.visibilityFilter({ userId: "u1", role: "employee" })).toEqual(published);
+  });
+
+  it("should add the products a provider owns in any status", () => {
+    const ownUnaffiliated = {
+      bool: {
+        filter: [{ term: { createdBy: provider.userId } }],
+        must_not: [{ exists: { field: "organizationId" } }],
+      },
+    };
+
+    expect(SearchService.visibilityFilter(provider)).toEqual({
+      bool: { should: [published, ownUnaffiliated], minimum_should_match: 1 },
+    });
+    expect(
+      SearchService.visibilityFilter({ ...provider, organizationId: "64b0000000000000000000a1" })
+        .bool.should
+    ).toEqual([published, ownUnaffiliated, { term: { organizationId: "64b0000000000000000000a1" } }]);
+  });
+
+  it("should not restrict editors", () => {
+    expect(SearchService.visibilityFilter(editor)).toBeNull();
+  });
+});
+
+describe("search.dto", () => {
+  it("should reject pages beyond the result window", () => {
+    const { error } = searchQueryDto.validate({ page: 200, limit: 100 });
+    expect(error).toBeDefined();
+  });
+});
@@ -0,0 +1,126 @@
+const jwt = require("jsonwebtoken");
+const User = require("../../../src/modules/users/domain/user.schema");
+const UserService = require("../../../src/modules/users/application/user.service");
+const RoleService = require("../../../src/modules/roles/application/role.service");
+const { buildContext } = require("../../../src/graphql/context");
+const config = require("../../../src/_shared/config/config");
+const { comparePassword } = require("../../../src/_shared/hash/password.hash");
+
+jest.mock("../../../src/_shared/utils/logger", () => ({ logger: jest.fn() }));
+
+const userId = "64b000000000000000000001";
+const roleId = "64b0000000000000000000c1";
+const otherRoleId = "64b0000000000000000000c2";
+
+function storedUser(doc) {
+  return jest.spyOn(User, "findOne").mockReturnValue({
+    select: () => ({ lean: () => ({ exec: async () => doc }) }),
+  });
+}
+
+function updateChain(doc) {
+  return jest.spyOn(User, "findOneAndUpdate").mockReturnValue({ exec: async () => doc });
+}
+
+const contextFor = (claims) =>
+  buildContext({
+    headers: { authorization: `Bearer ${jwt.sign(claims, config.JWT.key)}` },
+  });
+
+describe("UserService token versions", () => {
+  beforeEach(() => {
+    UserService.tokenVersionCache.clear();
+    jest.spyOn(RoleService, "permissionsForRole").mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should only accept tokens carrying the stored version", async () => {
+    storedUser({ tokenVersion: 2 });
+
+    expect(await UserService.isTokenCurrent(userId, 2)).toBe(true);
+    expect(await UserService.isTokenCurrent(userId, 1)).toBe(false);
+    expect(await UserService.isTokenCurrent(userId)).toBe(false);
+  });
+
+  it("should cache the lookup", async () => {
+    const findSpy = storedUser({ tokenVersion: 0 });
+
+    await UserService.isTokenCurrent(userId, 0);
+    await UserService.isTokenCurrent(userId, 0);
+
+    expect(findSpy).toHaveBeenCalledTimes(1);
+    expect(findSpy.mock.calls[0][0]).toEqual({ _id: userId, deletedAt: null });
+  });
+
+  it("should reject tokens of deleted users", async () => {
+    storedUser(null);
+
+    expect(await UserService.isTokenCurrent(userId, 0)).toBe(false);
+  });
+
+  it("should hash a new password and revoke issued tokens", async () => {
+    storedUser({ tokenVersion: 0 });
+    await UserService.isTokenCurrent(userId, 0);
+    const updateSpy = updateChain({ _id: userId });
+
+    const res = await UserService.updateById(userId, { password: "new-secret" });
+
+    expect(res.status).toBe(200);
+    const update = updateSpy.mock.calls[0][1];
+    expect(update.$inc).toEqual({ tokenVersion: 1 });
+    expect(await comparePassword("new-secret", update.password)).toBe(true);
+    expect(UserService.tokenVersionCache.has(userId)).toBe(false);
+  });
+
+  it("should revoke tokens only when the role actually changes", async () => {
+    jest.spyOn(UserService, "findById").mockResolvedValue({ status: 200, data: { role: roleId } });
+    const updateSpy = updateChain({ _id: userId });
+
+    await UserService.updateById(userId, { role: roleId });
+    await UserService.updateById(userId, { role: otherRoleId });
+
+    expect(updateSpy.mock.calls[0][1].$inc).toBeUndefined();
+    expect(updateSpy.mock.calls[1][1].$inc).toEqual({ tokenVersion: 1 });
+  });
+
+  it("should revoke tokens on soft delete", async () => {
+    jest.spyOn(User, "findById").mockReturnValue({
+      session: () => ({ exec: async () => ({ _id: userId, save: async () => {} }) }),
+    });
+    const bumpSpy = jest.spyOn(User, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await UserService.softDeleteById(userId);
+
+    expect(res.status).toBe(200);
+    expect(bumpSpy.mock.calls[0][1]).toEqual({ $inc: { tokenVersion: 1 } });
+  });
+
+  it("should leave the context anonymous for revoked tokens", async () => {
+    storedUser({ tokenVersion: 1 });
+
+    expect((await contextFor({ userId, role: "provider", tv: 0 })).user).toBeNull();
+    expect((await contextFor({ userId, role: "provider", tv: 1 })).user).toMatchObject({ userId });
+  });
+});
+
+describe("UserService passwords", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should store created users' passwords hashed", async () => {
+    const saveSpy = jest.spyOn(User.prototype, "save").mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+
+    const res = await UserService.create({ email: "pat@example.com", password: "secret1" });
+
+    expect(res.status).toBe(201);
+    expect(saveSpy).toHaveBeenCalledTimes(1);
+    expect(res.data.password).not.toBe("secret1");
+    expect(await comparePassword("secret1", res.data.password)).toBe(true);
+  });
+});